@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * NeoGuide - Audio Pack Builder
+ *
+ * Renders every entry in ALERT_DEFINITIONS, for every configured voice and
+ * locale (in that locale's wording and TTS model), with ElevenLabs into
+ * public/audio/pack/ and writes the manifest
+ * the dashboard checks clips against. File names carry the clip hash, so
+ * rebuilt clips are new, cache-safe assets. Only clips whose hash changed
+ * (new alert, reworded text, different voice/model) are regenerated.
+ *
+ * Usage:
+ *   npm run build-audio-pack [-- --force] [--voice rachel] [--lang es]
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { createServer, loadEnv } from 'vite';
+import { readApiKeys } from '../server/proxy.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PACK_DIR = path.join(ROOT, 'public', 'audio', 'pack');
+const MANIFEST_VERSION = 1;
+
+const { values: args } = parseArgs({
+  options: {
+    force: { type: 'boolean', default: false },
+    voice: { type: 'string', multiple: true },
+    lang: { type: 'string', multiple: true },
+  },
+});
+
+const exists = (file) => fs.stat(file).then(() => true, () => false);
+
+async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(path.join(PACK_DIR, 'manifest.json'), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return { voices: {} };
+  }
+}
+
+async function main() {
+  const { elevenlabs: apiKey } = readApiKeys({ ...loadEnv('development', ROOT, ''), ...process.env });
+  if (!apiKey) {
+    throw new Error('ELEVENLABS_API_KEY is not set (see .env.example)');
+  }
+
+  // Load the app's own alert definitions and TTS backend through Vite, as evaluate.js does
+  const vite = await createServer({
+    root: ROOT,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+  });
+
+  const previous = await readManifest();
+  const manifest = { version: MANIFEST_VERSION, generatedAt: new Date().toISOString(), voices: {} };
+  const written = new Set();
+  let rendered = 0;
+
+  try {
+    const { ALERT_DEFINITIONS, getAlertText } = await vite.ssrLoadModule('/src/services/voiceAlerts.js');
+    const { VOICES, ALERT_LANGUAGES, localeVoice, clipHash } = await vite.ssrLoadModule('/src/services/tts/voices.js');
+    const { createElevenLabsProvider } = await vite.ssrLoadModule('/src/services/tts/elevenLabsProvider.js');
+    manifest.models = Object.fromEntries(ALERT_LANGUAGES.map(lang => [lang, localeVoice(lang).model]));
+
+    const voices = args.voice ?? Object.keys(VOICES);
+    const langs = args.lang ?? ALERT_LANGUAGES;
+    for (const voice of voices) {
+      if (!VOICES[voice]) throw new Error(`Unknown voice: ${voice} (configured: ${Object.keys(VOICES).join(', ')})`);
+    }
+
+    for (const voice of Object.keys(VOICES)) {
+      manifest.voices[voice] = { label: VOICES[voice].label, languages: {} };
+      for (const lang of ALERT_LANGUAGES) {
+        // Voices/languages not selected this run keep their previous entries
+        if (!voices.includes(voice) || !langs.includes(lang)) {
+          const kept = previous.voices?.[voice]?.languages?.[lang];
+          if (kept) {
+            manifest.voices[voice].languages[lang] = kept;
+            for (const entry of Object.values(kept)) written.add(entry.file);
+          }
+          continue;
+        }
+
+        const { model } = localeVoice(lang);
+        const tts = createElevenLabsProvider({ apiKey, voice, lang, model });
+        const entries = {};
+        for (const key of Object.keys(ALERT_DEFINITIONS)) {
+          const text = getAlertText(key, lang);
+          const hash = await clipHash({ voice, lang, model, text });
+          const file = `${voice}/${lang}/${key}.${hash}.mp3`;
+          const target = path.join(PACK_DIR, file);
+          if (args.force || !await exists(target)) {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, Buffer.from(await tts.synthesize(text)));
+            rendered++;
+            console.log(`render  ${file} — "${text}"`);
+          }
+          entries[key] = { text, hash, file };
+          written.add(file);
+        }
+        manifest.voices[voice].languages[lang] = entries;
+      }
+    }
+  } finally {
+    await vite.close();
+  }
+
+  // Remove clips no manifest entry points at any more
+  for (const voice of await fs.readdir(PACK_DIR).catch(() => [])) {
+    const voiceDir = path.join(PACK_DIR, voice);
+    if (!(await fs.stat(voiceDir)).isDirectory()) continue;
+    for (const lang of await fs.readdir(voiceDir)) {
+      for (const name of await fs.readdir(path.join(voiceDir, lang))) {
+        const file = `${voice}/${lang}/${name}`;
+        if (!written.has(file)) {
+          await fs.rm(path.join(PACK_DIR, file));
+          console.log(`remove  ${file}`);
+        }
+      }
+    }
+  }
+
+  await fs.writeFile(path.join(PACK_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`\n${rendered} clip(s) rendered, ${written.size} in pack → ${path.relative(ROOT, PACK_DIR)}/manifest.json`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * NeoGuide - Offline Evaluation CLI
+ *
+ * Runs a folder of labeled airway images through a vision provider (or
+ * through cached responses, fully offline) and the same post-processing the
+ * dashboard uses, then reports landmark precision/recall, a depth zone
+ * confusion matrix, the esophagus false-negative rate and confidence
+ * calibration as JSON and HTML.
+ *
+ * Usage:
+ *   npm run evaluate -- <dataset-dir> [--provider gemini|mock] [--labels labels.json]
+ *                       [--cache <dir>] [--offline] [--limit N] [--out <dir>]
+ *
+ * Labels (labels.json in the dataset dir by default) map image file names to
+ * ground truth; any field may be omitted:
+ *   { "img_001.jpg": { "depth_zone": "glottic", "landmarks": { "vocal_cords": true, "esophagus": false } } }
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { loadEnv } from 'vite';
+import { readApiKeys } from '../server/proxy.js';
+import { analyzeFrame, createVisionProvider } from '../src/services/visionPipeline.js';
+import { interpretResponseText } from '../src/services/visionResult.js';
+import { createGeminiProvider } from '../src/services/providers/geminiProvider.js';
+import { computeMetrics } from './lib/evalMetrics.js';
+import { renderReport } from './lib/evalReport.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    provider: { type: 'string', default: 'gemini' },
+    labels: { type: 'string' },
+    cache: { type: 'string', default: path.join(ROOT, 'data', 'eval-cache') },
+    offline: { type: 'boolean', default: false },
+    limit: { type: 'string' },
+    out: { type: 'string' },
+  },
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: npm run evaluate -- <dataset-dir> [--provider gemini|mock] [--labels file] [--cache dir] [--offline] [--limit N] [--out dir]');
+  process.exit(1);
+}
+
+/**
+ * Wrap a provider so raw responses are read from / written to a disk cache.
+ * Keyed by provider name and image hash, so a prompt or model change needs a fresh cache dir.
+ */
+function withResponseCache(provider, { cacheDir, offline, interpretResponseText }) {
+  const dir = path.join(cacheDir, provider.name);
+  return {
+    name: provider.name,
+    async analyze(frame) {
+      const key = crypto.createHash('sha256').update(frame.base64).digest('hex');
+      const file = path.join(dir, `${key}.txt`);
+      try {
+        const rawText = await fs.readFile(file, 'utf8');
+        return { ...interpretResponseText(rawText), raw_text: rawText };
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      if (offline) throw new Error('No cached response (offline mode)');
+
+      const result = await provider.analyze(frame);
+      if (result.raw_text != null) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(file, result.raw_text);
+      }
+      return result;
+    },
+  };
+}
+
+async function main() {
+  const datasetDir = path.resolve(positionals[0]);
+  const labelsFile = path.resolve(args.labels ?? path.join(datasetDir, 'labels.json'));
+  const labels = JSON.parse(await fs.readFile(labelsFile, 'utf8'));
+
+  const images = (await fs.readdir(datasetDir))
+    .filter(name => IMAGE_TYPES[path.extname(name).toLowerCase()] && labels[name])
+    .sort()
+    .slice(0, args.limit ? Number(args.limit) : undefined);
+  if (images.length === 0) {
+    throw new Error(`No labeled images found in ${datasetDir}`);
+  }
+
+  // The app's own pipeline, imported as plain modules — the provider is passed in, so nothing
+  // here needs import.meta.env. Gemini is called directly with the server-side key (no proxy here),
+  // read from .env the way Vite would.
+  const baseProvider = args.provider === 'gemini'
+    ? createGeminiProvider({ apiKey: readApiKeys({ ...loadEnv('development', ROOT, ''), ...process.env }).gemini })
+    : createVisionProvider(args.provider);
+  const provider = withResponseCache(baseProvider, {
+    cacheDir: path.resolve(args.cache),
+    offline: args.offline,
+    interpretResponseText,
+  });
+
+  const startedAt = new Date().toISOString();
+  const samples = [];
+  for (const [i, image] of images.entries()) {
+    const data = await fs.readFile(path.join(datasetDir, image));
+    const result = await analyzeFrame(data.toString('base64'), IMAGE_TYPES[path.extname(image).toLowerCase()], provider);
+    samples.push({ image, label: labels[image], result });
+    console.log(`[${i + 1}/${images.length}] ${image} → ${result.success ? result.depth_zone : `FAILED (${result.error || result.parse_diagnostics?.status})`}`);
+  }
+
+  const config = { dataset: datasetDir, labels: labelsFile, provider: args.provider, offline: args.offline, startedAt };
+  const metrics = computeMetrics(samples);
+
+  const outDir = path.resolve(args.out ?? path.join(ROOT, 'data', 'eval-results', startedAt.replace(/[:.]/g, '-')));
+  await fs.mkdir(outDir, { recursive: true });
+  // raw_text is already in the cache; keep the JSON report small
+  const slimSamples = samples.map(({ image, label, result }) => {
+    const { raw_text, ...rest } = result;
+    return { image, label, result: rest };
+  });
+  await fs.writeFile(path.join(outDir, 'report.json'), JSON.stringify({ config, metrics, samples: slimSamples }, null, 2));
+  await fs.writeFile(path.join(outDir, 'report.html'), renderReport({ config, metrics, samples }));
+
+  console.log(`\nDepth zone accuracy: ${metrics.depth_zone.accuracy == null ? '—' : (metrics.depth_zone.accuracy * 100).toFixed(1) + '%'}`);
+  console.log(`Esophagus miss rate: ${metrics.esophagus.false_negative_rate == null ? '—' : (metrics.esophagus.false_negative_rate * 100).toFixed(1) + '%'} (${metrics.esophagus.failed} failed, counted as misses)`);
+  console.log(`Failed:              ${metrics.failed}/${metrics.samples}`);
+  console.log(`Report:              ${outDir}`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
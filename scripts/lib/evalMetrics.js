@@ -0,0 +1,126 @@
+/**
+ * NeoGuide - Evaluation Metrics
+ *
+ * Scores vision results against ground-truth labels: per-landmark
+ * precision/recall, depth zone confusion matrix, esophagus miss rate and
+ * confidence calibration.
+ *
+ * Failed and unparseable results are left out of precision/recall, but not
+ * out of sight: each landmark reports how many of its positives failed, and
+ * a failure on an esophageal frame counts as a miss — at the bedside it is
+ * one.
+ */
+
+import { LANDMARK_KEYS, DEPTH_ZONE_IDS } from '../../src/services/visionResult.js';
+
+const CALIBRATION_BINS = 10;
+
+const ratio = (num, den) => (den > 0 ? num / den : null);
+
+/**
+ * Score a set of (label, result) pairs
+ * @param {Array<{ image: string, label: Object, result: Object }>} samples - label has
+ *   { depth_zone?, landmarks?: { [key]: boolean } }; result is analyzeFrame output
+ * @returns {Object} Metrics report; esophagus.false_negatives includes esophagus.failed
+ */
+export function computeMetrics(samples) {
+  const scored = samples.filter(s => s.result.success);
+  const failures = samples.filter(s => !s.result.success);
+
+  // Per-landmark confusion counts — only for landmarks the label actually annotates
+  const landmarks = {};
+  for (const key of LANDMARK_KEYS) {
+    const c = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    for (const { label, result } of scored) {
+      const truth = label.landmarks?.[key];
+      if (typeof truth !== 'boolean') continue;
+      const predicted = !!result.landmarks?.[key]?.visible;
+      if (truth && predicted) c.tp++;
+      else if (!truth && predicted) c.fp++;
+      else if (truth && !predicted) c.fn++;
+      else c.tn++;
+    }
+    const failed = failures.filter(({ label }) => label.landmarks?.[key] === true).length;
+    const precision = ratio(c.tp, c.tp + c.fp);
+    const recall = ratio(c.tp, c.tp + c.fn);
+    landmarks[key] = {
+      ...c,
+      support: c.tp + c.fn,
+      failed,
+      failure_rate: ratio(failed, c.tp + c.fn + failed),
+      precision,
+      recall,
+      f1: precision != null && recall != null && precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : null,
+    };
+  }
+
+  // Depth zone confusion matrix: matrix[truth][predicted]
+  const matrix = Object.fromEntries(DEPTH_ZONE_IDS.map(t => [t, Object.fromEntries(DEPTH_ZONE_IDS.map(p => [p, 0]))]));
+  let zoneTotal = 0;
+  let zoneCorrect = 0;
+  for (const { label, result } of scored) {
+    if (!DEPTH_ZONE_IDS.includes(label.depth_zone)) continue;
+    const predicted = DEPTH_ZONE_IDS.includes(result.depth_zone) ? result.depth_zone : 'unknown';
+    matrix[label.depth_zone][predicted]++;
+    zoneTotal++;
+    if (predicted === label.depth_zone) zoneCorrect++;
+  }
+
+  // Esophagus misses are the failure that matters most: a missed esophageal intubation.
+  // No answer on an esophageal frame is a miss too.
+  const esophagus = landmarks.esophagus;
+  const esophagusPositives = esophagus.tp + esophagus.fn + esophagus.failed;
+  const esophagusMisses = esophagus.fn + esophagus.failed;
+
+  // Calibration: bucket every annotated (image, landmark) confidence, compare to hit rate
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    lower: i / CALIBRATION_BINS, upper: (i + 1) / CALIBRATION_BINS, count: 0, confidenceSum: 0, positives: 0,
+  }));
+  for (const { label, result } of scored) {
+    for (const key of LANDMARK_KEYS) {
+      const truth = label.landmarks?.[key];
+      if (typeof truth !== 'boolean') continue;
+      const confidence = result.landmarks?.[key]?.confidence ?? 0;
+      const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(confidence * CALIBRATION_BINS))];
+      bin.count++;
+      bin.confidenceSum += confidence;
+      if (truth) bin.positives++;
+    }
+  }
+  const totalPredictions = bins.reduce((sum, b) => sum + b.count, 0);
+  const calibration = bins.map(b => ({
+    lower: b.lower,
+    upper: b.upper,
+    count: b.count,
+    mean_confidence: ratio(b.confidenceSum, b.count),
+    observed_frequency: ratio(b.positives, b.count),
+  }));
+  const ece = totalPredictions > 0
+    ? calibration.reduce((sum, b) => (b.count ? sum + (b.count / totalPredictions) * Math.abs(b.mean_confidence - b.observed_frequency) : sum), 0)
+    : null;
+
+  return {
+    samples: samples.length,
+    scored: scored.length,
+    failed: samples.length - scored.length,
+    landmarks,
+    depth_zone: {
+      labels: DEPTH_ZONE_IDS,
+      confusion_matrix: matrix,
+      total: zoneTotal,
+      accuracy: ratio(zoneCorrect, zoneTotal),
+    },
+    esophagus: {
+      positives: esophagusPositives,
+      false_negatives: esophagusMisses,
+      failed: esophagus.failed,
+      false_negative_rate: ratio(esophagusMisses, esophagusPositives),
+    },
+    calibration: {
+      bins: calibration,
+      expected_calibration_error: ece,
+    },
+  };
+}
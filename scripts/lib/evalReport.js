@@ -0,0 +1,108 @@
+/**
+ * NeoGuide - Evaluation HTML Report
+ *
+ * Renders an evaluation run (see evalMetrics.js) as a standalone HTML page
+ * in the dashboard's color scheme.
+ */
+
+const pct = (v) => (v == null ? '—' : `${(v * 100).toFixed(1)}%`);
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function landmarkTable(landmarks) {
+  const rows = Object.entries(landmarks).map(([key, m]) => `
+    <tr>
+      <td>${key}</td><td>${m.support}</td><td>${m.tp}</td><td>${m.fp}</td><td>${m.fn}</td><td>${m.failed} (${pct(m.failure_rate)})</td>
+      <td>${pct(m.precision)}</td><td>${pct(m.recall)}</td><td>${pct(m.f1)}</td>
+    </tr>`).join('');
+  return `<table>
+    <tr><th>Landmark</th><th>Support</th><th>TP</th><th>FP</th><th>FN</th><th>Failed</th><th>Precision</th><th>Recall</th><th>F1</th></tr>
+    ${rows}
+  </table>`;
+}
+
+function confusionTable({ labels, confusion_matrix: matrix }) {
+  const max = Math.max(1, ...labels.flatMap(t => labels.map(p => matrix[t][p])));
+  const header = labels.map(p => `<th>${p}</th>`).join('');
+  const rows = labels.map(t => `
+    <tr><th>${t}</th>${labels.map(p => {
+      const n = matrix[t][p];
+      const color = t === p ? '16,185,129' : '239,68,68';
+      return `<td style="background: rgba(${color},${(n / max) * 0.6})">${n || ''}</td>`;
+    }).join('')}</tr>`).join('');
+  return `<table><tr><th>truth ↓ / predicted →</th>${header}</tr>${rows}</table>`;
+}
+
+function calibrationChart({ bins }) {
+  const size = 260;
+  const points = bins
+    .filter(b => b.count > 0)
+    .map(b => `${(b.mean_confidence * size).toFixed(1)},${(size - b.observed_frequency * size).toFixed(1)}`)
+    .join(' ');
+  const dots = bins.filter(b => b.count > 0).map(b =>
+    `<circle cx="${(b.mean_confidence * size).toFixed(1)}" cy="${(size - b.observed_frequency * size).toFixed(1)}" r="4" fill="#06B6D4"><title>${b.count} predictions</title></circle>`
+  ).join('');
+  return `<svg width="${size}" height="${size}" viewBox="-10 -10 ${size + 20} ${size + 20}">
+    <rect x="0" y="0" width="${size}" height="${size}" fill="none" stroke="#334155" />
+    <line x1="0" y1="${size}" x2="${size}" y2="0" stroke="#475569" stroke-dasharray="4" />
+    <polyline points="${points}" fill="none" stroke="#06B6D4" stroke-width="2" />
+    ${dots}
+  </svg>`;
+}
+
+/**
+ * Render an evaluation run as HTML
+ * @param {Object} run - { config, metrics, samples }
+ * @returns {string} HTML document
+ */
+export function renderReport({ config, metrics, samples }) {
+  const failures = samples.filter(s => !s.result.success);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>NeoGuide Evaluation — ${escapeHtml(config.dataset)}</title>
+<style>
+  body { background: #0A0F1C; color: #E2E8F0; font-family: 'JetBrains Mono', monospace; font-size: 13px; padding: 24px; }
+  h1 { font-size: 22px; } h1 span { color: #06B6D4; }
+  h2 { font-size: 13px; color: #94A3B8; letter-spacing: 0.1em; margin-top: 32px; border-bottom: 1px solid #1E293B; padding-bottom: 6px; }
+  table { border-collapse: collapse; margin-top: 8px; }
+  th, td { border: 1px solid #1E293B; padding: 6px 10px; text-align: right; }
+  th { color: #94A3B8; font-weight: 600; }
+  td:first-child, th:first-child { text-align: left; }
+  .stat { display: inline-block; margin-right: 32px; }
+  .stat b { display: block; font-size: 24px; color: #FFF; }
+  .danger b { color: #EF4444; }
+</style>
+</head>
+<body>
+<h1><span>Neo</span>Guide Evaluation</h1>
+<p>${escapeHtml(config.dataset)} · provider <b>${escapeHtml(config.provider)}</b>${config.offline ? ' (cached responses only)' : ''} · ${escapeHtml(config.startedAt)}</p>
+
+<div>
+  <div class="stat"><b>${metrics.samples}</b>images</div>
+  <div class="stat"><b>${metrics.failed}</b>failed / unparseable</div>
+  <div class="stat"><b>${pct(metrics.depth_zone.accuracy)}</b>depth zone accuracy</div>
+  <div class="stat danger"><b>${pct(metrics.esophagus.false_negative_rate)}</b>esophagus miss rate (${metrics.esophagus.false_negatives}/${metrics.esophagus.positives}, ${metrics.esophagus.failed} failed)</div>
+  <div class="stat"><b>${metrics.calibration.expected_calibration_error == null ? '—' : metrics.calibration.expected_calibration_error.toFixed(3)}</b>calibration error (ECE)</div>
+</div>
+
+<h2>LANDMARK DETECTION</h2>
+${landmarkTable(metrics.landmarks)}
+
+<h2>DEPTH ZONE CONFUSION MATRIX</h2>
+${confusionTable(metrics.depth_zone)}
+
+<h2>CONFIDENCE CALIBRATION</h2>
+<p style="color:#64748B">Mean confidence (x) vs. observed frequency (y). Dashed line is perfect calibration.</p>
+${calibrationChart(metrics.calibration)}
+
+${failures.length ? `<h2>FAILED IMAGES</h2>
+<table><tr><th>Image</th><th>Error</th></tr>
+${failures.map(s => `<tr><td>${escapeHtml(s.image)}</td><td>${escapeHtml(s.result.error || s.result.parse_diagnostics?.status || 'failed')}</td></tr>`).join('')}
+</table>` : ''}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * NeoGuide - Standalone Server
+ *
+ * Serves the built dashboard (dist/) and the API proxy (server/proxy.js)
+ * from one origin, for deployments without the Vite dev server. API keys
+ * come from the environment or .env in the project root.
+ *
+ * Usage:
+ *   npm run build && npm run serve [-- --port 8080] [--host 0.0.0.0] [--stub]
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { createProxy } from './proxy.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = path.join(ROOT, 'dist');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.mp3': 'audio/mpeg',
+  '.wasm': 'application/wasm',
+};
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT ?? '8080' },
+    host: { type: 'string', default: '127.0.0.1' },
+    stub: { type: 'boolean', default: false },
+  },
+});
+
+if (fs.existsSync(path.join(ROOT, '.env'))) process.loadEnvFile(path.join(ROOT, '.env'));
+
+const proxy = createProxy({ env: process.env, ...(args.stub ? { stub: true } : {}) });
+
+// Built files; unknown paths get index.html so client-side routes still load
+function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0]);
+  } catch {
+    res.writeHead(400).end(); // malformed percent-encoding
+    return;
+  }
+  let file = path.join(DIST, path.normalize(urlPath));
+  if (file !== DIST && !file.startsWith(DIST + path.sep)) { // not dist-evil/ next door either
+    res.writeHead(403).end();
+    return;
+  }
+  if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) file = path.join(DIST, 'index.html');
+  if (!fs.existsSync(file)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('dist/ not found — run npm run build first');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] ?? 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+http.createServer((req, res) => proxy(req, res, () => serveStatic(req, res)))
+  .listen(Number(args.port), args.host, () => {
+    console.log(`NeoGuide on http://${args.host}:${args.port}`);
+  });
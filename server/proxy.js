@@ -0,0 +1,207 @@
+/**
+ * NeoGuide - API Proxy
+ *
+ * Holds the Gemini and ElevenLabs keys on the server, so they never reach
+ * the browser bundle. The dashboard calls:
+ *   GET  /api/health   which backends are configured (and whether this is the stub)
+ *   POST /api/analyze  { base64, mimeType, language } → { text } (raw model text, parsed by the client)
+ *   POST /api/tts      { voice_id, text, model_id, voice_settings } → audio
+ *
+ * Requests are rate-limited per session (X-NeoGuide-Session header) and,
+ * since that header is whatever the client says, per client address as
+ * well; each is logged on one line. In stub mode no vendor is
+ * called: /api/analyze replays a scripted intubation and /api/tts returns a
+ * tone, for offline testing.
+ *
+ * Connect-style middleware: used by the Vite dev/preview server
+ * (vite.config.js) and by the standalone server (server/index.js).
+ */
+
+import { createGeminiProvider } from '../src/services/providers/geminiProvider.js';
+import { LOCALES } from '../src/locales/index.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { createStub } from './stub.js';
+
+const ELEVENLABS_URL = 'https://api.elevenlabs.io/v1';
+
+export const SESSION_HEADER = 'x-neoguide-session';
+
+export const DEFAULT_PROXY_OPTIONS = {
+  analyzePerMinute: 120,   // the dashboard sends at most one frame per 0.6 s — 100/min
+  ttsPerMinute: 60,
+  // Per client address, whatever session IDs it sends — room for a few tabs or devices behind one NAT
+  analyzePerClientPerMinute: 360,
+  ttsPerClientPerMinute: 180,
+  maxBodyBytes: 8 * 1024 * 1024,
+};
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// language goes into the Gemini prompt — only the locales' own names, never client text
+const GUIDANCE_LANGUAGES = new Set(Object.values(LOCALES).map(locale => locale.meta.guidanceLanguage));
+const MAX_TTS_CHARS = 1000;
+
+/**
+ * API keys from the environment. The old VITE_-prefixed names still work, with a warning —
+ * they are only a leak if client code reads them.
+ * @param {Object} env - e.g. process.env
+ * @param {{ warn: Function }} [logger]
+ * @returns {{ gemini: string|null, elevenlabs: string|null }}
+ */
+export function readApiKeys(env, logger = console) {
+  const read = (name) => {
+    if (env[name]) return env[name];
+    if (env[`VITE_${name}`]) {
+      logger.warn(`[proxy] VITE_${name} is deprecated — rename it to ${name}`);
+      return env[`VITE_${name}`];
+    }
+    return null;
+  };
+  return { gemini: read('GEMINI_API_KEY'), elevenlabs: read('ELEVENLABS_API_KEY') };
+}
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  const isBuffer = Buffer.isBuffer(body);
+  res.writeHead(status, {
+    'Content-Type': isBuffer ? headers['Content-Type'] : 'application/json',
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(isBuffer ? body : JSON.stringify(body));
+  return isBuffer ? body.length : 0;
+}
+
+/**
+ * Create the proxy middleware
+ * @param {Object} options
+ * @param {Object} options.env - Environment (API keys, PROXY_STUB, GEMINI_MODEL)
+ * @param {boolean} [options.stub] - Canned responses instead of vendor calls (default: env.PROXY_STUB)
+ * @param {{ info: Function, warn: Function, error: Function }} [options.logger]
+ * @param {Object} [options.limits] - Overrides for DEFAULT_PROXY_OPTIONS
+ * @returns {Function} (req, res, next) middleware — anything outside /api/ goes to next()
+ */
+export function createProxy({ env, stub = ['1', 'true'].includes(String(env.PROXY_STUB).toLowerCase()), logger = console, limits = {} }) {
+  const opts = { ...DEFAULT_PROXY_OPTIONS, ...limits };
+  const keys = readApiKeys(env, logger);
+  const stubResponses = stub ? createStub() : null;
+  const limiters = {
+    analyze: { session: createRateLimiter({ limit: opts.analyzePerMinute }), client: createRateLimiter({ limit: opts.analyzePerClientPerMinute }) },
+    tts: { session: createRateLimiter({ limit: opts.ttsPerMinute }), client: createRateLimiter({ limit: opts.ttsPerClientPerMinute }) },
+  };
+  let gemini = null;
+
+  if (stub) logger.info('[proxy] stub mode — canned responses, no vendor calls');
+  else {
+    if (!keys.gemini) logger.warn('[proxy] GEMINI_API_KEY is not set — /api/analyze will fail');
+    if (!keys.elevenlabs) logger.warn('[proxy] ELEVENLABS_API_KEY is not set — voice falls back to browser speech');
+  }
+
+  // The session bounds one tab; the client address, a caller that rotates session IDs.
+  // Session first, so a tab that is already held back doesn't use up its neighbours' share
+  function limit(route, { session, client }) {
+    for (const [scope, key] of [['session', session], ['client', client]]) {
+      const { allowed, retryAfterMs } = limiters[route][scope].check(key);
+      if (!allowed) {
+        const seconds = Math.ceil(retryAfterMs / 1000);
+        throw new HttpError(429, `Rate limit reached — retry in ${seconds} s`, { 'Retry-After': String(seconds) });
+      }
+    }
+  }
+
+  async function analyze(req, res, caller) {
+    limit('analyze', caller);
+    const { base64, mimeType = 'image/jpeg', language = null } = await readJsonBody(req, opts.maxBodyBytes);
+    if (typeof base64 !== 'string' || !base64) throw new HttpError(400, 'base64 image is required');
+    if (!IMAGE_TYPES.includes(mimeType)) throw new HttpError(400, `Unsupported image type: ${mimeType}`);
+    const guidanceLanguage = GUIDANCE_LANGUAGES.has(language) ? language : null; // anything else: the default, English
+
+    if (stubResponses) return send(res, 200, { text: stubResponses.analyze() });
+    if (!keys.gemini) throw new HttpError(503, 'Gemini is not configured on the server');
+    gemini ??= createGeminiProvider({ apiKey: keys.gemini, ...(env.GEMINI_MODEL ? { model: env.GEMINI_MODEL } : {}) });
+    try {
+      const result = await gemini.analyze({ base64, mimeType, language: guidanceLanguage });
+      return send(res, 200, { text: result.raw_text });
+    } catch (err) {
+      throw new HttpError(502, `Gemini request failed: ${err.message}`);
+    }
+  }
+
+  async function tts(req, res, caller) {
+    limit('tts', caller);
+    const { voice_id: voiceId, text, model_id: modelId, voice_settings: voiceSettings } = await readJsonBody(req, opts.maxBodyBytes);
+    if (typeof voiceId !== 'string' || !/^[A-Za-z0-9]{1,64}$/.test(voiceId)) throw new HttpError(400, 'voice_id is required');
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_TTS_CHARS) {
+      throw new HttpError(400, `text must be 1–${MAX_TTS_CHARS} characters`);
+    }
+
+    if (stubResponses) return send(res, 200, stubResponses.tts(), { 'Content-Type': 'audio/wav' });
+    if (!keys.elevenlabs) throw new HttpError(503, 'ElevenLabs is not configured on the server');
+    const response = await fetch(`${ELEVENLABS_URL}/text-to-speech/${voiceId}`, {
+      method: 'POST',
+      headers: { 'Accept': 'audio/mpeg', 'Content-Type': 'application/json', 'xi-api-key': keys.elevenlabs },
+      body: JSON.stringify({ text, model_id: modelId, voice_settings: voiceSettings }),
+    });
+    if (!response.ok) throw new HttpError(502, `ElevenLabs API error: ${response.status} ${response.statusText}`);
+    return send(res, 200, Buffer.from(await response.arrayBuffer()), { 'Content-Type': 'audio/mpeg' });
+  }
+
+  const routes = {
+    'GET /api/health': (req, res) => send(res, 200, { stub, gemini: stub || !!keys.gemini, elevenlabs: stub || !!keys.elevenlabs }),
+    'POST /api/analyze': analyze,
+    'POST /api/tts': tts,
+  };
+
+  return async function proxy(req, res, next) {
+    const path = req.url.split('?')[0];
+    if (!path.startsWith('/api/')) return next();
+
+    const started = Date.now();
+    const header = req.headers[SESSION_HEADER];
+    const client = req.socket.remoteAddress ?? 'unknown';
+    const session = typeof header === 'string' && /^[\w-]{1,64}$/.test(header) ? header : client;
+    let status = 200;
+    let bytes = 0;
+    try {
+      const route = routes[`${req.method} ${path}`];
+      if (!route) throw new HttpError(404, `No route for ${req.method} ${path}`);
+      bytes = await route(req, res, { session, client });
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) logger.error('[proxy]', err);
+      if (!res.headersSent) send(res, status, { error: err.message }, err.headers);
+      else res.destroy();
+    }
+    logger.info(`[proxy] ${req.method} ${path} ${status} ${Date.now() - started}ms session=${session.slice(0, 8)}${bytes ? ` ${bytes}B` : ''}`);
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * NeoGuide - Rate Limiter
+ *
+ * Fixed-window request counter per key. The proxy keeps one per session ID
+ * and one per client address, so a runaway tab can't run up the vision and
+ * TTS bills, and neither can a client that makes up a new session ID for
+ * every request. It is not access control: anyone who can reach the proxy
+ * can spend up to the per-address limit.
+ *
+ * Pure JavaScript — no Node APIs.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} [options.windowMs] - Window length
+ * @returns {{ check: Function, reset: Function }} Rate limiter
+ */
+export function createRateLimiter({ limit, windowMs = 60000 }) {
+  let windows = new Map(); // key → { start, count }
+
+  return {
+    /**
+     * Count a request
+     * @param {string} key
+     * @param {number} [now] - ms
+     * @returns {{ allowed: boolean, remaining: number, retryAfterMs: number }}
+     */
+    check(key, now = Date.now()) {
+      let entry = windows.get(key);
+      if (!entry || now - entry.start >= windowMs) {
+        entry = { start: now, count: 0 };
+        windows.set(key, entry);
+        // Drop windows that have run out, so old sessions don't pile up
+        if (windows.size > 1000) {
+          for (const [k, w] of windows) if (now - w.start >= windowMs) windows.delete(k);
+        }
+      }
+      if (entry.count >= limit) {
+        return { allowed: false, remaining: 0, retryAfterMs: entry.start + windowMs - now };
+      }
+      entry.count++;
+      return { allowed: true, remaining: limit - entry.count, retryAfterMs: 0 };
+    },
+
+    reset() {
+      windows = new Map();
+    },
+  };
+}
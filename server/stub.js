@@ -0,0 +1,59 @@
+/**
+ * NeoGuide - Proxy Stub Responses
+ *
+ * Canned answers for the proxy's stub mode, so the dashboard can be tested
+ * offline with no API keys: /api/analyze walks through the mock provider's
+ * scripted intubation as raw model text (parsed by the client exactly like
+ * a real response), and /api/tts answers every request with a short tone.
+ */
+
+import { DEFAULT_SCRIPT } from '../src/services/providers/mockProvider.js';
+
+/**
+ * Create a stub that replays the scripted intubation
+ * @returns {{ analyze: Function, tts: Function }} Stub
+ */
+export function createStub() {
+  let index = 0;
+
+  return {
+    /** @returns {string} Raw model text for the next scripted frame */
+    analyze() {
+      const entry = DEFAULT_SCRIPT[index % DEFAULT_SCRIPT.length];
+      index++;
+      return JSON.stringify(entry);
+    },
+
+    /** @returns {Buffer} WAV audio */
+    tts() {
+      return toneWav();
+    },
+  };
+}
+
+/**
+ * A 0.25 s 880 Hz tone as 16-bit mono WAV
+ * @returns {Buffer}
+ */
+function toneWav({ hz = 880, seconds = 0.25, sampleRate = 16000 } = {}) {
+  const samples = Math.round(seconds * sampleRate);
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);            // fmt chunk size
+  wav.writeUInt16LE(1, 20);             // PCM
+  wav.writeUInt16LE(1, 22);             // mono
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  wav.writeUInt16LE(2, 32);             // block align
+  wav.writeUInt16LE(16, 34);            // bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    const fade = Math.min(1, i / 160, (samples - i) / 160); // no clicks at either end
+    wav.writeInt16LE(Math.round(Math.sin((2 * Math.PI * hz * i) / sampleRate) * 0.3 * fade * 32767), 44 + i * 2);
+  }
+  return wav;
+}
@@ -0,0 +1,254 @@
+/**
+ * NeoGuide 3D Airway View
+ *
+ * Procedural neonatal airway (src/services/airwayModel.js) scaled to the
+ * patient, with the depth zones coloured by safety status and the tube tip
+ * moving to the fused depth estimate. Orbit with the mouse; the preset
+ * buttons swing the camera to a front, side or laryngoscopist's view.
+ *
+ * Renders on demand — only while the camera or the tip is moving.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls, Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { buildAirwayModel, placeTip } from '../services/airwayModel';
+
+const STATUS_COLORS = { safe: '#10B981', warning: '#F59E0B', danger: '#EF4444' };
+const UPPER_COLOR = '#06B6D4';
+const TISSUE_COLOR = '#F9A8D4';
+const RING_COLOR = '#E2E8F0';
+
+// Camera presets, in units of the model's scale, around the middle of the airway
+export const AIRWAY_VIEWS = {
+  front: [0, 0, 11],
+  side: [11, 0, 0],
+  top: [0, 9, 6],     // from above the mouth, looking down the airway
+};
+
+function Tube({ points, radius, color, opacity = 0.35, curved = false }) {
+  const geometry = useMemo(() => {
+    const vectors = points.map(p => new THREE.Vector3(...p));
+    const path = curved ? new THREE.CatmullRomCurve3(vectors) : new THREE.LineCurve3(vectors[0], vectors[vectors.length - 1]);
+    return new THREE.TubeGeometry(path, curved ? 48 : 8, radius, 20, false);
+  }, [points, radius, curved]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  return (
+    <mesh geometry={geometry}>
+      <meshStandardMaterial color={color} transparent opacity={opacity} side={THREE.DoubleSide} depthWrite={false} />
+    </mesh>
+  );
+}
+
+function Label({ position, children }) {
+  return (
+    <Html position={position} center style={styles.label}>
+      {children}
+    </Html>
+  );
+}
+
+// Tube tip: eases toward its target, and asks for frames only until it gets there
+function TipMarker({ tip, radius }) {
+  const ref = useRef(null);
+  const goal = useMemo(() => new THREE.Vector3(), []);
+  const { invalidate } = useThree();
+
+  useEffect(() => {
+    if (tip) goal.set(...tip.point);
+    invalidate();
+  }, [tip, goal, invalidate]);
+
+  useFrame(() => {
+    const mesh = ref.current;
+    if (!mesh || !tip) return;
+    mesh.position.lerp(goal, 0.12);
+    if (mesh.position.distanceTo(goal) > 0.005) invalidate();
+  });
+
+  if (!tip) return null;
+  const color = STATUS_COLORS[tip.status];
+  return (
+    <mesh ref={ref}>
+      <sphereGeometry args={[radius, 24, 16]} />
+      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.8} />
+    </mesh>
+  );
+}
+
+// Swings the camera to a preset, then leaves it to the orbit controls
+function CameraRig({ view, center, distance }) {
+  const { camera, controls, invalidate } = useThree();
+  const goal = useRef(null);
+  const target = useMemo(() => new THREE.Vector3(...center), [center]);
+
+  useEffect(() => {
+    const [x, y, z] = AIRWAY_VIEWS[view];
+    goal.current = new THREE.Vector3(center[0] + x * distance, center[1] + y * distance, center[2] + z * distance);
+    invalidate();
+  }, [view, center, distance, controls, invalidate]); // controls: re-run once makeDefault has registered them
+
+  useFrame(() => {
+    if (!goal.current || !controls) return;
+    camera.position.lerp(goal.current, 0.15);
+    controls.target.lerp(target, 0.15);
+    controls.update();
+    if (camera.position.distanceTo(goal.current) < 0.01) goal.current = null;
+    else invalidate();
+  });
+  return null;
+}
+
+function Airway({ t, model, tip }) {
+  const { paths, radius, rings, carina, scale } = model;
+  const larynxTop = paths.upper[1];
+
+  // Stable point arrays, so the tube geometry is only rebuilt for a new patient
+  const parts = useMemo(() => ({
+    pharynx: paths.upper.slice(1),
+    larynx: paths.upper.slice(0, 2),
+    // Trachea segments per depth zone, cut at the carina (the bronchi carry the bronchial zone)
+    segments: model.regions
+      .filter(r => r.id !== 'pre_glottic' && r.id !== 'bronchial' && r.fromCm < model.cordsToCarinaCm)
+      .map(r => ({ ...r, points: [[0, -r.fromCm, 0], [0, -Math.min(r.toCm, model.cordsToCarinaCm), 0]] })),
+  }), [model, paths]);
+
+  return (
+    <group>
+      {/* Oral cavity, pharynx, larynx — above the cords */}
+      <Tube points={parts.pharynx} radius={radius.pharynx} color={UPPER_COLOR} opacity={0.18} curved />
+      <Tube points={parts.larynx} radius={radius.larynx} color={UPPER_COLOR} opacity={0.25} />
+
+      {/* Epiglottis, overhanging the laryngeal inlet */}
+      <mesh position={[0, larynxTop[1] + 0.25 * scale, 0.4 * scale]} rotation={[-0.6, 0, 0]} scale={[0.35 * scale, 0.05 * scale, 0.3 * scale]}>
+        <sphereGeometry args={[1, 20, 12]} />
+        <meshStandardMaterial color={TISSUE_COLOR} />
+      </mesh>
+
+      {/* Vocal cords: a V opening toward the back */}
+      {[-1, 1].map(side => (
+        <mesh key={side} position={[side * 0.12 * scale, 0, 0]} rotation={[0, side * 0.35, 0]}>
+          <boxGeometry args={[0.06 * scale, 0.05 * scale, 0.55 * scale]} />
+          <meshStandardMaterial color="#F8FAFC" />
+        </mesh>
+      ))}
+
+      {/* Trachea by zone, with rings */}
+      {parts.segments.map(s => (
+        <Tube key={s.id} points={s.points} radius={radius.trachea} color={STATUS_COLORS[s.status]} />
+      ))}
+      {rings.map(depth => (
+        <mesh key={depth} position={[0, -depth, 0]} rotation={[Math.PI / 2, 0, 0]}>
+          <torusGeometry args={[radius.trachea, 0.025 * scale, 8, 32]} />
+          <meshStandardMaterial color={RING_COLOR} transparent opacity={0.6} />
+        </mesh>
+      ))}
+
+      {/* Carina and main bronchi — past it is the danger zone */}
+      <mesh position={carina}>
+        <sphereGeometry args={[radius.bronchus, 16, 12]} />
+        <meshStandardMaterial color={STATUS_COLORS.warning} />
+      </mesh>
+      <Tube points={paths.rightBronchus} radius={radius.bronchus} color={STATUS_COLORS.danger} />
+      <Tube points={paths.leftBronchus} radius={radius.bronchus} color={STATUS_COLORS.danger} />
+
+      {/* Esophagus, behind the trachea */}
+      <Tube points={paths.esophagus} radius={radius.esophagus} color={STATUS_COLORS.danger} opacity={0.2} />
+
+      <Label position={[0.6 * scale, 0, 0]}>{t('landmarks.vocal_cords')}</Label>
+      <Label position={[0.6 * scale, carina[1], 0]}>{t('landmarks.carina')}</Label>
+      <Label position={[0, paths.esophagus[1][1] + 0.3 * scale, paths.esophagus[1][2] - 0.4 * scale]}>{t('landmarks.esophagus')}</Label>
+
+      <TipMarker tip={tip} radius={0.16 * scale} />
+    </group>
+  );
+}
+
+export default function AirwayView3D({ t, calibration, stableAnalysis, procedureState }) {
+  const [view, setView] = useState('front');
+  const model = useMemo(() => buildAirwayModel(calibration), [calibration]);
+
+  const tip = useMemo(() => stableAnalysis && placeTip(model, {
+    depthCm: stableAnalysis.depth_estimate?.depth_cm ?? stableAnalysis.estimated_depth_cm,
+    zone: stableAnalysis.depth_zone,
+    esophageal: !!stableAnalysis.landmarks?.esophagus?.visible || procedureState === 'esophageal',
+  }), [model, stableAnalysis, procedureState]);
+
+  // Frame the whole airway: lips to the end of the bronchi
+  const top = model.paths.upper[model.paths.upper.length - 1][1];
+  const bottom = model.paths.rightBronchus[1][1];
+  const center = useMemo(() => [0, (top + bottom) / 2, 0], [top, bottom]);
+  const distance = (top - bottom) / 10;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.views}>
+        {Object.keys(AIRWAY_VIEWS).map(key => (
+          <button
+            key={key}
+            style={{ ...styles.viewButton, ...(view === key ? styles.viewButtonActive : {}) }}
+            onClick={() => setView(key)}
+          >
+            {t(`airway3d.views.${key}`)}
+          </button>
+        ))}
+      </div>
+      <div style={styles.scene}>
+        <Canvas
+          frameloop="demand"
+          camera={{ fov: 40, near: 0.1, far: 200, position: [0, center[1], 11 * distance] }}
+          fallback={<p style={styles.fallback}>{t('airway3d.unsupported')}</p>}
+        >
+          <ambientLight intensity={0.7} />
+          <directionalLight position={[4, 8, 6]} intensity={1.2} />
+          <Airway t={t} model={model} tip={tip} />
+          <OrbitControls makeDefault target={center} enablePan={false} minDistance={2 * distance} maxDistance={25 * distance} />
+          <CameraRig view={view} center={center} distance={distance} />
+        </Canvas>
+      </div>
+      <div style={styles.legend}>
+        {['safe', 'warning', 'danger'].map(status => (
+          <span key={status} style={styles.legendItem}>
+            <span style={{ ...styles.legendSwatch, backgroundColor: STATUS_COLORS[status] }} />
+            {t(`status.${status}`)}
+          </span>
+        ))}
+        <span style={{ marginLeft: 'auto' }}>
+          {tip ? t(`airway3d.paths.${tip.path}`) : t('airway3d.noTip')}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    position: 'relative', height: 300,
+    backgroundColor: '#020617', borderRadius: 8, overflow: 'hidden',
+    display: 'flex', flexDirection: 'column',
+  },
+  scene: { flex: 1, minHeight: 0, position: 'relative' },
+  views: {
+    position: 'absolute', top: 8, right: 8, zIndex: 1,
+    display: 'flex', gap: 4,
+  },
+  viewButton: {
+    padding: '3px 8px', borderRadius: 4, border: '1px solid #334155',
+    backgroundColor: '#0F172A', color: '#94A3B8',
+    fontSize: 10, fontWeight: 600, fontFamily: 'JetBrains Mono', cursor: 'pointer',
+  },
+  viewButtonActive: { borderColor: '#06B6D4', color: '#06B6D4' },
+  label: {
+    color: '#CBD5E1', fontSize: 10, fontFamily: 'JetBrains Mono',
+    whiteSpace: 'nowrap', pointerEvents: 'none', userSelect: 'none',
+  },
+  legend: {
+    display: 'flex', alignItems: 'center', gap: 10, padding: '6px 10px',
+    borderTop: '1px solid #1E293B',
+    color: '#94A3B8', fontSize: 10, fontFamily: 'JetBrains Mono',
+  },
+  legendItem: { display: 'flex', alignItems: 'center', gap: 4 },
+  legendSwatch: { width: 8, height: 8, borderRadius: 2 },
+  fallback: { color: '#64748B', fontSize: 12, fontFamily: 'JetBrains Mono', padding: 16 },
+};
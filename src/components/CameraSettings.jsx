@@ -0,0 +1,263 @@
+/**
+ * NeoGuide Camera Settings Panel
+ *
+ * Device, resolution, frame rate, focus/exposure/torch (only what the
+ * camera reports it supports), and circular crop + rotation for endoscope
+ * images. Presets fill all of these in at once; the clinician's own presets
+ * persist between sessions. A thumbnail shows the frame exactly as it is
+ * sent for analysis.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { captureFrame } from '../services/visionPipeline';
+import {
+  RESOLUTIONS, FRAME_RATES, ROTATIONS, DEFAULT_CAMERA_SETTINGS,
+  loadCameraPresets, saveCameraPreset, deleteCameraPreset, applyCameraPreset,
+} from '../services/cameraSettings';
+
+const PREVIEW_INTERVAL_MS = 1000;
+const DEFAULT_CROP = { x: 0.5, y: 0.5, radius: 0.48 };
+
+export default function CameraSettings({ t, settings, onChange, devices, capabilities, trackSettings, isActive, videoRef }) {
+  const [presets, setPresets] = useState(loadCameraPresets);
+  const [presetId, setPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const update = (patch) => {
+    setPresetId('');
+    onChange({ ...settings, ...patch });
+  };
+
+  // Analysis-view thumbnail, refreshed while the camera runs
+  useEffect(() => {
+    if (!isActive) {
+      setPreview(null);
+      return undefined;
+    }
+    const refresh = () => {
+      if (!videoRef.current?.videoWidth) return;
+      const frame = captureFrame(videoRef.current, settings);
+      setPreview(`data:${frame.mimeType};base64,${frame.base64}`);
+    };
+    refresh();
+    const timer = setInterval(refresh, PREVIEW_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isActive, settings, videoRef]);
+
+  const choosePreset = (id) => {
+    setPresetId(id);
+    const preset = presets.find(p => p.id === id);
+    if (preset) onChange(applyCameraPreset(settings, preset));
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const next = saveCameraPreset(name, settings);
+    setPresets(next);
+    setPresetId(next.find(p => p.name === name && !p.builtin)?.id ?? '');
+    setPresetName('');
+  };
+
+  const removePreset = () => {
+    setPresets(deleteCameraPreset(presetId));
+    setPresetId('');
+  };
+
+  const selectedPreset = presets.find(p => p.id === presetId);
+  const maxWidth = capabilities.width?.max;
+  const resolutions = RESOLUTIONS.filter(r => !maxWidth || r.width <= maxWidth);
+  const focusModes = capabilities.focusMode ?? [];
+  const exposureModes = capabilities.exposureMode ?? [];
+  const range = (cap) => ({ min: cap.min, max: cap.max, step: cap.step || (cap.max - cap.min) / 100 });
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.panelHeader}>
+        <span style={styles.panelIcon}>⚙</span>
+        <span style={styles.panelTitle}>{t('camera.title')}</span>
+        {trackSettings?.width && (
+          <span style={styles.actual}>
+            {trackSettings.width}×{trackSettings.height}{trackSettings.frameRate ? ` @ ${Math.round(trackSettings.frameRate)} fps` : ''}
+          </span>
+        )}
+      </div>
+
+      <div style={styles.row}>
+        <label style={{ ...styles.field, flex: 1 }}>
+          <span>{t('camera.preset')}</span>
+          <select style={styles.input} value={presetId} onChange={e => choosePreset(e.target.value)}>
+            <option value="">{t('camera.custom')}</option>
+            {presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </label>
+        {selectedPreset && !selectedPreset.builtin && (
+          <button style={styles.btnSmall} onClick={removePreset}>{t('camera.deletePreset')}</button>
+        )}
+      </div>
+      <div style={styles.row}>
+        <input
+          style={{ ...styles.input, flex: 1 }}
+          placeholder={t('camera.presetName')}
+          value={presetName}
+          onChange={e => setPresetName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') savePreset(); }}
+        />
+        <button style={styles.btnSmall} onClick={savePreset} disabled={!presetName.trim()}>{t('camera.savePreset')}</button>
+      </div>
+
+      <div style={styles.grid}>
+        <label style={{ ...styles.field, gridColumn: '1 / -1' }}>
+          <span>{t('camera.device')}</span>
+          <select style={styles.input} value={settings.deviceId ?? ''} onChange={e => update({ deviceId: e.target.value || null })}>
+            <option value="">{t('camera.defaultDevice')}</option>
+            {devices.map((d, i) => (
+              <option key={d.deviceId} value={d.deviceId}>{d.label || t('camera.deviceN', { n: i + 1 })}</option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.field}>
+          <span>{t('camera.resolution')}</span>
+          <select
+            style={styles.input}
+            value={`${settings.width}x${settings.height}`}
+            onChange={e => {
+              const [width, height] = e.target.value.split('x').map(Number);
+              update({ width, height });
+            }}
+          >
+            {resolutions.map(r => <option key={r.width} value={`${r.width}x${r.height}`}>{r.width}×{r.height}</option>)}
+          </select>
+        </label>
+        <label style={styles.field}>
+          <span>{t('camera.frameRate')}</span>
+          <select style={styles.input} value={settings.frameRate} onChange={e => update({ frameRate: Number(e.target.value) })}>
+            {FRAME_RATES.map(fps => <option key={fps} value={fps}>{fps} fps</option>)}
+          </select>
+        </label>
+
+        {focusModes.length > 0 && (
+          <label style={styles.field}>
+            <span>{t('camera.focus')}</span>
+            <select style={styles.input} value={settings.focusMode ?? ''} onChange={e => update({ focusMode: e.target.value || null })}>
+              <option value="">{t('camera.auto')}</option>
+              {focusModes.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+            </select>
+          </label>
+        )}
+        {settings.focusMode === 'manual' && capabilities.focusDistance && (
+          <label style={styles.field}>
+            <span>{t('camera.focusDistance')}</span>
+            <input
+              type="range"
+              {...range(capabilities.focusDistance)}
+              value={settings.focusDistance ?? capabilities.focusDistance.min}
+              onChange={e => update({ focusDistance: Number(e.target.value) })}
+            />
+          </label>
+        )}
+        {exposureModes.length > 0 && (
+          <label style={styles.field}>
+            <span>{t('camera.exposure')}</span>
+            <select style={styles.input} value={settings.exposureMode ?? ''} onChange={e => update({ exposureMode: e.target.value || null })}>
+              <option value="">{t('camera.auto')}</option>
+              {exposureModes.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+            </select>
+          </label>
+        )}
+        {capabilities.exposureCompensation && (
+          <label style={styles.field}>
+            <span>{t('camera.exposureCompensation')}</span>
+            <input
+              type="range"
+              {...range(capabilities.exposureCompensation)}
+              value={settings.exposureCompensation ?? 0}
+              onChange={e => update({ exposureCompensation: Number(e.target.value) })}
+            />
+          </label>
+        )}
+        {'torch' in capabilities && (
+          <label style={styles.checkField}>
+            <input type="checkbox" checked={!!settings.torch} onChange={e => update({ torch: e.target.checked })} />
+            <span>{t('camera.torch')}</span>
+          </label>
+        )}
+
+        <label style={styles.field}>
+          <span>{t('camera.rotation')}</span>
+          <select style={styles.input} value={settings.rotation} onChange={e => update({ rotation: Number(e.target.value) })}>
+            {ROTATIONS.map(deg => <option key={deg} value={deg}>{deg}°</option>)}
+          </select>
+        </label>
+        <label style={styles.checkField}>
+          <input type="checkbox" checked={!!settings.crop} onChange={e => update({ crop: e.target.checked ? DEFAULT_CROP : null })} />
+          <span>{t('camera.circularCrop')}</span>
+        </label>
+        {settings.crop && ['x', 'y', 'radius'].map(key => (
+          <label key={key} style={styles.field}>
+            <span>{t(`camera.crop.${key}`)} {Math.round(settings.crop[key] * 100)}%</span>
+            <input
+              type="range"
+              min={key === 'radius' ? 0.2 : 0}
+              max={key === 'radius' ? 0.5 : 1}
+              step="0.01"
+              value={settings.crop[key]}
+              onChange={e => update({ crop: { ...settings.crop, [key]: Number(e.target.value) } })}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div style={styles.row}>
+        <button style={styles.btnSmall} onClick={() => update({ ...DEFAULT_CAMERA_SETTINGS, deviceId: settings.deviceId })}>
+          {t('camera.reset')}
+        </button>
+        <span style={styles.hint}>{t('camera.previewHint')}</span>
+      </div>
+      {preview && <img src={preview} alt={t('camera.preview')} style={styles.preview} />}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════
+// STYLES
+// ═══════════════════════════════════════
+const styles = {
+  panel: {
+    backgroundColor: '#0F172A',
+    border: '1px solid #1E293B',
+    borderRadius: 12,
+    padding: 16,
+    overflow: 'hidden',
+  },
+  panelHeader: {
+    display: 'flex', alignItems: 'center', gap: 8,
+    marginBottom: 12, paddingBottom: 8,
+    borderBottom: '1px solid #1E293B',
+  },
+  panelIcon: { fontSize: 16 },
+  panelTitle: { color: '#94A3B8', fontSize: 11, fontWeight: 700, letterSpacing: '0.1em', fontFamily: 'JetBrains Mono', flex: 1 },
+  actual: { color: '#64748B', fontSize: 10, fontFamily: 'JetBrains Mono' },
+  row: { display: 'flex', alignItems: 'flex-end', gap: 8, marginBottom: 8 },
+  grid: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8, marginBottom: 8 },
+  field: {
+    display: 'flex', flexDirection: 'column', gap: 4,
+    color: '#64748B', fontSize: 10, fontFamily: 'JetBrains Mono',
+  },
+  checkField: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    color: '#94A3B8', fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
+  input: {
+    width: '100%', padding: '6px 8px', borderRadius: 6,
+    border: '1px solid #334155', backgroundColor: '#0A0F1C', color: '#E2E8F0',
+    fontSize: 12, fontFamily: 'JetBrains Mono',
+  },
+  btnSmall: {
+    padding: '4px 8px', borderRadius: 6, border: '1px solid #334155', cursor: 'pointer',
+    backgroundColor: 'transparent', color: '#E2E8F0', fontSize: 11,
+  },
+  hint: { color: '#475569', fontSize: 10, fontFamily: 'JetBrains Mono', alignSelf: 'center' },
+  preview: { display: 'block', maxWidth: '100%', maxHeight: 160, margin: '0 auto', borderRadius: 6, border: '1px solid #1E293B' },
+};
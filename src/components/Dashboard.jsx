@@ -2,84 +2,94 @@
  * NeoGuide Dashboard - Main Component
  * 
  * Real-time intubation guidance dashboard with:
- * - Live webcam feed with AI overlay
+ * - Live webcam feed with AI overlay (or a video file, image folder or test pattern)
  * - 3D airway visualization
  * - Depth gauge with anatomical zones
  * - Vitals monitoring panel
  * - Event log with timestamped alerts
  * - Voice alert status
+ * - Session recording and replay
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useWebcam } from '../hooks/useWebcam';
-import { analyzeFrame, captureFrame } from '../services/geminiVision';
-import { speakAlert, speakUrgent, speakCustom, stopAllAudio, determineAlert, preloadAlerts, ALERT_DEFINITIONS } from '../services/voiceAlerts';
+import React, { useState, useEffect, useRef, useCallback, useMemo, lazy, Suspense } from 'react';
+import { useMediaSource } from '../hooks/useMediaSource';
+import { useSessionReplay } from '../hooks/useSessionReplay';
+import { useVoiceCommands } from '../hooks/useVoiceCommands';
+import { useGlottisDetector } from '../hooks/useGlottisDetector';
+import { DEFAULT_DETECTOR_OPTIONS } from '../services/glottisDetector';
+import CameraSettings from './CameraSettings';
+import VisionOverlay from './VisionOverlay';
+import { analyzeFrame, captureCanvas, encodeFrame, getVisionProvider, setGuidanceLanguage } from '../services/visionPipeline';
+import { createFrameGate, measureCanvas } from '../services/frameQuality';
+import { createAnalysisScheduler } from '../services/analysisScheduler';
+import { createLandmarkTracker } from '../services/landmarkTracker';
+import { createDepthEstimator, depthToGaugeFraction } from '../services/depthEstimator';
+import { createProcedureStateMachine, PROCEDURE_STATES } from '../services/procedureStateMachine';
+import { createAttemptTracker, ATTEMPT_OUTCOMES, DEFAULT_ATTEMPT_OPTIONS } from '../services/attemptTracker';
+import { createSessionId, startSession, endSession, recordFrame, recordAlert } from '../services/sessionRecorder';
+import { loadCameraSettings, saveCameraSettings } from '../services/cameraSettings';
+import { MEDIA_SOURCE_KINDS, VIDEO_FILE_TYPES, createVideoFileSource, createImageSequenceSource, createTestPatternSource } from '../services/mediaSources';
+import { computeCalibration, formatZoneRange, DEFAULT_PROFILE } from '../services/patientCalibration';
+import { buildProcedureReport, toFhirBundle, printReport, formatDuration } from '../services/procedureReport';
+import { speakAlert, speakUrgent, speakCustom, stopAllAudio, determineAlert, preloadAlerts, getVoiceHealth, subscribeVoiceHealth, getAlertText, setVoiceLocale, acknowledgeAlert, repeatLastAlert, getAlertQueueState, subscribeAlertQueue } from '../services/voiceAlerts';
+import { playEarcon, setProximity, stopEarcons, unlockEarcons, determineEarcon, carinaProximity, getEarconSettings, updateEarconSettings } from '../services/earcons';
+import { LOCALES, DEFAULT_LOCALE, translate } from '../locales';
 
-// ═══════════════════════════════════════
-// STABLE STATE HELPER
-// Majority vote over the last N results to suppress hallucination flip-flops
-// ═══════════════════════════════════════
-function getMajority(arr, key) {
-  if (!arr.length) return null;
-  const counts = {};
-  for (const item of arr) {
-    const v = item?.[key];
-    if (v != null) counts[v] = (counts[v] || 0) + 1;
-  }
-  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
-}
+// three.js is large — load the 3D view in its own chunk
+const AirwayView3D = lazy(() => import('./AirwayView3D'));
 
 // ═══════════════════════════════════════
 // DEPTH ZONE CONFIGURATION
 // ═══════════════════════════════════════
-// Neonatal depth zones — term neonate (~3.5 kg), scope depth relative to vocal cords
-// Ref: Kempley et al., Arch Dis Child 2008; neonatal cords-to-carina ~4 cm
+// Neonatal depth zones, scope depth relative to vocal cords. Ranges come from the
+// patient calibration (term neonate ~3.5 kg by default; cords-to-carina ~4 cm).
+// Ref: Kempley et al., Arch Dis Child 2008
+// Labels for zones, statuses, landmarks and log entries come from src/locales.
+
 const DEPTH_ZONES = [
-  { id: 'pre_glottic', label: 'Pre-Glottic', range: '0 cm', color: '#06B6D4', bgColor: 'rgba(6,182,212,0.15)' },
-  { id: 'glottic', label: 'Glottic', range: '~0.2 cm', color: '#10B981', bgColor: 'rgba(16,185,129,0.15)' },
-  { id: 'subglottic', label: 'Sub-Glottic', range: '0.5–1.5 cm', color: '#10B981', bgColor: 'rgba(16,185,129,0.15)' },
-  { id: 'tracheal', label: 'Tracheal', range: '1.5–3 cm', color: '#22C55E', bgColor: 'rgba(34,197,94,0.2)' },
-  { id: 'carinal', label: 'Carinal', range: '3–4 cm', color: '#F59E0B', bgColor: 'rgba(245,158,11,0.15)' },
-  { id: 'bronchial', label: 'Bronchial', range: '>4 cm', color: '#EF4444', bgColor: 'rgba(239,68,68,0.15)' },
+  { id: 'pre_glottic', color: '#06B6D4', bgColor: 'rgba(6,182,212,0.15)' },
+  { id: 'glottic', color: '#10B981', bgColor: 'rgba(16,185,129,0.15)' },
+  { id: 'subglottic', color: '#10B981', bgColor: 'rgba(16,185,129,0.15)' },
+  { id: 'tracheal', color: '#22C55E', bgColor: 'rgba(34,197,94,0.2)' },
+  { id: 'carinal', color: '#F59E0B', bgColor: 'rgba(245,158,11,0.15)' },
+  { id: 'bronchial', color: '#EF4444', bgColor: 'rgba(239,68,68,0.15)' },
 ];
 
 const STATUS_CONFIG = {
-  safe: { color: '#10B981', label: 'SAFE', glow: '0 0 20px rgba(16,185,129,0.4)' },
-  warning: { color: '#F59E0B', label: 'WARNING', glow: '0 0 20px rgba(245,158,11,0.4)' },
-  danger: { color: '#EF4444', label: 'DANGER', glow: '0 0 20px rgba(239,68,68,0.5)' },
+  safe: { color: '#10B981', glow: '0 0 20px rgba(16,185,129,0.4)' },
+  warning: { color: '#F59E0B', glow: '0 0 20px rgba(245,158,11,0.4)' },
+  danger: { color: '#EF4444', glow: '0 0 20px rgba(239,68,68,0.5)' },
+  degraded: { color: '#A855F7', glow: '0 0 20px rgba(168,85,247,0.4)' },
+  standby: { color: '#64748B', glow: 'none' },
 };
 
 // ═══════════════════════════════════════
 // EVENT LOG CONFIGURATION
 // ═══════════════════════════════════════
-const ZONE_LABELS = {
-  pre_glottic: 'Pre-Glottic', glottic: 'Glottic', subglottic: 'Sub-Glottic',
-  tracheal: 'Tracheal', carinal: 'Carinal', bronchial: 'Bronchial', unknown: 'Unknown',
-};
-
 const ZONE_COLOR = {
   pre_glottic: '#06B6D4', glottic: '#10B981', subglottic: '#10B981',
   tracheal: '#22C55E', carinal: '#F59E0B', bronchial: '#EF4444', unknown: '#64748B',
 };
 
-const LANDMARK_LABELS = {
-  epiglottis: 'Epiglottis', vocal_cords: 'Vocal Cords', glottis: 'Glottis',
-  tracheal_rings: 'Tracheal Rings', carina: 'Carina', esophagus: 'Esophagus',
-};
-
-// Maps voice alert keys → richer clinical log entries
+// Maps voice alert keys → richer clinical log entries (title/detail: events.<key> in src/locales)
 const ALERT_EVENT_MAP = {
-  epiglottis_detected: { type: 'landmark', title: 'Epiglottis Detected', detail: 'Advancing toward vocal cords' },
-  vocal_cords_detected: { type: 'landmark', title: 'Vocal Cords Detected', detail: 'Align tube for insertion now' },
-  entering_trachea: { type: 'zone', title: 'Entering Trachea', detail: 'Tube passing through vocal cords', zoneId: 'subglottic' },
-  tracheal_rings_visible: { type: 'landmark', title: 'Tracheal Rings Visible', detail: 'Tube confirmed in trachea' },
-  optimal_depth: { type: 'zone', title: 'Optimal Depth Reached', detail: 'Safe to secure the tube', zoneId: 'tracheal' },
-  warning_deep: { type: 'alert', title: 'Approaching Carina', detail: 'Stop advancing — bronchial intubation risk' },
-  danger_bronchial: { type: 'alert', title: 'BRONCHIAL INTUBATION', detail: 'Withdraw tube immediately' },
-  esophageal_warning: { type: 'alert', title: 'ESOPHAGEAL INTUBATION', detail: 'Withdraw and reposition airway' },
-  poor_image: { type: 'session', title: 'Poor Image Quality', detail: 'Reposition scope for better view' },
-  system_ready: { type: 'session', title: 'System Ready', detail: 'Camera feed confirmed' },
-  placement_confirmed: { type: 'zone', title: 'Placement Confirmed', detail: 'Tube in trachea — monitoring active', zoneId: 'tracheal' },
+  epiglottis_detected: { type: 'landmark' },
+  vocal_cords_detected: { type: 'landmark' },
+  entering_trachea: { type: 'zone', zoneId: 'subglottic' },
+  tracheal_rings_visible: { type: 'landmark' },
+  optimal_depth: { type: 'zone', zoneId: 'tracheal' },
+  warning_deep: { type: 'alert' },
+  danger_bronchial: { type: 'alert' },
+  esophageal_warning: { type: 'alert' },
+  poor_image: { type: 'session' },
+  placement_unverified: { type: 'alert', status: 'warning' },
+  tube_withdrawn: { type: 'zone', zoneId: 'glottic' },
+  guidance_unavailable: { type: 'alert', status: 'degraded' },
+  guidance_restored: { type: 'session', status: 'safe' },
+  system_ready: { type: 'session' },
+  placement_confirmed: { type: 'zone', zoneId: 'tracheal' },
+  attempt_time_warning: { type: 'alert', status: 'warning' },
+  attempt_time_limit: { type: 'alert', status: 'danger' },
 };
 
 const EVENT_TYPE_CONFIG = {
@@ -87,6 +97,8 @@ const EVENT_TYPE_CONFIG = {
   zone: { icon: '→', defaultColor: '#06B6D4' },
   alert: { icon: '⚠', defaultColor: '#EF4444' },
   landmark: { icon: '◉', defaultColor: '#06B6D4' },
+  attempt: { icon: '⏱', defaultColor: '#38BDF8' },
+  command: { icon: '»', defaultColor: '#A78BFA' },
 };
 
 function getElapsed(startTime) {
@@ -95,159 +107,698 @@ function getElapsed(startTime) {
   return `+${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
 }
 
+// Latency for the performance panel: ms under a second, then seconds
+function formatLatency(ms) {
+  if (ms == null) return '—';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Save a JSON document through a temporary download link
+function downloadJson(filename, data) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 export default function Dashboard() {
   // ═══════════════════════════════════════
   // STATE
   // ═══════════════════════════════════════
-  const { videoRef, isActive, startCamera, stopCamera } = useWebcam();
-  const [analysis, setAnalysis] = useState(null);       // raw latest result (for landmarks)
-  const [stableAnalysis, setStableAnalysis] = useState(null); // majority-voted (for status/depth)
+  const {
+    videoRef, source, isActive, error: cameraError, playback, devices, capabilities, trackSettings,
+    startSource, startCamera, stopSource, applySettings, seek, setPaused,
+  } = useMediaSource();
+  const [analysis, setAnalysis] = useState(null);       // raw latest result (for guidance text)
+  const [stableAnalysis, setStableAnalysis] = useState(null); // tracker-fused (for landmarks/status/depth)
+  const [procedureStep, setProcedureStep] = useState(null);   // latest state-machine step (for phase display)
+  const [attemptClock, setAttemptClock] = useState(null);     // running (or last) attempt, to the second
   const [eventLog, setEventLog] = useState([]);
-  const [analysisInterval, setAnalysisInterval] = useState(null);
+  const [monitoring, setMonitoring] = useState(false);   // live analysis loop running
   const [voiceEnabled, setVoiceEnabled] = useState(true);
-  const [fps, setFps] = useState(0);
+  const [analysisStats, setAnalysisStats] = useState(null); // scheduler throughput, latency, drops
+  const [recordEnabled, setRecordEnabled] = useState(true);
+  const [replayFrame, setReplayFrame] = useState(null); // data URL of the frame being replayed
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const [patientProfile, setPatientProfile] = useState(DEFAULT_PROFILE);
+  const [report, setReport] = useState(null);           // summary of the last finished procedure
+  const [voiceHealth, setVoiceHealth] = useState(getVoiceHealth); // which TTS backend is live
+  const [alertQueue, setAlertQueue] = useState(getAlertQueueState); // danger alerts repeating until acknowledged
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);  // screen, voice and model guidance language
+  const [earconSettings, setEarconSettings] = useState(getEarconSettings); // tone volume / mute / proximity
+  const [commandsEnabled, setCommandsEnabled] = useState(false); // hands-free voice commands (asks for the mic)
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings); // device, resolution, crop, rotation
+  const [cameraSettingsOpen, setCameraSettingsOpen] = useState(false);
+  const [frameQuality, setFrameQuality] = useState(null); // last gate decision + metrics + counts
+  const [detectorEnabled, setDetectorEnabled] = useState(false); // on-device glottis detector (loads a model)
+  const [detectorAgreement, setDetectorAgreement] = useState(null); // 'agree' | 'disagree' with the last Gemini answer
+  const [sourceKind, setSourceKind] = useState(MEDIA_SOURCE_KINDS.WEBCAM); // what Start plays
+  const calibration = useMemo(() => computeCalibration(patientProfile), [patientProfile]);
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
 
   // Refs that survive renders without triggering re-renders
-  const isAnalyzingRef = useRef(false);    // gate: prevent overlapping calls
-  const historyRef = useRef([]);       // rolling window of last 3 results
+  const schedulerRef = useRef(createAnalysisScheduler()); // when to analyse, concurrent requests, out-of-order results
+  const trackerRef = useRef(createLandmarkTracker()); // temporal fusion of landmarks + zone
+  const depthRef = useRef(createDepthEstimator());     // continuous depth + uncertainty from the tracked sequence
+  const procedureRef = useRef(createProcedureStateMachine()); // overall procedure phase
+  const attemptsRef = useRef(createAttemptTracker());         // intubation attempts + NRP timer
   const stableRef = useRef(null);     // latest stable state (for alert comparison)
-  const lastAlertTs = useRef(0);        // timestamp of last voice alert
   const runAnalysisRef = useRef(null);     // always points to latest runAnalysis fn
   const procedureStartRef = useRef(null);     // timestamp when monitoring started (for elapsed)
   const seenLandmarksRef = useRef(new Set()); // tracks first-time landmark detections
+  const failureCountRef = useRef(0);      // consecutive analyses with no usable answer
+  const suspiciousLoggedRef = useRef(0);  // last suspicious transition count written to the log
+  const sessionIdRef = useRef(null);      // IndexedDB session being recorded (null = not recording)
+  const sessionReadyRef = useRef(Promise.resolve()); // settles once the session row is written
+  const historyRef = useRef([]);          // per-frame analysis history for the procedure report
+  const procedureEventsRef = useRef([]);  // full procedure log (the on-screen log is capped)
+  const frameGateRef = useRef(createFrameGate()); // picks the frame to send each interval, skips bad ones
+  const poorImageAlertedRef = useRef(false);      // poor-image alert given for the current run of bad frames
+  const replayImageRef = useRef(null);            // replayed frame, for the overlay's geometry
 
-  const ALERT_COOLDOWN_MS = 1500;
+  const QUALITY_SAMPLE_MS = 400;      // frames judged per analysis: ~2 at the fastest pace, ~8 at the slowest
+  const POOR_IMAGE_ALERT_MS = 4000;   // picture poor this long (skipped or force-sent) → spoken poor-image alert
+  const DETECTOR_STALE_MS = 1000;     // older on-device detections aren't compared with Gemini
+  const DETECTOR_FEED_MS = 250;       // on-device detections into the pipeline, between Gemini answers
+  const visionProviderName = getVisionProvider().name;
+
+  const detector = useGlottisDetector({ videoRef, enabled: detectorEnabled && isActive, view: cameraSettings });
 
   // Add event to log — accepts either a rich object or a legacy (message, status) string
   const addEvent = useCallback((eventOrMessage, status = 'safe') => {
     const time = new Date().toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' });
     const elapsed = procedureStartRef.current ? getElapsed(procedureStartRef.current) : null;
-    if (typeof eventOrMessage === 'string') {
-      setEventLog(prev => [{ time, elapsed, type: 'session', title: eventOrMessage, detail: null, status }, ...prev].slice(0, 50));
-    } else {
-      setEventLog(prev => [{ time, elapsed, ...eventOrMessage }, ...prev].slice(0, 50));
-    }
+    const event = typeof eventOrMessage === 'string'
+      ? { ts: Date.now(), time, elapsed, type: 'session', title: eventOrMessage, detail: null, status }
+      : { ts: Date.now(), time, elapsed, ...eventOrMessage };
+    procedureEventsRef.current.push(event);
+    setEventLog(prev => [event, ...prev].slice(0, 50));
   }, []);
 
+  // Reset per-procedure pipeline state (tracker, state machine, alert bookkeeping)
+  const resetPipeline = useCallback(() => {
+    procedureStartRef.current = Date.now();
+    historyRef.current = [];
+    procedureEventsRef.current = [];
+    seenLandmarksRef.current = new Set();
+    failureCountRef.current = 0;
+    suspiciousLoggedRef.current = 0;
+    stableRef.current = null;
+    trackerRef.current = createLandmarkTracker({ zoneDepthCm: calibration.zoneDepthCm });
+    depthRef.current = createDepthEstimator(calibration);
+    procedureRef.current.reset();
+    attemptsRef.current.reset();
+    frameGateRef.current.reset();
+    poorImageAlertedRef.current = false;
+    setProcedureStep(null);
+    setAttemptClock(null);
+    setFrameQuality(null);
+    setDetectorAgreement(null);
+  }, [calibration]);
+
   // ═══════════════════════════════════════
-  // ANALYSIS LOOP
+  // ATTEMPTS
+  // Log starts/ends, speak the 20 s / 30 s prompts, keep the countdown current
   // ═══════════════════════════════════════
-  const runAnalysis = useCallback(async () => {
-    if (!videoRef.current || !isActive || isAnalyzingRef.current) return;
+  const handleAttempt = useCallback(({ started = null, ended = null, prompt = null }, now) => {
+    if (ended) {
+      acknowledgeAlert('attempt_time_limit');
+      addEvent({
+        type: 'attempt',
+        title: t('log.attemptEnded', { number: ended.number, duration: formatDuration(ended.endedAt - ended.startedAt) }),
+        detail: t(`attemptOutcomes.${ended.outcome}`),
+        status: ended.outcome === ATTEMPT_OUTCOMES.ESOPHAGEAL ? 'danger'
+          : ended.outcome === ATTEMPT_OUTCOMES.TRACHEAL && !ended.overLimit ? 'safe' : 'warning',
+      });
+    }
+    if (started) {
+      addEvent({
+        type: 'attempt',
+        title: t('log.attemptStarted', { number: started.number }),
+        detail: t(started.manual ? 'log.attemptMarkedDetail' : 'log.attemptStartedDetail'),
+        status: 'safe',
+      });
+    }
+    if (prompt) {
+      const alertKey = prompt === 'limit' ? 'attempt_time_limit' : 'attempt_time_warning';
+      if (voiceEnabled) speakAlert(alertKey);
+      addEvent({ ...ALERT_EVENT_MAP[alertKey], title: t(`events.${alertKey}.title`), detail: t(`events.${alertKey}.detail`) });
+    }
 
-    isAnalyzingRef.current = true;
-    const startTime = performance.now();
+    const attempt = attemptsRef.current.getCurrent() ?? ended;
+    if (!attempt) return;
+    const running = attempt.endedAt == null;
+    const seconds = Math.floor(((running ? now : attempt.endedAt) - attempt.startedAt) / 1000);
+    setAttemptClock(prev => (prev?.number === attempt.number && prev.seconds === seconds && prev.running === running
+      ? prev
+      : { number: attempt.number, seconds, running, outcome: attempt.outcome }));
+  }, [voiceEnabled, addEvent, t]);
 
-    try {
-      const { base64, mimeType } = captureFrame(videoRef.current);
-      const result = await analyzeFrame(base64, mimeType);
+  const markAttempt = useCallback(() => {
+    handleAttempt(attemptsRef.current.mark(Date.now()), Date.now());
+  }, [handleAttempt]);
 
-      // Rolling history: keep last 3 results for majority vote
-      historyRef.current = [...historyRef.current.slice(-2), result];
-      const history = historyRef.current;
+  const endAttempt = useCallback((outcome = ATTEMPT_OUTCOMES.MANUAL) => {
+    const ended = attemptsRef.current.end(Date.now(), outcome);
+    if (ended) handleAttempt({ ended }, Date.now());
+    return ended;
+  }, [handleAttempt]);
 
-      // Stable state via majority vote (suppresses hallucination flip-flops)
-      const stableZone = getMajority(history, 'depth_zone') || result.depth_zone;
-      const stableStatus = getMajority(history, 'safety_status') || result.safety_status;
-      const stable = { ...result, depth_zone: stableZone, safety_status: stableStatus };
+  const unmarkAttempt = useCallback(() => {
+    const removed = attemptsRef.current.unmark();
+    if (!removed) return null;
+    acknowledgeAlert('attempt_time_limit');
+    addEvent({ type: 'attempt', title: t('log.attemptUnmarked', { number: removed.number }), detail: t('log.attemptUnmarkedDetail'), status: 'safe' });
+    setAttemptClock(null);
+    return removed;
+  }, [addEvent, t]);
 
-      const prevStable = stableRef.current;
-      setAnalysis(result);         // raw → landmark grid (fast, always fresh)
-      setStableAnalysis(stable);   // smoothed → status badge + depth gauge
-      stableRef.current = stable;
+  // Live countdown between frames (replay is timed by the recorded frames)
+  useEffect(() => {
+    if (!monitoring) return undefined;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      handleAttempt(attemptsRef.current.tick(now), now);
+    }, 250);
+    return () => clearInterval(timer);
+  }, [monitoring, handleAttempt]);
 
-      // FPS
-      const elapsed = performance.now() - startTime;
-      setFps(Math.round(1000 / elapsed));
+  // ═══════════════════════════════════════
+  // ANALYSIS PIPELINE
+  // Shared by the live loop and session replay
+  // ═══════════════════════════════════════
+  // Recording writes queue behind the session's own row (startSession is still writing it
+  // for the first frames); no session ID means we aren't recording
+  const recordToSession = useCallback((sessionId, write) => {
+    if (!sessionId) return;
+    sessionReadyRef.current
+      .then(() => write(sessionId))
+      .catch(err => console.error('Recording error:', err));
+  }, []);
 
-      // Voice alerts: only on stable-state transition + cooldown
-      const now = Date.now();
-      if (voiceEnabled && result.success && (now - lastAlertTs.current) >= ALERT_COOLDOWN_MS) {
-        const alertKey = determineAlert(stable, prevStable);
-        if (alertKey) {
-          speakAlert(alertKey);
-          lastAlertTs.current = now;
-          const alertEvent = ALERT_EVENT_MAP[alertKey];
-          if (alertEvent) {
-            addEvent({ ...alertEvent, status: alertEvent.status || stable.safety_status });
-          } else {
-            addEvent({ type: 'session', title: ALERT_DEFINITIONS[alertKey]?.text || alertKey, detail: null, status: stable.safety_status });
-          }
-        }
-      }
+  const processResult = useCallback((result, { frame, capturedAt, latencyMs = null, record = false, fromDetector = false }) => {
+    // Side-detector frames fill in between vision answers; they don't say whether the AI is answering
+    if (!fromDetector) failureCountRef.current = result.success ? 0 : failureCountRef.current + 1;
 
-      // Log depth zone changes with visible landmarks in the detail line
-      if (result.success && result.image_quality !== 'no_airway_visible') {
-        if (!prevStable || stable.depth_zone !== prevStable.depth_zone) {
-          const visibleLandmarks = Object.entries(result.landmarks || {})
-            .filter(([k, v]) => v.visible && k !== 'esophagus')
-            .map(([k, v]) => `${LANDMARK_LABELS[k] || k} ${Math.round(v.confidence * 100)}%`)
-            .join(' · ');
+    // Stable state via temporal fusion (suppresses hallucination flip-flops).
+    // A failed analysis comes back degraded — if the AI didn't answer, we don't show its last answer.
+    const tracked = trackerRef.current.update(result);
+    const depth = depthRef.current.update(tracked, capturedAt);
+    const stable = {
+      ...tracked,
+      estimated_depth_cm: depth.depth_cm ?? tracked.estimated_depth_cm,
+      depth_estimate: depth,
+      consecutive_failures: failureCountRef.current,
+    };
+    const step = procedureRef.current.update(stable);
+    setProcedureStep(step);
+    handleAttempt(attemptsRef.current.update(stable, step, capturedAt), capturedAt);
+    // The report counts analyzed frames: detector frames move the state but aren't analyses
+    if (!fromDetector) historyRef.current.push({
+      t: capturedAt,
+      success: result.success,
+      depth_zone: stable.depth_zone,
+      safety_status: stable.safety_status,
+      state: step.state,
+      suspicious: step.suspicious,
+      esophagus: !!stable.landmarks?.esophagus?.visible,
+      depth_cm: depth.depth_cm,
+      uncertainty_cm: depth.uncertainty_cm,
+    });
+
+    const prevStable = stableRef.current;
+    if (!fromDetector) setAnalysis(result); // raw → guidance overlay and landmark boxes (the detector draws its own)
+    setStableAnalysis(stable);   // fused → landmark grid + status badge + depth gauge
+    stableRef.current = stable;
+
+    // Gemini as second opinion on the on-device detector: do both see the cords?
+    const detection = detector.latestRef.current;
+    if (latencyMs != null && result.success && detection && capturedAt - detection.capturedAt < DETECTOR_STALE_MS) {
+      const cordsInView = (r) => !!(r.landmarks?.glottis?.visible || r.landmarks?.vocal_cords?.visible);
+      setDetectorAgreement(cordsInView(detection) === cordsInView(result) ? 'agree' : 'disagree');
+    }
+
+    // Earcons: instant, ahead of the spoken alert and not held up by its queue
+    playEarcon(determineEarcon(stable, prevStable, step));
+    setProximity(carinaProximity(stable, calibration));
+
+    // Pace the live loop from where the procedure is (replay is paced by the recording)
+    if (latencyMs != null || fromDetector) schedulerRef.current.setPace(stable, step);
+
+    const sessionId = record ? sessionIdRef.current : null;
+    if (sessionId) {
+      recordToSession(sessionId, id => recordFrame(id, { frame, result, stable, capturedAt }));
+    }
+
+    // Voice alerts: on stable-state transitions, checked on every applied frame — a cooldown
+    // here would skip the transition for good. The alert scheduler handles priority and repeats.
+    if (voiceEnabled) {
+      const alertKey = determineAlert(stable, prevStable, step);
+      if (alertKey) {
+        speakAlert(alertKey);
+        // Patient-specific follow-up: where to secure the tube for this baby
+        if (alertKey === 'optimal_depth' && !calibration.isDefault && calibration.tipToLipCm) {
+          speakCustom(t('voice.secureAtLip', { cm: calibration.tipToLipCm }), 3);
+        }
+        recordToSession(sessionId, id => recordAlert(id, alertKey));
+        const alertEvent = ALERT_EVENT_MAP[alertKey];
+        if (alertEvent) {
           addEvent({
-            type: 'zone',
-            title: `→ ${ZONE_LABELS[stable.depth_zone] || stable.depth_zone} Zone`,
-            detail: visibleLandmarks
-              ? `${visibleLandmarks} · ${stable.estimated_depth_cm?.toFixed(1)} cm`
-              : `Est. depth: ${stable.estimated_depth_cm?.toFixed(1)} cm`,
-            status: stable.safety_status,
-            zoneId: stable.depth_zone,
+            ...alertEvent,
+            title: t(`events.${alertKey}.title`),
+            detail: t(`events.${alertKey}.detail`),
+            status: alertEvent.status || stable.safety_status,
           });
+        } else {
+          addEvent({ type: 'session', title: getAlertText(alertKey) || alertKey, detail: null, status: stable.safety_status });
         }
       }
+    }
+
+    // Log each impossible transition once, when the state machine first holds it
+    if (step.suspicious && !step.changed && step.suspicious_count !== suspiciousLoggedRef.current) {
+      suspiciousLoggedRef.current = step.suspicious_count;
+      addEvent({
+        type: 'alert',
+        title: t('log.implausibleTransition'),
+        detail: t('log.implausibleTransitionDetail', { phase: t(`phases.${step.state}`) }),
+        status: 'warning',
+      });
+    }
 
-      // Esophagus check runs regardless of image_quality — Gemini often labels
-      // esophageal views as 'no_airway_visible', so we can't gate on that field.
-      if (result.success && result.landmarks?.esophagus?.visible && !seenLandmarksRef.current.has('esophagus')) {
-        seenLandmarksRef.current.add('esophagus');
-        speakUrgent('esophageal_warning'); // bypasses queue, plays instantly
-        addEvent({ type: 'alert', title: 'ESOPHAGEAL INTUBATION', detail: 'Withdraw tube immediately — reposition', status: 'danger' });
+    // Log depth zone changes with visible landmarks in the detail line
+    if (result.success && result.image_quality !== 'no_airway_visible') {
+      if (!prevStable || stable.depth_zone !== prevStable.depth_zone) {
+        const visibleLandmarks = Object.entries(stable.landmarks || {})
+          .filter(([k, v]) => v.visible && k !== 'esophagus')
+          .map(([k, v]) => `${t(`landmarks.${k}`)} ${Math.round(v.confidence * 100)}%`)
+          .join(' · ');
+        addEvent({
+          type: 'zone',
+          title: t('log.zoneEntered', { zone: t(`zones.${stable.depth_zone}`) }),
+          detail: visibleLandmarks
+            ? `${visibleLandmarks} · ${stable.estimated_depth_cm?.toFixed(1)} cm`
+            : t('log.estimatedDepth', { depth: stable.estimated_depth_cm?.toFixed(1) }),
+          status: stable.safety_status,
+          zoneId: stable.depth_zone,
+        });
       }
+    }
+
+    // Esophagus check runs regardless of image_quality — Gemini often labels
+    // esophageal views as 'no_airway_visible', so we can't gate on that field.
+    if (result.success && result.landmarks?.esophagus?.visible && !seenLandmarksRef.current.has('esophagus')) {
+      seenLandmarksRef.current.add('esophagus');
+      speakUrgent('esophageal_warning'); // bypasses queue, plays instantly
+      recordToSession(sessionId, id => recordAlert(id, 'esophageal_warning', true));
+      addEvent({ type: 'alert', title: t('log.esophagealDetected'), detail: t('log.esophagealDetectedDetail'), status: 'danger' });
+    }
+  }, [voiceEnabled, addEvent, calibration, handleAttempt, recordToSession, detector.latestRef, t]);
+
+  // ═══════════════════════════════════════
+  // ON-DEVICE DETECTOR
+  // Its view of the cords goes through the same pipeline between Gemini answers,
+  // so the tracker, the procedure phase and the alerts move at detector speed
+  // ═══════════════════════════════════════
+  useEffect(() => {
+    if (!monitoring || detector.status !== 'running') return undefined;
+    let fedAt = 0;
+    const timer = setInterval(() => {
+      const detection = detector.latestRef.current;
+      if (!detection || detection.capturedAt <= fedAt) return;
+      fedAt = detection.capturedAt;
+      // The detector only looks for the cords: the other landmarks, the picture and the
+      // guidance stay Gemini's last word
+      const last = stableRef.current;
+      processResult({
+        ...detection,
+        observed_landmarks: DEFAULT_DETECTOR_OPTIONS.classes,
+        ...(last && {
+          identified_as: last.identified_as,
+          image_quality: last.image_quality,
+          guidance_message: last.guidance_message,
+          guidance_key: last.guidance_key,
+          visual_cues: last.visual_cues,
+        }),
+      }, { capturedAt: detection.capturedAt, fromDetector: true });
+    }, DETECTOR_FEED_MS);
+    return () => clearInterval(timer);
+  }, [monitoring, detector.status, detector.latestRef, processResult]);
+
+  // ═══════════════════════════════════════
+  // FRAME QUALITY
+  // Frames are sampled between analyses; the gate sends the sharpest usable one
+  // ═══════════════════════════════════════
+  const sampleFrame = useCallback(() => {
+    if (!videoRef.current?.videoWidth) return;
+    const capturedAt = Date.now();
+    const { canvas, circle } = captureCanvas(videoRef.current, cameraSettings);
+    frameGateRef.current.offer({ canvas, capturedAt }, measureCanvas(canvas, circle));
+  }, [cameraSettings]);
+
+  useEffect(() => {
+    if (!monitoring || !isActive) return undefined;
+    const timer = setInterval(sampleFrame, QUALITY_SAMPLE_MS);
+    return () => clearInterval(timer);
+  }, [monitoring, isActive, sampleFrame]);
+
+  const handleFrameQuality = useCallback((decision) => {
+    const { frame, metrics, ...rest } = decision;
+    if (metrics) {
+      const { signature, ...values } = metrics;
+      setFrameQuality({ ...rest, metrics: values, stats: frameGateRef.current.getStats() });
+    }
+
+    // A good frame ends the run of bad ones
+    if (decision.frame && !decision.poorImage) poorImageAlertedRef.current = false;
+    // Say so once per run, with the reason. Forced sends count toward the run: at the slow
+    // no-view pace the gate forces a frame through before a skip-only run would get long enough.
+    if (decision.poorImage && decision.poorImageMs >= POOR_IMAGE_ALERT_MS && !poorImageAlertedRef.current) {
+      poorImageAlertedRef.current = true;
+      if (voiceEnabled) speakAlert('poor_image');
+      recordToSession(sessionIdRef.current, id => recordAlert(id, 'poor_image'));
+      addEvent({
+        type: 'alert',
+        title: t('events.poor_image.title'),
+        detail: t('log.poorImageRun', { issues: decision.issues.map(issue => t(`quality.issues.${issue}`)).join(', ') }),
+        status: 'warning',
+      });
+    }
+  }, [voiceEnabled, addEvent, recordToSession, t]);
+
+  // ═══════════════════════════════════════
+  // ANALYSIS LOOP
+  // ═══════════════════════════════════════
+  // Called on every scheduler tick. Requests overlap up to the scheduler's cap;
+  // a result that comes back after a newer one was applied is discarded.
+  const runAnalysis = useCallback(async () => {
+    if (!videoRef.current || !isActive) return;
+    const scheduler = schedulerRef.current;
+    const gate = frameGateRef.current;
+    // Every slot busy: skip the tick before the gate commits to a frame, so a frame the
+    // scheduler would drop isn't booked as sent (the gate keeps its best for the next tick)
+    if (!scheduler.canSend()) {
+      setAnalysisStats(scheduler.getStats());
+      return;
+    }
+
+    let decision = gate.take(Date.now());
+    if (!decision.frame) {
+      // Nothing sampled since the last tick — judge the current frame
+      sampleFrame();
+      decision = gate.take(Date.now());
+    }
+    handleFrameQuality(decision);
+    const ticket = decision.send ? scheduler.begin(decision.frame.capturedAt) : null;
+    setAnalysisStats(scheduler.getStats());
+    if (!ticket) return;
+
+    let result = null;
+    try {
+      const frame = encodeFrame(decision.frame.canvas);
+      result = await analyzeFrame(frame.base64, frame.mimeType);
+      const { apply, latencyMs } = scheduler.complete(ticket);
+      if (apply) processResult(result, { frame, capturedAt: ticket.capturedAt, latencyMs, record: true });
     } catch (err) {
       console.error('Analysis error:', err);
+      if (!result) scheduler.complete(ticket, { failed: true });
     }
+    if (scheduler.isRunning()) setAnalysisStats(scheduler.getStats());
+  }, [isActive, sampleFrame, handleFrameQuality, processResult]);
 
-    isAnalyzingRef.current = false;
-  }, [isActive, voiceEnabled, addEvent]);
-
-  // Keep runAnalysisRef current so the interval always calls the latest version
+  // Keep runAnalysisRef current so the scheduler always calls the latest version
   useEffect(() => { runAnalysisRef.current = runAnalysis; }, [runAnalysis]);
 
+  // ═══════════════════════════════════════
+  // PROCEDURE REPORT
+  // Built when monitoring or a replay ends; the log and history stay until the next start
+  // ═══════════════════════════════════════
+  const finishProcedure = useCallback((provider, sessionId = null) => {
+    if (!procedureStartRef.current || historyRef.current.length === 0) return null;
+    const summary = buildProcedureReport({
+      startedAt: procedureStartRef.current,
+      history: historyRef.current,
+      events: procedureEventsRef.current,
+      attempts: attemptsRef.current.getAttempts(),
+      calibration,
+      provider,
+      sessionId,
+    });
+    setReport(summary);
+    return summary;
+  }, [calibration]);
+
+  const exportReport = useCallback((format) => {
+    if (!report) return;
+    const stamp = report.started_at.replace(/[:.]/g, '-');
+    if (format === 'json') downloadJson(`neoguide-report-${stamp}.json`, report);
+    else if (format === 'fhir') downloadJson(`neoguide-fhir-${stamp}.json`, toFhirBundle(report));
+    else if (format === 'pdf' && !printReport(report)) {
+      addEvent({ type: 'session', title: t('log.exportBlocked'), detail: t('log.exportBlockedDetail'), status: 'warning' });
+    }
+  }, [report, addEvent, t]);
+
+  // ═══════════════════════════════════════
+  // SESSION REPLAY
+  // Recorded frames go back through processResult exactly as live ones did
+  // ═══════════════════════════════════════
+  const handleReplayStart = useCallback(() => {
+    unlockEarcons();
+    resetPipeline();
+    setReport(null);
+    addEvent({ type: 'session', title: t('log.replayStarted'), detail: t('log.replayStartedDetail'), status: 'safe' });
+  }, [resetPipeline, addEvent, t]);
+
+  const handleReplayFrame = useCallback(async (frame, provider) => {
+    setReplayFrame(`data:${frame.mimeType};base64,${frame.base64}`);
+    const result = await analyzeFrame(frame.base64, frame.mimeType, provider);
+    processResult(result, { frame, capturedAt: frame.capturedAt });
+  }, [processResult]);
+
+  const handleReplayEnd = useCallback(() => {
+    setReplayFrame(null);
+    stopAllAudio();
+    stopEarcons();
+    addEvent({ type: 'session', title: t('log.replayEnded'), detail: null, status: 'safe' });
+    finishProcedure('replay');
+  }, [addEvent, finishProcedure, t]);
+
+  const { sessions, replay, refreshSessions, startReplay, stopReplay, removeSession } = useSessionReplay({
+    onStart: handleReplayStart,
+    onFrame: handleReplayFrame,
+    onEnd: handleReplayEnd,
+  });
+
   // ═══════════════════════════════════════
   // CONTROLS
   // ═══════════════════════════════════════
   const startAnalysis = useCallback(() => {
-    if (analysisInterval) return;
-    procedureStartRef.current = Date.now();
-    seenLandmarksRef.current = new Set();
-    const interval = setInterval(() => runAnalysisRef.current?.(), 2000);
-    setAnalysisInterval(interval);
-    addEvent({ type: 'session', title: 'Monitoring Active', detail: 'NeoGuide AI analysis started', status: 'safe' });
-  }, [analysisInterval, addEvent]);
+    if (monitoring) return;
+    unlockEarcons(); // needs this click — browsers keep audio suspended until a user gesture
+    resetPipeline();
+    setReport(null);
+    if (recordEnabled) {
+      // The ID is ours from the start; writes wait on sessionReadyRef for the row itself
+      const id = createSessionId();
+      sessionIdRef.current = id;
+      sessionReadyRef.current = startSession({ id, provider: visionProviderName, patient: calibration.profile, locale })
+        .then(refreshSessions)
+        .catch((err) => {
+          if (sessionIdRef.current === id) sessionIdRef.current = null;
+          throw err;
+        });
+      sessionReadyRef.current.catch(err => console.error('Recording error:', err));
+    }
+    schedulerRef.current.start(() => runAnalysisRef.current?.());
+    setMonitoring(true);
+    setAnalysisStats(schedulerRef.current.getStats());
+    addEvent({
+      type: 'session',
+      title: t('log.monitoringActive'),
+      detail: calibration.isDefault
+        ? t('log.monitoringStarted')
+        : t('log.monitoringStartedCalibrated', { optimal: calibration.optimalDepthCm, lip: calibration.tipToLipCm }),
+      status: 'safe',
+    });
+  }, [monitoring, addEvent, resetPipeline, recordEnabled, visionProviderName, refreshSessions, calibration, locale, t]);
 
   const stopAnalysis = useCallback(() => {
-    if (analysisInterval) {
-      clearInterval(analysisInterval);
-      setAnalysisInterval(null);
-    }
+    schedulerRef.current.stop();
+    setMonitoring(false);
     stopAllAudio(); // clear queue + stop any in-flight audio immediately
-    addEvent({ type: 'session', title: 'Monitoring Paused', detail: null, status: 'safe' });
-  }, [analysisInterval, addEvent]);
+    stopEarcons();
+    addEvent({ type: 'session', title: t('log.monitoringPaused'), detail: null, status: 'safe' });
+    const summary = finishProcedure(visionProviderName, sessionIdRef.current);
+    recordToSession(sessionIdRef.current, async (id) => {
+      await endSession(id, { report: summary });
+      refreshSessions();
+    });
+    sessionIdRef.current = null;
+  }, [addEvent, refreshSessions, finishProcedure, recordToSession, visionProviderName, t]);
 
   // Preload voice alerts on mount
   useEffect(() => {
     preloadAlerts().catch(console.error);
   }, []);
 
-  // Status driven by stable analysis (not raw) — prevents flicker
-  const currentStatus = stableAnalysis?.safety_status || 'safe';
-  const statusConfig = STATUS_CONFIG[currentStatus];
+  useEffect(() => subscribeVoiceHealth(setVoiceHealth), []);
+  useEffect(() => subscribeAlertQueue(setAlertQueue), []);
+
+  const acknowledgeAlerts = useCallback(() => {
+    const keys = alertQueue.repeating;
+    if (keys.length === 0) return;
+    acknowledgeAlert();
+    addEvent({
+      type: 'session',
+      title: t('log.alertAcknowledged'),
+      detail: keys.map(key => t(`events.${key}.title`)).join(' · '),
+      status: 'warning',
+    });
+  }, [alertQueue, addEvent, t]);
+
+  const toggleVoice = useCallback(() => {
+    if (voiceEnabled) stopAllAudio(); // muting must also silence repeating danger alerts
+    setVoiceEnabled(!voiceEnabled);
+  }, [voiceEnabled]);
+
+  // ═══════════════════════════════════════
+  // VOICE COMMANDS
+  // Same actions as the buttons; every command is logged, with the words heard
+  // ═══════════════════════════════════════
+  const handleCommand = (command, transcript) => {
+    let ignoredReason = null;
+    switch (command) {
+      case 'start':
+        if (!isActive) ignoredReason = 'reasonCameraInactive';
+        else if (!monitoring && !replay) startAnalysis();
+        break;
+      case 'pause':
+        if (monitoring) stopAnalysis();
+        else ignoredReason = 'reasonNotRunning';
+        break;
+      case 'mark_attempt':
+        if (replay) ignoredReason = 'reasonReplay';
+        else markAttempt();
+        break;
+      case 'unmark_attempt':
+        if (replay) ignoredReason = 'reasonReplay';
+        else if (!unmarkAttempt()) ignoredReason = 'reasonNoAttempt';
+        break;
+      case 'confirm_placement':
+        if (!replay) endAttempt(ATTEMPT_OUTCOMES.TRACHEAL);
+        if (voiceEnabled) speakAlert('placement_confirmed');
+        addEvent({ ...ALERT_EVENT_MAP.placement_confirmed, title: t('events.placement_confirmed.title'), detail: t('log.placementConfirmedByVoice'), status: 'safe' });
+        break;
+      case 'repeat':
+        if (!repeatLastAlert()) ignoredReason = 'reasonNothingToRepeat';
+        break;
+      case 'mute':
+        stopAllAudio();
+        setVoiceEnabled(false);
+        break;
+      case 'unmute':
+        setVoiceEnabled(true);
+        break;
+      case 'acknowledge':
+        if (alertQueue.repeating.length > 0) acknowledgeAlerts();
+        else ignoredReason = 'reasonNoRepeatingAlerts';
+        break;
+      default:
+        return;
+    }
+    addEvent({
+      type: 'command',
+      title: t('log.voiceCommand', { command: t(`commands.names.${command}`) }),
+      detail: ignoredReason ? `“${transcript}” · ${t('log.commandIgnored', { reason: t(`log.${ignoredReason}`) })}` : `“${transcript}”`,
+      status: ignoredReason ? 'warning' : null,
+    });
+  };
 
-  // Cleanup interval on unmount
+  const voiceCommands = useVoiceCommands({ enabled: commandsEnabled, locale, onCommand: handleCommand });
+
+
+  const changeCameraSettings = useCallback((next) => {
+    setCameraSettings(next);
+    saveCameraSettings(next);
+    if (isActive) applySettings(next);
+  }, [isActive, applySettings]);
+
+  // Files are picked when Start is pressed; the pickers then start the source
+  const videoFileInputRef = useRef(null);
+  const imageFolderInputRef = useRef(null);
+
+  const startSelectedSource = useCallback(() => {
+    switch (sourceKind) {
+      case MEDIA_SOURCE_KINDS.VIDEO_FILE: videoFileInputRef.current?.click(); break;
+      case MEDIA_SOURCE_KINDS.IMAGE_SEQUENCE: imageFolderInputRef.current?.click(); break;
+      case MEDIA_SOURCE_KINDS.TEST_PATTERN: startSource(createTestPatternSource()); break;
+      default: startCamera(cameraSettings);
+    }
+  }, [sourceKind, startSource, startCamera, cameraSettings]);
+
+  const handlePickedFiles = (e) => {
+    const files = [...e.target.files];
+    e.target.value = ''; // picking the same file again still fires
+    if (files.length === 0) return;
+    startSource(sourceKind === MEDIA_SOURCE_KINDS.VIDEO_FILE ? createVideoFileSource(files[0]) : createImageSequenceSource(files));
+  };
+
+  const changeEarcons = useCallback((patch) => {
+    setEarconSettings(updateEarconSettings(patch));
+  }, []);
+
+  // Locale drives the voice alerts and the language the model writes guidance in
   useEffect(() => {
-    return () => {
-      if (analysisInterval) clearInterval(analysisInterval);
-    };
-  }, [analysisInterval]);
+    setGuidanceLanguage(LOCALES[locale].meta.guidanceLanguage);
+    setVoiceLocale(locale).catch(console.error);
+  }, [locale]);
+
+  const changeLocale = useCallback((next) => {
+    setLocale(next);
+    addEvent({ type: 'session', title: translate(next, 'log.languageChanged', { language: LOCALES[next].meta.name }), detail: null, status: 'safe' });
+  }, [addEvent]);
+
+  // Status driven by stable analysis (not raw) — prevents flicker.
+  // No analysis running means no guidance: show STANDBY, never a stale or default SAFE.
+  const currentStatus = ((monitoring || replay) && stableAnalysis?.safety_status) || 'standby';
+  const statusConfig = STATUS_CONFIG[currentStatus];
+
+  // NeoGuide's own fixed messages are shown in the locale; the model's text already is
+  const guidanceText = analysis && (analysis.guidance_key ? t(`guidance.${analysis.guidance_key}`) : analysis.guidance_message);
+
+  // Voice path: natural voice (green), robotic fallback (amber), or nothing working (red)
+  const activeVoice = voiceHealth.providers.find(p => p.name === voiceHealth.active);
+  const voiceColor = !activeVoice ? '#EF4444' : activeVoice.fallback ? '#F59E0B' : '#10B981';
+  const voiceTitle = voiceHealth.providers
+    .map(p => `${p.label}: ${p.status}${p.lastError ? ` (${p.lastError})` : ''}`)
+    .join('\n');
+
+  // Attempt countdown: time left of the NRP limit, then time over it.
+  // Green until the 20 s prompt, amber to 30 s, red past it; grey once the attempt has ended.
+  const attemptLimitS = DEFAULT_ATTEMPT_OPTIONS.limitMs / 1000;
+  const attemptTimerText = attemptClock && (attemptClock.running
+    ? (attemptClock.seconds < attemptLimitS
+      ? formatDuration((attemptLimitS - attemptClock.seconds) * 1000)
+      : `+${formatDuration((attemptClock.seconds - attemptLimitS) * 1000)}`)
+    : formatDuration(attemptClock.seconds * 1000));
+  const attemptTimerColor = !attemptClock ? '#64748B'
+    : !attemptClock.running ? '#94A3B8'
+      : attemptClock.seconds >= attemptLimitS ? '#EF4444'
+        : attemptClock.seconds * 1000 >= DEFAULT_ATTEMPT_OPTIONS.warnMs ? '#F59E0B' : '#10B981';
+
+  // Continuous depth on the gauge: marker at the estimate, bar spanning the ±2σ band
+  const depthEstimate = stableAnalysis?.depth_estimate;
+  const depthMarker = depthEstimate?.depth_cm != null ? {
+    center: depthToGaugeFraction(depthEstimate.depth_cm, calibration),
+    top: depthToGaugeFraction(depthEstimate.lower_cm, calibration),
+    bottom: depthToGaugeFraction(depthEstimate.upper_cm, calibration),
+    color: DEPTH_ZONES.find(z => z.id === stableAnalysis.depth_zone)?.color || '#94A3B8',
+  } : null;
+
+  // Stop the analysis loop on unmount
+  useEffect(() => () => schedulerRef.current.stop(), []);
 
   // ═══════════════════════════════════════
   // RENDER
@@ -261,14 +812,32 @@ export default function Dashboard() {
             <span style={{ color: '#06B6D4' }}>Neo</span>
             <span style={{ color: '#FFFFFF' }}>Guide</span>
           </h1>
-          <span style={styles.tagline}>Neonatal Intubation Guidance System</span>
+          <span style={styles.tagline}>{t('ui.tagline')}</span>
         </div>
         <div style={styles.headerRight}>
           <div style={{ ...styles.statusBadge, backgroundColor: statusConfig.color + '20', borderColor: statusConfig.color, boxShadow: statusConfig.glow }}>
             <div style={{ ...styles.statusDot, backgroundColor: statusConfig.color }} />
-            <span style={{ color: statusConfig.color, fontWeight: 700, fontFamily: 'JetBrains Mono' }}>{statusConfig.label}</span>
+            <span style={{ color: statusConfig.color, fontWeight: 700, fontFamily: 'JetBrains Mono' }}>{t(`status.${currentStatus}`)}</span>
           </div>
-          <span style={styles.fpsCounter}>{fps} FPS</span>
+          {visionProviderName !== 'gemini' && (
+            <span style={styles.providerTag}>{t('ui.visionTag', { provider: visionProviderName.toUpperCase() })}</span>
+          )}
+          <span style={{ ...styles.voiceTag, color: voiceColor, borderColor: `${voiceColor}55` }} title={voiceTitle}>
+            {voiceEnabled ? '🔊' : '🔇'} {activeVoice ? activeVoice.label.toUpperCase() : t('ui.noVoice')}
+          </span>
+          <select
+            style={styles.localeSelect}
+            value={locale}
+            onChange={(e) => changeLocale(e.target.value)}
+            title={t('ui.language')}
+          >
+            {Object.entries(LOCALES).map(([code, strings]) => (
+              <option key={code} value={code}>{strings.meta.short}</option>
+            ))}
+          </select>
+          <span style={styles.fpsCounter} title={t('performance.throughputHint')}>
+            {(analysisStats?.throughput ?? 0).toFixed(1)} FPS
+          </span>
         </div>
       </header>
 
@@ -280,73 +849,272 @@ export default function Dashboard() {
           <div style={styles.panel}>
             <div style={styles.panelHeader}>
               <span style={styles.panelIcon}>📷</span>
-              <span style={styles.panelTitle}>CAMERA FEED</span>
-              <span style={{ ...styles.liveIndicator, opacity: isActive ? 1 : 0.3 }}>
-                <span style={styles.liveDot} /> LIVE
-              </span>
+              <span style={styles.panelTitle}>{t('ui.cameraFeed')}</span>
+              {replay ? (
+                <span style={{ ...styles.liveIndicator, color: '#A855F7' }}>
+                  ⏵ {t('ui.replay')} {replay.index}/{replay.total}
+                </span>
+              ) : (
+                source && source.kind !== MEDIA_SOURCE_KINDS.WEBCAM ? (
+                  <span style={{ ...styles.liveIndicator, color: '#06B6D4' }} title={source.label}>
+                    ▶ {t(`sources.${source.kind}`)}
+                  </span>
+                ) : (
+                  <span style={{ ...styles.liveIndicator, opacity: isActive ? 1 : 0.3 }}>
+                    <span style={styles.liveDot} /> {t('ui.live')}
+                  </span>
+                )
+              )}
             </div>
             <div style={styles.cameraContainer}>
               <video
                 ref={videoRef}
-                style={styles.video}
+                style={{ ...styles.video, transform: cameraSettings.rotation ? `rotate(${cameraSettings.rotation}deg)` : undefined }}
                 autoPlay
                 playsInline
                 muted
               />
-              {!isActive && (
+              {replayFrame && (
+                <img ref={replayImageRef} src={replayFrame} alt="Replayed frame" style={styles.replayImage} />
+              )}
+              {/* Landmark boxes, detector boxes and the aiming reticle */}
+              <VisionOverlay
+                t={t}
+                sourceRef={replayFrame ? replayImageRef : videoRef}
+                view={replayFrame ? null : cameraSettings}
+                analysis={monitoring || replayFrame ? analysis : null}
+                detections={replayFrame ? null : detector.result?.detections}
+              />
+              {!isActive && !replayFrame && (
                 <div style={styles.cameraOverlay}>
                   <span style={{ fontSize: 48 }}>📹</span>
-                  <p style={{ color: '#94A3B8', marginTop: 12 }}>Camera not active</p>
+                  <p style={{ color: '#94A3B8', marginTop: 12 }}>{t('ui.cameraInactive')}</p>
+                  {cameraError && <p style={{ color: '#F87171', marginTop: 4, fontSize: 12 }}>{cameraError}</p>}
                 </div>
               )}
               {/* AI Detection Overlay */}
               {analysis?.success && analysis.image_quality !== 'no_airway_visible' && (
                 <div style={styles.detectionOverlay}>
                   <span style={styles.overlayText}>
-                    {analysis.guidance_message}
+                    {guidanceText}
                   </span>
                 </div>
               )}
             </div>
+            {source?.seekable && playback && (
+              <div style={styles.scrubBar}>
+                <button style={styles.btnSmall} onClick={() => setPaused(!playback.paused)}>
+                  {playback.paused ? '▶' : '⏸'}
+                </button>
+                <input
+                  type="range"
+                  style={{ flex: 1 }}
+                  min="0"
+                  max={playback.unit === 'frames' ? playback.duration - 1 : playback.duration}
+                  step={playback.unit === 'frames' ? 1 : 0.1}
+                  value={playback.position}
+                  onChange={e => seek(Number(e.target.value))}
+                  aria-label={t('ui.scrub')}
+                />
+                <span style={styles.scrubPosition} title={playback.name}>
+                  {playback.unit === 'frames'
+                    ? t('ui.frameOf', { n: playback.position + 1, total: playback.duration })
+                    : `${formatDuration(playback.position * 1000)} / ${formatDuration(playback.duration * 1000)}`}
+                </span>
+              </div>
+            )}
           </div>
 
           {/* Controls */}
           <div style={styles.controlBar}>
             {!isActive ? (
-              <button style={styles.btnPrimary} onClick={() => startCamera()}>
-                ▶ Start Camera
-              </button>
+              <>
+                <select
+                  style={styles.sourceSelect}
+                  value={sourceKind}
+                  onChange={(e) => setSourceKind(e.target.value)}
+                  title={t('ui.source')}
+                  disabled={!!replay}
+                >
+                  {Object.values(MEDIA_SOURCE_KINDS).map(kind => (
+                    <option key={kind} value={kind}>{t(`sources.${kind}`)}</option>
+                  ))}
+                </select>
+                <button style={styles.btnPrimary} onClick={startSelectedSource} disabled={!!replay}>
+                  ▶ {t(sourceKind === MEDIA_SOURCE_KINDS.WEBCAM ? 'ui.startCamera' : 'ui.startSource')}
+                </button>
+                <input ref={videoFileInputRef} type="file" accept={VIDEO_FILE_TYPES.join(',')} hidden onChange={handlePickedFiles} />
+                <input ref={imageFolderInputRef} type="file" accept="image/*" multiple webkitdirectory="" hidden onChange={handlePickedFiles} />
+              </>
             ) : (
-              <button style={styles.btnDanger} onClick={stopCamera}>
-                ⏹ Stop Camera
+              <button style={styles.btnDanger} onClick={stopSource}>
+                ⏹ {t(source?.kind === MEDIA_SOURCE_KINDS.WEBCAM ? 'ui.stopCamera' : 'ui.stopSource')}
               </button>
             )}
-            {isActive && !analysisInterval && (
+            <button
+              style={{ ...styles.btnSecondary, opacity: cameraSettingsOpen ? 1 : 0.7 }}
+              onClick={() => setCameraSettingsOpen(!cameraSettingsOpen)}
+            >
+              ⚙ {t('ui.cameraSettings')}
+            </button>
+            <button
+              style={{ ...styles.btnSecondary, opacity: detectorEnabled ? 1 : 0.5 }}
+              onClick={() => setDetectorEnabled(!detectorEnabled)}
+              title={t('ui.detectorHint')}
+            >
+              ◎ {t(detectorEnabled ? 'ui.detectorOn' : 'ui.detectorOff')}
+            </button>
+            {isActive && !monitoring && !replay && (
               <button style={styles.btnSuccess} onClick={startAnalysis}>
-                🔍 Start Analysis
+                🔍 {t('ui.startAnalysis')}
               </button>
             )}
-            {analysisInterval && (
+            {monitoring && (
               <button style={styles.btnWarning} onClick={stopAnalysis}>
-                ⏸ Pause Analysis
+                ⏸ {t('ui.pauseAnalysis')}
               </button>
             )}
             <button
               style={{ ...styles.btnSecondary, opacity: voiceEnabled ? 1 : 0.5 }}
-              onClick={() => setVoiceEnabled(!voiceEnabled)}
+              onClick={toggleVoice}
+            >
+              {voiceEnabled ? '🔊' : '🔇'} {t(voiceEnabled ? 'ui.voiceOn' : 'ui.voiceOff')}
+            </button>
+            <button
+              style={{ ...styles.btnSecondary, opacity: recordEnabled ? 1 : 0.5 }}
+              onClick={() => setRecordEnabled(!recordEnabled)}
+              disabled={monitoring}
             >
-              {voiceEnabled ? '🔊' : '🔇'} Voice {voiceEnabled ? 'ON' : 'OFF'}
+              {recordEnabled ? '⏺' : '○'} {t(recordEnabled ? 'ui.recordOn' : 'ui.recordOff')}
             </button>
+            <button
+              style={{ ...styles.btnSecondary, opacity: earconSettings.muted ? 0.5 : 1 }}
+              onClick={() => changeEarcons({ muted: !earconSettings.muted })}
+            >
+              {earconSettings.muted ? '🔕' : '🔔'} {t(earconSettings.muted ? 'ui.tonesOff' : 'ui.tonesOn')}
+            </button>
+            <button
+              style={{ ...styles.btnSecondary, opacity: earconSettings.proximityTone && !earconSettings.muted ? 1 : 0.5 }}
+              onClick={() => changeEarcons({ proximityTone: !earconSettings.proximityTone })}
+              disabled={earconSettings.muted}
+            >
+              📡 {t(earconSettings.proximityTone ? 'ui.proximityOn' : 'ui.proximityOff')}
+            </button>
+            <button
+              style={{ ...styles.btnSecondary, opacity: voiceCommands.listening ? 1 : 0.5 }}
+              onClick={() => setCommandsEnabled(!commandsEnabled)}
+              disabled={!voiceCommands.available}
+              title={voiceCommands.available ? (voiceCommands.error || t('ui.commandsHint')) : t('ui.commandsUnavailable')}
+            >
+              🎙 {t(commandsEnabled ? 'ui.commandsOn' : 'ui.commandsOff')}
+            </button>
+            <label style={styles.volumeControl}>
+              {t('ui.toneVolume')}
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={earconSettings.volume}
+                onChange={e => changeEarcons({ volume: Number(e.target.value) })}
+                disabled={earconSettings.muted}
+              />
+            </label>
+            {alertQueue.repeating.length > 0 && (
+              <button style={styles.btnDanger} onClick={acknowledgeAlerts}>
+                ✓ {t('ui.acknowledge')}
+              </button>
+            )}
           </div>
 
+          {/* Frame Quality */}
+          {frameQuality && (
+            <div style={styles.panel}>
+              <div style={styles.panelHeader}>
+                <span style={styles.panelIcon}>◐</span>
+                <span style={styles.panelTitle}>{t('quality.title')}</span>
+                <span style={{ ...styles.qualityDecision, color: frameQuality.send ? (frameQuality.forced ? '#F59E0B' : '#10B981') : '#F87171' }}>
+                  {t(frameQuality.send ? (frameQuality.forced ? 'quality.forced' : 'quality.sent') : 'quality.skipped')}
+                </span>
+              </div>
+              <div style={styles.qualityGrid}>
+                {[
+                  ['brightness', `${Math.round(frameQuality.metrics.brightness * 100)}%`],
+                  ['sharpness', Math.round(frameQuality.metrics.sharpness)],
+                  ['haze', `${Math.round(frameQuality.metrics.haze * 100)}%`],
+                  ['change', `${(frameQuality.change * 100).toFixed(1)}%`],
+                ].map(([key, value]) => (
+                  <div key={key} style={styles.qualityItem}>
+                    <span style={styles.qualityLabel}>{t(`quality.${key}`)}</span>
+                    <span style={styles.qualityValue}>{value}</span>
+                  </div>
+                ))}
+              </div>
+              <div style={styles.qualityFooter}>
+                <span>
+                  {frameQuality.issues.length > 0
+                    ? frameQuality.issues.map(issue => t(`quality.issues.${issue}`)).join(' · ')
+                    : t('quality.noIssues')}
+                </span>
+                <span>{t('quality.counts', { sent: frameQuality.stats.sent, skipped: frameQuality.stats.skipped })}</span>
+              </div>
+            </div>
+          )}
+
+          {/* Analysis Performance */}
+          {analysisStats && (
+            <div style={styles.panel}>
+              <div style={styles.panelHeader}>
+                <span style={styles.panelIcon}>⏱</span>
+                <span style={styles.panelTitle}>{t('performance.title')}</span>
+                <span style={{ ...styles.qualityDecision, color: analysisStats.intervalMs < 1000 ? '#F59E0B' : '#94A3B8' }}>
+                  {t('performance.pace', {
+                    seconds: (analysisStats.intervalMs / 1000).toFixed(1),
+                    reason: t(Object.values(PROCEDURE_STATES).includes(analysisStats.reason) ? `phases.${analysisStats.reason}` : `performance.reasons.${analysisStats.reason}`),
+                  })}
+                </span>
+              </div>
+              <div style={styles.qualityGrid}>
+                {[
+                  ['throughput', `${analysisStats.throughput.toFixed(2)}/s`],
+                  ['p50', formatLatency(analysisStats.latency.p50)],
+                  ['p90', formatLatency(analysisStats.latency.p90)],
+                  ['p99', formatLatency(analysisStats.latency.p99)],
+                ].map(([key, value]) => (
+                  <div key={key} style={styles.qualityItem}>
+                    <span style={styles.qualityLabel}>{t(`performance.${key}`)}</span>
+                    <span style={styles.qualityValue}>{value}</span>
+                  </div>
+                ))}
+              </div>
+              <div style={styles.qualityFooter}>
+                <span>{t('performance.inFlight', { count: analysisStats.inFlight, max: analysisStats.maxInFlight })}</span>
+                <span>{t('performance.counts', { applied: analysisStats.applied, dropped: analysisStats.dropped, stale: analysisStats.stale, failed: analysisStats.failed })}</span>
+              </div>
+            </div>
+          )}
+
+          {cameraSettingsOpen && (
+            <CameraSettings
+              t={t}
+              settings={cameraSettings}
+              onChange={changeCameraSettings}
+              devices={devices}
+              capabilities={capabilities}
+              trackSettings={trackSettings}
+              isActive={isActive}
+              videoRef={videoRef}
+            />
+          )}
+
           {/* Landmark Detection Panel */}
           <div style={styles.panel}>
             <div style={styles.panelHeader}>
               <span style={styles.panelIcon}>🔬</span>
-              <span style={styles.panelTitle}>LANDMARK DETECTION</span>
+              <span style={styles.panelTitle}>{t('ui.landmarkDetection')}</span>
             </div>
             <div style={styles.landmarkGrid}>
-              {analysis?.landmarks && Object.entries(analysis.landmarks).map(([key, value]) => {
+              {stableAnalysis?.landmarks && Object.entries(stableAnalysis.landmarks).map(([key, value]) => {
                 const isEsophagus = key === 'esophagus';
                 const activeColor = isEsophagus ? '#EF4444' : '#10B981';
                 return (
@@ -355,7 +1123,7 @@ export default function Dashboard() {
                     borderColor: value.visible ? activeColor : '#334155',
                     backgroundColor: value.visible ? (isEsophagus ? 'rgba(239,68,68,0.12)' : 'rgba(16,185,129,0.1)') : 'transparent',
                   }}>
-                    <span style={styles.landmarkName}>{key.replace(/_/g, ' ')}{isEsophagus && value.visible ? ' ⚠' : ''}</span>
+                    <span style={styles.landmarkName}>{t(`landmarks.${key}`)}{isEsophagus && value.visible ? ' ⚠' : ''}</span>
                     <span style={{
                       ...styles.landmarkStatus,
                       color: value.visible ? activeColor : '#64748B',
@@ -366,19 +1134,147 @@ export default function Dashboard() {
                 );
               })}
             </div>
+            {detectorEnabled && (
+              <div style={styles.detectorRow}>
+                <span style={styles.detectorTitle}>{t('ui.detector')}</span>
+                {detector.status === 'running' ? (
+                  <>
+                    <span>
+                      {detector.result?.detections.length
+                        ? detector.result.detections.map(d => `${t(`landmarks.${d.label}`)} ${Math.round(d.score * 100)}%`).join(' · ')
+                        : t('ui.detectorNothing')}
+                    </span>
+                    <span>{t('ui.detectorFps', { fps: detector.fps })}</span>
+                    {detectorAgreement && (
+                      <span style={{ color: detectorAgreement === 'agree' ? '#10B981' : '#F59E0B' }}>
+                        {t(detectorAgreement === 'agree' ? 'ui.geminiAgrees' : 'ui.geminiDisagrees')}
+                      </span>
+                    )}
+                  </>
+                ) : (
+                  <span style={{ color: detector.status === 'error' ? '#F87171' : '#94A3B8' }} title={detector.error ?? undefined}>
+                    {t(detector.status === 'error' ? 'ui.detectorError' : isActive ? 'ui.detectorLoading' : 'ui.cameraInactive')}
+                  </span>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
-        {/* CENTER COLUMN: Depth Gauge */}
+        {/* CENTER COLUMN: Patient + Depth Gauge */}
         <div style={styles.centerCol}>
+          <div style={styles.panel}>
+            <div style={styles.panelHeader}>
+              <span style={styles.panelIcon}>👶</span>
+              <span style={styles.panelTitle}>{t('ui.patient')}</span>
+            </div>
+            <div style={styles.patientGrid}>
+              {[
+                { key: 'weightKg', step: 0.1 },
+                { key: 'gestationalAgeWeeks', step: 1 },
+                { key: 'postnatalAgeDays', step: 1 },
+              ].map(field => (
+                <label key={field.key} style={styles.patientField}>
+                  <span>{t(`ui.${field.key}`)}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step={field.step}
+                    value={patientProfile[field.key] ?? ''}
+                    disabled={monitoring || !!replay}
+                    onChange={(e) => setPatientProfile(p => ({ ...p, [field.key]: e.target.value === '' ? null : Number(e.target.value) }))}
+                    style={styles.patientInput}
+                  />
+                </label>
+              ))}
+            </div>
+            <div style={styles.patientSummary}>
+              {calibration.isDefault ? (
+                <span>{t('ui.termDefaults')}</span>
+              ) : (
+                <>
+                  <span>{t('ui.tipToLip')} <b style={{ color: '#E2E8F0' }}>{calibration.tipToLipCm} cm</b> ({t(`ui.tipToLipMethods.${calibration.tipToLipMethod}`)}{calibration.tipToLipRule789Cm ? ` · 7-8-9: ${calibration.tipToLipRule789Cm}` : ''})</span>
+                  <span>{t('ui.optimal')} <b style={{ color: '#22C55E' }}>{calibration.optimalDepthCm} cm</b> {t('ui.belowCords', { cm: calibration.cordsToCarinaCm })}</span>
+                  {calibration.correctedGestationWeeks != null && <span>{t('ui.correctedGa', { weeks: calibration.correctedGestationWeeks })}</span>}
+                </>
+              )}
+            </div>
+          </div>
+
+          <div style={styles.panel}>
+            <div style={styles.panelHeader}>
+              <span style={styles.panelIcon}>⏱</span>
+              <span style={styles.panelTitle}>{t('ui.attemptTimer')}</span>
+              {!replay && (
+                <>
+                  <button
+                    style={styles.btnSmall}
+                    onClick={attemptClock?.running ? () => endAttempt() : markAttempt}
+                    disabled={!monitoring}
+                  >
+                    {t(attemptClock?.running ? 'ui.endAttempt' : 'ui.markAttempt')}
+                  </button>
+                  <button style={styles.btnSmall} onClick={unmarkAttempt} disabled={!attemptClock}>
+                    {t('ui.unmarkAttempt')}
+                  </button>
+                </>
+              )}
+            </div>
+            <div style={styles.attemptRow}>
+              <span style={{ color: '#64748B' }}>
+                {attemptClock ? t('ui.attemptNumber', { number: attemptClock.number }) : t('ui.noAttempt')}
+              </span>
+              <span style={{ color: attemptTimerColor, fontSize: 24, fontWeight: 700 }}>
+                {attemptClock ? attemptTimerText : '—'}
+              </span>
+            </div>
+            <div style={styles.attemptTrack}>
+              <div style={{
+                ...styles.attemptFill,
+                width: `${Math.min(1, (attemptClock?.seconds ?? 0) * 1000 / DEFAULT_ATTEMPT_OPTIONS.limitMs) * 100}%`,
+                backgroundColor: attemptTimerColor,
+              }} />
+            </div>
+            {attemptClock && !attemptClock.running && (
+              <div style={{ ...styles.attemptRow, marginTop: 6, marginBottom: 0 }}>
+                <span style={{ color: '#64748B' }}>{t(`attemptOutcomes.${attemptClock.outcome}`)}</span>
+              </div>
+            )}
+          </div>
+
           <div style={styles.panel}>
             <div style={styles.panelHeader}>
               <span style={styles.panelIcon}>📏</span>
-              <span style={styles.panelTitle}>DEPTH GAUGE</span>
+              <span style={styles.panelTitle}>{t('ui.depthGauge')}</span>
+            </div>
+            <div style={styles.phaseRow}>
+              <span style={{ color: '#64748B' }}>{t('ui.phase')}</span>
+              <span style={{ color: procedureStep?.suspicious ? '#F59E0B' : '#E2E8F0', fontWeight: 600 }}>
+                {t(`phases.${procedureStep?.state || 'no_view'}`)}{procedureStep?.suspicious ? ' ?' : ''}
+              </span>
             </div>
             <div style={styles.depthGauge}>
+              <div style={styles.depthScale}>
+              {depthMarker && (
+                <div style={styles.depthTrack}>
+                  <div style={{
+                    ...styles.depthErrorBar,
+                    top: `${depthMarker.top * 100}%`,
+                    height: `${(depthMarker.bottom - depthMarker.top) * 100}%`,
+                    backgroundColor: `${depthMarker.color}55`,
+                    borderColor: depthMarker.color,
+                  }} />
+                  <div style={{
+                    ...styles.depthMarker,
+                    top: `${depthMarker.center * 100}%`,
+                    backgroundColor: depthMarker.color,
+                    boxShadow: `0 0 8px ${depthMarker.color}`,
+                  }} />
+                </div>
+              )}
               {DEPTH_ZONES.map((zone) => {
                 const isCurrentZone = stableAnalysis?.depth_zone === zone.id;
+                const range = formatZoneRange(calibration.zones.find(z => z.id === zone.id));
                 return (
                   <div
                     key={zone.id}
@@ -394,27 +1290,102 @@ export default function Dashboard() {
                         <div style={{ width: 8, height: 8, borderRadius: '50%', backgroundColor: zone.color, boxShadow: `0 0 8px ${zone.color}` }} />
                       )}
                       <span style={{ color: isCurrentZone ? zone.color : '#94A3B8', fontWeight: isCurrentZone ? 700 : 400, fontFamily: 'JetBrains Mono', fontSize: 13 }}>
-                        {zone.label}
+                        {t(`zones.${zone.id}`)}
                       </span>
                     </div>
                     <span style={{ color: isCurrentZone ? zone.color : '#64748B', fontFamily: 'JetBrains Mono', fontSize: 12 }}>
-                      {zone.range}
+                      {range}
                     </span>
                   </div>
                 );
               })}
+              </div>
 
               {/* Depth readout */}
               <div style={styles.depthReadout}>
-                <span style={{ color: '#94A3B8', fontSize: 12, fontFamily: 'JetBrains Mono' }}>EST. DEPTH</span>
+                <span style={{ color: '#94A3B8', fontSize: 12, fontFamily: 'JetBrains Mono' }}>{t('ui.estDepth')}</span>
                 <span style={{ color: '#FFFFFF', fontSize: 32, fontWeight: 700, fontFamily: 'JetBrains Mono' }}>
-                  {stableAnalysis?.estimated_depth_cm?.toFixed(1) || '0.0'}
+                  {depthEstimate?.depth_cm != null ? depthEstimate.depth_cm.toFixed(1) : '—'}
+                  {depthEstimate?.uncertainty_cm != null && (
+                    <span style={{ fontSize: 16, color: '#94A3B8' }}> ±{depthEstimate.uncertainty_cm.toFixed(1)}</span>
+                  )}
                   <span style={{ fontSize: 16, color: '#64748B' }}> cm</span>
                 </span>
+                {stableAnalysis?.tracking && (
+                  <span style={{ color: '#64748B', fontSize: 11, fontFamily: 'JetBrains Mono', marginTop: 4 }}>
+                    {t('ui.stability')} {Math.round(stableAnalysis.tracking.stability * 100)}%
+                    {depthEstimate?.sources?.length > 0 && ` · ${depthEstimate.sources.map(source => t(`ui.depthSources.${source}`)).join(' + ')}`}
+                  </span>
+                )}
               </div>
             </div>
           </div>
 
+          {/* 3D Airway */}
+          <div style={styles.panel}>
+            <div style={styles.panelHeader}>
+              <span style={styles.panelIcon}>🫁</span>
+              <span style={styles.panelTitle}>{t('airway3d.title')}</span>
+            </div>
+            <Suspense fallback={<p style={styles.airwayLoading}>{t('airway3d.loading')}</p>}>
+              <AirwayView3D
+                t={t}
+                calibration={calibration}
+                stableAnalysis={monitoring || replay ? stableAnalysis : null}
+                procedureState={procedureStep?.state}
+              />
+            </Suspense>
+          </div>
+
+          {/* Recorded Sessions */}
+          <div style={styles.panel}>
+            <div style={styles.panelHeader}>
+              <span style={styles.panelIcon}>🎞</span>
+              <span style={styles.panelTitle}>{t('ui.sessions')}</span>
+              <select
+                style={styles.speedSelect}
+                value={replaySpeed}
+                onChange={(e) => setReplaySpeed(Number(e.target.value))}
+              >
+                {[1, 2, 4, 8].map(x => <option key={x} value={x}>{x}×</option>)}
+              </select>
+            </div>
+            {replay && (
+              <button style={{ ...styles.btnWarning, width: '100%', marginBottom: 8 }} onClick={stopReplay}>
+                ⏹ {t('ui.stopReplay')}
+              </button>
+            )}
+            {sessions.length === 0 ? (
+              <p style={{ color: '#475569', fontFamily: 'JetBrains Mono', fontSize: 11 }}>{t('ui.noSessions')}</p>
+            ) : (
+              <div style={styles.sessionList}>
+                {sessions.map(session => (
+                  <div key={session.id} style={styles.sessionItem}>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                      <span style={{ color: '#CBD5E1' }}>
+                        {new Date(session.startedAt).toLocaleString(LOCALES[locale].meta.dateLocale, { hour12: false, month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      </span>
+                      <span style={{ color: '#475569', fontSize: 10 }}>
+                        {t('ui.sessionSummary', { frames: session.frameCount, alerts: session.alertCount, provider: session.provider })}
+                      </span>
+                    </div>
+                    <div style={{ display: 'flex', gap: 4 }}>
+                      <button
+                        style={styles.btnSmall}
+                        disabled={monitoring || !!replay || session.id === sessionIdRef.current}
+                        onClick={() => startReplay(session.id, replaySpeed)}
+                      >▶</button>
+                      <button
+                        style={styles.btnSmall}
+                        disabled={!!replay || session.id === sessionIdRef.current}
+                        onClick={() => removeSession(session.id)}
+                      >✕</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
 
         {/* RIGHT COLUMN: Event Log */}
@@ -422,17 +1393,34 @@ export default function Dashboard() {
           <div style={{ ...styles.panel, flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column' }}>
             <div style={styles.panelHeader}>
               <span style={styles.panelIcon}>📋</span>
-              <span style={styles.panelTitle}>PROCEDURE LOG</span>
+              <span style={styles.panelTitle}>{t('ui.procedureLog')}</span>
               {eventLog.length > 0 && (
                 <span style={{ color: '#475569', fontSize: 10, fontFamily: 'JetBrains Mono', backgroundColor: '#1E293B', padding: '2px 7px', borderRadius: 4 }}>
                   {eventLog.length}
                 </span>
               )}
+              {report && (
+                <span style={styles.exportGroup}>
+                  {[['pdf', 'PDF'], ['json', 'JSON'], ['fhir', 'FHIR']].map(([format, label]) => (
+                    <button key={format} style={styles.btnSmall} onClick={() => exportReport(format)} title={t('ui.exportReport', { format: label })}>
+                      ⤓ {label}
+                    </button>
+                  ))}
+                </span>
+              )}
             </div>
+            {report && (
+              <div style={styles.reportSummary}>
+                <span>{t('ui.attempts')} <b style={{ color: report.summary.attempts_over_limit ? '#F59E0B' : undefined }}>{report.summary.attempts}</b>{report.summary.longest_attempt_ms != null && ` (${t('ui.longestAttempt', { duration: formatDuration(report.summary.longest_attempt_ms) })})`}</span>
+                <span>{t('ui.glottic')} <b>{formatDuration(report.summary.time_to_glottic_view_ms)}</b></span>
+                <span>{t('ui.tracheal')} <b>{formatDuration(report.summary.time_to_tracheal_placement_ms)}</b></span>
+                <span>{t('ui.lowest')} <b style={{ color: STATUS_CONFIG[report.summary.lowest_safety_status]?.color }}>{report.summary.lowest_safety_status ? t(`status.${report.summary.lowest_safety_status}`) : '—'}</b></span>
+              </div>
+            )}
             <div style={styles.eventLog}>
               {eventLog.length === 0 ? (
                 <p style={{ color: '#475569', textAlign: 'center', marginTop: 40, fontFamily: 'JetBrains Mono', fontSize: 12, lineHeight: 1.6 }}>
-                  Start camera and analysis<br />to see procedure events
+                  {t('ui.emptyLogLine1')}<br />{t('ui.emptyLogLine2')}
                 </p>
               ) : (
                 eventLog.map((event, i) => {
@@ -497,15 +1485,15 @@ export default function Dashboard() {
           }}>
             <div style={styles.panelHeader}>
               <span style={styles.panelIcon}>💬</span>
-              <span style={styles.panelTitle}>AI GUIDANCE</span>
+              <span style={styles.panelTitle}>{t('ui.aiGuidance')}</span>
             </div>
             {analysis?.image_quality === 'no_airway_visible' && analysis?.identified_as && (
               <p style={{ color: '#F59E0B', fontSize: 12, fontFamily: 'JetBrains Mono', marginBottom: 8 }}>
-                DETECTED: {analysis.identified_as}
+                {t('ui.detected')}: {analysis.identified_as}
               </p>
             )}
             <p style={{ color: '#E2E8F0', fontSize: 15, lineHeight: 1.5, margin: 0 }}>
-              {analysis?.guidance_message || 'Awaiting camera feed and analysis...'}
+              {guidanceText || t('guidance.awaiting')}
             </p>
           </div>
         </div>
@@ -556,6 +1544,18 @@ const styles = {
     animation: 'pulse 2s infinite',
   },
   fpsCounter: { color: '#64748B', fontSize: 12, fontFamily: 'JetBrains Mono' },
+  voiceTag: {
+    fontSize: 10, fontWeight: 700, fontFamily: 'JetBrains Mono',
+    padding: '2px 8px', borderRadius: 4, border: '1px solid',
+  },
+  providerTag: {
+    color: '#F59E0B', fontSize: 10, fontWeight: 700, fontFamily: 'JetBrains Mono',
+    padding: '2px 8px', borderRadius: 4, border: '1px solid #F59E0B55',
+  },
+  localeSelect: {
+    backgroundColor: '#0F172A', color: '#94A3B8', border: '1px solid #334155',
+    borderRadius: 4, fontSize: 10, fontWeight: 700, fontFamily: 'JetBrains Mono',
+  },
 
   grid: {
     display: 'grid',
@@ -590,6 +1590,7 @@ const styles = {
     borderRadius: 8, overflow: 'hidden',
   },
   video: { width: '100%', height: '100%', objectFit: 'cover' },
+  replayImage: { position: 'absolute', inset: 0, width: '100%', height: '100%', objectFit: 'cover' },
   cameraOverlay: {
     position: 'absolute', inset: 0,
     display: 'flex', flexDirection: 'column',
@@ -640,6 +1641,36 @@ const styles = {
     backgroundColor: 'transparent', color: '#E2E8F0', fontWeight: 600, fontSize: 13,
     fontFamily: "'Plus Jakarta Sans', sans-serif",
   },
+  sourceSelect: {
+    padding: '8px 10px', borderRadius: 8, border: '1px solid #334155',
+    backgroundColor: '#0F172A', color: '#E2E8F0', fontWeight: 600, fontSize: 13,
+    fontFamily: "'Plus Jakarta Sans', sans-serif",
+  },
+  scrubBar: {
+    display: 'flex', alignItems: 'center', gap: 8, marginTop: 8,
+  },
+  scrubPosition: {
+    color: '#94A3B8', fontSize: 11, fontFamily: 'JetBrains Mono', whiteSpace: 'nowrap',
+  },
+  volumeControl: {
+    display: 'flex', alignItems: 'center', gap: 6,
+    color: '#94A3B8', fontSize: 12, fontWeight: 600,
+  },
+
+  qualityDecision: { fontSize: 10, fontWeight: 700, fontFamily: 'JetBrains Mono' },
+  qualityGrid: {
+    display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 8,
+  },
+  qualityItem: {
+    padding: '6px 8px', borderRadius: 8, border: '1px solid #334155',
+    display: 'flex', flexDirection: 'column', gap: 2,
+  },
+  qualityLabel: { color: '#64748B', fontSize: 10, fontFamily: 'JetBrains Mono' },
+  qualityValue: { color: '#E2E8F0', fontSize: 13, fontWeight: 600, fontFamily: 'JetBrains Mono' },
+  qualityFooter: {
+    display: 'flex', justifyContent: 'space-between', gap: 8, marginTop: 8,
+    color: '#94A3B8', fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
 
   landmarkGrid: {
     display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8,
@@ -648,10 +1679,77 @@ const styles = {
     padding: '8px 12px', borderRadius: 8, border: '1px solid #334155',
     display: 'flex', justifyContent: 'space-between', alignItems: 'center',
   },
+  detectorRow: {
+    display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 8, paddingTop: 8,
+    borderTop: '1px solid #1E293B',
+    color: '#CBD5E1', fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
+  detectorTitle: { color: '#64748B', fontWeight: 700 },
   landmarkName: { color: '#CBD5E1', fontSize: 12, fontFamily: 'JetBrains Mono', textTransform: 'capitalize' },
   landmarkStatus: { fontSize: 12, fontWeight: 600, fontFamily: 'JetBrains Mono' },
 
+  btnSmall: {
+    padding: '4px 8px', borderRadius: 6, border: '1px solid #334155', cursor: 'pointer',
+    backgroundColor: 'transparent', color: '#E2E8F0', fontSize: 11,
+  },
+  exportGroup: { marginLeft: 'auto', display: 'flex', gap: 4 },
+  reportSummary: {
+    display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginBottom: 10, padding: '8px 10px',
+    borderRadius: 8, backgroundColor: 'rgba(15,23,42,0.5)',
+    color: '#64748B', fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
+  speedSelect: {
+    backgroundColor: '#0F172A', color: '#94A3B8', border: '1px solid #334155',
+    borderRadius: 4, fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
+  sessionList: { display: 'flex', flexDirection: 'column', gap: 6, maxHeight: 200, overflowY: 'auto' },
+  sessionItem: {
+    display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+    padding: '6px 10px', borderRadius: 8, border: '1px solid #1E293B',
+    fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
+
+  patientGrid: { display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 8 },
+  patientField: {
+    display: 'flex', flexDirection: 'column', gap: 4,
+    color: '#64748B', fontSize: 10, fontFamily: 'JetBrains Mono',
+  },
+  patientInput: {
+    width: '100%', padding: '6px 8px', borderRadius: 6,
+    border: '1px solid #334155', backgroundColor: '#0A0F1C', color: '#E2E8F0',
+    fontSize: 13, fontFamily: 'JetBrains Mono',
+  },
+  patientSummary: {
+    display: 'flex', flexDirection: 'column', gap: 2, marginTop: 10,
+    color: '#64748B', fontSize: 11, fontFamily: 'JetBrains Mono',
+  },
+
   depthGauge: { display: 'flex', flexDirection: 'column', gap: 6 },
+  depthScale: { position: 'relative', display: 'flex', flexDirection: 'column', gap: 6, paddingLeft: 16 },
+  depthTrack: {
+    position: 'absolute', left: 0, top: 0, bottom: 0, width: 10,
+    borderRadius: 5, backgroundColor: '#1E293B',
+  },
+  depthErrorBar: {
+    position: 'absolute', left: 2, width: 6, minHeight: 2,
+    borderRadius: 3, border: '1px solid',
+    transition: 'top 0.4s ease, height 0.4s ease',
+  },
+  depthMarker: {
+    position: 'absolute', left: -3, width: 16, height: 4, marginTop: -2,
+    borderRadius: 2,
+    transition: 'top 0.4s ease',
+  },
+  attemptRow: {
+    display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+    marginBottom: 8, fontSize: 12, fontFamily: 'JetBrains Mono',
+  },
+  attemptTrack: { height: 6, borderRadius: 3, backgroundColor: '#1E293B', overflow: 'hidden' },
+  attemptFill: { height: '100%', transition: 'width 0.25s linear' },
+  phaseRow: {
+    display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+    marginBottom: 10, fontSize: 12, fontFamily: 'JetBrains Mono',
+  },
   depthZone: {
     padding: '10px 12px', borderRadius: 8,
     border: '1px solid #1E293B',
@@ -663,6 +1761,7 @@ const styles = {
     padding: '16px 0', marginTop: 8,
     borderTop: '1px solid #1E293B',
   },
+  airwayLoading: { color: '#64748B', fontSize: 12, fontFamily: 'JetBrains Mono', height: 300 },
 
   eventLog: {
     flex: 1, minHeight: 0, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 4,
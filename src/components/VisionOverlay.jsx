@@ -0,0 +1,199 @@
+/**
+ * NeoGuide Vision Overlay
+ *
+ * Canvas over the camera feed (or the replayed frame) that draws where the
+ * landmarks are: each located landmark's box or outline with its name and
+ * confidence, the on-device detector's boxes (dashed), the esophagus filled
+ * in red, and a reticle from the scope's axis (the frame centre) to the
+ * glottic opening, which turns green when the tip is lined up with it.
+ *
+ * Analysis results and detector boxes are both located on the analysis frame
+ * (cropped and rotated per the camera settings), and mapped onto the element
+ * as shown — objectFit: cover, then the CSS rotation.
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { analysisPointToVideo } from '../services/cameraSettings';
+
+const LANDMARK_COLORS = {
+  epiglottis: '#06B6D4',
+  vocal_cords: '#38BDF8',
+  glottis: '#10B981',
+  tracheal_rings: '#22C55E',
+  carina: '#F59E0B',
+  esophagus: '#EF4444',
+};
+const DETECTOR_COLOR = '#10B981';
+const RETICLE_COLOR = '#E2E8F0';
+const ALIGN_TOLERANCE = 0.08;   // of the shorter side — target this close to the axis counts as lined up
+const FONT = '600 11px JetBrains Mono, monospace';
+
+// Polygon → its vertex mean; good enough for the convex-ish glottic opening
+function centroid(points) {
+  const sum = points.reduce(([sx, sy], [x, y]) => [sx + x, sy + y], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+function boxCorners({ x, y, width, height }) {
+  return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+}
+
+function drawLabel(ctx, text, [x, y], color) {
+  ctx.font = FONT;
+  const width = ctx.measureText(text).width + 8;
+  const top = Math.max(0, y - 16);
+  ctx.fillStyle = color;
+  ctx.fillRect(x, top, width, 15);
+  ctx.fillStyle = '#000';
+  ctx.fillText(text, x + 4, top + 11);
+}
+
+function drawRegion(ctx, points, { color, dashed = false, fill = null, lineWidth = 2 }) {
+  ctx.beginPath();
+  points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.closePath();
+  if (fill) {
+    ctx.fillStyle = fill;
+    ctx.fill();
+  }
+  ctx.setLineDash(dashed ? [6, 4] : []);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+function drawReticle(ctx, aim, target, aligned, label) {
+  const color = aligned ? '#10B981' : '#F59E0B';
+
+  // Crosshair on the scope's axis
+  ctx.strokeStyle = RETICLE_COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+    ctx.moveTo(aim[0] + dx * 5, aim[1] + dy * 5);
+    ctx.lineTo(aim[0] + dx * 16, aim[1] + dy * 16);
+  }
+  ctx.stroke();
+
+  // Ring on the glottic opening
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(target[0], target[1], 14, 0, 2 * Math.PI);
+  ctx.stroke();
+
+  if (aligned) {
+    drawLabel(ctx, label, [target[0] + 18, target[1] + 4], color);
+    return;
+  }
+
+  // Steer line: axis → opening, arrowhead at the ring
+  const angle = Math.atan2(target[1] - aim[1], target[0] - aim[0]);
+  const tip = [target[0] - Math.cos(angle) * 16, target[1] - Math.sin(angle) * 16];
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(aim[0], aim[1]);
+  ctx.lineTo(tip[0], tip[1]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(tip[0], tip[1]);
+  ctx.lineTo(tip[0] - Math.cos(angle - 0.4) * 10, tip[1] - Math.sin(angle - 0.4) * 10);
+  ctx.lineTo(tip[0] - Math.cos(angle + 0.4) * 10, tip[1] - Math.sin(angle + 0.4) * 10);
+  ctx.closePath();
+  ctx.fill();
+}
+
+export default function VisionOverlay({ t, sourceRef, view = null, analysis = null, detections = null }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const source = sourceRef.current;
+    if (!canvas || !source) return undefined;
+
+    const draw = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const W = canvas.clientWidth;
+      const H = canvas.clientHeight;
+      canvas.width = Math.round(W * dpr);
+      canvas.height = Math.round(H * dpr);
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, W, H);
+
+      const sourceW = source.videoWidth ?? source.naturalWidth;
+      const sourceH = source.videoHeight ?? source.naturalHeight;
+      if (!sourceW || !sourceH) return;
+
+      // Source pixels → element pixels: objectFit cover, then the CSS rotation about the centre
+      const scale = Math.max(W / sourceW, H / sourceH);
+      const angle = ((view?.rotation ?? 0) * Math.PI) / 180;
+      const toElement = ([px, py]) => {
+        const ex = px * scale + (W - sourceW * scale) / 2 - W / 2;
+        const ey = py * scale + (H - sourceH * scale) / 2 - H / 2;
+        return [W / 2 + ex * Math.cos(angle) - ey * Math.sin(angle), H / 2 + ex * Math.sin(angle) + ey * Math.cos(angle)];
+      };
+      // Analysis-frame fractions → element pixels (a replayed frame is the analysis frame)
+      const fromFrame = view
+        ? (point) => toElement(analysisPointToVideo(point, sourceW, sourceH, view))
+        : ([x, y]) => toElement([x * sourceW, y * sourceH]);
+      const topLeft = (points) => points.reduce((best, p) => (p[1] < best[1] || (p[1] === best[1] && p[0] < best[0]) ? p : best));
+
+      let target = null;
+
+      // Analysis landmarks — the esophagus last, so its red sits on top
+      const located = Object.entries(analysis?.landmarks ?? {})
+        .filter(([, lm]) => lm.visible && lm.box)
+        .sort(([a], [b]) => (a === 'esophagus') - (b === 'esophagus'));
+      for (const [key, lm] of located) {
+        const points = (lm.polygon ?? boxCorners(lm.box)).map(fromFrame);
+        const esophagus = key === 'esophagus';
+        drawRegion(ctx, points, {
+          color: LANDMARK_COLORS[key],
+          fill: esophagus ? 'rgba(239,68,68,0.3)' : null,
+          lineWidth: esophagus ? 3 : 2,
+        });
+        const name = t(`landmarks.${key}`);
+        drawLabel(ctx, `${esophagus ? `⚠ ${name.toUpperCase()}` : name} ${Math.round(lm.confidence * 100)}%`, topLeft(points), LANDMARK_COLORS[key]);
+        if (key === 'glottis' || (key === 'vocal_cords' && !target)) target = centroid(points);
+      }
+
+      // On-device detections (also on the analysis frame) — the freshest place to aim at
+      let detectorTarget = null;
+      for (const { label, score, box } of detections ?? []) {
+        const points = boxCorners(box).map(fromFrame);
+        drawRegion(ctx, points, { color: DETECTOR_COLOR, dashed: true });
+        drawLabel(ctx, `◎ ${t(`landmarks.${label}`)} ${Math.round(score * 100)}%`, topLeft(points), DETECTOR_COLOR);
+        if (label === 'glottis' || (label === 'vocal_cords' && !detectorTarget)) detectorTarget = centroid(points);
+      }
+      target = detectorTarget ?? target;
+
+      // No aiming at the cords while the tube is in the esophagus
+      if (target && !analysis?.landmarks?.esophagus?.visible) {
+        const aim = fromFrame([0.5, 0.5]);
+        const aligned = Math.hypot(target[0] - aim[0], target[1] - aim[1]) < ALIGN_TOLERANCE * Math.min(W, H);
+        drawReticle(ctx, aim, target, aligned, t('ui.reticleAligned'));
+      }
+    };
+
+    draw();
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    // Video size changes (new source, resolution) and replayed images finishing loading
+    const sizeEvent = source.tagName === 'IMG' ? 'load' : 'resize';
+    source.addEventListener(sizeEvent, draw);
+    return () => {
+      observer.disconnect();
+      source.removeEventListener(sizeEvent, draw);
+    };
+  }, [t, sourceRef, view, analysis, detections]);
+
+  return <canvas ref={canvasRef} style={styles.canvas} aria-hidden="true" />;
+}
+
+const styles = {
+  canvas: { position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' },
+};
@@ -0,0 +1,109 @@
+/**
+ * NeoGuide - Glottis Detector Hook
+ *
+ * Runs the on-device glottis detector on every new video frame while
+ * enabled (one inference at a time — frames that arrive mid-inference are
+ * skipped). The model loads on first enable.
+ *
+ * The detector sees the analysis frame (captureCanvas, with the camera
+ * settings' crop and rotation), so its boxes are on the same frame as
+ * Gemini's. The latest detection is kept in latestRef for the analysis
+ * pipeline; `result` and `fps` are state for the overlay and panel, and
+ * only update every PUBLISH_MS — not at video rate.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { createGlottisDetector } from '../services/glottisDetector';
+import { captureCanvas } from '../services/visionPipeline';
+
+const PUBLISH_MS = 100;   // ~10 Hz is smooth enough for the overlay boxes
+
+export function useGlottisDetector({ videoRef, enabled, view = null }) {
+  const detectorRef = useRef(null);
+  const latestRef = useRef(null);                 // latest detection, with capturedAt (ms)
+  const viewRef = useRef(view);
+  const [status, setStatus] = useState('idle');   // 'idle' | 'loading' | 'running' | 'error'
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);     // latest published detection (analyzeFrame shape + detections)
+  const [fps, setFps] = useState(0);
+
+  // Crop and rotation changes apply from the next frame, without restarting the loop
+  useEffect(() => { viewRef.current = view; }, [view]);
+
+  useEffect(() => {
+    if (!enabled) {
+      latestRef.current = null;
+      setStatus('idle');
+      setResult(null);
+      setFps(0);
+      return undefined;
+    }
+    detectorRef.current ??= createGlottisDetector();
+    const detector = detectorRef.current;
+    let cancelled = false;
+    let busy = false;
+    let frameHandle = null;
+    let lastDone = null;
+    let lastPublished = 0;
+    let rate = 0;
+
+    const video = videoRef.current;
+    // requestVideoFrameCallback fires once per decoded frame; fall back to animation frames
+    const schedule = video?.requestVideoFrameCallback
+      ? (fn) => { frameHandle = video.requestVideoFrameCallback(fn); }
+      : (fn) => { frameHandle = requestAnimationFrame(fn); };
+    const cancel = video?.cancelVideoFrameCallback
+      ? () => video.cancelVideoFrameCallback(frameHandle)
+      : () => cancelAnimationFrame(frameHandle);
+
+    const onFrame = () => {
+      if (cancelled) return;
+      schedule(onFrame);
+      if (busy || !video?.videoWidth) return;
+      busy = true;
+      const capturedAt = Date.now();
+      const { canvas } = captureCanvas(video, viewRef.current ?? undefined);
+      detector.detect(canvas)
+        .then((detection) => {
+          if (cancelled) return;
+          const now = performance.now();
+          if (lastDone != null) rate = rate * 0.8 + (1000 / (now - lastDone)) * 0.2;
+          lastDone = now;
+          latestRef.current = { ...detection, capturedAt };
+          if (now - lastPublished >= PUBLISH_MS) {
+            lastPublished = now;
+            setResult(latestRef.current);
+            setFps(Math.round(rate));
+          }
+        })
+        .catch(err => console.warn('Glottis detector:', err))
+        .finally(() => { busy = false; });
+    };
+
+    setStatus('loading');
+    setError(null);
+    detector.load()
+      .then(() => {
+        if (cancelled) return;
+        setStatus('running');
+        schedule(onFrame);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error(err);
+        setError(err.message);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+      latestRef.current = null;
+      if (frameHandle != null) cancel();
+    };
+  }, [enabled, videoRef]);
+
+  // Release the model on unmount
+  useEffect(() => () => detectorRef.current?.dispose(), []);
+
+  return { status, error, result, fps, latestRef };
+}
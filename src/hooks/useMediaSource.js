@@ -0,0 +1,155 @@
+/**
+ * NeoGuide - Media Source Hook
+ *
+ * Plays the chosen media source (camera, video file, image folder or test
+ * pattern — see mediaSources.js) into one <video> element, so capture and
+ * analysis work the same on all of them.
+ * Cameras are re-enumerated when devices are plugged in or out, so a
+ * hot-plugged scope shows up without a reload.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { DEFAULT_CAMERA_SETTINGS } from '../services/cameraSettings';
+import { createWebcamSource } from '../services/mediaSources';
+
+export function useMediaSource() {
+  const videoRef = useRef(null);
+  const sourceRef = useRef(null);
+  const [source, setSource] = useState(null);          // { kind, label, seekable } of the running source
+  const [isActive, setIsActive] = useState(false);
+  const [error, setError] = useState(null);
+  const [playback, setPlayback] = useState(null);      // position/duration of seekable sources
+  const [devices, setDevices] = useState([]);
+  const [capabilities, setCapabilities] = useState({});  // what the live track supports (focus, torch...)
+  const [trackSettings, setTrackSettings] = useState(null); // what the camera actually delivers
+
+  // Get available video devices (labels are empty until camera permission is granted)
+  const refreshDevices = useCallback(async () => {
+    try {
+      const allDevices = await navigator.mediaDevices.enumerateDevices();
+      const videoDevices = allDevices.filter(d => d.kind === 'videoinput');
+      setDevices(videoDevices);
+    } catch (err) {
+      console.error('Error enumerating devices:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshDevices();
+    const media = navigator.mediaDevices;
+    media?.addEventListener?.('devicechange', refreshDevices);
+    return () => media?.removeEventListener?.('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
+  const readTrack = useCallback((track) => {
+    setCapabilities(track?.getCapabilities?.() ?? {});
+    setTrackSettings(track?.getSettings?.() ?? null);
+  }, []);
+
+  // Stop whatever is playing
+  const stopSource = useCallback(() => {
+    sourceRef.current?.stop();
+    sourceRef.current = null;
+    setSource(null);
+    setIsActive(false);
+    setPlayback(null);
+    setCapabilities({});
+    setTrackSettings(null);
+  }, []);
+
+  /**
+   * Start a media source, replacing the running one
+   * @param {Object} next - From one of the create*Source factories in mediaSources.js
+   */
+  const startSource = useCallback(async (next) => {
+    try {
+      setError(null);
+      if (sourceRef.current) stopSource();
+      sourceRef.current = next;
+      await next.start(videoRef.current, {
+        onPlayback: (state) => {
+          if (sourceRef.current === next) setPlayback(state);
+        },
+        onEnded: (err) => {
+          if (sourceRef.current !== next) return;
+          setError(err.message);
+          stopSource();
+        },
+      });
+      if (sourceRef.current !== next) {
+        next.stop(); // replaced or stopped while starting — release what start() opened
+        return;
+      }
+
+      setSource({ kind: next.kind, label: next.label, seekable: next.seekable });
+      setPlayback(next.getPlayback?.() ?? null);
+      readTrack(next.getTrack?.());
+      setIsActive(true);
+      if (next.getTrack) refreshDevices(); // labels become readable once permission is granted
+    } catch (err) {
+      console.error('Media source error:', err);
+      next.stop();
+      if (sourceRef.current === next) sourceRef.current = null;
+      setError(err.message || 'Failed to start media source');
+      setIsActive(false);
+    }
+  }, [stopSource, readTrack, refreshDevices]);
+
+  /**
+   * Start the camera
+   * @param {Object|string|null} [settingsOrDeviceId] - Camera settings (see cameraSettings.js), or just a device ID
+   */
+  const startCamera = useCallback((settingsOrDeviceId = null) => {
+    const settings = typeof settingsOrDeviceId === 'object' && settingsOrDeviceId !== null
+      ? { ...DEFAULT_CAMERA_SETTINGS, ...settingsOrDeviceId }
+      : { ...DEFAULT_CAMERA_SETTINGS, deviceId: settingsOrDeviceId };
+    return startSource(createWebcamSource(settings));
+  }, [startSource]);
+
+  /**
+   * Apply new settings to the running camera. Resolution, frame rate, focus,
+   * exposure and torch change in place; a different device reopens the stream.
+   * Other sources ignore this (crop and rotation apply at capture).
+   * @param {Object} settings - Camera settings (see cameraSettings.js)
+   */
+  const applySettings = useCallback(async (settings) => {
+    const current = sourceRef.current;
+    if (!current?.applySettings) return;
+    if (!(await current.applySettings(settings))) {
+      await startCamera(settings);
+      return;
+    }
+    readTrack(current.getTrack());
+  }, [startCamera, readTrack]);
+
+  // Scrubbing — no-ops for live sources
+  const seek = useCallback((position) => {
+    sourceRef.current?.seek?.(position);
+  }, []);
+
+  const setPaused = useCallback((paused) => {
+    sourceRef.current?.setPaused?.(paused);
+  }, []);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => sourceRef.current?.stop();
+  }, []);
+
+  return {
+    videoRef,
+    source,
+    isActive,
+    error,
+    playback,
+    devices,
+    capabilities,
+    trackSettings,
+    startSource,
+    startCamera,
+    stopSource,
+    applySettings,
+    seek,
+    setPaused,
+  };
+}
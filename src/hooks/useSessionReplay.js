@@ -0,0 +1,101 @@
+/**
+ * NeoGuide - Session Replay Hook
+ *
+ * Lists recorded sessions and plays one back frame by frame, at real or
+ * accelerated speed, handing each recorded frame to the caller's pipeline.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { listSessions, loadSession, deleteSession } from '../services/sessionRecorder';
+import { createReplayProvider } from '../services/providers/replayProvider';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onStart - Called before the first frame (reset pipeline state)
+ * @param {Function} options.onFrame - async (frame, provider) → void, run for every recorded frame
+ * @param {Function} [options.onEnd] - Called when playback finishes or is stopped
+ */
+export function useSessionReplay({ onStart, onFrame, onEnd }) {
+  const [sessions, setSessions] = useState([]);
+  const [replay, setReplay] = useState(null); // { sessionId, index, total, speed }
+  const [error, setError] = useState(null);
+  const runIdRef = useRef(0);               // bumps to cancel an in-flight playback
+  const callbacksRef = useRef({ onStart, onFrame, onEnd });
+
+  useEffect(() => { callbacksRef.current = { onStart, onFrame, onEnd }; }, [onStart, onFrame, onEnd]);
+
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      console.error('Error listing sessions:', err);
+      setError(err.message || 'Failed to list sessions');
+    }
+  }, []);
+
+  useEffect(() => { refreshSessions(); }, [refreshSessions]);
+
+  const stopReplay = useCallback(() => {
+    runIdRef.current++;
+    setReplay(null);
+    callbacksRef.current.onEnd?.();
+  }, []);
+
+  const startReplay = useCallback(async (sessionId, speed = 1) => {
+    const runId = ++runIdRef.current;
+    setError(null);
+
+    let frames;
+    try {
+      ({ frames } = await loadSession(sessionId));
+    } catch (err) {
+      console.error('Error loading session:', err);
+      setError(err.message || 'Failed to load session');
+      return;
+    }
+    if (runId !== runIdRef.current || frames.length === 0) return;
+
+    const provider = createReplayProvider(frames);
+    setReplay({ sessionId, index: 0, total: frames.length, speed });
+    callbacksRef.current.onStart?.();
+
+    for (let i = 0; i < frames.length; i++) {
+      // Keep the recorded spacing between frames, compressed by the speed factor
+      if (i > 0) await sleep((frames[i].capturedAt - frames[i - 1].capturedAt) / speed);
+      if (runId !== runIdRef.current) return;
+
+      setReplay(r => r && { ...r, index: i + 1 });
+      try {
+        await callbacksRef.current.onFrame(frames[i], provider);
+      } catch (err) {
+        console.error('Replay frame error:', err);
+      }
+    }
+
+    if (runId === runIdRef.current) stopReplay();
+  }, [stopReplay]);
+
+  const removeSession = useCallback(async (sessionId) => {
+    try {
+      await deleteSession(sessionId);
+    } catch (err) {
+      console.error('Error deleting session:', err);
+    }
+    refreshSessions();
+  }, [refreshSessions]);
+
+  // Cancel playback on unmount
+  useEffect(() => () => { runIdRef.current++; }, []);
+
+  return {
+    sessions,
+    replay,
+    error,
+    refreshSessions,
+    startReplay,
+    stopReplay,
+    removeSession,
+  };
+}
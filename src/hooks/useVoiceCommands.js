@@ -0,0 +1,47 @@
+/**
+ * NeoGuide - Voice Commands Hook
+ *
+ * Keeps the command recognizer listening while enabled, in the dashboard's
+ * locale. The latest onCommand is always the one called, so the recognizer
+ * isn't restarted on every render.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getCommandRecognizer, listenForCommands } from '../services/voiceCommands';
+
+export function useVoiceCommands({ enabled, locale, onCommand }) {
+  const onCommandRef = useRef(onCommand);
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState(null);
+
+  onCommandRef.current = onCommand;
+  const available = getCommandRecognizer().isAvailable();
+
+  useEffect(() => {
+    if (!enabled || !available) return undefined;
+    setError(null);
+    let stop;
+    try {
+      stop = listenForCommands({
+        lang: locale,
+        onCommand: (command, transcript) => onCommandRef.current(command, transcript),
+        onError: (err) => {
+          console.warn('Voice commands:', err);
+          setError(err.message);
+          if (err.fatal) setListening(false);
+        },
+      });
+      setListening(true);
+    } catch (err) {
+      console.error('Voice commands could not start:', err);
+      setError(err.message);
+      return undefined;
+    }
+    return () => {
+      stop();
+      setListening(false);
+    };
+  }, [enabled, locale, available]);
+
+  return { available, listening, error };
+}
@@ -1,90 +0,0 @@
-/**
- * NeoGuide - Webcam Hook
- * 
- * Custom React hook for managing webcam stream via getUserMedia API.
- * Handles camera permissions, stream lifecycle, and frame capture.
- */
-
-import { useState, useEffect, useRef, useCallback } from 'react';
-
-export function useWebcam() {
-  const videoRef = useRef(null);
-  const streamRef = useRef(null);
-  const [isActive, setIsActive] = useState(false);
-  const [error, setError] = useState(null);
-  const [devices, setDevices] = useState([]);
-
-  // Get available video devices
-  useEffect(() => {
-    async function getDevices() {
-      try {
-        const allDevices = await navigator.mediaDevices.enumerateDevices();
-        const videoDevices = allDevices.filter(d => d.kind === 'videoinput');
-        setDevices(videoDevices);
-      } catch (err) {
-        console.error('Error enumerating devices:', err);
-      }
-    }
-    getDevices();
-  }, []);
-
-  // Start webcam stream
-  const startCamera = useCallback(async (deviceId = null) => {
-    try {
-      setError(null);
-      const constraints = {
-        video: {
-          width: { ideal: 640 },
-          height: { ideal: 480 },
-          frameRate: { ideal: 30 },
-          ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
-        },
-        audio: false,
-      };
-
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      streamRef.current = stream;
-
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        await videoRef.current.play();
-      }
-
-      setIsActive(true);
-    } catch (err) {
-      console.error('Camera error:', err);
-      setError(err.message || 'Failed to access camera');
-      setIsActive(false);
-    }
-  }, []);
-
-  // Stop webcam stream
-  const stopCamera = useCallback(() => {
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
-    if (videoRef.current) {
-      videoRef.current.srcObject = null;
-    }
-    setIsActive(false);
-  }, []);
-
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-      }
-    };
-  }, []);
-
-  return {
-    videoRef,
-    isActive,
-    error,
-    devices,
-    startCamera,
-    stopCamera,
-  };
-}
@@ -0,0 +1,333 @@
+/**
+ * NeoGuide - English Strings
+ *
+ * Reference locale: every key the app looks up is defined here, and the
+ * other locales fall back to it for anything they leave out. Spoken English
+ * alert text stays in ALERT_DEFINITIONS (voiceAlerts.js).
+ */
+
+export default {
+  meta: {
+    name: 'English',
+    short: 'EN',
+    guidanceLanguage: 'English', // language the vision model writes guidance_message in
+    dateLocale: 'en-US',
+  },
+
+  // Voice command grammar: wake word, then one phrase (see voiceCommands.js)
+  commands: {
+    wake: ['neoguide', 'neo guide'],
+    phrases: {
+      start: ['start', 'start analysis', 'begin'],
+      pause: ['pause', 'pause analysis', 'stop analysis'],
+      mark_attempt: ['mark attempt', 'new attempt', 'mark'],
+      unmark_attempt: ['unmark attempt', 'cancel attempt', 'unmark'],
+      confirm_placement: ['confirm placement', 'confirm', 'placement confirmed'],
+      repeat: ['repeat', 'repeat that', 'say again'],
+      mute: ['mute', 'voice off', 'quiet'],
+      unmute: ['unmute', 'voice on'],
+      acknowledge: ['acknowledge', 'acknowledged', 'silence alarm'],
+    },
+    names: {
+      start: 'Start',
+      pause: 'Pause',
+      mark_attempt: 'Mark Attempt',
+      unmark_attempt: 'Unmark Attempt',
+      confirm_placement: 'Confirm Placement',
+      repeat: 'Repeat',
+      mute: 'Mute',
+      unmute: 'Unmute',
+      acknowledge: 'Acknowledge',
+    },
+  },
+
+  status: {
+    safe: 'SAFE',
+    warning: 'WARNING',
+    danger: 'DANGER',
+    degraded: 'NO GUIDANCE',
+    standby: 'STANDBY',
+  },
+
+  zones: {
+    pre_glottic: 'Pre-Glottic',
+    glottic: 'Glottic',
+    subglottic: 'Sub-Glottic',
+    tracheal: 'Tracheal',
+    carinal: 'Carinal',
+    bronchial: 'Bronchial',
+    unknown: 'Unknown',
+  },
+
+  landmarks: {
+    epiglottis: 'Epiglottis',
+    vocal_cords: 'Vocal Cords',
+    glottis: 'Glottis',
+    tracheal_rings: 'Tracheal Rings',
+    carina: 'Carina',
+    esophagus: 'Esophagus',
+  },
+
+  phases: {
+    no_view: 'Awaiting View',
+    approach: 'Approach',
+    glottic_view: 'Glottic View',
+    passing_cords: 'Passing Cords',
+    tracheal_placement: 'Tracheal Placement',
+    over_advanced: 'Over-Advanced',
+    esophageal: 'Esophageal',
+    withdrawn: 'Withdrawn',
+  },
+
+  // Procedure log entries for each voice alert
+  events: {
+    epiglottis_detected: { title: 'Epiglottis Detected', detail: 'Advancing toward vocal cords' },
+    vocal_cords_detected: { title: 'Vocal Cords Detected', detail: 'Align tube for insertion now' },
+    entering_trachea: { title: 'Entering Trachea', detail: 'Tube passing through vocal cords' },
+    tracheal_rings_visible: { title: 'Tracheal Rings Visible', detail: 'Tube confirmed in trachea' },
+    optimal_depth: { title: 'Optimal Depth Reached', detail: 'Safe to secure the tube' },
+    warning_deep: { title: 'Approaching Carina', detail: 'Stop advancing — bronchial intubation risk' },
+    danger_bronchial: { title: 'BRONCHIAL INTUBATION', detail: 'Withdraw tube immediately' },
+    esophageal_warning: { title: 'ESOPHAGEAL INTUBATION', detail: 'Withdraw and reposition airway' },
+    poor_image: { title: 'Poor Image Quality', detail: 'Reposition scope for better view' },
+    placement_unverified: { title: 'Placement Unverified', detail: 'Tracheal view without vocal cords seen first' },
+    tube_withdrawn: { title: 'Tube Withdrawn', detail: 'Back above the vocal cords' },
+    guidance_unavailable: { title: 'AI GUIDANCE UNAVAILABLE', detail: 'Rely on direct visualization and clinical signs' },
+    guidance_restored: { title: 'AI Guidance Restored', detail: 'Analysis responses resumed' },
+    attempt_time_warning: { title: '20 Seconds', detail: 'Attempt time running out' },
+    attempt_time_limit: { title: 'ATTEMPT TIME LIMIT', detail: '30 s reached — stop and ventilate' },
+    system_ready: { title: 'System Ready', detail: 'Camera feed confirmed' },
+    placement_confirmed: { title: 'Placement Confirmed', detail: 'Tube in trachea — monitoring active' },
+  },
+
+  // How an intubation attempt ended (see attemptTracker.js)
+  attemptOutcomes: {
+    tracheal: 'Tube in trachea',
+    esophageal: 'Esophageal — withdrawn',
+    withdrawn: 'Withdrawn above the cords',
+    view_lost: 'Airway view lost',
+    manual: 'Ended by the clinician',
+  },
+
+  // Other procedure log entries
+  log: {
+    monitoringActive: 'Monitoring Active',
+    monitoringStarted: 'NeoGuide AI analysis started · term defaults',
+    monitoringStartedCalibrated: 'NeoGuide AI analysis started · optimal {optimal} cm below cords · {lip} cm at lip',
+    monitoringPaused: 'Monitoring Paused',
+    replayStarted: 'Replay Started',
+    replayStartedDetail: 'Recorded session playback',
+    replayEnded: 'Replay Ended',
+    implausibleTransition: 'Implausible Transition',
+    implausibleTransitionDetail: 'Held at {phase} — reading skipped anatomy',
+    zoneEntered: '→ {zone} Zone',
+    estimatedDepth: 'Est. depth: {depth} cm',
+    esophagealDetected: 'ESOPHAGEAL INTUBATION',
+    esophagealDetectedDetail: 'Withdraw tube immediately — reposition',
+    exportBlocked: 'Export Blocked',
+    exportBlockedDetail: 'Allow pop-ups to print the report',
+    languageChanged: 'Language: {language}',
+    alertAcknowledged: 'Alert Acknowledged',
+    attemptStarted: 'Attempt {number} Started',
+    attemptStartedDetail: 'Airway in view — 30 s clock running',
+    attemptMarkedDetail: 'Marked by the clinician',
+    attemptEnded: 'Attempt {number} Ended · {duration}',
+    attemptUnmarked: 'Attempt {number} Unmarked',
+    attemptUnmarkedDetail: 'Discarded by the clinician',
+    voiceCommand: 'Voice Command: {command}',
+    placementConfirmedByVoice: 'Confirmed by the clinician',
+    commandIgnored: 'Ignored — {reason}',
+    reasonCameraInactive: 'camera not active',
+    reasonNotRunning: 'analysis not running',
+    reasonNothingToRepeat: 'nothing to repeat',
+    reasonNoRepeatingAlerts: 'no alert to acknowledge',
+    reasonNoAttempt: 'no attempt to unmark',
+    reasonReplay: 'not available during replay',
+    poorImageRun: 'Picture poor for several seconds: {issues}',
+  },
+
+  // Fixed guidance_message texts the app itself produces (see visionResult.js guidance_key)
+  guidance: {
+    unparseable: 'Unable to interpret AI response — rely on direct visualization.',
+    unavailable: 'AI guidance unavailable — rely on direct visualization.',
+    missing: 'No guidance provided for this frame.',
+    esophageal: 'ESOPHAGEAL INTUBATION DETECTED — withdraw tube immediately and reposition.',
+    awaiting: 'Awaiting camera feed and analysis...',
+    detectorGlottis: 'Glottis in view — advance through the cords.',
+    detectorNoGlottis: 'Glottis not in view.',
+  },
+
+  // Dynamic spoken text
+  voice: {
+    secureAtLip: 'Secure at {cm} centimeters at the lip.',
+  },
+
+  // Camera settings panel (CameraSettings.jsx)
+  camera: {
+    title: 'CAMERA SETTINGS',
+    preset: 'Preset',
+    custom: 'Custom',
+    deletePreset: 'Delete',
+    presetName: 'Name for a new preset',
+    savePreset: 'Save preset',
+    device: 'Camera',
+    defaultDevice: 'Default camera',
+    deviceN: 'Camera {n}',
+    resolution: 'Resolution',
+    frameRate: 'Frame rate',
+    focus: 'Focus',
+    focusDistance: 'Focus distance',
+    exposure: 'Exposure',
+    exposureCompensation: 'Exposure comp.',
+    auto: 'Camera default',
+    torch: 'Light (torch)',
+    rotation: 'Rotation',
+    circularCrop: 'Circular crop',
+    crop: { x: 'Centre X', y: 'Centre Y', radius: 'Radius' },
+    reset: 'Reset',
+    previewHint: 'Frame as sent for analysis',
+    preview: 'Analysis frame preview',
+  },
+
+  quality: {
+    title: 'FRAME QUALITY',
+    brightness: 'Brightness',
+    sharpness: 'Sharpness',
+    haze: 'Haze',
+    change: 'Change',
+    sent: 'SENT',
+    forced: 'SENT (POOR)',
+    skipped: 'SKIPPED',
+    noIssues: 'No issues',
+    counts: '{sent} sent · {skipped} skipped',
+    issues: {
+      dark: 'too dark',
+      bright: 'overexposed',
+      blurry: 'blurred',
+      fogged: 'fogged lens',
+      unchanged: 'unchanged',
+    },
+  },
+
+  performance: {
+    title: 'ANALYSIS PERFORMANCE',
+    pace: 'every {seconds} s · {reason}',
+    throughput: 'Throughput',
+    throughputHint: 'Analysis results applied per second (last 30 s)',
+    p50: 'Latency p50',
+    p90: 'p90',
+    p99: 'p99',
+    inFlight: '{count}/{max} in flight',
+    counts: '{applied} applied · {dropped} dropped · {stale} stale · {failed} failed',
+    reasons: {
+      starting: 'starting',
+      carina: 'carina in view',
+      warning: 'caution',
+      danger: 'danger',
+    },
+  },
+
+  airway3d: {
+    title: '3D AIRWAY',
+    loading: 'Loading 3D view…',
+    unsupported: '3D view needs WebGL, which this browser does not provide',
+    noTip: 'No tube position',
+    views: { front: 'Front', side: 'Side', top: 'Top' },
+    paths: {
+      upper: 'Tip above the cords',
+      trachea: 'Tip in the trachea',
+      rightBronchus: 'Tip in the right bronchus',
+      esophagus: 'Tip in the esophagus',
+    },
+  },
+
+  sources: {
+    webcam: 'Camera',
+    video_file: 'Video file',
+    image_sequence: 'Image folder',
+    test_pattern: 'Test pattern',
+  },
+
+  ui: {
+    tagline: 'Neonatal Intubation Guidance System',
+    visionTag: '{provider} VISION',
+    noVoice: 'NO VOICE',
+    language: 'Language',
+    cameraFeed: 'CAMERA FEED',
+    replay: 'REPLAY',
+    live: 'LIVE',
+    cameraInactive: 'Camera not active',
+    cameraSettings: 'Camera',
+    startCamera: 'Start Camera',
+    stopCamera: 'Stop Camera',
+    source: 'Input source',
+    startSource: 'Start',
+    stopSource: 'Stop',
+    scrub: 'Position',
+    frameOf: 'Image {n} / {total}',
+    startAnalysis: 'Start Analysis',
+    pauseAnalysis: 'Pause Analysis',
+    voiceOn: 'Voice ON',
+    voiceOff: 'Voice OFF',
+    recordOn: 'Record ON',
+    recordOff: 'Record OFF',
+    tonesOn: 'Tones ON',
+    tonesOff: 'Tones OFF',
+    proximityOn: 'Proximity ON',
+    proximityOff: 'Proximity OFF',
+    toneVolume: 'Tone vol.',
+    commandsOn: 'Commands ON',
+    commandsOff: 'Commands OFF',
+    commandsUnavailable: 'Voice commands are not supported in this browser',
+    commandsHint: 'Say "NeoGuide" then: start · pause · mark attempt · unmark attempt · confirm placement · repeat · mute · unmute · acknowledge',
+    attemptTimer: 'ATTEMPT TIMER',
+    attemptNumber: 'Attempt #{number}',
+    noAttempt: 'No attempt',
+    markAttempt: 'Mark',
+    endAttempt: 'End',
+    unmarkAttempt: 'Unmark',
+    longestAttempt: 'longest {duration}',
+    acknowledge: 'Acknowledge',
+    landmarkDetection: 'LANDMARK DETECTION',
+    patient: 'PATIENT',
+    weightKg: 'Weight (kg)',
+    gestationalAgeWeeks: 'GA (wk)',
+    postnatalAgeDays: 'Age (d)',
+    termDefaults: 'Term defaults (~3.5 kg) — enter weight or GA',
+    tipToLip: 'Tip-to-lip',
+    tipToLipMethods: { 'gestation table': 'gestation table', 'weight table': 'weight table' },
+    optimal: 'Optimal',
+    belowCords: 'below cords · carina ~{cm} cm',
+    correctedGa: 'Corrected GA {weeks} wk',
+    depthGauge: 'DEPTH GAUGE',
+    phase: 'PHASE',
+    estDepth: 'EST. DEPTH',
+    stability: 'STABILITY',
+    depthSources: { zone: 'ZONE', rings: 'RINGS', carina: 'CARINA' },
+    sessions: 'SESSIONS',
+    stopReplay: 'Stop Replay',
+    noSessions: 'No recorded sessions',
+    sessionSummary: '{frames} frames · {alerts} alerts · {provider}',
+    procedureLog: 'PROCEDURE LOG',
+    exportReport: 'Export procedure report ({format})',
+    attempts: 'Attempts',
+    glottic: 'Glottic',
+    tracheal: 'Tracheal',
+    lowest: 'Lowest',
+    emptyLogLine1: 'Start camera and analysis',
+    emptyLogLine2: 'to see procedure events',
+    aiGuidance: 'AI GUIDANCE',
+    detected: 'DETECTED',
+    detector: 'ON-DEVICE',
+    detectorOn: 'Detector ON',
+    detectorOff: 'Detector OFF',
+    detectorHint: 'On-device glottis detector — boxes at video frame rate, confirmed by Gemini',
+    reticleAligned: 'ON TARGET — advance',
+    detectorNothing: 'No glottis',
+    detectorFps: '{fps} fps',
+    detectorLoading: 'Loading model…',
+    detectorError: 'Model not loaded',
+    geminiAgrees: 'Gemini agrees',
+    geminiDisagrees: 'Gemini disagrees',
+  },
+};
@@ -0,0 +1,345 @@
+/**
+ * NeoGuide - Spanish Strings
+ *
+ * Anything missing here falls back to English (en.js).
+ */
+
+export default {
+  meta: {
+    name: 'Español',
+    short: 'ES',
+    guidanceLanguage: 'Spanish',
+    dateLocale: 'es-ES',
+  },
+
+  // Spoken alerts, keyed like ALERT_DEFINITIONS
+  alerts: {
+    epiglottis_detected: 'Epiglotis detectada. Avance hacia las cuerdas vocales.',
+    vocal_cords_detected: 'Cuerdas vocales detectadas. Alinee para la inserción.',
+    entering_trachea: 'Entrando en la tráquea. Avance hasta la profundidad óptima.',
+    tracheal_rings_visible: 'Anillos traqueales visibles. Tubo en la tráquea.',
+    optimal_depth: 'Profundidad óptima alcanzada. Puede fijar el tubo.',
+    warning_deep: 'Atención. Se acerca a la carina. No avance más.',
+    danger_bronchial: 'Peligro. Intubación bronquial detectada. Retire de inmediato.',
+    esophageal_warning: 'Atención. Posible intubación esofágica. Verifique la posición.',
+    poor_image: 'Imagen de mala calidad. Reposicione la cámara.',
+    placement_unverified: 'Precaución. No se vieron las cuerdas vocales. Verifique la posición del tubo.',
+    tube_withdrawn: 'Tubo retirado por encima de las cuerdas. Reevalúe antes de avanzar.',
+    guidance_unavailable: 'Atención. Guía de IA no disponible. Confíe en la visualización directa.',
+    guidance_restored: 'Guía de IA restablecida.',
+    attempt_time_warning: 'Veinte segundos.',
+    attempt_time_limit: 'Tiempo límite del intento. Deténgase y ventile.',
+    system_ready: 'NeoGuide activo. Señal de cámara detectada.',
+    placement_confirmed: 'Posición del tubo confirmada. Monitorización activa.',
+  },
+
+  commands: {
+    wake: ['neoguide', 'neo guide', 'neo guía', 'neoguía'],
+    phrases: {
+      start: ['iniciar', 'iniciar análisis', 'empezar', 'comenzar'],
+      pause: ['pausa', 'pausar', 'pausar análisis', 'detener análisis'],
+      mark_attempt: ['marcar intento', 'nuevo intento', 'marcar'],
+      unmark_attempt: ['desmarcar intento', 'cancelar intento', 'desmarcar'],
+      confirm_placement: ['confirmar posición', 'confirmar colocación', 'confirmar'],
+      repeat: ['repetir', 'repite', 'otra vez'],
+      mute: ['silencio', 'silenciar', 'voz no', 'apagar voz'],
+      unmute: ['voz sí', 'activar voz', 'encender voz'],
+      acknowledge: ['enterado', 'confirmar alerta', 'alerta confirmada'],
+    },
+    names: {
+      start: 'Iniciar',
+      pause: 'Pausa',
+      mark_attempt: 'Marcar intento',
+      unmark_attempt: 'Desmarcar intento',
+      confirm_placement: 'Confirmar posición',
+      repeat: 'Repetir',
+      mute: 'Silenciar',
+      unmute: 'Activar voz',
+      acknowledge: 'Confirmar alerta',
+    },
+  },
+
+  status: {
+    safe: 'SEGURO',
+    warning: 'PRECAUCIÓN',
+    danger: 'PELIGRO',
+    degraded: 'SIN GUÍA',
+    standby: 'EN ESPERA',
+  },
+
+  zones: {
+    pre_glottic: 'Preglótica',
+    glottic: 'Glótica',
+    subglottic: 'Subglótica',
+    tracheal: 'Traqueal',
+    carinal: 'Carinal',
+    bronchial: 'Bronquial',
+    unknown: 'Desconocida',
+  },
+
+  landmarks: {
+    epiglottis: 'Epiglotis',
+    vocal_cords: 'Cuerdas vocales',
+    glottis: 'Glotis',
+    tracheal_rings: 'Anillos traqueales',
+    carina: 'Carina',
+    esophagus: 'Esófago',
+  },
+
+  phases: {
+    no_view: 'Esperando imagen',
+    approach: 'Aproximación',
+    glottic_view: 'Vista glótica',
+    passing_cords: 'Pasando cuerdas',
+    tracheal_placement: 'Posición traqueal',
+    over_advanced: 'Demasiado profundo',
+    esophageal: 'Esofágica',
+    withdrawn: 'Retirado',
+  },
+
+  events: {
+    epiglottis_detected: { title: 'Epiglotis detectada', detail: 'Avanzando hacia las cuerdas vocales' },
+    vocal_cords_detected: { title: 'Cuerdas vocales detectadas', detail: 'Alinee el tubo para la inserción' },
+    entering_trachea: { title: 'Entrando en la tráquea', detail: 'El tubo pasa por las cuerdas vocales' },
+    tracheal_rings_visible: { title: 'Anillos traqueales visibles', detail: 'Tubo confirmado en la tráquea' },
+    optimal_depth: { title: 'Profundidad óptima', detail: 'Puede fijar el tubo' },
+    warning_deep: { title: 'Cerca de la carina', detail: 'Deje de avanzar — riesgo de intubación bronquial' },
+    danger_bronchial: { title: 'INTUBACIÓN BRONQUIAL', detail: 'Retire el tubo de inmediato' },
+    esophageal_warning: { title: 'INTUBACIÓN ESOFÁGICA', detail: 'Retire y reposicione la vía aérea' },
+    poor_image: { title: 'Imagen de mala calidad', detail: 'Reposicione el endoscopio para mejorar la vista' },
+    placement_unverified: { title: 'Posición no verificada', detail: 'Vista traqueal sin ver antes las cuerdas vocales' },
+    tube_withdrawn: { title: 'Tubo retirado', detail: 'De nuevo por encima de las cuerdas vocales' },
+    guidance_unavailable: { title: 'GUÍA DE IA NO DISPONIBLE', detail: 'Confíe en la visualización directa y los signos clínicos' },
+    guidance_restored: { title: 'Guía de IA restablecida', detail: 'Se reanudan las respuestas del análisis' },
+    attempt_time_warning: { title: '20 segundos', detail: 'Se acaba el tiempo del intento' },
+    attempt_time_limit: { title: 'TIEMPO LÍMITE DEL INTENTO', detail: '30 s alcanzados — deténgase y ventile' },
+    system_ready: { title: 'Sistema listo', detail: 'Señal de cámara confirmada' },
+    placement_confirmed: { title: 'Posición confirmada', detail: 'Tubo en la tráquea — monitorización activa' },
+  },
+
+  attemptOutcomes: {
+    tracheal: 'Tubo en la tráquea',
+    esophageal: 'Esofágico — retirado',
+    withdrawn: 'Retirado por encima de las cuerdas',
+    view_lost: 'Se perdió la vista de la vía aérea',
+    manual: 'Finalizado por el clínico',
+  },
+
+  log: {
+    monitoringActive: 'Monitorización activa',
+    monitoringStarted: 'Análisis de NeoGuide iniciado · valores de término',
+    monitoringStartedCalibrated: 'Análisis de NeoGuide iniciado · óptimo {optimal} cm bajo las cuerdas · {lip} cm en el labio',
+    monitoringPaused: 'Monitorización en pausa',
+    replayStarted: 'Reproducción iniciada',
+    replayStartedDetail: 'Reproducción de sesión grabada',
+    replayEnded: 'Reproducción finalizada',
+    implausibleTransition: 'Transición improbable',
+    implausibleTransitionDetail: 'Se mantiene en {phase} — la lectura saltó estructuras anatómicas',
+    zoneEntered: '→ Zona {zone}',
+    estimatedDepth: 'Prof. estimada: {depth} cm',
+    esophagealDetected: 'INTUBACIÓN ESOFÁGICA',
+    esophagealDetectedDetail: 'Retire el tubo de inmediato — reposicione',
+    exportBlocked: 'Exportación bloqueada',
+    exportBlockedDetail: 'Permita ventanas emergentes para imprimir el informe',
+    languageChanged: 'Idioma: {language}',
+    alertAcknowledged: 'Alerta confirmada',
+    attemptStarted: 'Intento {number} iniciado',
+    attemptStartedDetail: 'Vía aérea a la vista — reloj de 30 s en marcha',
+    attemptMarkedDetail: 'Marcado por el clínico',
+    attemptEnded: 'Intento {number} finalizado · {duration}',
+    attemptUnmarked: 'Intento {number} desmarcado',
+    attemptUnmarkedDetail: 'Descartado por el clínico',
+    voiceCommand: 'Comando de voz: {command}',
+    placementConfirmedByVoice: 'Confirmado por el clínico',
+    commandIgnored: 'Ignorado — {reason}',
+    reasonCameraInactive: 'cámara inactiva',
+    reasonNotRunning: 'el análisis no está en marcha',
+    reasonNothingToRepeat: 'nada que repetir',
+    reasonNoRepeatingAlerts: 'ninguna alerta que confirmar',
+    reasonNoAttempt: 'ningún intento que desmarcar',
+    reasonReplay: 'no disponible durante la reproducción',
+    poorImageRun: 'Imagen deficiente durante varios segundos: {issues}',
+  },
+
+  guidance: {
+    unparseable: 'No se pudo interpretar la respuesta de la IA — confíe en la visualización directa.',
+    unavailable: 'Guía de IA no disponible — confíe en la visualización directa.',
+    missing: 'No hay guía para esta imagen.',
+    esophageal: 'INTUBACIÓN ESOFÁGICA DETECTADA — retire el tubo de inmediato y reposicione.',
+    awaiting: 'Esperando la cámara y el análisis...',
+    detectorGlottis: 'Glotis a la vista — avance entre las cuerdas.',
+    detectorNoGlottis: 'Glotis no visible.',
+  },
+
+  voice: {
+    secureAtLip: 'Fije el tubo a {cm} centímetros en el labio.',
+  },
+
+  camera: {
+    title: 'AJUSTES DE CÁMARA',
+    preset: 'Preajuste',
+    custom: 'Personalizado',
+    deletePreset: 'Eliminar',
+    presetName: 'Nombre del nuevo preajuste',
+    savePreset: 'Guardar preajuste',
+    device: 'Cámara',
+    defaultDevice: 'Cámara predeterminada',
+    deviceN: 'Cámara {n}',
+    resolution: 'Resolución',
+    frameRate: 'Imágenes/s',
+    focus: 'Enfoque',
+    focusDistance: 'Distancia de enfoque',
+    exposure: 'Exposición',
+    exposureCompensation: 'Comp. exposición',
+    auto: 'Predeterminado',
+    torch: 'Luz (linterna)',
+    rotation: 'Rotación',
+    circularCrop: 'Recorte circular',
+    crop: { x: 'Centro X', y: 'Centro Y', radius: 'Radio' },
+    reset: 'Restablecer',
+    previewHint: 'Imagen tal como se envía al análisis',
+    preview: 'Vista previa de la imagen de análisis',
+  },
+
+  quality: {
+    title: 'CALIDAD DE IMAGEN',
+    brightness: 'Brillo',
+    sharpness: 'Nitidez',
+    haze: 'Empañado',
+    change: 'Cambio',
+    sent: 'ENVIADA',
+    forced: 'ENVIADA (MALA)',
+    skipped: 'OMITIDA',
+    noIssues: 'Sin problemas',
+    counts: '{sent} enviadas · {skipped} omitidas',
+    issues: {
+      dark: 'muy oscura',
+      bright: 'sobreexpuesta',
+      blurry: 'borrosa',
+      fogged: 'lente empañada',
+      unchanged: 'sin cambios',
+    },
+  },
+
+  performance: {
+    title: 'RENDIMIENTO DEL ANÁLISIS',
+    pace: 'cada {seconds} s · {reason}',
+    throughput: 'Resultados',
+    throughputHint: 'Resultados de análisis aplicados por segundo (últimos 30 s)',
+    p50: 'Latencia p50',
+    p90: 'p90',
+    p99: 'p99',
+    inFlight: '{count}/{max} en curso',
+    counts: '{applied} aplicados · {dropped} descartados · {stale} tardíos · {failed} fallidos',
+    reasons: {
+      starting: 'iniciando',
+      carina: 'carina a la vista',
+      warning: 'precaución',
+      danger: 'peligro',
+    },
+  },
+
+  airway3d: {
+    title: 'VÍA AÉREA 3D',
+    loading: 'Cargando vista 3D…',
+    unsupported: 'La vista 3D necesita WebGL, que este navegador no ofrece',
+    noTip: 'Sin posición del tubo',
+    views: { front: 'Frente', side: 'Lado', top: 'Arriba' },
+    paths: {
+      upper: 'Punta por encima de las cuerdas',
+      trachea: 'Punta en la tráquea',
+      rightBronchus: 'Punta en el bronquio derecho',
+      esophagus: 'Punta en el esófago',
+    },
+  },
+
+  sources: {
+    webcam: 'Cámara',
+    video_file: 'Archivo de vídeo',
+    image_sequence: 'Carpeta de imágenes',
+    test_pattern: 'Patrón de prueba',
+  },
+
+  ui: {
+    tagline: 'Sistema de guía para intubación neonatal',
+    visionTag: 'VISIÓN {provider}',
+    noVoice: 'SIN VOZ',
+    language: 'Idioma',
+    cameraFeed: 'CÁMARA',
+    replay: 'REPRODUCCIÓN',
+    live: 'EN VIVO',
+    cameraInactive: 'Cámara inactiva',
+    cameraSettings: 'Cámara',
+    startCamera: 'Iniciar cámara',
+    stopCamera: 'Detener cámara',
+    source: 'Fuente de entrada',
+    startSource: 'Iniciar',
+    stopSource: 'Detener',
+    scrub: 'Posición',
+    frameOf: 'Imagen {n} / {total}',
+    startAnalysis: 'Iniciar análisis',
+    pauseAnalysis: 'Pausar análisis',
+    voiceOn: 'Voz SÍ',
+    voiceOff: 'Voz NO',
+    recordOn: 'Grabar SÍ',
+    recordOff: 'Grabar NO',
+    tonesOn: 'Tonos SÍ',
+    tonesOff: 'Tonos NO',
+    proximityOn: 'Proximidad SÍ',
+    proximityOff: 'Proximidad NO',
+    toneVolume: 'Vol. tonos',
+    commandsOn: 'Comandos SÍ',
+    commandsOff: 'Comandos NO',
+    commandsUnavailable: 'Este navegador no admite comandos de voz',
+    commandsHint: 'Diga "NeoGuide" y luego: iniciar · pausa · marcar intento · desmarcar intento · confirmar posición · repetir · silencio · activar voz · enterado',
+    attemptTimer: 'TIEMPO DEL INTENTO',
+    attemptNumber: 'Intento n.º {number}',
+    noAttempt: 'Sin intento',
+    markAttempt: 'Marcar',
+    endAttempt: 'Finalizar',
+    unmarkAttempt: 'Desmarcar',
+    longestAttempt: 'más largo {duration}',
+    acknowledge: 'Confirmar alerta',
+    landmarkDetection: 'DETECCIÓN DE ESTRUCTURAS',
+    patient: 'PACIENTE',
+    weightKg: 'Peso (kg)',
+    gestationalAgeWeeks: 'EG (sem)',
+    postnatalAgeDays: 'Edad (d)',
+    termDefaults: 'Valores de término (~3,5 kg) — introduzca peso o EG',
+    tipToLip: 'Punta-labio',
+    tipToLipMethods: { 'gestation table': 'tabla por edad gestacional', 'weight table': 'tabla por peso' },
+    optimal: 'Óptimo',
+    belowCords: 'bajo las cuerdas · carina ~{cm} cm',
+    correctedGa: 'EG corregida {weeks} sem',
+    depthGauge: 'PROFUNDIDAD',
+    phase: 'FASE',
+    estDepth: 'PROF. ESTIMADA',
+    stability: 'ESTABILIDAD',
+    depthSources: { zone: 'ZONA', rings: 'ANILLOS', carina: 'CARINA' },
+    sessions: 'SESIONES',
+    stopReplay: 'Detener reproducción',
+    noSessions: 'No hay sesiones grabadas',
+    sessionSummary: '{frames} imágenes · {alerts} alertas · {provider}',
+    procedureLog: 'REGISTRO DEL PROCEDIMIENTO',
+    exportReport: 'Exportar informe del procedimiento ({format})',
+    attempts: 'Intentos',
+    glottic: 'Glotis',
+    tracheal: 'Tráquea',
+    lowest: 'Peor',
+    emptyLogLine1: 'Inicie la cámara y el análisis',
+    emptyLogLine2: 'para ver los eventos del procedimiento',
+    aiGuidance: 'GUÍA DE IA',
+    detected: 'DETECTADO',
+    detector: 'EN EL DISPOSITIVO',
+    detectorOn: 'Detector ACT.',
+    detectorOff: 'Detector DESACT.',
+    detectorHint: 'Detector de glotis en el dispositivo — recuadros a la velocidad del vídeo, confirmados por Gemini',
+    reticleAligned: 'EN EL BLANCO — avance',
+    detectorNothing: 'Sin glotis',
+    detectorFps: '{fps} fps',
+    detectorLoading: 'Cargando modelo…',
+    detectorError: 'Modelo no cargado',
+    geminiAgrees: 'Gemini coincide',
+    geminiDisagrees: 'Gemini no coincide',
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * NeoGuide - Locales
+ *
+ * On-screen strings, spoken alert text and the language the vision model
+ * answers in. The locale is chosen per session from the dashboard header;
+ * VITE_LOCALE sets the starting one. Voice and TTS model per locale are
+ * configured in tts/voices.js.
+ */
+
+import en from './en.js';
+import es from './es.js';
+import ko from './ko.js';
+
+export const LOCALES = { en, es, ko };
+
+export const DEFAULT_LOCALE = LOCALES[import.meta.env?.VITE_LOCALE] ? import.meta.env.VITE_LOCALE : 'en';
+
+function lookup(strings, key) {
+  return key.split('.').reduce((node, part) => node?.[part], strings);
+}
+
+/**
+ * Look up a string, falling back to English and then to the key itself
+ * @param {string} locale - Key from LOCALES
+ * @param {string} key - Dotted path, e.g. 'zones.tracheal'
+ * @param {Object} [params] - Values for {name} placeholders
+ * @returns {string} Translated text
+ */
+export function translate(locale, key, params) {
+  let text = lookup(LOCALES[locale], key);
+  if (typeof text !== 'string') text = lookup(en, key);
+  if (typeof text !== 'string') return key;
+  return params ? text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match) : text;
+}
@@ -0,0 +1,345 @@
+/**
+ * NeoGuide - Korean Strings
+ *
+ * Anything missing here falls back to English (en.js).
+ */
+
+export default {
+  meta: {
+    name: '한국어',
+    short: 'KO',
+    guidanceLanguage: 'Korean',
+    dateLocale: 'ko-KR',
+  },
+
+  // Spoken alerts, keyed like ALERT_DEFINITIONS
+  alerts: {
+    epiglottis_detected: '후두개가 보입니다. 성대 쪽으로 진행하세요.',
+    vocal_cords_detected: '성대가 보입니다. 삽입 방향을 맞추세요.',
+    entering_trachea: '기관에 진입합니다. 적정 깊이까지 진행하세요.',
+    tracheal_rings_visible: '기관륜이 보입니다. 튜브가 기관 안에 있습니다.',
+    optimal_depth: '적정 깊이에 도달했습니다. 튜브를 고정해도 됩니다.',
+    warning_deep: '경고. 기관분기부에 가까워지고 있습니다. 더 진행하지 마세요.',
+    danger_bronchial: '위험. 기관지 삽관이 감지되었습니다. 즉시 빼세요.',
+    esophageal_warning: '경고. 식도 삽관이 의심됩니다. 위치를 확인하세요.',
+    poor_image: '영상 품질이 낮습니다. 카메라 위치를 조정하세요.',
+    placement_unverified: '주의. 성대가 확인되지 않았습니다. 튜브 위치를 확인하세요.',
+    tube_withdrawn: '튜브가 성대 위로 빠졌습니다. 다시 평가한 후 진행하세요.',
+    guidance_unavailable: '경고. AI 안내를 사용할 수 없습니다. 직접 시야로 확인하세요.',
+    guidance_restored: 'AI 안내가 복구되었습니다.',
+    attempt_time_warning: '20초 경과.',
+    attempt_time_limit: '시도 시간 한도. 중단하고 환기하세요.',
+    system_ready: 'NeoGuide 작동 중. 카메라 영상이 확인되었습니다.',
+    placement_confirmed: '튜브 위치가 확인되었습니다. 모니터링 중입니다.',
+  },
+
+  commands: {
+    wake: ['네오가이드', '네오 가이드', 'neoguide', 'neo guide'],
+    phrases: {
+      start: ['시작', '분석 시작'],
+      pause: ['일시 정지', '정지', '분석 정지', '멈춰'],
+      mark_attempt: ['시도 표시', '시도 기록', '새 시도'],
+      unmark_attempt: ['시도 취소', '시도 표시 취소'],
+      confirm_placement: ['위치 확인', '삽관 확인'],
+      repeat: ['다시', '반복', '다시 말해'],
+      mute: ['음소거', '음성 끄기', '조용히'],
+      unmute: ['음성 켜기', '음소거 해제'],
+      acknowledge: ['알림 확인', '확인', '알람 끄기'],
+    },
+    names: {
+      start: '시작',
+      pause: '일시 정지',
+      mark_attempt: '시도 표시',
+      unmark_attempt: '시도 취소',
+      confirm_placement: '위치 확인',
+      repeat: '반복',
+      mute: '음소거',
+      unmute: '음성 켜기',
+      acknowledge: '알림 확인',
+    },
+  },
+
+  status: {
+    safe: '안전',
+    warning: '경고',
+    danger: '위험',
+    degraded: '안내 없음',
+    standby: '대기',
+  },
+
+  zones: {
+    pre_glottic: '성문 상부',
+    glottic: '성문',
+    subglottic: '성문 하부',
+    tracheal: '기관',
+    carinal: '기관분기부',
+    bronchial: '기관지',
+    unknown: '알 수 없음',
+  },
+
+  landmarks: {
+    epiglottis: '후두개',
+    vocal_cords: '성대',
+    glottis: '성문',
+    tracheal_rings: '기관륜',
+    carina: '기관분기부',
+    esophagus: '식도',
+  },
+
+  phases: {
+    no_view: '영상 대기',
+    approach: '접근',
+    glottic_view: '성문 확인',
+    passing_cords: '성대 통과',
+    tracheal_placement: '기관 내 위치',
+    over_advanced: '과삽입',
+    esophageal: '식도',
+    withdrawn: '후퇴',
+  },
+
+  events: {
+    epiglottis_detected: { title: '후두개 확인', detail: '성대 쪽으로 진행 중' },
+    vocal_cords_detected: { title: '성대 확인', detail: '지금 삽입 방향을 맞추세요' },
+    entering_trachea: { title: '기관 진입', detail: '튜브가 성대를 통과 중' },
+    tracheal_rings_visible: { title: '기관륜 확인', detail: '튜브가 기관 안에 있음' },
+    optimal_depth: { title: '적정 깊이 도달', detail: '튜브 고정 가능' },
+    warning_deep: { title: '기관분기부 접근', detail: '진행 중지 — 기관지 삽관 위험' },
+    danger_bronchial: { title: '기관지 삽관', detail: '즉시 튜브를 빼세요' },
+    esophageal_warning: { title: '식도 삽관', detail: '빼고 기도 위치를 다시 잡으세요' },
+    poor_image: { title: '영상 품질 낮음', detail: '시야 확보를 위해 스코프 위치 조정' },
+    placement_unverified: { title: '위치 미확인', detail: '성대 확인 없이 기관 영상이 나타남' },
+    tube_withdrawn: { title: '튜브 후퇴', detail: '성대 위로 빠짐' },
+    guidance_unavailable: { title: 'AI 안내 사용 불가', detail: '직접 시야와 임상 징후로 판단하세요' },
+    guidance_restored: { title: 'AI 안내 복구', detail: '분석 응답 재개' },
+    attempt_time_warning: { title: '20초 경과', detail: '시도 시간이 얼마 남지 않음' },
+    attempt_time_limit: { title: '시도 시간 한도', detail: '30초 도달 — 중단하고 환기하세요' },
+    system_ready: { title: '시스템 준비', detail: '카메라 영상 확인' },
+    placement_confirmed: { title: '위치 확인', detail: '튜브 기관 내 — 모니터링 중' },
+  },
+
+  attemptOutcomes: {
+    tracheal: '튜브 기관 내 위치',
+    esophageal: '식도 — 후퇴',
+    withdrawn: '성대 위로 후퇴',
+    view_lost: '기도 시야 소실',
+    manual: '임상의가 종료함',
+  },
+
+  log: {
+    monitoringActive: '모니터링 시작',
+    monitoringStarted: 'NeoGuide AI 분석 시작 · 만삭 기본값',
+    monitoringStartedCalibrated: 'NeoGuide AI 분석 시작 · 적정 깊이 성대 아래 {optimal} cm · 입술 {lip} cm',
+    monitoringPaused: '모니터링 일시 중지',
+    replayStarted: '재생 시작',
+    replayStartedDetail: '녹화된 세션 재생',
+    replayEnded: '재생 종료',
+    implausibleTransition: '비정상 전환',
+    implausibleTransitionDetail: '{phase} 단계 유지 — 해부학적 단계를 건너뛴 판독',
+    zoneEntered: '→ {zone} 구역',
+    estimatedDepth: '추정 깊이: {depth} cm',
+    esophagealDetected: '식도 삽관',
+    esophagealDetectedDetail: '즉시 튜브를 빼고 다시 삽입하세요',
+    exportBlocked: '내보내기 차단됨',
+    exportBlockedDetail: '보고서를 인쇄하려면 팝업을 허용하세요',
+    languageChanged: '언어: {language}',
+    alertAcknowledged: '알림 확인됨',
+    attemptStarted: '{number}번째 시도 시작',
+    attemptStartedDetail: '기도 확인 — 30초 타이머 작동',
+    attemptMarkedDetail: '임상의가 표시함',
+    attemptEnded: '{number}번째 시도 종료 · {duration}',
+    attemptUnmarked: '{number}번째 시도 취소',
+    attemptUnmarkedDetail: '임상의가 취소함',
+    voiceCommand: '음성 명령: {command}',
+    placementConfirmedByVoice: '임상의가 확인함',
+    commandIgnored: '무시됨 — {reason}',
+    reasonCameraInactive: '카메라가 꺼져 있음',
+    reasonNotRunning: '분석이 실행 중이 아님',
+    reasonNothingToRepeat: '반복할 알림 없음',
+    reasonNoRepeatingAlerts: '확인할 알림 없음',
+    reasonNoAttempt: '취소할 시도 없음',
+    reasonReplay: '재생 중에는 사용할 수 없음',
+    poorImageRun: '몇 초째 화질 불량: {issues}',
+  },
+
+  guidance: {
+    unparseable: 'AI 응답을 해석할 수 없습니다 — 직접 시야로 확인하세요.',
+    unavailable: 'AI 안내를 사용할 수 없습니다 — 직접 시야로 확인하세요.',
+    missing: '이 영상에 대한 안내가 없습니다.',
+    esophageal: '식도 삽관 감지 — 즉시 튜브를 빼고 다시 삽입하세요.',
+    awaiting: '카메라 영상과 분석을 기다리는 중...',
+    detectorGlottis: '성문이 보입니다 — 성대 사이로 진행하세요.',
+    detectorNoGlottis: '성문이 보이지 않습니다.',
+  },
+
+  voice: {
+    secureAtLip: '입술 기준 {cm} 센티미터에 고정하세요.',
+  },
+
+  camera: {
+    title: '카메라 설정',
+    preset: '프리셋',
+    custom: '사용자 지정',
+    deletePreset: '삭제',
+    presetName: '새 프리셋 이름',
+    savePreset: '프리셋 저장',
+    device: '카메라',
+    defaultDevice: '기본 카메라',
+    deviceN: '카메라 {n}',
+    resolution: '해상도',
+    frameRate: '프레임 속도',
+    focus: '초점',
+    focusDistance: '초점 거리',
+    exposure: '노출',
+    exposureCompensation: '노출 보정',
+    auto: '카메라 기본값',
+    torch: '조명',
+    rotation: '회전',
+    circularCrop: '원형 자르기',
+    crop: { x: '중심 X', y: '중심 Y', radius: '반지름' },
+    reset: '초기화',
+    previewHint: '분석에 보내는 영상',
+    preview: '분석 영상 미리보기',
+  },
+
+  quality: {
+    title: '프레임 품질',
+    brightness: '밝기',
+    sharpness: '선명도',
+    haze: '김서림',
+    change: '변화',
+    sent: '전송됨',
+    forced: '전송됨 (불량)',
+    skipped: '건너뜀',
+    noIssues: '문제 없음',
+    counts: '{sent}개 전송 · {skipped}개 건너뜀',
+    issues: {
+      dark: '너무 어두움',
+      bright: '과다 노출',
+      blurry: '흐림',
+      fogged: '렌즈 김서림',
+      unchanged: '변화 없음',
+    },
+  },
+
+  performance: {
+    title: '분석 성능',
+    pace: '{seconds}초마다 · {reason}',
+    throughput: '처리량',
+    throughputHint: '초당 적용된 분석 결과 (최근 30초)',
+    p50: '지연 p50',
+    p90: 'p90',
+    p99: 'p99',
+    inFlight: '{count}/{max} 진행 중',
+    counts: '{applied}개 적용 · {dropped}개 누락 · {stale}개 지연 · {failed}개 실패',
+    reasons: {
+      starting: '시작 중',
+      carina: '기관분기부 보임',
+      warning: '주의',
+      danger: '위험',
+    },
+  },
+
+  airway3d: {
+    title: '3D 기도',
+    loading: '3D 보기 불러오는 중…',
+    unsupported: '3D 보기에는 WebGL이 필요하지만 이 브라우저에서 지원되지 않습니다',
+    noTip: '튜브 위치 없음',
+    views: { front: '정면', side: '측면', top: '위' },
+    paths: {
+      upper: '끝이 성대 위에 있음',
+      trachea: '끝이 기관 안에 있음',
+      rightBronchus: '끝이 오른쪽 기관지에 있음',
+      esophagus: '끝이 식도에 있음',
+    },
+  },
+
+  sources: {
+    webcam: '카메라',
+    video_file: '동영상 파일',
+    image_sequence: '이미지 폴더',
+    test_pattern: '테스트 패턴',
+  },
+
+  ui: {
+    tagline: '신생아 기관삽관 안내 시스템',
+    visionTag: '{provider} 비전',
+    noVoice: '음성 없음',
+    language: '언어',
+    cameraFeed: '카메라',
+    replay: '재생',
+    live: '실시간',
+    cameraInactive: '카메라가 꺼져 있습니다',
+    cameraSettings: '카메라',
+    startCamera: '카메라 시작',
+    stopCamera: '카메라 중지',
+    source: '입력 소스',
+    startSource: '시작',
+    stopSource: '중지',
+    scrub: '위치',
+    frameOf: '이미지 {n} / {total}',
+    startAnalysis: '분석 시작',
+    pauseAnalysis: '분석 일시 중지',
+    voiceOn: '음성 켜짐',
+    voiceOff: '음성 꺼짐',
+    recordOn: '녹화 켜짐',
+    recordOff: '녹화 꺼짐',
+    tonesOn: '신호음 켜짐',
+    tonesOff: '신호음 꺼짐',
+    proximityOn: '근접음 켜짐',
+    proximityOff: '근접음 꺼짐',
+    toneVolume: '신호음 볼륨',
+    commandsOn: '명령 켜짐',
+    commandsOff: '명령 꺼짐',
+    commandsUnavailable: '이 브라우저는 음성 명령을 지원하지 않습니다',
+    commandsHint: '"네오가이드" 다음에: 시작 · 일시 정지 · 시도 표시 · 시도 취소 · 위치 확인 · 다시 · 음소거 · 음성 켜기 · 알림 확인',
+    attemptTimer: '시도 타이머',
+    attemptNumber: '{number}번째 시도',
+    noAttempt: '시도 없음',
+    markAttempt: '표시',
+    endAttempt: '종료',
+    unmarkAttempt: '취소',
+    longestAttempt: '최장 {duration}',
+    acknowledge: '알림 확인',
+    landmarkDetection: '해부학적 구조 감지',
+    patient: '환자',
+    weightKg: '체중 (kg)',
+    gestationalAgeWeeks: '재태 주수',
+    postnatalAgeDays: '생후 일수',
+    termDefaults: '만삭 기본값 (~3.5 kg) — 체중 또는 재태 주수를 입력하세요',
+    tipToLip: '입술 기준 깊이',
+    tipToLipMethods: { 'gestation table': '재태 주수 표', 'weight table': '체중 표' },
+    optimal: '적정 깊이',
+    belowCords: '성대 아래 · 기관분기부 ~{cm} cm',
+    correctedGa: '교정 재태 주수 {weeks}주',
+    depthGauge: '깊이 게이지',
+    phase: '단계',
+    estDepth: '추정 깊이',
+    stability: '안정도',
+    depthSources: { zone: '구역', rings: '기관륜', carina: '분기부' },
+    sessions: '세션',
+    stopReplay: '재생 중지',
+    noSessions: '녹화된 세션이 없습니다',
+    sessionSummary: '프레임 {frames}개 · 알림 {alerts}개 · {provider}',
+    procedureLog: '시술 기록',
+    exportReport: '시술 보고서 내보내기 ({format})',
+    attempts: '시도',
+    glottic: '성문',
+    tracheal: '기관',
+    lowest: '최저',
+    emptyLogLine1: '카메라와 분석을 시작하면',
+    emptyLogLine2: '시술 이벤트가 표시됩니다',
+    aiGuidance: 'AI 안내',
+    detected: '감지됨',
+    detector: '온디바이스',
+    detectorOn: '검출기 켜짐',
+    detectorOff: '검출기 꺼짐',
+    detectorHint: '온디바이스 성문 검출기 — 영상 프레임 속도로 박스 표시, Gemini가 확인',
+    reticleAligned: '정렬됨 — 전진',
+    detectorNothing: '성문 없음',
+    detectorFps: '{fps} fps',
+    detectorLoading: '모델 불러오는 중…',
+    detectorError: '모델을 불러오지 못함',
+    geminiAgrees: 'Gemini 일치',
+    geminiDisagrees: 'Gemini 불일치',
+  },
+};
@@ -0,0 +1,165 @@
+/**
+ * NeoGuide - Procedural Airway Model
+ *
+ * Centrelines, radii and depth regions for a neonatal airway — oral cavity,
+ * pharynx, larynx, trachea with rings, carina, main bronchi and the
+ * esophagus behind the trachea — scaled to the patient's cords-to-carina
+ * length. Also places the tube tip on the model from a depth estimate.
+ *
+ * Units are cm. The vocal cords sit at the origin; y points up (toward the
+ * head), z forward (anterior), x to the viewer's right in a front view, so
+ * the patient's right bronchus runs toward -x. Depth is measured along the
+ * airway from the cords: negative above them, positive below.
+ *
+ * Pure JavaScript — no React, no browser APIs (the 3D view builds meshes from this).
+ */
+
+import { ZONE_SAFETY } from './visionResult';
+import { TERM_REFERENCE } from './patientCalibration';
+
+// Term-neonate dimensions (cm); everything scales with cords-to-carina length
+const TERM_DIMENSIONS = {
+  larynxLength: 1.0,      // cords → top of the larynx
+  pharynxRadius: 2.0,     // bend of the pharynx toward the mouth
+  oralLength: 2.4,        // back of the tongue → lips
+  bronchusLength: 1.4,
+  ringSpacing: 0.22,      // ~16–18 tracheal rings at term
+  esophagusOffset: 0.45,  // behind the trachea
+  radius: { pharynx: 0.5, larynx: 0.35, trachea: 0.25, bronchus: 0.18, esophagus: 0.22 },
+};
+
+// Main-bronchus angles from the tracheal axis: the right is steeper, which is why
+// an over-advanced tube usually ends up in it
+const RIGHT_BRONCHUS_DEG = 25;
+const LEFT_BRONCHUS_DEG = 45;
+
+const ARC_STEPS = 8;
+
+/**
+ * Point at a given distance along a polyline
+ * @param {Array<[number, number, number]>} points
+ * @param {number} distance - From the first point; clamped to the polyline
+ * @returns {[number, number, number]}
+ */
+export function pointAlong(points, distance) {
+  let remaining = Math.max(0, distance);
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+    if (remaining <= length || i === points.length - 1) {
+      const f = length > 0 ? Math.min(1, remaining / length) : 0;
+      return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+    }
+    remaining -= length;
+  }
+  return [...points[0]];
+}
+
+/**
+ * Length of a polyline
+ * @param {Array<[number, number, number]>} points
+ * @returns {number}
+ */
+export function polylineLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1], points[i][2] - points[i - 1][2]);
+  }
+  return total;
+}
+
+/**
+ * Build the airway model for a patient
+ * @param {Object} calibration - From computeCalibration
+ * @returns {{ scale: number, cordsToCarinaCm: number, upperLengthCm: number,
+ *   paths: Object<string, Array<[number, number, number]>>, radius: Object<string, number>,
+ *   rings: Array<number>, carina: [number, number, number],
+ *   regions: Array<{ id: string, status: string, fromCm: number, toCm: number }> }}
+ *   paths: upper (cords → lips), trachea (cords → carina), rightBronchus, leftBronchus, esophagus;
+ *   rings: their depths below the cords; regions: depth zones along the airway with their safety status
+ */
+export function buildAirwayModel(calibration) {
+  const length = calibration.cordsToCarinaCm;
+  const scale = length / TERM_REFERENCE.cordsToCarinaCm;
+  const d = TERM_DIMENSIONS;
+
+  // Cords → larynx top → pharynx bending forward → oral cavity → lips
+  const larynxTop = d.larynxLength * scale;
+  const bend = d.pharynxRadius * scale;
+  const upper = [[0, 0, 0], [0, larynxTop, 0]];
+  for (let i = 1; i <= ARC_STEPS; i++) {
+    const theta = (i / ARC_STEPS) * (Math.PI / 2);
+    upper.push([0, larynxTop + bend * Math.sin(theta), bend * (1 - Math.cos(theta))]);
+  }
+  upper.push([0, larynxTop + bend, bend + d.oralLength * scale]);
+
+  const carina = [0, -length, 0];
+  const bronchus = (deg, side) => {
+    const rad = (deg * Math.PI) / 180;
+    const reach = d.bronchusLength * scale;
+    return [carina, [side * Math.sin(rad) * reach, -length - Math.cos(rad) * reach, 0]];
+  };
+
+  const back = -d.esophagusOffset * scale;
+  const esophagus = [[0, larynxTop, back], [0, -length - 1.5 * scale, back]];
+
+  const rings = [];
+  for (let y = 0.3 * scale; y < length - 0.2 * scale; y += d.ringSpacing * scale) rings.push(Math.round(y * 100) / 100);
+
+  // Zones as contiguous spans along the airway: each runs to where the next begins
+  const upperLengthCm = polylineLength(upper);
+  const bounds = calibration.zones.filter(z => z.id !== 'pre_glottic');
+  const regions = [{ id: 'pre_glottic', status: ZONE_SAFETY.pre_glottic, fromCm: -upperLengthCm, toCm: 0 }];
+  bounds.forEach((zone, i) => {
+    const toCm = bounds[i + 1]?.minCm ?? length + d.bronchusLength * scale;
+    regions.push({ id: zone.id, status: ZONE_SAFETY[zone.id], fromCm: zone.minCm, toCm });
+  });
+
+  return {
+    scale,
+    cordsToCarinaCm: length,
+    upperLengthCm,
+    paths: {
+      upper,
+      trachea: [[0, 0, 0], carina],
+      rightBronchus: bronchus(RIGHT_BRONCHUS_DEG, -1),
+      leftBronchus: bronchus(LEFT_BRONCHUS_DEG, 1),
+      esophagus,
+    },
+    radius: Object.fromEntries(Object.entries(d.radius).map(([key, r]) => [key, r * scale])),
+    rings,
+    carina,
+    regions,
+  };
+}
+
+/**
+ * Where the tube tip is on the model
+ * @param {Object} model - From buildAirwayModel
+ * @param {Object} tip
+ * @param {number|null} tip.depthCm - Below the cords (continuous estimate)
+ * @param {string|null} tip.zone - Fused depth zone
+ * @param {boolean} [tip.esophageal] - The tube is in the esophagus
+ * @returns {{ point: [number, number, number], path: string, status: string }|null} null when there
+ *   is no position to show (no analysis, or zone unknown)
+ */
+export function placeTip(model, { depthCm, zone, esophageal = false }) {
+  if (esophageal) {
+    // No depth in the esophagus — show it just below the larynx, behind the trachea
+    const entry = model.paths.esophagus[0][1];
+    return { point: pointAlong(model.paths.esophagus, entry + 1.0 * model.scale), path: 'esophagus', status: 'danger' };
+  }
+  if (!zone || zone === 'unknown' || depthCm == null) return null;
+
+  const status = ZONE_SAFETY[zone] ?? 'safe';
+  // Pre-glottic reads as 0 cm — put the tip in the larynx, short of the cords
+  const depth = zone === 'pre_glottic' ? Math.min(depthCm, -0.6 * model.scale) : depthCm;
+  if (depth < 0) return { point: pointAlong(model.paths.upper, -depth), path: 'upper', status };
+  if (depth <= model.cordsToCarinaCm && zone !== 'bronchial') {
+    return { point: pointAlong(model.paths.trachea, depth), path: 'trachea', status };
+  }
+  // Past the carina: the right main bronchus
+  const past = Math.max(0.2 * model.scale, depth - model.cordsToCarinaCm);
+  return { point: pointAlong(model.paths.rightBronchus, past), path: 'rightBronchus', status: 'danger' };
+}
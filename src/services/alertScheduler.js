@@ -0,0 +1,223 @@
+/**
+ * NeoGuide - Alert Scheduler
+ *
+ * Decides which spoken alert plays when. One alert plays at a time, and:
+ * - a higher-priority alert preempts a lower one mid-sentence (the cut-off
+ *   alert goes back in the queue if it is still current)
+ * - an alert that waited longer than its TTL is dropped — stale guidance is
+ *   worse than none
+ * - an alert can supersede others: it removes them from the queue, cuts them
+ *   off, stops their repeats, and keeps them from being queued while it is
+ *   still pending (danger_bronchial makes warning_deep moot)
+ * - repeating alerts (danger) are re-queued after each playback until they are
+ *   acknowledged or superseded
+ * - the sink is ducked from the first alert until the queue runs dry, so
+ *   other audio can drop under speech
+ *
+ * Audio goes through an injected sink, and the clock and timers are
+ * injectable, so the scheduler runs in tests without a browser.
+ */
+
+// How long an alert may wait in the queue, by priority (5 = danger never expires)
+export const DEFAULT_TTL_MS = { 1: 3000, 2: 4000, 3: 6000, 4: 10000, 5: Infinity };
+
+// Pause between repeats of an unacknowledged alert
+export const DEFAULT_REPEAT_MS = 4000;
+
+/**
+ * Create an alert scheduler
+ * @param {Object} options
+ * @param {{ play: Function, stop: Function, duck?: Function }} options.sink - Audio output.
+ *   play(item, signal) resolves when the alert has finished (or was stopped);
+ *   stop() cuts off whatever is playing; duck(true|false) marks speech starting/ending
+ * @param {Function} [options.now] - Clock (ms)
+ * @param {Function} [options.setTimer] - setTimeout replacement
+ * @param {Function} [options.clearTimer] - clearTimeout replacement
+ * @returns {{ enqueue: Function, acknowledge: Function, clear: Function, getState: Function,
+ *   subscribe: Function }} Scheduler
+ */
+export function createAlertScheduler({ sink, now = Date.now, setTimer = setTimeout, clearTimer = clearTimeout }) {
+  let queue = [];               // waiting entries: { item, enqueuedAt, expiresAt, sequence }
+  let current = null;           // { entry, controller } while something plays
+  let ducked = false;
+  let sequence = 0;             // FIFO tie-break between equal priorities
+  const repeating = new Map();  // key → { item, timer } until acknowledged
+  const listeners = new Set();
+
+  function getState() {
+    return {
+      playing: current ? current.entry.item.key ?? null : null,
+      queued: queue.map(entry => entry.item.key ?? null),
+      repeating: [...repeating.keys()],
+    };
+  }
+
+  function notify() {
+    const state = getState();
+    for (const listener of listeners) listener(state);
+  }
+
+  function setDucked(value) {
+    if (ducked === value) return;
+    ducked = value;
+    sink.duck?.(value);
+  }
+
+  function ttlOf(item) {
+    return item.ttlMs ?? DEFAULT_TTL_MS[item.priority] ?? DEFAULT_TTL_MS[1];
+  }
+
+  // Any pending alert (playing, queued or repeating) that makes this key moot
+  function supersededByPending(key) {
+    const pending = [current?.entry.item, ...queue.map(entry => entry.item), ...[...repeating.values()].map(r => r.item)];
+    return pending.some(item => item?.supersedes?.includes(key));
+  }
+
+  function stopRepeating(key) {
+    const repeat = repeating.get(key);
+    if (!repeat) return;
+    clearTimer(repeat.timer);
+    repeating.delete(key);
+  }
+
+  function cutOff({ requeue }) {
+    if (!current) return;
+    const { entry, controller } = current;
+    current = null;
+    controller.abort();
+    sink.stop();
+    if (requeue && entry.expiresAt > now()) queue.push(entry);
+  }
+
+  /** Remove alerts by key from the queue, the repeats and (if playing) the speaker */
+  function drop(keys) {
+    if (!keys?.length) return;
+    queue = queue.filter(entry => !keys.includes(entry.item.key));
+    for (const key of keys) stopRepeating(key);
+    if (current && keys.includes(current.entry.item.key)) cutOff({ requeue: false });
+  }
+
+  function next() {
+    const t = now();
+    queue = queue.filter(entry => entry.expiresAt > t);
+    if (queue.length === 0) return null;
+    queue.sort((a, b) => b.item.priority - a.item.priority || a.sequence - b.sequence);
+    return queue.shift();
+  }
+
+  async function pump() {
+    if (current) return;
+    const entry = next();
+    if (!entry) {
+      setDucked(false);
+      notify();
+      return;
+    }
+
+    const controller = new AbortController();
+    current = { entry, controller };
+    setDucked(true);
+    notify();
+
+    try {
+      await sink.play(entry.item, controller.signal);
+    } catch (err) {
+      console.error('Alert playback failed:', err);
+    }
+
+    // Preempted or cleared: whoever cut it off has already moved on
+    if (current?.controller !== controller) return;
+    current = null;
+
+    const { key } = entry.item;
+    const repeat = key != null ? repeating.get(key) : null;
+    if (repeat) {
+      repeat.timer = setTimer(() => {
+        if (repeating.get(key) === repeat) enqueue(repeat.item);
+      }, repeat.item.repeatMs ?? DEFAULT_REPEAT_MS);
+    }
+    pump();
+  }
+
+  function schedule(item, preempt = false) {
+    const t = now();
+    const entry = { item, enqueuedAt: t, expiresAt: t + ttlOf(item), sequence: sequence++ };
+    queue.push(entry);
+
+    const playing = current?.entry.item;
+    if (playing && (preempt || item.priority > playing.priority)) cutOff({ requeue: true });
+    if (current) notify();
+    else pump();
+  }
+
+  /**
+   * Queue an alert
+   * @param {Object} item
+   * @param {string} [item.key] - Alert key (needed for dedupe, supersede and repeat)
+   * @param {string} [item.text] - Spoken text (passed through to the sink)
+   * @param {number} item.priority - 1-5, 5 = most urgent
+   * @param {number} [item.ttlMs] - Max wait before playing (default by priority)
+   * @param {string[]} [item.supersedes] - Keys this alert makes obsolete
+   * @param {boolean} [item.repeat] - Repeat until acknowledged
+   * @param {number} [item.repeatMs] - Pause between repeats
+   * @param {Object} [options]
+   * @param {boolean} [options.preempt] - Cut off the current alert even at equal priority
+   * @returns {boolean} Whether the alert was queued (false = duplicate or superseded)
+   */
+  function enqueue(item, { preempt = false } = {}) {
+    const { key } = item;
+    if (key != null) {
+      // Newest information wins: what this alert supersedes goes before it is itself checked
+      drop(item.supersedes);
+      if (supersededByPending(key)) return false;
+
+      const queued = queue.find(entry => entry.item.key === key);
+      if (queued) {
+        queued.expiresAt = now() + ttlOf(item);
+        return false;
+      }
+      if (current?.entry.item.key === key) return false;
+
+      if (item.repeat && !repeating.has(key)) repeating.set(key, { item, timer: null });
+    }
+    schedule(item, preempt);
+    return true;
+  }
+
+  return {
+    enqueue,
+
+    /**
+     * Stop repeating an alert (and cut it off if it is playing)
+     * @param {string} [key] - Alert to acknowledge (all repeating alerts if omitted)
+     */
+    acknowledge(key) {
+      const keys = key != null ? [key] : [...repeating.keys()];
+      if (keys.length === 0) return;
+      drop(keys);
+      if (!current) pump();
+      else notify();
+    },
+
+    /** Drop everything: queue, repeats and the alert playing */
+    clear() {
+      queue = [];
+      for (const key of [...repeating.keys()]) stopRepeating(key);
+      cutOff({ requeue: false });
+      setDucked(false);
+      notify();
+    },
+
+    getState,
+
+    /**
+     * Subscribe to scheduler state changes
+     * @param {Function} listener - Called with getState()
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
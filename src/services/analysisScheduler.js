@@ -0,0 +1,251 @@
+/**
+ * NeoGuide - Analysis Scheduler
+ *
+ * Decides when the next frame goes to the vision provider and keeps the
+ * books on what came back:
+ * - the pace follows the procedure: slow while there is no view, faster at
+ *   the cords and near the carina, and never slower than the safety status
+ *   allows (a warning or danger speeds it up whatever the phase)
+ * - up to maxInFlight requests run at once; a tick that finds them all busy
+ *   is dropped rather than queueing a frame behind stale ones
+ * - responses can arrive out of order — a result captured before one that was
+ *   already applied is stale and is not applied (the tracker and depth
+ *   estimator need capture order)
+ * - throughput is results applied per second, and latency is end to end, from
+ *   frame capture to result, over a sliding window
+ *
+ * The clock and timers are injectable, so the scheduler runs in tests
+ * without a browser.
+ */
+
+import { PROCEDURE_STATES } from './procedureStateMachine';
+
+const S = PROCEDURE_STATES;
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  // Time between analyses, by procedure phase
+  phaseIntervalMs: {
+    [S.NO_VIEW]: 3000,        // idle — nothing to guide yet
+    [S.APPROACH]: 1500,
+    [S.GLOTTIC_VIEW]: 1000,
+    [S.PASSING_CORDS]: 600,
+    [S.TRACHEAL]: 1000,
+    [S.OVER_ADVANCED]: 600,   // at the carina
+    [S.ESOPHAGEAL]: 1000,
+    [S.WITHDRAWN]: 2000,
+  },
+  defaultIntervalMs: 2000,    // before the first result
+  carinaIntervalMs: 600,      // carina in view, whatever the phase
+  safetyIntervalMs: { warning: 1000, danger: 600 }, // ceilings by safety status
+  maxInFlight: 2,
+  windowMs: 30000,            // throughput and latency window
+};
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - 0–100
+ * @returns {number|null} null for no values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * How often to analyse, given the latest fused state
+ * @param {Object|null} stable - Tracker-fused analysis (safety_status, landmarks)
+ * @param {Object|null} step - Procedure state machine step ({ state })
+ * @param {Object} [options] - Overrides for DEFAULT_SCHEDULER_OPTIONS
+ * @returns {{ intervalMs: number, reason: string }} reason: the phase, 'carina', 'warning' or 'danger' —
+ *   whichever set the interval
+ */
+export function paceFor(stable, step, options = {}) {
+  const opts = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  let intervalMs = opts.phaseIntervalMs[step?.state] ?? opts.defaultIntervalMs;
+  let reason = step?.state ?? 'starting';
+  if (stable?.landmarks?.carina?.visible && opts.carinaIntervalMs < intervalMs) {
+    intervalMs = opts.carinaIntervalMs;
+    reason = 'carina';
+  }
+  const ceiling = opts.safetyIntervalMs[stable?.safety_status];
+  if (ceiling != null && ceiling < intervalMs) {
+    intervalMs = ceiling;
+    reason = stable.safety_status;
+  }
+  return { intervalMs, reason };
+}
+
+/**
+ * Create an analysis scheduler
+ * @param {Object} [options] - Overrides for DEFAULT_SCHEDULER_OPTIONS, plus:
+ * @param {Function} [options.now] - Clock (ms)
+ * @param {Function} [options.setTimer] - setTimeout replacement
+ * @param {Function} [options.clearTimer] - clearTimeout replacement
+ * @returns {{ start: Function, stop: Function, setPace: Function, canSend: Function, begin: Function,
+ *   complete: Function, getStats: Function, isRunning: Function }} Scheduler
+ */
+export function createAnalysisScheduler({ now = Date.now, setTimer = setTimeout, clearTimer = clearTimeout, ...options } = {}) {
+  const opts = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  let onTick = null;
+  let timer = null;
+  let lastTickAt = 0;
+  let pace = { intervalMs: opts.defaultIntervalMs, reason: 'starting' };
+  let run = 0;               // bumped on each start — tickets from an earlier run are never applied
+  let nextId = 0;
+  let inFlight = new Set();
+  let lastAppliedAt = -Infinity; // capture time of the newest applied result
+  let startedAt = 0;
+  let counts;
+  let samples;               // applied results: { at, latencyMs, roundTripMs }
+
+  function clearStats() {
+    counts = { ticks: 0, sent: 0, applied: 0, stale: 0, dropped: 0, failed: 0 };
+    samples = [];
+  }
+  clearStats();
+
+  function arm() {
+    if (timer != null) clearTimer(timer);
+    timer = setTimer(fire, Math.max(0, lastTickAt + pace.intervalMs - now()));
+  }
+
+  function fire() {
+    timer = null;
+    lastTickAt = now();
+    counts.ticks += 1;
+    arm();
+    onTick?.();
+  }
+
+  function prune(t) {
+    while (samples.length > 0 && samples[0].at < t - opts.windowMs) samples.shift();
+  }
+
+  return {
+    /**
+     * Start ticking; the first tick comes one interval from now
+     * @param {Function} tick - Called on every tick (it decides whether to send, then calls begin())
+     */
+    start(tick) {
+      onTick = tick;
+      run += 1;
+      inFlight = new Set();
+      lastAppliedAt = -Infinity;
+      startedAt = now();
+      lastTickAt = startedAt;
+      pace = { intervalMs: opts.defaultIntervalMs, reason: 'starting' };
+      clearStats();
+      arm();
+    },
+
+    /** Stop ticking; requests still in flight are not applied when they return */
+    stop() {
+      if (timer != null) clearTimer(timer);
+      timer = null;
+      onTick = null;
+      run += 1;
+      inFlight = new Set();
+    },
+
+    isRunning() {
+      return onTick != null;
+    },
+
+    /**
+     * Re-pace from the latest fused state. A shorter interval takes effect
+     * at once (the pending tick is brought forward).
+     * @param {Object|null} stable - Tracker-fused analysis
+     * @param {Object|null} step - Procedure state machine step
+     * @returns {{ intervalMs: number, reason: string }} The new pace
+     */
+    setPace(stable, step) {
+      const next = paceFor(stable, step, opts);
+      const changed = next.intervalMs !== pace.intervalMs;
+      pace = next;
+      if (changed && onTick) arm();
+      return pace;
+    },
+
+    /**
+     * Whether a request slot is free. Ask before picking the frame, so that no frame is
+     * picked only to be dropped; a tick that finds every slot busy is counted as dropped.
+     * @returns {boolean}
+     */
+    canSend() {
+      if (inFlight.size < opts.maxInFlight) return true;
+      counts.dropped += 1;
+      return false;
+    },
+
+    /**
+     * Claim a request slot for a frame
+     * @param {number} capturedAt - When the frame was captured (ms, same clock as `now`)
+     * @returns {Object|null} Ticket for complete(), or null if every slot is busy (the frame is dropped)
+     */
+    begin(capturedAt) {
+      if (inFlight.size >= opts.maxInFlight) {
+        counts.dropped += 1;
+        return null;
+      }
+      const ticket = { id: nextId++, run, capturedAt, sentAt: now() };
+      inFlight.add(ticket.id);
+      counts.sent += 1;
+      return ticket;
+    },
+
+    /**
+     * Release a ticket's slot when its response (or error) arrives
+     * @param {Object} ticket - From begin()
+     * @param {Object} [outcome]
+     * @param {boolean} [outcome.failed] - The request threw (nothing to apply)
+     * @returns {{ apply: boolean, latencyMs: number, roundTripMs: number }} apply is false for a
+     *   failed request, a stale result (a newer capture was already applied) or one from a stopped run
+     */
+    complete(ticket, { failed = false } = {}) {
+      const t = now();
+      const latencyMs = t - ticket.capturedAt;
+      const roundTripMs = t - ticket.sentAt;
+      if (ticket.run !== run || !inFlight.delete(ticket.id)) return { apply: false, latencyMs, roundTripMs };
+      if (failed) {
+        counts.failed += 1;
+        return { apply: false, latencyMs, roundTripMs };
+      }
+      if (ticket.capturedAt <= lastAppliedAt) {
+        counts.stale += 1;
+        return { apply: false, latencyMs, roundTripMs };
+      }
+      lastAppliedAt = ticket.capturedAt;
+      counts.applied += 1;
+      samples.push({ at: t, latencyMs, roundTripMs });
+      prune(t);
+      return { apply: true, latencyMs, roundTripMs };
+    },
+
+    /**
+     * Throughput, latency percentiles and counts for the current run
+     * @returns {{ throughput: number, latency: { p50: number|null, p90: number|null, p99: number|null },
+     *   roundTrip: { p50: number|null }, intervalMs: number, reason: string, inFlight: number,
+     *   maxInFlight: number, ticks: number, sent: number, applied: number, stale: number,
+     *   dropped: number, failed: number }} throughput in results per second over the window
+     */
+    getStats() {
+      const t = now();
+      prune(t);
+      const span = Math.min(opts.windowMs, t - startedAt);
+      const latencies = samples.map(s => s.latencyMs).sort((a, b) => a - b);
+      const roundTrips = samples.map(s => s.roundTripMs).sort((a, b) => a - b);
+      return {
+        throughput: span > 0 ? (samples.length * 1000) / span : 0,
+        latency: { p50: percentile(latencies, 50), p90: percentile(latencies, 90), p99: percentile(latencies, 99) },
+        roundTrip: { p50: percentile(roundTrips, 50) },
+        intervalMs: pace.intervalMs,
+        reason: pace.reason,
+        inFlight: inFlight.size,
+        maxInFlight: opts.maxInFlight,
+        ...counts,
+      };
+    },
+  };
+}
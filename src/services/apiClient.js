@@ -0,0 +1,72 @@
+/**
+ * NeoGuide - API Client
+ *
+ * Calls the NeoGuide API proxy (server/proxy.js), which holds the vendor
+ * API keys. Every request carries this page's session ID, which the proxy
+ * rate-limits and logs by. The proxy is same-origin unless
+ * VITE_API_BASE_URL points elsewhere.
+ */
+
+const API_BASE = import.meta.env?.VITE_API_BASE_URL ?? '';
+
+/**
+ * Random v4 UUID. crypto.randomUUID only exists in secure contexts — a plain-HTTP
+ * deployment on a ward LAN isn't one — so fall back to getRandomValues, which does.
+ * @returns {string}
+ */
+export function randomUuid() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  const bytes = new Uint8Array(16);
+  if (globalThis.crypto?.getRandomValues) globalThis.crypto.getRandomValues(bytes);
+  else for (let i = 0; i < 16; i++) bytes[i] = Math.floor(Math.random() * 256);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// One session per page load
+export const SESSION_ID = randomUuid();
+
+let health = null;
+
+/**
+ * Call the proxy
+ * @param {string} path - e.g. '/api/analyze'
+ * @param {Object} [options]
+ * @param {Object} [options.json] - Request body (sent as POST)
+ * @param {string} [options.accept] - Accept header
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Response>} Resolves only for 2xx; otherwise rejects with the proxy's error message
+ */
+export async function apiFetch(path, { json, accept = 'application/json', signal } = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: json ? 'POST' : 'GET',
+    signal,
+    headers: {
+      'Accept': accept,
+      'X-NeoGuide-Session': SESSION_ID,
+      ...(json ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: json ? JSON.stringify(json) : undefined,
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error ?? `API proxy error: ${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+/**
+ * Which backends the proxy has keys for (fetched once)
+ * @returns {Promise<{ stub: boolean, gemini: boolean, elevenlabs: boolean }>} All false if the proxy is unreachable
+ */
+export function getProxyHealth() {
+  health ??= apiFetch('/api/health')
+    .then(response => response.json())
+    .catch((err) => {
+      console.warn('API proxy unreachable:', err);
+      return { stub: false, gemini: false, elevenlabs: false };
+    });
+  return health;
+}
@@ -0,0 +1,195 @@
+/**
+ * NeoGuide - Attempt Tracker
+ *
+ * Splits the procedure into intubation attempts and times each one against
+ * the neonatal resuscitation (NRP) limit of about 30 seconds per attempt.
+ *
+ * - An attempt starts at the first sighting of the epiglottis, glottis or
+ *   vocal cords, or on entering the esophagus (or when the clinician marks one)
+ * - It ends when the tube reaches tracheal placement, is withdrawn, or the
+ *   airway view has been lost for a few seconds (or when the clinician ends
+ *   or unmarks it)
+ * - While it runs, it raises a 'warning' prompt at 20 s and a 'limit' prompt
+ *   at 30 s
+ *
+ * Times are whatever the caller passes in (frame capture time), so replayed
+ * sessions segment the same way they did live.
+ *
+ * Pure JavaScript — no React, no browser APIs.
+ */
+
+import { PROCEDURE_STATES } from './procedureStateMachine';
+
+const S = PROCEDURE_STATES;
+
+export const DEFAULT_ATTEMPT_OPTIONS = {
+  warnMs: 20000,     // first prompt
+  limitMs: 30000,    // NRP limit per attempt
+  viewLostMs: 5000,  // airway out of view this long ends the attempt
+};
+
+export const ATTEMPT_OUTCOMES = {
+  TRACHEAL: 'tracheal',       // tube reached tracheal placement
+  ESOPHAGEAL: 'esophageal',   // esophagus entered, then withdrawn
+  WITHDRAWN: 'withdrawn',     // pulled back above the cords
+  VIEW_LOST: 'view_lost',     // laryngoscope out / airway no longer seen
+  MANUAL: 'manual',           // ended by the clinician
+};
+
+// Any of these in view starts an attempt
+const SIGHTING_LANDMARKS = ['epiglottis', 'glottis', 'vocal_cords'];
+
+// Any of these in view counts as seeing the airway
+const AIRWAY_LANDMARKS = [...SIGHTING_LANDMARKS, 'tracheal_rings', 'carina'];
+
+// Tube already below the cords — a cords sighting here is not a new attempt
+const BELOW_CORDS = [S.PASSING_CORDS, S.TRACHEAL, S.OVER_ADVANCED];
+
+const visible = (analysis, names) => names.some(name => analysis.landmarks?.[name]?.visible);
+
+/**
+ * Create an attempt tracker
+ * @param {Object} [options] - Overrides for DEFAULT_ATTEMPT_OPTIONS
+ * @returns {{ update: Function, tick: Function, mark: Function, end: Function, unmark: Function,
+ *   getCurrent: Function, getAttempts: Function, reset: Function }} Attempt tracker
+ */
+export function createAttemptTracker(options = {}) {
+  const opts = { ...DEFAULT_ATTEMPT_OPTIONS, ...options };
+  let attempts;      // finished and running attempts, oldest first
+  let current;       // running attempt, or null
+  let lastViewAt;    // last time the running attempt saw the airway
+
+  function reset() {
+    attempts = [];
+    current = null;
+    lastViewAt = null;
+  }
+
+  function start(t, manual) {
+    current = {
+      number: attempts.length + 1,
+      startedAt: t,
+      endedAt: null,
+      outcome: null,
+      manual,
+      warned: false,
+      overLimit: false,
+      esophageal: false,
+    };
+    attempts.push(current);
+    lastViewAt = t;
+    return current;
+  }
+
+  function finish(t, outcome) {
+    const attempt = current;
+    attempt.endedAt = t;
+    attempt.outcome = outcome;
+    attempt.overLimit = attempt.overLimit || t - attempt.startedAt >= opts.limitMs;
+    current = null;
+    return attempt;
+  }
+
+  // The most urgent prompt newly due for the running attempt
+  function prompt(t) {
+    if (!current) return null;
+    const elapsed = t - current.startedAt;
+    if (!current.overLimit && elapsed >= opts.limitMs) {
+      current.overLimit = true;
+      current.warned = true;
+      return 'limit';
+    }
+    if (!current.warned && elapsed >= opts.warnMs) {
+      current.warned = true;
+      return 'warning';
+    }
+    return null;
+  }
+
+  /**
+   * Advance with a new fused analysis
+   * @param {Object} analysis - Fused analysis (tracker output)
+   * @param {Object} step - Procedure state machine step for the same analysis
+   * @param {number} t - Capture time (ms)
+   * @returns {{ current: Object|null, started: Object|null, ended: Object|null, prompt: string|null }}
+   */
+  function update(analysis, step, t) {
+    let started = null;
+    let ended = null;
+
+    // A failed analysis says nothing about the airway — only the clock moves
+    if (analysis.success) {
+      if (current) {
+        if (step.changed && step.state === S.TRACHEAL && !step.suspicious) {
+          ended = finish(t, ATTEMPT_OUTCOMES.TRACHEAL);
+        } else if (step.changed && step.state === S.WITHDRAWN) {
+          ended = finish(t, current.esophageal ? ATTEMPT_OUTCOMES.ESOPHAGEAL : ATTEMPT_OUTCOMES.WITHDRAWN);
+        } else if (visible(analysis, AIRWAY_LANDMARKS) || analysis.depth_zone !== 'unknown') {
+          lastViewAt = t;
+        } else if (t - lastViewAt >= opts.viewLostMs) {
+          ended = finish(lastViewAt, ATTEMPT_OUTCOMES.VIEW_LOST);
+        }
+      } else if ((visible(analysis, SIGHTING_LANDMARKS) || step.state === S.ESOPHAGEAL) && !BELOW_CORDS.includes(step.state)) {
+        started = start(t, false);
+      }
+      if (current && step.state === S.ESOPHAGEAL) current.esophageal = true;
+    }
+
+    return { current, started, ended, prompt: prompt(t) };
+  }
+
+  reset();
+  return {
+    update,
+
+    /**
+     * Advance the clock without a new analysis (live countdown between frames)
+     * @param {number} t - Now (ms)
+     * @returns {{ current: Object|null, prompt: string|null }}
+     */
+    tick(t) {
+      return { current, prompt: prompt(t) };
+    },
+
+    /**
+     * Start an attempt by hand, ending any running one
+     * @param {number} t - Now (ms)
+     * @returns {{ started: Object, ended: Object|null }}
+     */
+    mark(t) {
+      const ended = current ? finish(t, ATTEMPT_OUTCOMES.MANUAL) : null;
+      return { started: start(t, true), ended };
+    },
+
+    /**
+     * End the running attempt
+     * @param {number} t - Now (ms)
+     * @param {string} [outcome] - Key from ATTEMPT_OUTCOMES
+     * @returns {Object|null} The attempt ended, or null if none was running
+     */
+    end(t, outcome = ATTEMPT_OUTCOMES.MANUAL) {
+      return current ? finish(t, outcome) : null;
+    },
+
+    /**
+     * Discard the running attempt, or the last one if none is running
+     * (a false start, or one detected by mistake)
+     * @returns {Object|null} The attempt removed
+     */
+    unmark() {
+      const removed = current ?? attempts[attempts.length - 1] ?? null;
+      if (!removed) return null;
+      attempts = attempts.filter(a => a !== removed);
+      attempts.forEach((a, i) => { a.number = i + 1; });
+      if (removed === current) current = null;
+      return removed;
+    },
+
+    getCurrent: () => current,
+
+    /** @returns {Array<Object>} Copies of every attempt, oldest first (endedAt null = running) */
+    getAttempts: () => attempts.map(a => ({ ...a })),
+
+    reset,
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * NeoGuide - Camera Settings
+ *
+ * What the camera is asked for (device, resolution, frame rate, focus,
+ * exposure, torch) and how its image is framed for analysis (circular crop
+ * for endoscope images, rotation). Named presets cover common scope types;
+ * presets the clinician saves, and the last settings used, persist in
+ * localStorage.
+ *
+ * Pure JavaScript apart from localStorage — constraints are built here and
+ * applied by the webcam media source; framing is applied by captureCanvas.
+ */
+
+const SETTINGS_KEY = 'neoguide.cameraSettings';
+const PRESETS_KEY = 'neoguide.cameraPresets';
+
+export const RESOLUTIONS = [
+  { width: 640, height: 480 },
+  { width: 1280, height: 720 },
+  { width: 1920, height: 1080 },
+];
+
+export const FRAME_RATES = [15, 24, 30, 60];
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: null,            // null = browser default
+  width: 640,
+  height: 480,
+  frameRate: 30,
+  focusMode: null,           // 'continuous' | 'single-shot' | 'manual' | null = camera default
+  focusDistance: null,       // manual focus, in the camera's own units
+  exposureMode: null,        // 'continuous' | 'manual' | null = camera default
+  exposureCompensation: null,
+  torch: false,
+  crop: null,                // circular crop { x, y, radius }: centre as a fraction of width/height,
+                             // radius as a fraction of the shorter side; null = whole frame
+  rotation: 0,               // degrees clockwise, from ROTATIONS
+};
+
+// Typical scope types. Device is left to the user — the same preset suits any scope of the kind.
+export const BUILTIN_CAMERA_PRESETS = [
+  {
+    id: 'builtin:webcam',
+    name: 'Webcam (640×480)',
+    builtin: true,
+    settings: { width: 640, height: 480, frameRate: 30, crop: null, rotation: 0 },
+  },
+  {
+    id: 'builtin:video-laryngoscope',
+    name: 'USB video laryngoscope (720p)',
+    builtin: true,
+    settings: { width: 1280, height: 720, frameRate: 30, crop: null, rotation: 0 },
+  },
+  {
+    id: 'builtin:stylet-camera',
+    name: 'Stylet camera, circular image (480p)',
+    builtin: true,
+    settings: { width: 640, height: 480, frameRate: 30, crop: { x: 0.5, y: 0.5, radius: 0.48 }, rotation: 0 },
+  },
+  {
+    id: 'builtin:flexible-endoscope',
+    name: 'Flexible endoscope, circular image (1080p)',
+    builtin: true,
+    settings: { width: 1920, height: 1080, frameRate: 30, crop: { x: 0.5, y: 0.5, radius: 0.46 }, rotation: 0 },
+  },
+];
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(globalThis.localStorage?.getItem(key) ?? 'null') ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    globalThis.localStorage?.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${key}:`, err);
+  }
+}
+
+/**
+ * Last camera settings used (defaults on first run)
+ * @returns {Object} Camera settings
+ */
+export function loadCameraSettings() {
+  return { ...DEFAULT_CAMERA_SETTINGS, ...readJson(SETTINGS_KEY, {}) };
+}
+
+/**
+ * Remember the camera settings for the next session
+ * @param {Object} settings
+ */
+export function saveCameraSettings(settings) {
+  writeJson(SETTINGS_KEY, settings);
+}
+
+/**
+ * Built-in presets followed by the ones the user saved
+ * @returns {Array<{ id: string, name: string, builtin: boolean, settings: Object }>}
+ */
+export function loadCameraPresets() {
+  return [...BUILTIN_CAMERA_PRESETS, ...readJson(PRESETS_KEY, [])];
+}
+
+/**
+ * Save the current settings as a named preset (replacing a saved preset of the same name)
+ * @param {string} name
+ * @param {Object} settings
+ * @returns {Array<Object>} All presets, as loadCameraPresets
+ */
+export function saveCameraPreset(name, settings) {
+  const saved = readJson(PRESETS_KEY, []).filter(p => p.name !== name);
+  saved.push({ id: `user:${Date.now()}`, name, builtin: false, settings: { ...settings } });
+  writeJson(PRESETS_KEY, saved);
+  return loadCameraPresets();
+}
+
+/**
+ * Delete a saved preset (built-in presets can't be deleted)
+ * @param {string} id
+ * @returns {Array<Object>} All presets, as loadCameraPresets
+ */
+export function deleteCameraPreset(id) {
+  writeJson(PRESETS_KEY, readJson(PRESETS_KEY, []).filter(p => p.id !== id));
+  return loadCameraPresets();
+}
+
+/**
+ * Settings with a preset applied. A preset that names no device keeps the current one.
+ * @param {Object} settings - Current settings
+ * @param {Object} preset - From loadCameraPresets
+ * @returns {Object} New settings
+ */
+export function applyCameraPreset(settings, preset) {
+  return { ...DEFAULT_CAMERA_SETTINGS, deviceId: settings.deviceId, ...preset.settings };
+}
+
+/**
+ * getUserMedia video constraints for the settings
+ * @param {Object} settings
+ * @returns {MediaTrackConstraints}
+ */
+export function buildVideoConstraints(settings) {
+  return {
+    width: { ideal: settings.width },
+    height: { ideal: settings.height },
+    frameRate: { ideal: settings.frameRate },
+    ...(settings.deviceId ? { deviceId: { exact: settings.deviceId } } : {}),
+  };
+}
+
+/**
+ * Focus, exposure and torch constraints — only those the camera reports it supports
+ * @param {Object} settings
+ * @param {Object} capabilities - From MediaStreamTrack.getCapabilities() ({} if unavailable)
+ * @returns {Array<Object>} Entries for MediaTrackConstraints.advanced (empty = nothing to apply)
+ */
+export function buildAdvancedConstraints(settings, capabilities = {}) {
+  const advanced = {};
+  if (settings.focusMode && capabilities.focusMode?.includes(settings.focusMode)) {
+    advanced.focusMode = settings.focusMode;
+    if (settings.focusMode === 'manual' && settings.focusDistance != null && capabilities.focusDistance) {
+      advanced.focusDistance = settings.focusDistance;
+    }
+  }
+  if (settings.exposureMode && capabilities.exposureMode?.includes(settings.exposureMode)) {
+    advanced.exposureMode = settings.exposureMode;
+  }
+  if (settings.exposureCompensation != null && capabilities.exposureCompensation) {
+    advanced.exposureCompensation = settings.exposureCompensation;
+  }
+  if ('torch' in capabilities) advanced.torch = !!settings.torch;
+  return Object.keys(advanced).length ? [advanced] : [];
+}
+
+/**
+ * Where to cut the analysis frame from the video, and its output size
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @param {{ crop: Object|null, rotation: number }} view - From the camera settings
+ * @returns {{ sx: number, sy: number, size: { width: number, height: number }, canvas: { width: number,
+ *   height: number }, circle: { cx: number, cy: number, r: number }|null, rotation: number }} Geometry:
+ *   source rectangle (sx, sy, size) and canvas size after rotation; circle is in canvas pixels
+ */
+export function frameGeometry(videoWidth, videoHeight, { crop = null, rotation = 0 } = {}) {
+  let sx = 0;
+  let sy = 0;
+  let width = videoWidth;
+  let height = videoHeight;
+  if (crop) {
+    const r = Math.round(crop.radius * Math.min(videoWidth, videoHeight));
+    // Keep the square around the circle inside the frame
+    sx = Math.max(0, Math.min(videoWidth - 2 * r, Math.round(crop.x * videoWidth) - r));
+    sy = Math.max(0, Math.min(videoHeight - 2 * r, Math.round(crop.y * videoHeight) - r));
+    width = Math.min(2 * r, videoWidth);
+    height = Math.min(2 * r, videoHeight);
+  }
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const canvas = quarterTurn ? { width: height, height: width } : { width, height };
+  const circle = crop ? { cx: canvas.width / 2, cy: canvas.height / 2, r: Math.min(width, height) / 2 } : null;
+  return { sx, sy, size: { width, height }, canvas, circle, rotation };
+}
+
+/**
+ * Map a point on the analysis frame back onto the video — the inverse of
+ * the crop and rotation captureCanvas applies
+ * @param {[number, number]} point - Frame-relative (0–1) point on the analysis frame
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @param {{ crop: Object|null, rotation: number }} view - From the camera settings
+ * @returns {[number, number]} Point in video pixels
+ */
+export function analysisPointToVideo([x, y], videoWidth, videoHeight, view) {
+  const { sx, sy, size, canvas, rotation } = frameGeometry(videoWidth, videoHeight, view);
+  const dx = x * canvas.width - canvas.width / 2;
+  const dy = y * canvas.height - canvas.height / 2;
+  const angle = (rotation * Math.PI) / 180;
+  return [
+    sx + size.width / 2 + dx * Math.cos(angle) + dy * Math.sin(angle),
+    sy + size.height / 2 - dx * Math.sin(angle) + dy * Math.cos(angle),
+  ];
+}
@@ -0,0 +1,221 @@
+/**
+ * NeoGuide - Continuous Depth Estimator
+ *
+ * Turns the tracked zone sequence into a continuous tube depth with an
+ * uncertainty band, instead of one fixed number per zone. Each frame
+ * contributes up to three measurements, fused by inverse variance and then
+ * smoothed over time with a one-dimensional Kalman filter:
+ *
+ *   - zone prior:  position inside the tracked zone, drifting from the edge
+ *                  the tube entered through toward the middle as it dwells
+ *   - ring count:  tracheal rings seen ahead × ring spacing = distance to carina
+ *   - carina size: apparent carina width grows as the tip approaches it
+ *
+ * Pure JavaScript — no React, no browser APIs.
+ */
+
+import { ZONE_ORDER } from './landmarkTracker';
+import { computeCalibration } from './patientCalibration';
+
+export const DEFAULT_DEPTH_OPTIONS = {
+  zoneTransitMs: 3000,     // time constant for drifting from the entry edge to mid-zone
+  processVariance: 0.05,   // cm² per second the tube may move between frames
+  maxUncertaintyCm: 1.0,   // 1σ above which the estimate is withdrawn (no evidence for too long)
+  ringsPerTrachea: 16,     // neonatal trachea has ~16 cartilage rings cords-to-carina
+  carinaWidthCm: 0.15,     // remaining distance ≈ carinaWidthCm / apparent width fraction (term)
+};
+
+// Reported band is ±2σ (~95%)
+const BAND_SIGMAS = 2;
+
+// Cues are only meaningful where the structure they measure lies ahead of the tip
+const RING_ZONES = ['subglottic', 'tracheal', 'carinal'];
+const CARINA_ZONES = ['tracheal', 'carinal'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Depth span each zone covers, made contiguous: a zone runs from its own lower
+ * bound to the next zone's, and the open-ended bronchial zone gets a quarter trachea.
+ * @param {Object} calibration - From computeCalibration
+ * @returns {Object} Map of zone id → [lowCm, highCm]
+ */
+export function zoneSpans(calibration) {
+  const spans = {};
+  const zones = calibration.zones;
+  zones.forEach((zone, i) => {
+    const low = zone.minCm ?? 0;
+    const next = zones[i + 1];
+    const high = next ? next.minCm : low + calibration.cordsToCarinaCm / 4;
+    spans[zone.id] = [low, Math.max(low, high)];
+  });
+  return spans;
+}
+
+/**
+ * Position of a depth on the gauge, as a fraction of its height. Every zone row
+ * has the same height, so the scale is piecewise linear across rows.
+ * @param {number} depthCm
+ * @param {Object} calibration - From computeCalibration
+ * @returns {number} 0 (top of pre-glottic row) … 1 (bottom of bronchial row)
+ */
+export function depthToGaugeFraction(depthCm, calibration) {
+  const spans = zoneSpans(calibration);
+  const rows = ZONE_ORDER.length;
+  for (let i = 0; i < rows; i++) {
+    const [low, high] = spans[ZONE_ORDER[i]];
+    if (depthCm <= high || i === rows - 1) {
+      // Pre-glottic has no extent below the cords: anything at or above them sits on its lower edge
+      const within = high > low ? (depthCm - low) / (high - low) : 1;
+      return (i + Math.min(1, Math.max(0, within))) / rows;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Create a depth estimator for one patient
+ * @param {Object} [calibration] - From computeCalibration (term defaults if omitted)
+ * @param {Object} [options] - Overrides for DEFAULT_DEPTH_OPTIONS
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createDepthEstimator(calibration = computeCalibration(), options = {}) {
+  const opts = { ...DEFAULT_DEPTH_OPTIONS, ...options };
+  const spans = zoneSpans(calibration);
+  const carinaCm = calibration.cordsToCarinaCm;
+  const scale = carinaCm / 4;
+  const ringSpacingCm = carinaCm / opts.ringsPerTrachea;
+
+  let depth;          // filtered depth (cm), null until the first measurement
+  let variance;       // filtered variance (cm²)
+  let lastTs;         // timestamp of the previous update
+  let zone;           // zone the entry bookkeeping refers to
+  let entryTs;        // when that zone was entered
+  let enteredFrom;    // 'above' | 'below' | null (first zone seen)
+
+  function reset() {
+    depth = null;
+    variance = null;
+    lastTs = null;
+    zone = 'unknown';
+    entryTs = null;
+    enteredFrom = null;
+  }
+
+  /** Zone prior: where in the zone the tip probably is, given how and when it got there */
+  function zoneMeasurement(tracked, now) {
+    const [low, high] = spans[tracked.depth_zone];
+    const mid = (low + high) / 2;
+    const progress = 1 - Math.exp(-(now - entryTs) / opts.zoneTransitMs);
+    const edge = enteredFrom === 'above' ? low : enteredFrom === 'below' ? high : mid;
+    // Uniform-in-zone spread, widened when the tracker itself is unsure of the zone
+    const spread = Math.max(0.05, (high - low) / Math.sqrt(12));
+    const zoneConfidence = tracked.tracking?.zone_confidence ?? 1;
+    return {
+      source: 'zone',
+      cm: edge + (mid - edge) * progress,
+      sd: spread / Math.max(0.3, zoneConfidence),
+    };
+  }
+
+  /** Every ring visible ahead is one ring spacing of trachea left before the carina */
+  function ringMeasurement(tracked) {
+    const count = tracked.visual_cues?.tracheal_ring_count;
+    if (!RING_ZONES.includes(tracked.depth_zone) || !tracked.landmarks?.tracheal_rings?.visible || !(count > 0)) return null;
+    // Without the carina in view, distal rings may be out of sight: a looser bound
+    const carinaSeen = tracked.landmarks.carina?.visible;
+    return {
+      source: 'rings',
+      cm: carinaCm - count * ringSpacingCm,
+      sd: ringSpacingCm * (carinaSeen ? 1 : 2.5),
+    };
+  }
+
+  /** Apparent carina width is roughly inversely proportional to the distance to it */
+  function carinaMeasurement(tracked) {
+    const fraction = tracked.visual_cues?.carina_width_fraction;
+    if (!CARINA_ZONES.includes(tracked.depth_zone) || !tracked.landmarks?.carina?.visible || !(fraction > 0)) return null;
+    const remaining = Math.min(carinaCm / 2, (opts.carinaWidthCm * scale) / Math.max(0.05, fraction));
+    return {
+      source: 'carina',
+      cm: carinaCm - remaining,
+      sd: 0.15 * scale + 0.35 * remaining,
+    };
+  }
+
+  /**
+   * Fold a tracked result into the estimate
+   * @param {Object} tracked - Fused result from the landmark tracker
+   * @param {number} [now] - Capture timestamp (ms)
+   * @returns {{ depth_cm: number|null, uncertainty_cm: number|null, lower_cm: number|null,
+   *   upper_cm: number|null, sources: string[] }} Depth with a ±2σ band; depth_cm is null when
+   *   there is no airway depth (esophagus, lost view for too long)
+   */
+  function update(tracked, now = Date.now()) {
+    // An esophageal view has no airway depth — start over once the tube is back in the airway
+    if (tracked.landmarks?.esophagus?.visible) {
+      reset();
+      return estimate([]);
+    }
+
+    // Predict: uncertainty grows with time since the last frame
+    if (depth != null) variance += opts.processVariance * Math.max(0, now - (lastTs ?? now)) / 1000;
+    lastTs = now;
+
+    const inZone = tracked.success !== false && spans[tracked.depth_zone] != null;
+    if (!inZone) {
+      if (depth != null && Math.sqrt(variance) > opts.maxUncertaintyCm) reset();
+      return estimate([]);
+    }
+
+    if (tracked.depth_zone !== zone) {
+      const from = ZONE_ORDER.indexOf(zone);
+      const to = ZONE_ORDER.indexOf(tracked.depth_zone);
+      enteredFrom = from < 0 ? null : to > from ? 'above' : 'below';
+      zone = tracked.depth_zone;
+      entryTs = now;
+    }
+
+    const measurements = [zoneMeasurement(tracked, now), ringMeasurement(tracked), carinaMeasurement(tracked)]
+      .filter(Boolean);
+
+    // Inverse-variance fusion of this frame's measurements
+    const weights = measurements.map(m => 1 / (m.sd * m.sd));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const measured = measurements.reduce((sum, m, i) => sum + m.cm * weights[i], 0) / totalWeight;
+    const measuredVariance = 1 / totalWeight;
+
+    // Kalman update
+    if (depth == null) {
+      depth = measured;
+      variance = measuredVariance;
+    } else {
+      const gain = variance / (variance + measuredVariance);
+      depth += gain * (measured - depth);
+      variance *= 1 - gain;
+    }
+
+    // The tracked zone is authoritative (it drives the safety status): keep the depth inside it
+    const [low, high] = spans[zone];
+    depth = Math.min(high, Math.max(low, depth));
+
+    return estimate(measurements.map(m => m.source));
+  }
+
+  function estimate(sources) {
+    if (depth == null) {
+      return { depth_cm: null, uncertainty_cm: null, lower_cm: null, upper_cm: null, sources };
+    }
+    const band = BAND_SIGMAS * Math.sqrt(variance);
+    return {
+      depth_cm: round2(depth),
+      uncertainty_cm: round2(band),
+      lower_cm: round2(Math.max(0, depth - band)),
+      upper_cm: round2(depth + band),
+      sources,
+    };
+  }
+
+  reset();
+  return { update, reset };
+}
@@ -0,0 +1,275 @@
+/**
+ * NeoGuide - Earcons
+ *
+ * Non-verbal audio cues synthesized with Web Audio. A spoken alert takes
+ * seconds to deliver; a tone is heard in a fraction of one, so each safety
+ * transition gets a distinct earcon that plays instantly, ahead of (or, with
+ * voice off, instead of) the spoken alert.
+ *
+ * The proximity tone works like a parking sensor: once the tube is past the
+ * optimal depth it beeps, faster and higher as the estimate nears the carina,
+ * and holds a continuous tone at the carina and beyond. It ducks under
+ * speech so spoken alerts stay intelligible.
+ *
+ * Volume, mute and the proximity tone are user settings kept in localStorage.
+ */
+
+import { GUIDANCE_FAILURE_THRESHOLD, subscribeDucking } from './voiceAlerts';
+import { DEGRADED_STATUS } from './visionResult';
+
+const SETTINGS_KEY = 'neoguide.earcons';
+
+export const DEFAULT_EARCON_SETTINGS = {
+  volume: 0.6,         // master level, 0–1
+  muted: false,        // silences earcons and the proximity tone
+  proximityTone: true, // parking-sensor tone near the carina
+};
+
+// Each earcon is a list of notes: start offset (s), duration (s), frequency (Hz), waveform, level.
+// Danger follows the IEC 60601-1-8 high-priority rhythm (3 + 2 pulses); warning the medium one (3 pulses).
+export const EARCONS = {
+  danger: [0, 0.15, 0.30, 0.65, 0.80].map(start => ({ start, duration: 0.1, freq: 988, type: 'square', level: 0.35 })),
+  warning: [0, 0.22, 0.44].map(start => ({ start, duration: 0.16, freq: 740, type: 'triangle', level: 0.6 })),
+  degraded: [
+    { start: 0, duration: 0.18, freq: 523, type: 'triangle', level: 0.6 },
+    { start: 0.2, duration: 0.18, freq: 392, type: 'triangle', level: 0.6 },
+    { start: 0.4, duration: 0.3, freq: 262, type: 'triangle', level: 0.6 },
+  ],
+  clear: [
+    { start: 0, duration: 0.14, freq: 392, type: 'sine', level: 0.7 },
+    { start: 0.16, duration: 0.22, freq: 523, type: 'sine', level: 0.7 },
+  ],
+  placement: [
+    { start: 0, duration: 0.12, freq: 523, type: 'sine', level: 0.6 },
+    { start: 0.1, duration: 0.12, freq: 659, type: 'sine', level: 0.6 },
+    { start: 0.2, duration: 0.3, freq: 784, type: 'sine', level: 0.6 },
+  ],
+};
+
+// Proximity tone: beep interval and pitch at the optimal depth (0) and at the carina (1)
+const PROXIMITY = {
+  level: 0.25,
+  beepS: 0.07,
+  slowIntervalMs: 900,
+  fastIntervalMs: 130,
+  lowHz: 600,
+  highHz: 1200,
+  continuousAt: 1,   // proximity at which the beeps merge into one tone
+  duckFactor: 0.25,  // proximity level while an alert is being spoken
+};
+
+const ENVELOPE_S = 0.008; // attack/release — avoids clicks
+
+let settings = loadSettings();
+let context = null;
+let master = null;
+let proximity = null;       // { osc, gain } once the tone has been started
+let proximityValue = null;  // 0–1, or null when the tone is off
+let proximityTimer = null;
+let ducked = false;
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(SETTINGS_KEY) ?? 'null');
+    return { ...DEFAULT_EARCON_SETTINGS, ...stored };
+  } catch {
+    return { ...DEFAULT_EARCON_SETTINGS };
+  }
+}
+
+function masterLevel() {
+  return settings.muted ? 0 : settings.volume;
+}
+
+/**
+ * Lazily create the audio graph. Returns null where Web Audio is unavailable.
+ * @returns {AudioContext|null}
+ */
+function audioContext() {
+  if (context) return context;
+  const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  context = new AudioContextClass();
+  master = context.createGain();
+  master.gain.value = masterLevel();
+  master.connect(context.destination);
+  return context;
+}
+
+/**
+ * Resume audio output. Browsers only allow this from a user gesture — call it
+ * from the click that starts monitoring so the first earcon isn't swallowed.
+ */
+export function unlockEarcons() {
+  audioContext()?.resume().catch(err => console.warn('Earcon audio could not start:', err));
+}
+
+/**
+ * Current earcon settings
+ * @returns {{ volume: number, muted: boolean, proximityTone: boolean }}
+ */
+export function getEarconSettings() {
+  return settings;
+}
+
+/**
+ * Change and persist earcon settings
+ * @param {Object} patch - Any of volume, muted, proximityTone
+ * @returns {Object} The new settings
+ */
+export function updateEarconSettings(patch) {
+  settings = { ...settings, ...patch, volume: Math.min(1, Math.max(0, patch.volume ?? settings.volume)) };
+  try {
+    globalThis.localStorage?.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save earcon settings:', err);
+  }
+  if (master) master.gain.setTargetAtTime(masterLevel(), context.currentTime, 0.02);
+  if (!settings.proximityTone) setProximity(null);
+  return settings;
+}
+
+/**
+ * Play an earcon now. Never queued — it overlaps speech on purpose.
+ * @param {string|null} name - Key from EARCONS (null is a no-op)
+ */
+export function playEarcon(name) {
+  const notes = EARCONS[name];
+  if (!notes || settings.muted) return;
+  const ctx = audioContext();
+  if (!ctx) return;
+
+  const t0 = ctx.currentTime + 0.01;
+  for (const note of notes) {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = note.type;
+    osc.frequency.value = note.freq;
+    const start = t0 + note.start;
+    const end = start + note.duration;
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(note.level, start + ENVELOPE_S);
+    gain.gain.setValueAtTime(note.level, end - ENVELOPE_S);
+    gain.gain.linearRampToValueAtTime(0, end);
+    osc.connect(gain).connect(master);
+    osc.start(start);
+    osc.stop(end + 0.01);
+  }
+}
+
+function proximityLevel() {
+  return PROXIMITY.level * (ducked ? PROXIMITY.duckFactor : 1);
+}
+
+function proximityTick() {
+  proximityTimer = null;
+  if (proximityValue == null || !proximity) return;
+
+  const now = context.currentTime;
+  const p = proximityValue;
+  proximity.osc.frequency.setTargetAtTime(PROXIMITY.lowHz + (PROXIMITY.highHz - PROXIMITY.lowHz) * p, now, 0.02);
+
+  if (p >= PROXIMITY.continuousAt) {
+    proximity.gain.gain.setTargetAtTime(proximityLevel(), now, 0.01);
+    proximityTimer = setTimeout(proximityTick, 200);
+    return;
+  }
+  proximity.gain.gain.cancelScheduledValues(now);
+  proximity.gain.gain.setValueAtTime(0, now);
+  proximity.gain.gain.linearRampToValueAtTime(proximityLevel(), now + ENVELOPE_S);
+  proximity.gain.gain.setValueAtTime(proximityLevel(), now + PROXIMITY.beepS);
+  proximity.gain.gain.linearRampToValueAtTime(0, now + PROXIMITY.beepS + ENVELOPE_S);
+  const interval = PROXIMITY.slowIntervalMs - (PROXIMITY.slowIntervalMs - PROXIMITY.fastIntervalMs) * p;
+  proximityTimer = setTimeout(proximityTick, interval);
+}
+
+/**
+ * Drive the proximity tone
+ * @param {number|null} value - 0 at the optimal depth → 1 at the carina; null silences it
+ */
+export function setProximity(value) {
+  proximityValue = value != null && settings.proximityTone ? Math.min(1, Math.max(0, value)) : null;
+
+  if (proximityValue == null) {
+    if (proximityTimer) clearTimeout(proximityTimer);
+    proximityTimer = null;
+    if (proximity) proximity.gain.gain.setTargetAtTime(0, context.currentTime, 0.01);
+    return;
+  }
+
+  const ctx = audioContext();
+  if (!ctx) return;
+  if (!proximity) {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = 'sine';
+    gain.gain.value = 0;
+    osc.connect(gain).connect(master);
+    osc.start();
+    proximity = { osc, gain };
+  }
+  if (!proximityTimer) proximityTick();
+}
+
+/** Silence the proximity tone (call when monitoring stops) */
+export function stopEarcons() {
+  setProximity(null);
+}
+
+// Speech ducks the proximity tone; the next beep picks up the new level
+subscribeDucking((value) => {
+  ducked = value;
+  if (proximity && proximityValue >= PROXIMITY.continuousAt) {
+    proximity.gain.gain.setTargetAtTime(proximityLevel(), context.currentTime, 0.02);
+  }
+});
+
+/**
+ * How close the tube is to the carina, for the proximity tone
+ * @param {Object} stable - Fused analysis (with depth_estimate)
+ * @param {Object} calibration - From computeCalibration
+ * @returns {number|null} 0 at the optimal depth → 1 at the carina (and beyond); null when the
+ *   tube isn't known to be in the lower trachea
+ */
+export function carinaProximity(stable, calibration) {
+  const depth = stable?.depth_estimate?.depth_cm;
+  if (depth == null || !stable.success || stable.landmarks?.esophagus?.visible) return null;
+  if (!['tracheal', 'carinal', 'bronchial'].includes(stable.depth_zone)) return null;
+  const { optimalDepthCm, cordsToCarinaCm } = calibration;
+  if (depth <= optimalDepthCm) return null;
+  return Math.min(1, (depth - optimalDepthCm) / (cordsToCarinaCm - optimalDepthCm));
+}
+
+/**
+ * Determine which earcon to play, from the same fused analysis determineAlert uses
+ * @param {Object} currentAnalysis - Current fused analysis
+ * @param {Object} previousAnalysis - Previous fused analysis
+ * @param {Object} [procedureStep] - Step from the procedure state machine for this analysis
+ * @returns {string|null} Key from EARCONS, or null
+ */
+export function determineEarcon(currentAnalysis, previousAnalysis, procedureStep = null) {
+  const curr = currentAnalysis;
+  const prev = previousAnalysis;
+
+  // No answer from the AI: one cue when the failure streak crosses the spoken-alert threshold
+  const failures = curr.consecutive_failures ?? 0;
+  const prevFailures = prev?.consecutive_failures ?? 0;
+  if (curr.safety_status === DEGRADED_STATUS || !curr.success) {
+    return failures >= GUIDANCE_FAILURE_THRESHOLD && prevFailures < GUIDANCE_FAILURE_THRESHOLD ? 'degraded' : null;
+  }
+
+  if (curr.landmarks?.esophagus?.visible && !prev?.landmarks?.esophagus?.visible) return 'danger';
+
+  const prevStatus = prev?.safety_status ?? 'safe';
+  if (curr.safety_status !== prevStatus) {
+    if (curr.safety_status === 'danger') return 'danger';
+    if (curr.safety_status === 'warning') return 'warning';
+    if (prevStatus === 'warning' || prevStatus === 'danger') return 'clear';
+  }
+
+  if (procedureStep?.changed && procedureStep.state === 'tracheal_placement' && !procedureStep.suspicious) {
+    return 'placement';
+  }
+
+  return null;
+}
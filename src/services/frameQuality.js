@@ -0,0 +1,254 @@
+/**
+ * NeoGuide - Frame Quality Gate
+ *
+ * Judges frames on the client before they cost a vision round trip:
+ * - brightness: mean luma — too dark (scope light off, lens against tissue)
+ *   or blown out
+ * - sharpness: variance of the Laplacian — low when the scope is moving or
+ *   out of focus
+ * - haze: low saturation and low contrast together — a fogged or
+ *   secretion-covered lens
+ * - change: mean difference from the last frame sent — a frozen or paused
+ *   source sends the same picture over and over
+ *
+ * Frames are sampled several times per analysis interval; the gate keeps the
+ * sharpest acceptable one and sends it. When none is acceptable the
+ * analysis is skipped, but never for longer than maxDeferMs, so guidance
+ * (and its own image_quality verdict) still refreshes.
+ *
+ * Pure JavaScript apart from measureCanvas, which reads pixels from a canvas.
+ */
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  sampleWidth: 160,      // frames are measured at this width
+  minBrightness: 0.12,   // mean luma, 0–1
+  maxBrightness: 0.92,
+  minSharpness: 12,      // Laplacian variance at sampleWidth, luma 0–255
+  maxHaze: 0.75,         // 0–1
+  minChange: 0.002,      // mean luma difference from the last frame sent, 0–1
+  maxDeferMs: 6000,      // longest run of skipped analyses before a frame is sent anyway
+};
+
+export const QUALITY_ISSUES = ['dark', 'bright', 'blurry', 'fogged', 'unchanged'];
+
+// Issues that make a frame a poor picture (as opposed to merely a repeat)
+const POOR_IMAGE_ISSUES = ['dark', 'bright', 'blurry', 'fogged'];
+
+// Grid for the change signature
+const SIGNATURE_W = 32;
+const SIGNATURE_H = 24;
+
+/**
+ * Measure an RGBA image
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image - e.g. ImageData
+ * @param {{ cx: number, cy: number, r: number }|null} [circle] - Only measure inside this circle (in image pixels)
+ * @returns {{ brightness: number, contrast: number, saturation: number, sharpness: number, haze: number,
+ *   signature: Float32Array }} Metrics (brightness, contrast, saturation and haze 0–1)
+ */
+export function measureFrame({ data, width, height }, circle = null) {
+  const inside = circle
+    ? (x, y) => (x - circle.cx) ** 2 + (y - circle.cy) ** 2 <= (circle.r - 1) ** 2
+    : () => true;
+
+  const luma = new Float32Array(width * height);
+  let count = 0;
+  let sum = 0;
+  let sumSq = 0;
+  let satSum = 0;
+  const signature = new Float32Array(SIGNATURE_W * SIGNATURE_H);
+  const cells = new Uint32Array(SIGNATURE_W * SIGNATURE_H);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      const l = 0.299 * r + 0.587 * g + 0.114 * b;
+      luma[i] = l;
+      if (!inside(x, y)) continue;
+      count++;
+      sum += l;
+      sumSq += l * l;
+      const max = Math.max(r, g, b);
+      satSum += max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+      const cell = Math.floor((y * SIGNATURE_H) / height) * SIGNATURE_W + Math.floor((x * SIGNATURE_W) / width);
+      signature[cell] += l;
+      cells[cell]++;
+    }
+  }
+  for (let c = 0; c < signature.length; c++) signature[c] = cells[c] ? signature[c] / cells[c] / 255 : 0;
+
+  // 4-neighbour Laplacian, over pixels whose neighbours are all measured
+  let lapCount = 0;
+  let lapSum = 0;
+  let lapSumSq = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (!inside(x, y)) continue;
+      const i = y * width + x;
+      const lap = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+      lapCount++;
+      lapSum += lap;
+      lapSumSq += lap * lap;
+    }
+  }
+
+  const n = Math.max(count, 1);
+  const mean = sum / n;
+  const contrast = Math.sqrt(Math.max(0, sumSq / n - mean * mean)) / 255;
+  const saturation = satSum / n;
+  const lapMean = lapCount ? lapSum / lapCount : 0;
+  const sharpness = lapCount ? lapSumSq / lapCount - lapMean * lapMean : 0;
+  return {
+    brightness: mean / 255,
+    contrast,
+    saturation,
+    sharpness,
+    haze: (1 - saturation) * (1 - Math.min(1, contrast / 0.2)),
+    signature,
+  };
+}
+
+/**
+ * Mean absolute difference between two change signatures
+ * @param {Float32Array} a
+ * @param {Float32Array|null} b
+ * @returns {number} 0–1 (1 if there is nothing to compare with)
+ */
+export function frameDifference(a, b) {
+  if (!b || a.length !== b.length) return 1;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff += Math.abs(a[i] - b[i]);
+  return diff / a.length;
+}
+
+/**
+ * What is wrong with a frame, if anything
+ * @param {Object} metrics - From measureFrame
+ * @param {Float32Array|null} lastSent - Signature of the last frame sent
+ * @param {Object} [options] - Overrides for DEFAULT_QUALITY_OPTIONS
+ * @returns {{ ok: boolean, issues: Array<string>, change: number }} issues from QUALITY_ISSUES, worst first
+ */
+export function assessFrame(metrics, lastSent, options = {}) {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const change = frameDifference(metrics.signature, lastSent);
+  const issues = [];
+  if (metrics.brightness < opts.minBrightness) issues.push('dark');
+  else if (metrics.brightness > opts.maxBrightness) issues.push('bright');
+  // A dark frame has no edges either — only call it blurry or fogged when it is lit
+  if (!issues.length && metrics.haze > opts.maxHaze) issues.push('fogged');
+  if (!issues.length && metrics.sharpness < opts.minSharpness) issues.push('blurry');
+  if (change < opts.minChange) issues.push('unchanged');
+  return { ok: issues.length === 0, issues, change };
+}
+
+/**
+ * Pixels of a captured canvas, scaled down to options.sampleWidth, and measured
+ * @param {HTMLCanvasElement} canvas - From captureCanvas
+ * @param {{ cx: number, cy: number, r: number }|null} [circle] - Circular crop, in canvas pixels
+ * @param {Object} [options] - Overrides for DEFAULT_QUALITY_OPTIONS
+ * @returns {Object} Metrics, as measureFrame
+ */
+export function measureCanvas(canvas, circle = null, options = {}) {
+  const { sampleWidth } = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const scale = Math.min(1, sampleWidth / canvas.width);
+  const small = document.createElement('canvas');
+  small.width = Math.max(1, Math.round(canvas.width * scale));
+  small.height = Math.max(1, Math.round(canvas.height * scale));
+  const ctx = small.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, small.width, small.height);
+  const scaled = circle ? { cx: circle.cx * scale, cy: circle.cy * scale, r: circle.r * scale } : null;
+  return measureFrame(ctx.getImageData(0, 0, small.width, small.height), scaled);
+}
+
+/**
+ * Create a frame gate: collects sampled frames over an analysis interval and
+ * decides what, if anything, to send
+ * @param {Object} [options] - Overrides for DEFAULT_QUALITY_OPTIONS
+ * @returns {{ offer: Function, take: Function, getStats: Function, reset: Function }} Frame gate
+ */
+export function createFrameGate(options = {}) {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  let best;          // best candidate this interval { frame, metrics, assessment }
+  let lastSent;      // signature of the last frame sent
+  let lastSentAt;    // when it was sent (null = nothing sent yet)
+  let skippedSince;  // first skip of the current run of skips, or null
+  let poorSince;     // first poor picture of the current run, sent or not, or null
+  let stats;
+
+  function reset() {
+    best = null;
+    lastSent = null;
+    lastSentAt = null;
+    skippedSince = null;
+    poorSince = null;
+    stats = { sent: 0, skipped: 0, forced: 0, issues: Object.fromEntries(QUALITY_ISSUES.map(k => [k, 0])) };
+  }
+
+  // Acceptable beats unacceptable; then fewer issues; then sharper
+  function better(a, b) {
+    if (a.assessment.ok !== b.assessment.ok) return a.assessment.ok;
+    if (a.assessment.issues.length !== b.assessment.issues.length) return a.assessment.issues.length < b.assessment.issues.length;
+    return a.metrics.sharpness > b.metrics.sharpness;
+  }
+
+  reset();
+  return {
+    /**
+     * Consider a sampled frame
+     * @param {*} frame - Whatever the caller will send (e.g. a canvas) — passed back by take()
+     * @param {Object} metrics - From measureFrame / measureCanvas
+     * @returns {{ ok: boolean, issues: Array<string>, change: number }} Its assessment
+     */
+    offer(frame, metrics) {
+      const assessment = assessFrame(metrics, lastSent, opts);
+      const candidate = { frame, metrics, assessment };
+      if (!best || better(candidate, best)) best = candidate;
+      return assessment;
+    },
+
+    /**
+     * End the interval: pick the frame to send, or skip
+     * @param {number} t - Now (ms)
+     * @returns {{ send: boolean, forced: boolean, frame: *, metrics: Object|null, issues: Array<string>,
+     *   poorImage: boolean, poorImageMs: number, skippedMs: number }} Decision; poorImage is true when
+     *   the issues are with the picture itself rather than a repeat; poorImageMs is how long the picture
+     *   has been poor (forced sends don't end the run); skippedMs is how long analyses have been skipped
+     */
+    take(t) {
+      const candidate = best;
+      best = null;
+      if (!candidate) return { send: false, forced: false, frame: null, metrics: null, issues: [], poorImage: false, poorImageMs: 0, skippedMs: 0 };
+
+      const { issues } = candidate.assessment;
+      const poorImage = issues.some(issue => POOR_IMAGE_ISSUES.includes(issue));
+      poorSince = poorImage ? (poorSince ?? t) : null;
+      const skippedMs = skippedSince == null ? 0 : t - skippedSince;
+      const forced = !candidate.assessment.ok && (lastSentAt == null || skippedMs >= opts.maxDeferMs);
+      const send = candidate.assessment.ok || forced;
+      issues.forEach(issue => { stats.issues[issue]++; });
+
+      if (send) {
+        lastSent = candidate.metrics.signature;
+        lastSentAt = t;
+        skippedSince = null;
+        stats.sent++;
+        if (forced) stats.forced++;
+      } else {
+        if (skippedSince == null) skippedSince = t;
+        stats.skipped++;
+      }
+      return {
+        send, forced, frame: candidate.frame, metrics: candidate.metrics, issues, poorImage,
+        poorImageMs: poorImage ? t - poorSince : 0,
+        skippedMs: send ? 0 : t - skippedSince,
+      };
+    },
+
+    /** @returns {{ sent: number, skipped: number, forced: number, issues: Object }} Counts since reset */
+    getStats: () => ({ ...stats, issues: { ...stats.issues } }),
+
+    reset,
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * NeoGuide - On-Device Glottis Detector
+ *
+ * Runs a small object detector (ONNX Runtime Web, WASM backend) in the
+ * browser on every video frame, for glottis and vocal-cord presence with a
+ * bounding box at video frame rate. Gemini stays the authority on the full
+ * picture (depth zone, rings, carina, esophagus); the detector answers the
+ * one question that matters most often — are the cords in view, and where —
+ * without a 2 s round trip, and Gemini's slower answer confirms it.
+ *
+ * Results have the same shape as analyzeFrame's (via normalizeResult), plus
+ * `detections` (boxes) and `source: 'detector'`.
+ *
+ * Model contract (a local file, VITE_DETECTOR_MODEL_URL, default
+ * /models/glottis-detector.onnx — not in the repo):
+ * - input: float32 [1, 3, S, S], RGB scaled to 0–1 (S = inputSize; the frame
+ *   is stretched to S × S)
+ * - output: float32 [1, N, 6] or [N, 6], one row per detection after NMS:
+ *   x1, y1, x2, y2 (0–1, relative to the input), score, class index into `classes`
+ */
+
+import { blankLandmarks, normalizeResult } from './visionResult.js';
+
+const BASE_URL = import.meta.env?.BASE_URL ?? '/';
+
+export const DEFAULT_DETECTOR_OPTIONS = {
+  modelUrl: import.meta.env?.VITE_DETECTOR_MODEL_URL || `${BASE_URL}models/glottis-detector.onnx`,
+  wasmPaths: import.meta.env?.VITE_ORT_WASM_PATH || null, // null = alongside the bundled runtime
+  inputSize: 320,
+  classes: ['glottis', 'vocal_cords'],  // class index → landmark key
+  scoreThreshold: 0.4,
+};
+
+/**
+ * RGBA pixels (inputSize × inputSize) to the model's CHW float input
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image - e.g. ImageData
+ * @returns {Float32Array} [3 × height × width], RGB 0–1
+ */
+export function preprocess({ data, width, height }) {
+  const plane = width * height;
+  const input = new Float32Array(3 * plane);
+  for (let i = 0; i < plane; i++) {
+    input[i] = data[i * 4] / 255;
+    input[plane + i] = data[i * 4 + 1] / 255;
+    input[2 * plane + i] = data[i * 4 + 2] / 255;
+  }
+  return input;
+}
+
+/**
+ * Best detection per class from the model's output rows
+ * @param {Float32Array|Array<number>} rows - Flattened [N, 6] output
+ * @param {Object} [options] - Overrides for DEFAULT_DETECTOR_OPTIONS (classes, scoreThreshold)
+ * @returns {Array<{ label: string, score: number, box: { x: number, y: number, width: number, height: number } }>}
+ *   Boxes relative to the frame (0–1), highest score first
+ */
+export function decodeDetections(rows, options = {}) {
+  const { classes, scoreThreshold } = { ...DEFAULT_DETECTOR_OPTIONS, ...options };
+  const clamp = (v) => Math.max(0, Math.min(1, v));
+  const best = {};
+  for (let i = 0; i + 5 < rows.length; i += 6) {
+    const score = rows[i + 4];
+    const label = classes[Math.round(rows[i + 5])];
+    if (!label || score < scoreThreshold || score <= (best[label]?.score ?? 0)) continue;
+    const x1 = clamp(rows[i]);
+    const y1 = clamp(rows[i + 1]);
+    best[label] = { label, score, box: { x: x1, y: y1, width: clamp(rows[i + 2]) - x1, height: clamp(rows[i + 3]) - y1 } };
+  }
+  return Object.values(best).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Detections as an analysis result (the shape analyzeFrame returns)
+ * @param {Array<Object>} detections - From decodeDetections
+ * @param {Object} [extra] - e.g. { latency_ms }
+ * @returns {Object} Result with `detections` and `source: 'detector'`; landmark boxes are relative to
+ *   the frame the detector saw
+ */
+export function detectionsToResult(detections, extra = {}) {
+  const landmarks = blankLandmarks();
+  for (const { label, score, box } of detections) {
+    if (landmarks[label]) landmarks[label] = { visible: true, confidence: score, box };
+  }
+  const cordsInView = landmarks.glottis.visible || landmarks.vocal_cords.visible;
+  const result = normalizeResult({
+    identified_as: cordsInView ? 'glottic view (on-device detector)' : null,
+    landmarks,
+    // The detector only knows about the cords — without them it can't place the tube
+    depth_zone: cordsInView ? 'glottic' : 'unknown',
+    safety_status: 'safe',
+    guidance_message: cordsInView ? 'Glottis in view — advance through the cords.' : 'Glottis not in view.',
+    image_quality: 'good',
+  });
+  return {
+    success: true,
+    ...result,
+    guidance_key: cordsInView ? 'detectorGlottis' : 'detectorNoGlottis',
+    detections,
+    source: 'detector',
+    ...extra,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Create an on-device glottis detector. The runtime and model load on first use.
+ * @param {Object} [options] - Overrides for DEFAULT_DETECTOR_OPTIONS
+ * @returns {{ load: Function, detect: Function, dispose: Function }} Detector
+ */
+export function createGlottisDetector(options = {}) {
+  const opts = { ...DEFAULT_DETECTOR_OPTIONS, ...options };
+  let ort = null;
+  let session = null;
+  let loading = null;
+  const canvas = document.createElement('canvas');
+  canvas.width = opts.inputSize;
+  canvas.height = opts.inputSize;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  /**
+   * Load the runtime and the model
+   * @returns {Promise<void>} Rejects if the model file is missing or invalid
+   */
+  function load() {
+    loading ??= (async () => {
+      ort = await import('onnxruntime-web');
+      if (opts.wasmPaths) ort.env.wasm.wasmPaths = opts.wasmPaths;
+      session = await ort.InferenceSession.create(opts.modelUrl, { executionProviders: ['wasm'] });
+    })().catch((err) => {
+      loading = null; // let a later call retry (e.g. after the model file is added)
+      throw new Error(`Could not load glottis detector from ${opts.modelUrl}: ${err.message}`);
+    });
+    return loading;
+  }
+
+  return {
+    load,
+
+    /**
+     * Detect the glottis and vocal cords in a frame
+     * @param {CanvasImageSource} source - Video element, canvas or bitmap
+     * @returns {Promise<Object>} Analysis result (see detectionsToResult); boxes relative to the whole source
+     */
+    async detect(source) {
+      await load();
+      const started = performance.now();
+      const size = opts.inputSize;
+      ctx.drawImage(source, 0, 0, size, size);
+      const input = new ort.Tensor('float32', preprocess(ctx.getImageData(0, 0, size, size)), [1, 3, size, size]);
+      const outputs = await session.run({ [session.inputNames[0]]: input });
+      const detections = decodeDetections(outputs[session.outputNames[0]].data, opts);
+      return detectionsToResult(detections, { latency_ms: Math.round(performance.now() - started) });
+    },
+
+    dispose() {
+      session?.release?.();
+      session = null;
+      loading = null;
+    },
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * NeoGuide - Temporal Landmark Tracker
+ *
+ * Fuses the per-frame vision results into a stable estimate. Each landmark
+ * keeps an exponentially-decayed confidence with hysteresis on visibility,
+ * and the depth zone is fused from confidence-weighted votes that may only
+ * move through the airway in anatomical order.
+ *
+ * Pure JavaScript — no React, no browser APIs.
+ */
+
+import { LANDMARK_KEYS, ZONE_DEPTH_CM, ZONE_SAFETY, DEGRADED_STATUS } from './visionResult';
+
+// Anatomical order from the mouth down. 'unknown' sits outside the order.
+export const ZONE_ORDER = ['pre_glottic', 'glottic', 'subglottic', 'tracheal', 'carinal', 'bronchial'];
+
+// Landmarks whose confidence backs up a claimed zone
+const ZONE_EVIDENCE = {
+  pre_glottic: ['epiglottis'],
+  glottic: ['vocal_cords', 'glottis'],
+  subglottic: ['vocal_cords', 'tracheal_rings'],
+  tracheal: ['tracheal_rings'],
+  carinal: ['carina'],
+  bronchial: ['carina'],
+};
+
+// Weight for a zone claim with no supporting landmark (e.g. subglottic before rings appear)
+const UNSUPPORTED_ZONE_WEIGHT = 0.5;
+
+const SAFETY_RANK = { safe: 0, warning: 1, danger: 2 };
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  window: 4,              // effective EMA window in frames (alpha = 2 / (window + 1))
+  showThreshold: 0.45,    // fused confidence at which a hidden landmark becomes visible
+  hideThreshold: 0.25,    // fused confidence below which a visible landmark is hidden
+  switchMargin: 0.1,      // score lead a new zone needs over the current one
+  lostThreshold: 0.1,     // all zone scores below this → zone 'unknown'
+  zoneDepthCm: ZONE_DEPTH_CM, // representative depth per zone (patient-specific via patientCalibration)
+};
+
+/**
+ * Create a temporal landmark tracker
+ * @param {Object} [options] - Overrides for DEFAULT_TRACKER_OPTIONS
+ * @returns {{ update: Function, reset: Function }} Tracker
+ */
+export function createLandmarkTracker(options = {}) {
+  const opts = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+  const alpha = 2 / (opts.window + 1);
+
+  let landmarks;
+  let zoneScores;
+  let zone;
+  let dwell;
+
+  function reset() {
+    landmarks = {};
+    for (const key of LANDMARK_KEYS) landmarks[key] = { visible: false, confidence: 0 };
+    zoneScores = Object.fromEntries(ZONE_ORDER.map(z => [z, 0]));
+    zone = 'unknown';
+    dwell = 0;
+  }
+
+  function updateLandmarks(observed, keys = LANDMARK_KEYS) {
+    for (const key of keys) {
+      const obs = observed?.[key];
+      const sample = obs?.visible ? obs.confidence : 0;
+      const prev = landmarks[key];
+      const confidence = prev.confidence + alpha * (sample - prev.confidence);
+      const visible = prev.visible ? confidence >= opts.hideThreshold : confidence >= opts.showThreshold;
+      landmarks[key] = { visible, confidence };
+    }
+  }
+
+  function updateZone(result) {
+    const claimed = result.depth_zone;
+    let weight = 0;
+    if (ZONE_EVIDENCE[claimed]) {
+      const support = ZONE_EVIDENCE[claimed]
+        .map(key => result.landmarks?.[key])
+        .filter(l => l?.visible)
+        .map(l => l.confidence);
+      weight = support.length ? Math.max(...support) : UNSUPPORTED_ZONE_WEIGHT;
+    }
+    for (const z of ZONE_ORDER) {
+      zoneScores[z] += alpha * ((z === claimed ? weight : 0) - zoneScores[z]);
+    }
+
+    const candidate = ZONE_ORDER.reduce((best, z) => (zoneScores[z] > zoneScores[best] ? z : best), ZONE_ORDER[0]);
+    const currentScore = zone === 'unknown' ? 0 : zoneScores[zone];
+    let orderViolation = false;
+
+    if (zoneScores[candidate] < opts.lostThreshold) {
+      if (zone !== 'unknown') dwell = 0;
+      zone = 'unknown';
+    } else if (candidate !== zone && zoneScores[candidate] >= currentScore + opts.switchMargin) {
+      const from = ZONE_ORDER.indexOf(zone);
+      const to = ZONE_ORDER.indexOf(candidate);
+      // Re-acquiring from 'unknown' may land anywhere; otherwise move one zone at a time
+      if (from !== -1 && Math.abs(to - from) > 1) {
+        orderViolation = true;
+        zone = ZONE_ORDER[from + Math.sign(to - from)];
+      } else {
+        zone = candidate;
+      }
+      dwell = 0;
+    }
+    dwell++;
+
+    return { candidate, orderViolation };
+  }
+
+  /**
+   * Fold a new analysis result into the tracked state
+   * @param {Object} result - Result from analyzeFrame. A result with `observed_landmarks` (the only
+   *   landmarks its source looks for, e.g. the on-device detector's) updates just those, and says
+   *   nothing about the zone when its depth_zone is 'unknown'
+   * @returns {Object} Fused result: the latest result with landmarks, depth_zone,
+   *   safety_status and estimated_depth_cm replaced by tracked values, plus a
+   *   `tracking` object describing how settled the estimate is
+   */
+  function update(result) {
+    // A failed analysis carries no evidence — hold the tracked state, report degraded
+    if (!result.success) {
+      return {
+        ...result,
+        landmarks: structuredClone(landmarks),
+        safety_status: DEGRADED_STATUS,
+        tracking: snapshot(zone, false),
+      };
+    }
+
+    updateLandmarks(result.landmarks, result.observed_landmarks);
+    const partial = result.observed_landmarks != null;
+    const { candidate, orderViolation } = partial && result.depth_zone === 'unknown'
+      ? { candidate: zone, orderViolation: false }
+      : updateZone(result);
+
+    // Smoothing never lowers the frame's own status: a lagging zone can't turn its
+    // warning into safe, and danger escalates immediately
+    let safetyStatus = ZONE_SAFETY[zone] ?? result.safety_status;
+    if ((SAFETY_RANK[result.safety_status] ?? -1) > (SAFETY_RANK[safetyStatus] ?? -1)) safetyStatus = result.safety_status;
+    if (landmarks.esophagus.visible) safetyStatus = 'danger';
+
+    // Mirrors normalizeResult: an esophageal view has no airway depth
+    const depthZone = landmarks.esophagus.visible ? 'unknown' : zone;
+
+    return {
+      ...result,
+      landmarks: structuredClone(landmarks),
+      depth_zone: depthZone,
+      safety_status: safetyStatus,
+      estimated_depth_cm: opts.zoneDepthCm[depthZone] ?? 0,
+      tracking: snapshot(candidate, orderViolation),
+    };
+  }
+
+  function snapshot(candidate, orderViolation) {
+    const total = ZONE_ORDER.reduce((sum, z) => sum + zoneScores[z], 0);
+    const zoneConfidence = zone !== 'unknown' && total > 0 ? zoneScores[zone] / total : 0;
+    return {
+      zone_confidence: zoneConfidence,
+      stability: zoneConfidence * Math.min(1, dwell / opts.window),
+      dwell,
+      candidate_zone: candidate,
+      order_violation: orderViolation,
+      zone_scores: { ...zoneScores },
+    };
+  }
+
+  reset();
+  return { update, reset };
+}
@@ -0,0 +1,334 @@
+/**
+ * NeoGuide - Media Sources
+ *
+ * Everything the dashboard can analyze plays through the same <video>
+ * element, so captureFrame and the analysis loop don't care where frames
+ * come from:
+ * - webcam: a getUserMedia stream (scopes, USB laryngoscopes)
+ * - video file: a recorded laryngoscopy (MP4/WebM), seekable
+ * - image sequence: a folder of stills (e.g. BAGLS-style datasets), drawn to
+ *   a canvas and streamed, seekable by frame
+ * - test pattern: a synthetic moving image, for checking the pipeline with
+ *   no scope attached
+ *
+ * Every source has the same shape:
+ *   { kind, label, seekable, start(video, { onPlayback, onEnded }), stop() }
+ * and seekable ones add getPlayback(), seek(position) and setPaused(paused).
+ */
+
+import { DEFAULT_CAMERA_SETTINGS, buildVideoConstraints, buildAdvancedConstraints } from './cameraSettings';
+
+export const MEDIA_SOURCE_KINDS = {
+  WEBCAM: 'webcam',
+  VIDEO_FILE: 'video_file',
+  IMAGE_SEQUENCE: 'image_sequence',
+  TEST_PATTERN: 'test_pattern',
+};
+
+export const VIDEO_FILE_TYPES = ['video/mp4', 'video/webm'];
+
+// Still images play slower than video — even the slowest analysis pace (3 s) sees each of them at least once
+export const DEFAULT_SEQUENCE_FPS = 2;
+
+/**
+ * Live camera or scope
+ * @param {Object} [settings] - Camera settings (see cameraSettings.js)
+ * @returns {Object} Media source; also getTrack() and applySettings(settings)
+ */
+export function createWebcamSource(settings = DEFAULT_CAMERA_SETTINGS) {
+  let current = { ...DEFAULT_CAMERA_SETTINGS, ...settings };
+  let stream = null;
+  let video = null;
+  let stopped = false;
+
+  const getTrack = () => stream?.getVideoTracks()[0] ?? null;
+
+  // Focus, exposure and torch can only be set once the track exists
+  async function constrain(track) {
+    try {
+      await track.applyConstraints({
+        ...buildVideoConstraints(current),
+        advanced: buildAdvancedConstraints(current, track.getCapabilities?.() ?? {}),
+      });
+    } catch (err) {
+      console.warn('Camera rejected settings:', err);
+    }
+  }
+
+  return {
+    kind: MEDIA_SOURCE_KINDS.WEBCAM,
+    label: 'Camera',
+    seekable: false,
+
+    async start(videoElement, { onEnded } = {}) {
+      video = videoElement;
+      stopped = false;
+      const opened = await navigator.mediaDevices.getUserMedia({ video: buildVideoConstraints(current), audio: false });
+      // Stopped while the permission prompt was up: release the camera we were just given
+      if (stopped) {
+        opened.getTracks().forEach(track => track.stop());
+        return;
+      }
+      stream = opened;
+      const track = getTrack();
+      // Scope unplugged mid-procedure: say so instead of freezing on the last frame
+      track.addEventListener('ended', () => onEnded?.(new Error('Camera disconnected')));
+      if (buildAdvancedConstraints(current, track.getCapabilities?.() ?? {}).length) await constrain(track);
+      if (stopped) return;
+      video.srcObject = stream;
+      await video.play();
+    },
+
+    stop() {
+      stopped = true;
+      stream?.getTracks().forEach(track => track.stop());
+      // Leave the element alone if the next source already owns it (a late stop after a replace)
+      if (video?.srcObject === stream) video.srcObject = null;
+      stream = null;
+    },
+
+    getTrack,
+
+    /**
+     * Change resolution, frame rate, focus, exposure or torch in place
+     * @param {Object} next - Camera settings
+     * @returns {Promise<boolean>} False if the settings name another device (reopen the source instead)
+     */
+    async applySettings(next) {
+      if ((next.deviceId ?? null) !== (current.deviceId ?? null)) return false;
+      current = { ...DEFAULT_CAMERA_SETTINGS, ...next };
+      const track = getTrack();
+      if (track) await constrain(track);
+      return true;
+    },
+  };
+}
+
+/**
+ * Recorded video file, looped, with scrubbing
+ * @param {File|Blob} file - MP4 or WebM
+ * @returns {Object} Media source
+ */
+export function createVideoFileSource(file) {
+  let video = null;
+  let url = null;
+  let onTimeUpdate = null;
+
+  function getPlayback() {
+    return { unit: 'seconds', position: video?.currentTime ?? 0, duration: video?.duration || 0, paused: video?.paused ?? true, name: file.name };
+  }
+
+  return {
+    kind: MEDIA_SOURCE_KINDS.VIDEO_FILE,
+    label: file.name,
+    seekable: true,
+
+    async start(videoElement, { onPlayback } = {}) {
+      video = videoElement;
+      url = URL.createObjectURL(file);
+      video.srcObject = null;
+      video.loop = true;
+      video.src = url;
+      onTimeUpdate = () => onPlayback?.(getPlayback());
+      for (const type of ['timeupdate', 'play', 'pause', 'loadedmetadata']) video.addEventListener(type, onTimeUpdate);
+      await video.play();
+    },
+
+    stop() {
+      if (video && url) { // once only — by a late stop the element may be the next source's
+        for (const type of ['timeupdate', 'play', 'pause', 'loadedmetadata']) video.removeEventListener(type, onTimeUpdate);
+        video.pause();
+        video.removeAttribute('src');
+        video.loop = false;
+        video.load();
+      }
+      if (url) URL.revokeObjectURL(url);
+      url = null;
+    },
+
+    getPlayback,
+    seek(seconds) {
+      if (video) video.currentTime = Math.max(0, Math.min(seconds, video.duration || 0));
+    },
+    setPaused(paused) {
+      if (!video) return;
+      if (paused) video.pause();
+      else video.play().catch(err => console.warn('Video playback:', err));
+    },
+  };
+}
+
+/**
+ * Stream a canvas into the video element
+ * @returns {MediaStream}
+ */
+async function playCanvas(video, canvas, fps) {
+  const stream = canvas.captureStream(fps);
+  video.srcObject = stream;
+  await video.play();
+  return stream;
+}
+
+/**
+ * Folder of still images, shown in file-name order and looped
+ * @param {Array<File>} files - Image files (anything else is skipped)
+ * @param {Object} [options]
+ * @param {number} [options.fps] - Images per second
+ * @returns {Object} Media source
+ */
+export function createImageSequenceSource(files, { fps = DEFAULT_SEQUENCE_FPS } = {}) {
+  const images = [...files]
+    .filter(f => f.type.startsWith('image/'))
+    .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  let video = null;
+  let stream = null;
+  let timer = null;
+  let index = 0;
+  let paused = false;
+  let drawn = -1;     // index of the image on the canvas
+  let notify = () => {};
+
+  function getPlayback() {
+    return { unit: 'frames', position: index, duration: images.length, paused, name: images[index].name };
+  }
+
+  // Resolves false when the image can't be decoded
+  async function draw(i) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(images[i]);
+    } catch (err) {
+      console.warn(`Could not decode ${images[i].name}:`, err);
+      // Count it as shown so playback moves past it; the canvas keeps the previous image
+      if (i === index) drawn = i;
+      return false;
+    }
+    // A newer seek or tick already asked for another image
+    if (i !== index) {
+      bitmap.close();
+      return true;
+    }
+    if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    drawn = i;
+    notify(getPlayback());
+    return true;
+  }
+
+  function show(i) {
+    index = i;
+    draw(i).catch(err => console.warn(`Could not show ${images[i].name}:`, err));
+  }
+
+  return {
+    kind: MEDIA_SOURCE_KINDS.IMAGE_SEQUENCE,
+    label: images[0]?.webkitRelativePath?.split('/')[0] || `${images.length} images`,
+    seekable: true,
+
+    async start(videoElement, { onPlayback } = {}) {
+      if (images.length === 0) throw new Error('No images in the selected folder');
+      video = videoElement;
+      notify = onPlayback ?? (() => {});
+      // Start at the first image that decodes
+      index = 0;
+      while (!(await draw(index))) {
+        if (index === images.length - 1) throw new Error('None of the images in the selected folder could be decoded');
+        index += 1;
+      }
+      stream = await playCanvas(video, canvas, fps);
+      timer = setInterval(() => {
+        if (!paused && drawn === index) show((index + 1) % images.length);
+      }, 1000 / fps);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      stream?.getTracks().forEach(track => track.stop());
+      if (video?.srcObject === stream) video.srcObject = null;
+      stream = null;
+    },
+
+    getPlayback,
+    seek(frame) {
+      show(Math.max(0, Math.min(images.length - 1, Math.round(frame))));
+    },
+    setPaused(value) {
+      paused = value;
+      notify(getPlayback());
+    },
+  };
+}
+
+/**
+ * Synthetic test pattern: colour bars, a moving target and a frame counter.
+ * Checks capture, analysis and recording end to end without a scope.
+ * @param {Object} [options]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {number} [options.fps]
+ * @returns {Object} Media source
+ */
+export function createTestPatternSource({ width = 640, height = 480, fps = 15 } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const bars = ['#C0C0C0', '#C0C000', '#00C0C0', '#00C000', '#C000C0', '#C00000', '#0000C0'];
+  let video = null;
+  let stream = null;
+  let timer = null;
+  let frame = 0;
+
+  function draw() {
+    const barWidth = width / bars.length;
+    bars.forEach((color, i) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(i * barWidth, 0, barWidth + 1, height * 0.7);
+    });
+    ctx.fillStyle = '#101010';
+    ctx.fillRect(0, height * 0.7, width, height * 0.3);
+
+    // Target circles the frame centre once every 4 s
+    const angle = (frame / (fps * 4)) * 2 * Math.PI;
+    ctx.beginPath();
+    ctx.arc(width / 2 + Math.cos(angle) * width * 0.3, height * 0.35 + Math.sin(angle) * height * 0.2, height * 0.08, 0, 2 * Math.PI);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fill();
+
+    ctx.fillStyle = '#E2E8F0';
+    ctx.font = `${Math.round(height * 0.06)}px monospace`;
+    ctx.fillText('NEOGUIDE TEST PATTERN', width * 0.05, height * 0.82);
+    ctx.fillText(`#${String(frame).padStart(6, '0')}  ${new Date().toLocaleTimeString('en-US', { hour12: false })}`, width * 0.05, height * 0.93);
+    frame++;
+  }
+
+  return {
+    kind: MEDIA_SOURCE_KINDS.TEST_PATTERN,
+    label: 'Test pattern',
+    seekable: false,
+
+    async start(videoElement) {
+      video = videoElement;
+      frame = 0;
+      draw();
+      stream = await playCanvas(video, canvas, fps);
+      timer = setInterval(draw, 1000 / fps);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      stream?.getTracks().forEach(track => track.stop());
+      if (video?.srcObject === stream) video.srcObject = null;
+      stream = null;
+    },
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * NeoGuide - Patient Depth Calibration
+ *
+ * Scales the depth zones to the patient. The fixed zone depths elsewhere are
+ * for a ~3.5 kg term neonate; a 700 g preterm infant has a much shorter
+ * trachea, so "2 cm below the cords" would already be near the carina.
+ *
+ * Pure JavaScript — no React, no browser APIs.
+ */
+
+import { ZONE_DEPTH_CM } from './visionResult';
+
+// Reference patient the unscaled ZONE_DEPTH_CM values describe
+export const TERM_REFERENCE = { weightKg: 3.5, gestationalAgeWeeks: 40, cordsToCarinaCm: 4.0 };
+
+export const DEFAULT_PROFILE = { weightKg: null, gestationalAgeWeeks: null, postnatalAgeDays: 0 };
+
+// Zone boundaries below the cords for the term reference (cm). Scaled per patient.
+const TERM_ZONE_BOUNDS = {
+  pre_glottic: [null, 0],
+  glottic: [0, 0.2],
+  subglottic: [0.5, 1.5],
+  tracheal: [1.5, 3.0],
+  carinal: [3.0, 4.0],
+  bronchial: [4.0, null],
+};
+
+// Oral ETT insertion depth at the lip by gestation (NRP initial ETT depth table)
+const GESTATION_TIP_TO_LIP = [
+  { maxWeeks: 24, cm: 5.5 },
+  { maxWeeks: 26, cm: 6.0 },
+  { maxWeeks: 29, cm: 6.5 },
+  { maxWeeks: 32, cm: 7.0 },
+  { maxWeeks: 34, cm: 7.5 },
+  { maxWeeks: 37, cm: 8.0 },
+  { maxWeeks: 40, cm: 8.5 },
+  { maxWeeks: Infinity, cm: 9.0 },
+];
+
+// Oral ETT insertion depth at the lip by weight (NRP initial ETT depth table)
+const WEIGHT_TIP_TO_LIP = [
+  { maxKg: 0.6, cm: 5.5 },
+  { maxKg: 0.8, cm: 6.0 },
+  { maxKg: 1.0, cm: 6.5 },
+  { maxKg: 1.4, cm: 7.0 },
+  { maxKg: 1.8, cm: 7.5 },
+  { maxKg: 2.4, cm: 8.0 },
+  { maxKg: 3.1, cm: 8.5 },
+  { maxKg: Infinity, cm: 9.0 },
+];
+
+/**
+ * Estimate cords-to-carina distance from weight.
+ * Linear fit between ~2.5 cm at 0.5 kg and ~4 cm at term (3.5 kg), clamped to that range
+ * and a little beyond for large infants.
+ * @param {number} weightKg
+ * @returns {number} Distance in cm
+ */
+function cordsToCarinaFromWeight(weightKg) {
+  const cm = 2.25 + 0.5 * weightKg;
+  return Math.min(4.5, Math.max(2.5, cm));
+}
+
+/**
+ * Estimate weight from gestation when only gestation is known (rough 50th-centile fit)
+ * @param {number} weeks - Corrected gestational age
+ * @returns {number} Weight in kg
+ */
+function weightFromGestation(weeks) {
+  return Math.min(4.0, Math.max(0.5, 0.5 + (weeks - 23) * (3.0 / 17)));
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Compute patient-specific depth zones, optimal depth and ETT marking
+ * @param {Object} profile
+ * @param {number|null} profile.weightKg - Current weight
+ * @param {number|null} profile.gestationalAgeWeeks - Gestational age at birth
+ * @param {number} [profile.postnatalAgeDays] - Days since birth (for corrected age)
+ * @returns {Object} Calibration: cords-to-carina length, optimal depth, per-zone bounds and
+ *   representative depths, and the tip-to-lip marking with the rule it came from
+ */
+export function computeCalibration(profile = DEFAULT_PROFILE) {
+  const weightKg = Number(profile.weightKg) > 0 ? Number(profile.weightKg) : null;
+  const gestation = Number(profile.gestationalAgeWeeks) > 0 ? Number(profile.gestationalAgeWeeks) : null;
+  const correctedWeeks = gestation != null ? gestation + (Number(profile.postnatalAgeDays) || 0) / 7 : null;
+
+  const sizingWeight = weightKg ?? (correctedWeeks != null ? weightFromGestation(correctedWeeks) : TERM_REFERENCE.weightKg);
+  const cordsToCarinaCm = weightKg == null && correctedWeeks == null
+    ? TERM_REFERENCE.cordsToCarinaCm
+    : cordsToCarinaFromWeight(sizingWeight);
+  const scale = cordsToCarinaCm / TERM_REFERENCE.cordsToCarinaCm;
+
+  const zones = Object.entries(TERM_ZONE_BOUNDS).map(([id, [min, max]]) => ({
+    id,
+    minCm: min == null ? null : round1(min * scale),
+    maxCm: max == null ? null : round1(max * scale),
+  }));
+  const zoneDepthCm = Object.fromEntries(
+    Object.entries(ZONE_DEPTH_CM).map(([id, cm]) => [id, round1(cm * scale)])
+  );
+
+  // Tip-to-lip: gestation table (valid for preterm), else weight table, else 7-8-9 rule (weight + 6)
+  let tipToLipCm = null;
+  let tipToLipMethod = null;
+  if (correctedWeeks != null) {
+    tipToLipCm = GESTATION_TIP_TO_LIP.find(row => correctedWeeks < row.maxWeeks + 1).cm;
+    tipToLipMethod = 'gestation table';
+  } else if (weightKg != null) {
+    tipToLipCm = WEIGHT_TIP_TO_LIP.find(row => weightKg <= row.maxKg).cm;
+    tipToLipMethod = 'weight table';
+  }
+
+  return {
+    profile: { weightKg, gestationalAgeWeeks: gestation, postnatalAgeDays: Number(profile.postnatalAgeDays) || 0 },
+    isDefault: weightKg == null && correctedWeeks == null,
+    correctedGestationWeeks: correctedWeeks != null ? round1(correctedWeeks) : null,
+    cordsToCarinaCm: round1(cordsToCarinaCm),
+    optimalDepthCm: round1(cordsToCarinaCm / 2),
+    zones,
+    zoneDepthCm,
+    tipToLipCm,
+    tipToLipMethod,
+    tipToLipRule789Cm: weightKg != null ? round1(weightKg + 6) : null,
+  };
+}
+
+/**
+ * Format a zone's depth range for display (e.g. "0.4–1.1 cm", ">3.2 cm")
+ * @param {{ minCm: number|null, maxCm: number|null }} zone
+ * @returns {string}
+ */
+export function formatZoneRange({ minCm, maxCm }) {
+  if (minCm == null) return `${maxCm} cm`;
+  if (maxCm == null) return `>${minCm} cm`;
+  if (minCm === 0) return `~${maxCm} cm`;
+  return `${minCm}–${maxCm} cm`;
+}
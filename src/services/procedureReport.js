@@ -0,0 +1,301 @@
+/**
+ * NeoGuide - Procedure Report
+ *
+ * Builds the end-of-procedure summary from the procedure log and the
+ * per-frame analysis history, and exports it as JSON, as a FHIR R4 bundle
+ * (Procedure + Observations) for the patient chart, or as a printable page
+ * the browser can save as PDF.
+ *
+ * Pure JavaScript — no React. Only printReport touches the browser.
+ */
+
+import { PROCEDURE_STATES, PROCEDURE_STATE_LABELS } from './procedureStateMachine';
+import { randomUuid } from './apiClient';
+
+export const REPORT_VERSION = 2;
+
+const S = PROCEDURE_STATES;
+
+// Worst-first ordering for "lowest safety status reached"
+const SAFETY_RANK = { safe: 0, warning: 1, danger: 2 };
+
+// Without attempt tracking, a new attempt begins whenever the view is (re)acquired from outside the airway
+const ATTEMPT_START_FROM = [S.NO_VIEW, S.WITHDRAWN];
+
+// SNOMED CT 232674004 |Orotracheal intubation (procedure)|
+const PROCEDURE_CODE = { system: 'http://snomed.info/sct', code: '232674004', display: 'Orotracheal intubation' };
+
+const ATTEMPT_OUTCOME_LABELS = {
+  tracheal: 'Tracheal placement',
+  esophageal: 'Esophageal — withdrawn',
+  withdrawn: 'Withdrawn',
+  view_lost: 'Airway view lost',
+  manual: 'Ended by clinician',
+};
+
+// NeoGuide's own measurements have no standard codes — local code system
+const OBSERVATION_SYSTEM = 'urn:neoguide:observation';
+
+/**
+ * Build the procedure summary
+ * @param {Object} input
+ * @param {number} input.startedAt - Procedure start (ms epoch)
+ * @param {number} [input.endedAt] - Procedure end (ms epoch), defaults to now
+ * @param {Array<Object>} input.history - One entry per analyzed frame:
+ *   { t, success, depth_zone, safety_status, state, suspicious, esophagus, depth_cm, uncertainty_cm }
+ * @param {Array<Object>} [input.events] - Procedure log entries, oldest first
+ * @param {Array<Object>} [input.attempts] - From the attempt tracker (getAttempts); without them
+ *   attempts are counted from the state history and have no durations
+ * @param {Object} [input.calibration] - Patient calibration in effect
+ * @param {string} [input.provider] - Vision provider name
+ * @param {string|null} [input.sessionId] - Recorded session, if any
+ * @returns {Object} Report
+ */
+export function buildProcedureReport({ startedAt, endedAt = Date.now(), history, events = [], attempts: trackedAttempts = null, calibration = null, provider = null, sessionId = null }) {
+  const analyzed = history.filter(h => h.success);
+  const sinceStart = (t) => (t == null ? null : t - startedAt);
+  const firstTime = (predicate) => analyzed.find(predicate)?.t ?? null;
+
+  let attempts = 0;
+  let previousState = S.NO_VIEW;
+  for (const h of analyzed) {
+    if (h.state !== previousState && ATTEMPT_START_FROM.includes(previousState) && !ATTEMPT_START_FROM.includes(h.state)) attempts++;
+    previousState = h.state;
+  }
+
+  // An attempt still running at the end is cut off at the last analyzed frame
+  const lastFrameTime = history[history.length - 1]?.t ?? endedAt;
+  const attemptDetails = (trackedAttempts ?? []).map(a => ({
+    number: a.number,
+    started_ms: sinceStart(a.startedAt),
+    duration_ms: (a.endedAt ?? lastFrameTime) - a.startedAt,
+    outcome: a.outcome,
+    over_limit: a.overLimit,
+    manual: a.manual,
+  }));
+
+  let lowest = null;
+  for (const h of analyzed) {
+    if (SAFETY_RANK[h.safety_status] != null && (lowest == null || SAFETY_RANK[h.safety_status] > SAFETY_RANK[lowest])) {
+      lowest = h.safety_status;
+    }
+  }
+
+  // Danger episodes: the first frame of each run of esophageal or bronchial readings
+  const dangerEvents = [];
+  let previous = null;
+  for (const h of analyzed) {
+    const type = h.esophagus ? 'esophageal' : h.depth_zone === 'bronchial' ? 'bronchial' : null;
+    const previousType = previous?.esophagus ? 'esophageal' : previous?.depth_zone === 'bronchial' ? 'bronchial' : null;
+    if (type && type !== previousType) dangerEvents.push({ type, elapsed_ms: sinceStart(h.t) });
+    previous = h;
+  }
+
+  const last = analyzed[analyzed.length - 1] ?? null;
+  const trachealTime = firstTime(h => h.state === S.TRACHEAL);
+
+  return {
+    version: REPORT_VERSION,
+    started_at: new Date(startedAt).toISOString(),
+    ended_at: new Date(endedAt).toISOString(),
+    duration_ms: endedAt - startedAt,
+    provider,
+    session_id: sessionId,
+    patient: calibration && !calibration.isDefault ? {
+      ...calibration.profile,
+      corrected_gestation_weeks: calibration.correctedGestationWeeks,
+      optimal_depth_cm: calibration.optimalDepthCm,
+      tip_to_lip_cm: calibration.tipToLipCm,
+    } : null,
+    summary: {
+      attempts: trackedAttempts ? attemptDetails.length : attempts,
+      attempts_over_limit: attemptDetails.filter(a => a.over_limit).length,
+      longest_attempt_ms: attemptDetails.length ? Math.max(...attemptDetails.map(a => a.duration_ms)) : null,
+      time_to_glottic_view_ms: sinceStart(firstTime(h => h.state === S.GLOTTIC_VIEW)),
+      time_to_tracheal_placement_ms: sinceStart(trachealTime),
+      tracheal_placement_suspicious: trachealTime != null && analyzed.find(h => h.t === trachealTime).suspicious,
+      lowest_safety_status: lowest,
+      esophageal_events: dangerEvents.filter(e => e.type === 'esophageal').length,
+      bronchial_events: dangerEvents.filter(e => e.type === 'bronchial').length,
+      final_state: last?.state ?? S.NO_VIEW,
+      final_depth_zone: last?.depth_zone ?? null,
+      final_depth_cm: last?.depth_cm ?? null,
+      final_depth_uncertainty_cm: last?.uncertainty_cm ?? null,
+      frames_analyzed: history.length,
+      frames_without_guidance: history.length - analyzed.length,
+    },
+    attempts: attemptDetails,
+    danger_events: dangerEvents,
+    events: events.map(({ ts, elapsed, type, title, detail, status }) => ({
+      elapsed_ms: sinceStart(ts), elapsed, type, title, detail: detail ?? null, status,
+    })),
+  };
+}
+
+/**
+ * Format a millisecond duration as m:ss
+ * @param {number|null} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms == null) return '—';
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+const uuid = () => `urn:uuid:${randomUuid()}`;
+
+function observation(procedureUrl, report, code, display, value) {
+  return {
+    resourceType: 'Observation',
+    status: 'final',
+    partOf: [{ reference: procedureUrl }],
+    code: { coding: [{ system: OBSERVATION_SYSTEM, code, display }], text: display },
+    effectiveDateTime: report.ended_at,
+    ...value,
+  };
+}
+
+/**
+ * Convert a report to a FHIR R4 collection bundle: one Procedure plus one Observation per metric
+ * @param {Object} report - From buildProcedureReport
+ * @param {Object} [options]
+ * @param {Object} [options.subject] - FHIR Reference to the patient (e.g. { reference: 'Patient/123' })
+ * @returns {Object} FHIR Bundle
+ */
+export function toFhirBundle(report, { subject = { display: 'Unidentified neonate' } } = {}) {
+  const s = report.summary;
+  const procedureUrl = uuid();
+  const seconds = (ms) => ({ valueQuantity: { value: Math.round(ms / 100) / 10, unit: 's', system: 'http://unitsofmeasure.org', code: 's' } });
+
+  // FHIR forbids empty arrays — omit complication/note when there is nothing to say
+  const notes = report.events
+    .filter(e => e.type === 'alert')
+    .map(e => ({ text: `${e.elapsed ?? ''} ${e.title}${e.detail ? ` — ${e.detail}` : ''}`.trim() }));
+
+  const procedure = {
+    resourceType: 'Procedure',
+    status: 'completed',
+    code: { coding: [PROCEDURE_CODE], text: 'Neonatal endotracheal intubation (NeoGuide-assisted)' },
+    subject,
+    performedPeriod: { start: report.started_at, end: report.ended_at },
+    outcome: { text: `${PROCEDURE_STATE_LABELS[s.final_state]}${s.tracheal_placement_suspicious ? ' (placement unverified)' : ''}` },
+    complication: report.danger_events.length
+      ? [...new Set(report.danger_events.map(e => e.type))].map(type => ({
+        text: type === 'esophageal' ? 'Esophageal intubation detected' : 'Bronchial (over-advanced) placement detected',
+      }))
+      : undefined,
+    note: notes.length ? notes : undefined,
+  };
+
+  const observations = [
+    observation(procedureUrl, report, 'attempts', 'Intubation attempts', { valueInteger: s.attempts }),
+    s.longest_attempt_ms != null && observation(procedureUrl, report, 'longest-attempt', 'Longest intubation attempt', seconds(s.longest_attempt_ms)),
+    report.attempts.length > 0 && observation(procedureUrl, report, 'attempts-over-limit', 'Attempts over the 30 s limit', { valueInteger: s.attempts_over_limit }),
+    s.time_to_glottic_view_ms != null && observation(procedureUrl, report, 'time-to-glottic-view', 'Time to glottic view', seconds(s.time_to_glottic_view_ms)),
+    s.time_to_tracheal_placement_ms != null && observation(procedureUrl, report, 'time-to-tracheal-placement', 'Time to tracheal placement', seconds(s.time_to_tracheal_placement_ms)),
+    s.lowest_safety_status && observation(procedureUrl, report, 'lowest-safety-status', 'Lowest safety status reached', { valueString: s.lowest_safety_status }),
+    observation(procedureUrl, report, 'esophageal-intubation', 'Esophageal intubation detected', { valueBoolean: s.esophageal_events > 0 }),
+    observation(procedureUrl, report, 'bronchial-placement', 'Bronchial placement detected', { valueBoolean: s.bronchial_events > 0 }),
+    s.final_depth_cm != null && observation(procedureUrl, report, 'final-depth', 'Final tube depth below vocal cords', {
+      valueQuantity: { value: s.final_depth_cm, unit: 'cm', system: 'http://unitsofmeasure.org', code: 'cm' },
+      note: s.final_depth_uncertainty_cm != null ? [{ text: `±${s.final_depth_uncertainty_cm} cm (95%)` }] : undefined,
+    }),
+  ].filter(Boolean);
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: report.ended_at,
+    entry: [
+      { fullUrl: procedureUrl, resource: procedure },
+      ...observations.map(resource => ({ fullUrl: uuid(), resource: { ...resource, subject } })),
+    ],
+  };
+}
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Render a report as a printable HTML page (light theme, A4-friendly)
+ * @param {Object} report - From buildProcedureReport
+ * @returns {string} HTML document
+ */
+export function renderPrintableReport(report) {
+  const s = report.summary;
+  const row = (label, value) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`;
+  const patient = report.patient;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>NeoGuide Procedure Report — ${escapeHtml(report.started_at)}</title>
+<style>
+  body { font-family: 'Inter', system-ui, sans-serif; color: #0F172A; font-size: 12px; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; } h1 span { color: #0891B2; }
+  h2 { font-size: 12px; letter-spacing: 0.1em; color: #475569; border-bottom: 1px solid #CBD5E1; padding-bottom: 4px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #E2E8F0; vertical-align: top; }
+  th { width: 40%; color: #475569; font-weight: 600; }
+  .danger { color: #B91C1C; font-weight: 700; }
+  .mono { font-family: 'JetBrains Mono', monospace; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1><span>Neo</span>Guide Procedure Report</h1>
+<div class="mono">${escapeHtml(new Date(report.started_at).toLocaleString())} · ${formatDuration(report.duration_ms)} · provider ${escapeHtml(report.provider ?? '—')}</div>
+
+<h2>SUMMARY</h2>
+<table>
+  ${row('Attempts', s.attempts)}
+  ${s.longest_attempt_ms != null ? row('Longest attempt', formatDuration(s.longest_attempt_ms)) : ''}
+  ${report.attempts.length ? `<tr><th>Attempts over 30 s</th><td class="${s.attempts_over_limit ? 'danger' : ''}">${s.attempts_over_limit}</td></tr>` : ''}
+  ${row('Time to glottic view', formatDuration(s.time_to_glottic_view_ms))}
+  ${row('Time to tracheal placement', formatDuration(s.time_to_tracheal_placement_ms) + (s.tracheal_placement_suspicious ? ' (unverified — cords not seen)' : ''))}
+  <tr><th>Lowest safety status</th><td class="${s.lowest_safety_status === 'danger' ? 'danger' : ''}">${escapeHtml((s.lowest_safety_status ?? '—').toUpperCase())}</td></tr>
+  <tr><th>Esophageal events</th><td class="${s.esophageal_events ? 'danger' : ''}">${s.esophageal_events}</td></tr>
+  <tr><th>Bronchial events</th><td class="${s.bronchial_events ? 'danger' : ''}">${s.bronchial_events}</td></tr>
+  ${row('Final phase', PROCEDURE_STATE_LABELS[s.final_state])}
+  ${row('Final depth', s.final_depth_cm != null ? `${s.final_depth_cm.toFixed(1)} cm below cords${s.final_depth_uncertainty_cm != null ? ` ±${s.final_depth_uncertainty_cm.toFixed(1)}` : ''} (${s.final_depth_zone})` : '—')}
+  ${row('Frames analyzed', `${s.frames_analyzed} (${s.frames_without_guidance} without guidance)`)}
+</table>
+
+${patient ? `<h2>PATIENT</h2>
+<table>
+  ${row('Weight', patient.weightKg != null ? `${patient.weightKg} kg` : '—')}
+  ${row('Gestational age', patient.gestationalAgeWeeks != null ? `${patient.gestationalAgeWeeks} wk + ${patient.postnatalAgeDays} d` : '—')}
+  ${row('Optimal depth', `${patient.optimal_depth_cm} cm below cords`)}
+  ${row('Tip-to-lip', patient.tip_to_lip_cm != null ? `${patient.tip_to_lip_cm} cm` : '—')}
+</table>` : ''}
+
+${report.attempts.length ? `<h2>ATTEMPTS</h2>
+<table class="mono">
+  ${report.attempts.map(a => `<tr><th style="width:12%">#${a.number}</th><td class="${a.over_limit ? 'danger' : ''}">${formatDuration(a.started_ms)} · ${formatDuration(a.duration_ms)} · ${escapeHtml(a.outcome ? ATTEMPT_OUTCOME_LABELS[a.outcome] : 'Running at end')}${a.manual ? ' (marked by clinician)' : ''}</td></tr>`).join('')}
+</table>
+
+` : ''}<h2>PROCEDURE LOG</h2>
+<table class="mono">
+  ${report.events.map(e => `<tr><th style="width:12%">${escapeHtml(e.elapsed ?? '')}</th><td class="${e.status === 'danger' ? 'danger' : ''}">${escapeHtml(e.title)}${e.detail ? ` — ${escapeHtml(e.detail)}` : ''}</td></tr>`).join('')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Open the printable report in a new window and bring up the print dialog ("Save as PDF")
+ * @param {Object} report - From buildProcedureReport
+ * @returns {boolean} False if the popup was blocked
+ */
+export function printReport(report) {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.write(renderPrintableReport(report));
+  win.document.close();
+  win.focus();
+  // onload is unreliable for document.write content; give layout a moment instead
+  setTimeout(() => win.print(), 250);
+  return true;
+}
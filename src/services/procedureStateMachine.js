@@ -0,0 +1,150 @@
+/**
+ * NeoGuide - Procedure State Machine
+ *
+ * Tracks where the intubation is overall — approach, glottic view, passage
+ * through the cords, tracheal placement — from the fused analysis stream.
+ * Transitions that skip anatomy (e.g. approach → tracheal placement with the
+ * cords never seen) are held and flagged as suspicious.
+ *
+ * Pure JavaScript — no React, no browser APIs.
+ */
+
+export const PROCEDURE_STATES = {
+  NO_VIEW: 'no_view',
+  APPROACH: 'approach',
+  GLOTTIC_VIEW: 'glottic_view',
+  PASSING_CORDS: 'passing_cords',
+  TRACHEAL: 'tracheal_placement',
+  OVER_ADVANCED: 'over_advanced',
+  ESOPHAGEAL: 'esophageal',
+  WITHDRAWN: 'withdrawn',
+};
+
+const S = PROCEDURE_STATES;
+
+export const PROCEDURE_STATE_LABELS = {
+  [S.NO_VIEW]: 'Awaiting View',
+  [S.APPROACH]: 'Approach',
+  [S.GLOTTIC_VIEW]: 'Glottic View',
+  [S.PASSING_CORDS]: 'Passing Cords',
+  [S.TRACHEAL]: 'Tracheal Placement',
+  [S.OVER_ADVANCED]: 'Over-Advanced',
+  [S.ESOPHAGEAL]: 'Esophageal',
+  [S.WITHDRAWN]: 'Withdrawn',
+};
+
+// Transitions that are anatomically possible between two consecutive fused analyses
+const ALLOWED_TRANSITIONS = {
+  [S.NO_VIEW]: [S.APPROACH, S.GLOTTIC_VIEW, S.ESOPHAGEAL],
+  [S.APPROACH]: [S.GLOTTIC_VIEW, S.ESOPHAGEAL],
+  [S.GLOTTIC_VIEW]: [S.APPROACH, S.PASSING_CORDS, S.ESOPHAGEAL],
+  [S.PASSING_CORDS]: [S.TRACHEAL, S.WITHDRAWN],
+  [S.TRACHEAL]: [S.PASSING_CORDS, S.OVER_ADVANCED, S.WITHDRAWN],
+  [S.OVER_ADVANCED]: [S.TRACHEAL, S.WITHDRAWN],
+  [S.ESOPHAGEAL]: [S.WITHDRAWN],
+  [S.WITHDRAWN]: [S.APPROACH, S.GLOTTIC_VIEW, S.ESOPHAGEAL],
+};
+
+// States where the tube is below the cords — moving back above them is a withdrawal
+const BELOW_CORDS = [S.PASSING_CORDS, S.TRACHEAL, S.OVER_ADVANCED];
+
+const ZONE_STATES = {
+  pre_glottic: S.APPROACH,
+  glottic: S.GLOTTIC_VIEW,
+  subglottic: S.PASSING_CORDS,
+  tracheal: S.TRACHEAL,
+  carinal: S.OVER_ADVANCED,
+  bronchial: S.OVER_ADVANCED,
+};
+
+/**
+ * Map a fused analysis onto the state it indicates, given where we are now
+ * @param {Object} analysis - Fused analysis (tracker output)
+ * @param {string} current - Current procedure state
+ * @returns {string|null} Indicated state, or null if the frame says nothing new
+ */
+function indicatedState(analysis, current) {
+  if (analysis.landmarks?.esophagus?.visible) return S.ESOPHAGEAL;
+
+  const target = ZONE_STATES[analysis.depth_zone];
+  if (!target) {
+    // Lost the airway view: only meaningful when leaving the esophagus
+    return current === S.ESOPHAGEAL ? S.WITHDRAWN : null;
+  }
+  if (current === S.ESOPHAGEAL) return S.WITHDRAWN;
+  if (BELOW_CORDS.includes(current) && (target === S.APPROACH || target === S.GLOTTIC_VIEW)) return S.WITHDRAWN;
+  return target;
+}
+
+/**
+ * Create a procedure state machine
+ * @param {Object} [options]
+ * @param {number} [options.confirmFrames] - Consecutive frames an impossible transition must
+ *   persist before it is accepted (still marked suspicious)
+ * @returns {{ update: Function, reset: Function, getState: Function }} State machine
+ */
+export function createProcedureStateMachine({ confirmFrames = 2 } = {}) {
+  let state;
+  let cordsSeen;
+  let pending;
+  let suspiciousCount;
+
+  function reset() {
+    state = S.NO_VIEW;
+    cordsSeen = false;
+    pending = null;
+    suspiciousCount = 0;
+  }
+
+  function step(previous, changed, suspicious) {
+    return { state, previous, changed, suspicious, cords_seen: cordsSeen, suspicious_count: suspiciousCount };
+  }
+
+  /**
+   * Advance the state machine with a new fused analysis
+   * @param {Object} analysis - Fused analysis (tracker output)
+   * @returns {{ state: string, previous: string, changed: boolean, suspicious: boolean,
+   *   cords_seen: boolean, suspicious_count: number }} Transition step
+   */
+  function update(analysis) {
+    const previous = state;
+    if (!analysis.success) return step(previous, false, false);
+
+    const target = indicatedState(analysis, state);
+    if (!target || target === state) {
+      pending = null;
+      return step(previous, false, false);
+    }
+
+    let suspicious = false;
+    if (!ALLOWED_TRANSITIONS[state].includes(target)) {
+      // Hold the current state until the impossible target persists
+      pending = pending?.target === target ? { target, frames: pending.frames + 1 } : { target, frames: 1 };
+      if (pending.frames === 1) suspiciousCount++;
+      if (pending.frames < confirmFrames) return step(previous, false, true);
+      suspicious = true;
+    }
+    // Reaching the trachea without ever seeing the cords can't be confirmed as tracheal
+    if (target === S.TRACHEAL && !cordsSeen) suspicious = true;
+
+    pending = null;
+    state = target;
+    if (state === S.GLOTTIC_VIEW || state === S.PASSING_CORDS) cordsSeen = true;
+    if (state === S.WITHDRAWN || state === S.ESOPHAGEAL) cordsSeen = false;
+    return step(previous, true, suspicious);
+  }
+
+  reset();
+  return { update, reset, getState: () => state };
+}
+
+/**
+ * Run a recorded sequence of fused analyses through a fresh state machine
+ * @param {Object[]} analyses - Fused analyses in time order
+ * @param {Object} [options] - Options for createProcedureStateMachine
+ * @returns {Object[]} One transition step per analysis
+ */
+export function replayProcedure(analyses, options) {
+  const machine = createProcedureStateMachine(options);
+  return analyses.map(a => machine.update(a));
+}
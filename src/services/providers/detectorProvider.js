@@ -0,0 +1,33 @@
+/**
+ * NeoGuide - On-Device Detector Vision Provider
+ *
+ * Runs the on-device glottis detector as the vision provider, so the whole
+ * analysis loop (and session replay re-analysis) can run with no network.
+ * It only reports the glottis and vocal cords — depth beyond the cords,
+ * the carina and the esophagus need Gemini.
+ */
+
+import { createGlottisDetector } from '../glottisDetector.js';
+
+/**
+ * Create a vision provider backed by the on-device detector
+ * @param {Object} [options] - Detector options (see DEFAULT_DETECTOR_OPTIONS)
+ * @returns {{ name: string, analyze: Function }} Vision provider
+ */
+export function createDetectorProvider(options = {}) {
+  const detector = createGlottisDetector(options);
+
+  return {
+    name: 'detector',
+
+    async analyze({ base64, mimeType }) {
+      const blob = await (await fetch(`data:${mimeType};base64,${base64}`)).blob();
+      const bitmap = await createImageBitmap(blob);
+      try {
+        return await detector.detect(bitmap);
+      } finally {
+        bitmap.close();
+      }
+    },
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * NeoGuide - Gemini Vision Provider
+ * 
+ * Sends a camera frame (base64 image) to the Gemini Vision API and
+ * returns structured landmark detection data.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { interpretResponseText } from '../visionResult.js';
+
+export const SYSTEM_PROMPT = `You are a medical image classifier for a neonatal intubation guidance system. Your job is to identify ALL visible anatomical structures — not just the most obvious one.
+
+STEP 1 — Is this an airway image?
+Is this a laryngoscopy or airway endoscopy showing the inside of a human airway (larynx, trachea)?
+- YES → continue to Step 2
+- NO → set image_quality to "no_airway_visible", all landmarks visible:false, set identified_as to what it actually is (e.g. "esophageal endoscopy", "stomach lining", "face", "room/object", "skin surface", etc.)
+
+STEP 2 — Detect ALL landmarks independently.
+Evaluate each landmark on its own — if one is unclear that does NOT make the whole image "no_airway_visible". Be thorough: report every structure you can see, even partially. The confidence score reflects how clearly visible it is (0.3 = partially visible, 0.7 = clearly visible, 0.9 = unmistakable).
+
+What each landmark looks like:
+- epiglottis: curved leaf/omega-shaped pinkish flap at the top of the frame, above the glottis. Present in pre-glottic views. Often the first structure seen on laryngoscopy.
+- vocal_cords: two symmetric pale/white elongated folds forming a V or triangular opening. Very prominent white bands on either side of the dark glottic space.
+- glottis: the dark triangular or oval opening between the vocal cords. Visible whenever vocal cords are seen.
+- tracheal_rings: repeating pale horizontal C-shaped or arc-shaped cartilage bands lining the tracheal wall, like a ribbed tube or ladder pattern. Present in tracheal views below the cords.
+- carina: a prominent Y-shaped or wedge-shaped ridge at the bottom of the trachea, dividing it into left and right bronchi.
+- esophagus: a round/oval opening with reddish-pink fleshy walls and a collapsed slit-like lumen — this is NOT the airway, flag it if seen.
+
+STEP 3 — Pick the depth zone based on which landmarks are visible:
+- pre_glottic: epiglottis visible, approaching vocal cords → safe
+- glottic: vocal cords and/or glottis clearly visible → safe
+- subglottic: just passed the vocal cords, upper trachea, rings not yet visible → safe
+- tracheal: tracheal rings visible → safe
+- carinal: carina visible or approaching → warning
+- bronchial: past carina, inside a bronchus → danger
+
+STEP 4 — Report visual depth cues (they refine the depth estimate within a zone):
+- tracheal_ring_count: how many distinct tracheal rings you can count ahead of the camera (integer; 0 if none visible)
+- carina_width_fraction: apparent width of the carina ridge as a fraction of the image width (0.0-1.0; 0 if not visible). A larger carina means the tip is closer to it.
+
+STEP 5 — Locate each visible landmark in the image:
+- box: [x_min, y_min, x_max, y_max] as fractions of the image width and height (0.0-1.0, origin top-left). Give a box for every landmark with visible:true; leave it out for the others.
+- polygon: optional outline for the glottic opening and the esophageal lumen, as [[x, y], ...] fractions (3-16 points, in order around the edge).
+
+Rules:
+- Return ONLY valid JSON. No markdown, no backticks, no explanation text before or after.
+- All 6 landmark keys must always be present.
+- confidence must be a number, not a string.
+- estimated_depth_cm must be a number.
+
+Example (glottic view):
+{"identified_as":"glottic view with vocal cords and glottis","landmarks":{"epiglottis":{"visible":false,"confidence":0.1},"vocal_cords":{"visible":true,"confidence":0.92,"box":[0.3,0.28,0.7,0.74]},"tracheal_rings":{"visible":false,"confidence":0.05},"carina":{"visible":false,"confidence":0.0},"esophagus":{"visible":false,"confidence":0.0},"glottis":{"visible":true,"confidence":0.88,"box":[0.42,0.32,0.58,0.7],"polygon":[[0.5,0.32],[0.58,0.68],[0.5,0.7],[0.42,0.68]]}},"depth_zone":"glottic","safety_status":"safe","guidance_message":"Vocal cords and glottis clearly visible — advance tube through the glottis now.","estimated_depth_cm":0.5,"visual_cues":{"tracheal_ring_count":0,"carina_width_fraction":0.0},"image_quality":"good"}
+
+Schema:
+{
+  "identified_as": "brief description of all structures visible",
+  "landmarks": {
+    "epiglottis": { "visible": true/false, "confidence": 0.0-1.0, "box": [x_min, y_min, x_max, y_max] },
+    "vocal_cords": { "visible": true/false, "confidence": 0.0-1.0, "box": [x_min, y_min, x_max, y_max] },
+    "tracheal_rings": { "visible": true/false, "confidence": 0.0-1.0, "box": [x_min, y_min, x_max, y_max] },
+    "carina": { "visible": true/false, "confidence": 0.0-1.0, "box": [x_min, y_min, x_max, y_max] },
+    "esophagus": { "visible": true/false, "confidence": 0.0-1.0, "box": [x_min, y_min, x_max, y_max], "polygon": [[x, y], ...] },
+    "glottis": { "visible": true/false, "confidence": 0.0-1.0, "box": [x_min, y_min, x_max, y_max], "polygon": [[x, y], ...] }
+  },
+  "depth_zone": "pre_glottic" | "glottic" | "subglottic" | "tracheal" | "carinal" | "bronchial" | "unknown",
+  "safety_status": "safe" | "warning" | "danger",
+  "guidance_message": "one sentence listing all structures seen and recommended action",
+  "estimated_depth_cm": 0.0,
+  "visual_cues": { "tracheal_ring_count": 0, "carina_width_fraction": 0.0 },
+  "image_quality": "good" | "fair" | "poor" | "no_airway_visible"
+}`;
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Prompt for one frame — only the free-text guidance is localized; every
+ * key and enum value stays English so the parser and safety rules still apply
+ * @param {string} [language] - Language name for guidance_message, e.g. 'Spanish'
+ * @returns {string} Prompt text
+ */
+export function buildPrompt(language) {
+  if (!language || language === 'English') return SYSTEM_PROMPT;
+  return `${SYSTEM_PROMPT}
+
+Write "guidance_message" in ${language}. Keep every JSON key and every enum value ("depth_zone", "safety_status", "image_quality") exactly as specified, in English.`;
+}
+
+/**
+ * Create a vision provider backed by Gemini
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} [options.model] - Gemini model name
+ * @returns {{ name: string, analyze: Function }} Vision provider
+ */
+export function createGeminiProvider({ apiKey, model: modelName = DEFAULT_MODEL } = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const model = genAI.getGenerativeModel({
+    model: modelName,
+    generationConfig: {
+      temperature: 0.1,
+      maxOutputTokens: 1024,
+    }
+  });
+
+  return {
+    name: 'gemini',
+
+    /**
+     * Analyze a camera frame for anatomical landmarks
+     * @param {{ base64: string, mimeType: string, language?: string }} frame - Base64 image (without
+     *   data URI prefix) and the language to write guidance_message in
+     * @returns {Promise<Object>} Normalized landmark detection data
+     */
+    async analyze({ base64, mimeType, language }) {
+      const result = await model.generateContent([
+        buildPrompt(language),
+        {
+          inlineData: {
+            data: base64,
+            mimeType: mimeType,
+          },
+        },
+      ]);
+
+      const text = result.response.text().trim();
+
+      console.log('Gemini raw response:', text.substring(0, 200));
+
+      return { ...interpretResponseText(text), raw_text: text };
+    },
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * NeoGuide - Mock Vision Provider
+ *
+ * Deterministic stand-in for the vision API. Replays a scripted sequence of
+ * results so the full analysis loop can run offline, in demos and in tests
+ * without an API key.
+ */
+
+import { interpretResponseText, normalizeResult, blankLandmarks } from '../visionResult.js';
+
+/**
+ * Build a scripted result with the given landmarks visible
+ * @param {string} depth_zone
+ * @param {string} safety_status
+ * @param {Object} visible - Map of landmark key → confidence, or { confidence, box, polygon } to locate it
+ * @param {string} guidance_message
+ * @param {Object} [visual_cues] - { tracheal_ring_count, carina_width_fraction }
+ * @returns {Object} Scripted result
+ */
+function step(depth_zone, safety_status, visible, guidance_message, visual_cues = null) {
+  const landmarks = blankLandmarks();
+  for (const [key, value] of Object.entries(visible)) {
+    landmarks[key] = typeof value === 'number' ? { visible: true, confidence: value } : { visible: true, ...value };
+  }
+  return {
+    identified_as: `scripted ${depth_zone} view`,
+    landmarks,
+    depth_zone,
+    safety_status,
+    guidance_message,
+    estimated_depth_cm: 0,
+    visual_cues,
+    image_quality: 'good',
+  };
+}
+
+// A complete intubation: approach, pass the cords, overshoot to the carina, pull back
+export const DEFAULT_SCRIPT = [
+  step('pre_glottic', 'safe', { epiglottis: 0.82 }, 'Epiglottis visible — advance toward the vocal cords.'),
+  step('pre_glottic', 'safe', { epiglottis: 0.88 }, 'Epiglottis visible — advance toward the vocal cords.'),
+  step('glottic', 'safe', {
+    vocal_cords: { confidence: 0.91, box: [0.36, 0.22, 0.76, 0.7] },
+    glottis: { confidence: 0.86, box: [0.5, 0.26, 0.64, 0.66], polygon: [[0.57, 0.26], [0.64, 0.62], [0.57, 0.66], [0.5, 0.62]] },
+  }, 'Vocal cords and glottis clearly visible — advance tube through the glottis now.'),
+  step('glottic', 'safe', {
+    vocal_cords: { confidence: 0.93, box: [0.3, 0.26, 0.7, 0.74] },
+    glottis: { confidence: 0.9, box: [0.44, 0.3, 0.58, 0.7], polygon: [[0.51, 0.3], [0.58, 0.66], [0.51, 0.7], [0.44, 0.66]] },
+  }, 'Vocal cords and glottis clearly visible — advance tube through the glottis now.'),
+  step('subglottic', 'safe', { vocal_cords: 0.4 }, 'Just past the vocal cords — continue advancing gently.'),
+  step('tracheal', 'safe', { tracheal_rings: 0.87 }, 'Tracheal rings visible — tube at optimal depth.', { tracheal_ring_count: 11, carina_width_fraction: 0 }),
+  step('tracheal', 'safe', { tracheal_rings: 0.9 }, 'Tracheal rings visible — tube at optimal depth.', { tracheal_ring_count: 9, carina_width_fraction: 0 }),
+  step('tracheal', 'safe', { tracheal_rings: 0.89 }, 'Tracheal rings visible — tube at optimal depth.', { tracheal_ring_count: 7, carina_width_fraction: 0 }),
+  step('carinal', 'warning', { tracheal_rings: 0.6, carina: { confidence: 0.78, box: [0.35, 0.4, 0.65, 0.62] } }, 'Carina approaching — stop advancing.', { tracheal_ring_count: 3, carina_width_fraction: 0.3 }),
+  step('carinal', 'warning', { carina: { confidence: 0.85, box: [0.25, 0.35, 0.75, 0.7] } }, 'Carina approaching — stop advancing.', { tracheal_ring_count: 1, carina_width_fraction: 0.5 }),
+  step('tracheal', 'safe', { tracheal_rings: 0.88 }, 'Tracheal rings visible — tube at optimal depth.', { tracheal_ring_count: 7, carina_width_fraction: 0 }),
+  step('tracheal', 'safe', { tracheal_rings: 0.91 }, 'Tracheal rings visible — tube at optimal depth.', { tracheal_ring_count: 8, carina_width_fraction: 0 }),
+];
+
+/**
+ * Create a vision provider that replays scripted results
+ * @param {Object} [options]
+ * @param {Array<Object|string|Error>} [options.script] - Results to replay in order. Strings are
+ *   treated as raw model text and go through the same parser as a real provider; Errors are thrown.
+ * @param {boolean} [options.loop] - Restart the script when it runs out (otherwise the last entry repeats)
+ * @param {number} [options.latencyMs] - Simulated round-trip time
+ * @returns {{ name: string, analyze: Function, reset: Function }} Vision provider
+ */
+export function createMockProvider({ script = DEFAULT_SCRIPT, loop = true, latencyMs = 300 } = {}) {
+  let index = 0;
+
+  return {
+    name: 'mock',
+
+    async analyze() {
+      if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+
+      const entry = script[loop ? index % script.length : Math.min(index, script.length - 1)];
+      index++;
+
+      if (entry instanceof Error) throw entry;
+      if (typeof entry === 'string') return { ...interpretResponseText(entry), raw_text: entry };
+      return normalizeResult(structuredClone(entry));
+    },
+
+    reset() {
+      index = 0;
+    },
+  };
+}
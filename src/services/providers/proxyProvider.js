@@ -0,0 +1,33 @@
+/**
+ * NeoGuide - Proxied Gemini Vision Provider
+ *
+ * Sends the frame to the NeoGuide API proxy, which calls Gemini with the
+ * server-held key and returns the raw model text. The text goes through
+ * the same parser as a direct Gemini call.
+ */
+
+import { apiFetch } from '../apiClient.js';
+import { interpretResponseText } from '../visionResult.js';
+
+/**
+ * Create a vision provider backed by the API proxy
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Proxy route
+ * @returns {{ name: string, analyze: Function }} Vision provider
+ */
+export function createProxyProvider({ endpoint = '/api/analyze' } = {}) {
+  return {
+    name: 'gemini',
+
+    /**
+     * Analyze a camera frame for anatomical landmarks
+     * @param {{ base64: string, mimeType: string, language?: string }} frame
+     * @returns {Promise<Object>} Normalized landmark detection data
+     */
+    async analyze({ base64, mimeType, language }) {
+      const response = await apiFetch(endpoint, { json: { base64, mimeType, language } });
+      const { text } = await response.json();
+      return { ...interpretResponseText(text.trim()), raw_text: text };
+    },
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * NeoGuide - Replay Vision Provider
+ *
+ * Plays back the model responses of a recorded session. Recorded raw text is
+ * re-interpreted with the current parser, so a replay reflects today's
+ * post-processing rather than whatever was stored at the time.
+ */
+
+import { interpretResponseText, normalizeResult } from '../visionResult';
+
+/**
+ * Create a vision provider that returns a recorded session's responses in order
+ * @param {Object[]} frames - Recorded frames from sessionRecorder.loadSession
+ * @returns {{ name: string, analyze: Function, reset: Function }} Vision provider
+ */
+export function createReplayProvider(frames) {
+  let index = 0;
+
+  return {
+    name: 'replay',
+
+    async analyze() {
+      const frame = frames[Math.min(index, frames.length - 1)];
+      index++;
+
+      // A recorded failure replays as a failure
+      if (!frame.result.success && !frame.rawText) {
+        throw new Error(frame.result.error || 'Recorded analysis failed');
+      }
+      if (frame.rawText) {
+        return { ...interpretResponseText(frame.rawText), raw_text: frame.rawText };
+      }
+      return normalizeResult(structuredClone(frame.result));
+    },
+
+    reset() {
+      index = 0;
+    },
+  };
+}
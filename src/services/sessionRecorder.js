@@ -0,0 +1,194 @@
+/**
+ * NeoGuide - Session Recorder
+ *
+ * Persists every analyzed frame of a procedure to IndexedDB — the captured
+ * JPEG, the raw model text, the parsed and stable results — along with
+ * every alert that fired, so sessions can be reviewed and replayed later.
+ */
+
+const DB_NAME = 'neoguide';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and on first use, create) the recordings database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('sessions', { keyPath: 'id' });
+      const frames = db.createObjectStore('frames', { keyPath: 'id', autoIncrement: true });
+      frames.createIndex('sessionId', 'sessionId');
+      const alerts = db.createObjectStore('alerts', { keyPath: 'id', autoIncrement: true });
+      alerts.createIndex('sessionId', 'sessionId');
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a callback against object stores inside one transaction
+ * @param {string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {Function} fn - Receives the stores (in storeNames order), returns a value or promise
+ * @returns {Promise<*>} fn's result, once the transaction has committed
+ */
+async function withStores(storeNames, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  let result;
+  try {
+    result = await fn(...storeNames.map(name => tx.objectStore(name)));
+  } catch (error) {
+    done.catch(() => { }); // the abort below rejects it; the original error is the useful one
+    tx.abort();
+    throw error;
+  }
+  await done;
+  return result;
+}
+
+/**
+ * New session ID — callers that must know the ID before startSession resolves pass it in
+ * @returns {string}
+ */
+export function createSessionId() {
+  return `session-${Date.now()}`;
+}
+
+/**
+ * Start recording a new session
+ * @param {Object} [meta] - Extra session fields (e.g. { provider: 'gemini' }); meta.id from
+ *   createSessionId(), or a new one
+ * @returns {Promise<string>} Session ID
+ */
+export async function startSession({ id = createSessionId(), ...meta } = {}) {
+  await withStores(['sessions'], 'readwrite', sessions =>
+    promisify(sessions.put({ ...meta, id, startedAt: Date.now(), endedAt: null, frameCount: 0, alertCount: 0 }))
+  );
+  return id;
+}
+
+/**
+ * Mark a session as finished
+ * @param {string} sessionId
+ * @param {Object} [extra] - Fields to store on the session (e.g. the procedure report)
+ */
+export async function endSession(sessionId, extra = {}) {
+  await withStores(['sessions'], 'readwrite', async (sessions) => {
+    const session = await promisify(sessions.get(sessionId));
+    if (session) await promisify(sessions.put({ ...session, ...extra, endedAt: Date.now() }));
+  });
+}
+
+/**
+ * Record one analyzed frame
+ * @param {string} sessionId
+ * @param {Object} entry
+ * @param {{ base64: string, mimeType: string }} entry.frame - Captured image
+ * @param {Object} entry.result - Parsed result from analyzeFrame (carries raw_text when available)
+ * @param {Object} entry.stable - Fused result the Dashboard acted on
+ * @param {number} entry.capturedAt - Capture timestamp (ms)
+ */
+export async function recordFrame(sessionId, { frame, result, stable, capturedAt }) {
+  await withStores(['sessions', 'frames'], 'readwrite', async (sessions, frames) => {
+    await promisify(frames.add({
+      sessionId,
+      capturedAt,
+      base64: frame.base64,
+      mimeType: frame.mimeType,
+      rawText: result.raw_text ?? null,
+      result,
+      stable,
+    }));
+    const session = await promisify(sessions.get(sessionId));
+    if (session) await promisify(sessions.put({ ...session, frameCount: session.frameCount + 1 }));
+  });
+}
+
+/**
+ * Record an emitted alert
+ * @param {string} sessionId
+ * @param {string} alertKey - Key from ALERT_DEFINITIONS
+ * @param {boolean} [urgent] - Whether it bypassed the queue
+ */
+export async function recordAlert(sessionId, alertKey, urgent = false) {
+  await withStores(['sessions', 'alerts'], 'readwrite', async (sessions, alerts) => {
+    await promisify(alerts.add({ sessionId, alertKey, urgent, emittedAt: Date.now() }));
+    const session = await promisify(sessions.get(sessionId));
+    if (session) await promisify(sessions.put({ ...session, alertCount: session.alertCount + 1 }));
+  });
+}
+
+/**
+ * List recorded sessions, newest first
+ * @returns {Promise<Object[]>} Session summaries
+ */
+export async function listSessions() {
+  const sessions = await withStores(['sessions'], 'readonly', store => promisify(store.getAll()));
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Load a session with all of its frames and alerts, in time order
+ * @param {string} sessionId
+ * @returns {Promise<{ session: Object, frames: Object[], alerts: Object[] }>}
+ */
+export async function loadSession(sessionId) {
+  return withStores(['sessions', 'frames', 'alerts'], 'readonly', async (sessions, frames, alerts) => {
+    const [session, frameList, alertList] = await Promise.all([
+      promisify(sessions.get(sessionId)),
+      promisify(frames.index('sessionId').getAll(sessionId)),
+      promisify(alerts.index('sessionId').getAll(sessionId)),
+    ]);
+    if (!session) throw new Error(`Unknown session: ${sessionId}`);
+    return {
+      session,
+      frames: frameList.sort((a, b) => a.capturedAt - b.capturedAt),
+      alerts: alertList.sort((a, b) => a.emittedAt - b.emittedAt),
+    };
+  });
+}
+
+/**
+ * Delete a session and everything recorded in it
+ * @param {string} sessionId
+ */
+export async function deleteSession(sessionId) {
+  await withStores(['sessions', 'frames', 'alerts'], 'readwrite', async (sessions, frames, alerts) => {
+    const [frameKeys, alertKeys] = await Promise.all([
+      promisify(frames.index('sessionId').getAllKeys(sessionId)),
+      promisify(alerts.index('sessionId').getAllKeys(sessionId)),
+    ]);
+    await Promise.all([
+      ...frameKeys.map(key => promisify(frames.delete(key))),
+      ...alertKeys.map(key => promisify(alerts.delete(key))),
+      promisify(sessions.delete(sessionId)),
+    ]);
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * NeoGuide - Web Speech Recognizer
+ *
+ * Command recognizer backed by the browser's SpeechRecognition API. Chrome
+ * and Edge send audio to a cloud service; Safari recognizes on device. For a
+ * fully offline engine, implement the same interface and pass it to
+ * setCommandRecognizer (voiceCommands.js).
+ */
+
+// Not worth reporting: silence, or the session ending itself
+const BENIGN_ERRORS = ['no-speech', 'aborted'];
+
+// Without these the microphone can never be used — stop instead of restarting
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+
+/**
+ * Create a recognizer backed by window.SpeechRecognition
+ * @returns {{ name: string, label: string, isAvailable: Function, start: Function, stop: Function }} Recognizer
+ */
+export function createWebSpeechRecognizer() {
+  const SpeechRecognition = typeof window !== 'undefined'
+    ? window.SpeechRecognition ?? window.webkitSpeechRecognition
+    : undefined;
+  let recognition = null;
+  let listening = false;
+
+  function stop() {
+    listening = false;
+    if (!recognition) return;
+    const session = recognition;
+    recognition = null;
+    session.onend = null;
+    session.abort();
+  }
+
+  return {
+    name: 'webspeech',
+    label: 'Browser speech recognition',
+    isAvailable: () => !!SpeechRecognition,
+
+    /**
+     * Listen until stop() — the browser ends sessions on its own after a
+     * while, so they are restarted for as long as we are listening
+     * @param {Object} options
+     * @param {string} options.lang - BCP 47 language, e.g. 'en-US'
+     * @param {Function} options.onResult - Called with { transcript, confidence } per final phrase
+     * @param {Function} [options.onError] - Called with an Error; fatal = listening has stopped
+     */
+    start({ lang, onResult, onError }) {
+      stop();
+      listening = true;
+      recognition = new SpeechRecognition();
+      recognition.lang = lang;
+      recognition.continuous = true;
+      recognition.interimResults = false;
+      recognition.maxAlternatives = 1;
+
+      recognition.onresult = (event) => {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const result = event.results[i];
+          if (!result.isFinal) continue;
+          onResult({ transcript: result[0].transcript, confidence: result[0].confidence });
+        }
+      };
+      recognition.onerror = (event) => {
+        if (BENIGN_ERRORS.includes(event.error)) return;
+        const fatal = FATAL_ERRORS.includes(event.error);
+        if (fatal) listening = false;
+        onError?.(Object.assign(new Error(`Speech recognition error: ${event.error}`), { fatal }));
+      };
+      const session = recognition;
+      recognition.onend = () => {
+        if (listening && recognition === session) {
+          try {
+            session.start();
+          } catch (err) {
+            listening = false;
+            onError?.(Object.assign(err, { fatal: true }));
+          }
+        }
+      };
+      recognition.start();
+    },
+
+    stop,
+  };
+}
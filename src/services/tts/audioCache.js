@@ -0,0 +1,76 @@
+/**
+ * NeoGuide - Persistent Audio Cache
+ *
+ * Keeps alert audio (and the audio pack manifest) in Cache Storage so it
+ * survives reloads and plays with no network. Keys are absolute URLs that
+ * embed the clip hash, so a changed text, voice or model is simply a
+ * different entry. Where Cache Storage is unavailable (insecure origin,
+ * private mode) every read misses and every write is dropped.
+ */
+
+const CACHE_NAME = 'neoguide-audio';
+
+async function openCache() {
+  if (typeof caches === 'undefined') return null;
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch (err) {
+    console.warn('Cache Storage unavailable:', err);
+    return null;
+  }
+}
+
+/**
+ * Read a cached entry
+ * @param {string} url - Cache key (absolute URL)
+ * @returns {Promise<Response|null>} Cached response, or null on a miss
+ */
+export async function readCached(url) {
+  const cache = await openCache();
+  return (await cache?.match(url)) ?? null;
+}
+
+/**
+ * Store an entry
+ * @param {string} url - Cache key (absolute URL)
+ * @param {ArrayBuffer|string} body
+ * @param {string} [contentType]
+ */
+export async function writeCached(url, body, contentType = 'audio/mpeg') {
+  const cache = await openCache();
+  await cache?.put(url, new Response(body, { headers: { 'Content-Type': contentType } }));
+}
+
+/**
+ * Read cached audio
+ * @param {string} url - Cache key (absolute URL)
+ * @returns {Promise<ArrayBuffer|null>} Audio data, or null on a miss
+ */
+export async function readCachedAudio(url) {
+  const response = await readCached(url);
+  return response ? response.arrayBuffer() : null;
+}
+
+/**
+ * Delete cached entries under a prefix that are no longer wanted
+ * @param {string} prefix - URL prefix the entries share
+ * @param {Set<string>} keep - Absolute URLs to keep
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function pruneCached(prefix, keep) {
+  const cache = await openCache();
+  if (!cache) return 0;
+  const stale = (await cache.keys()).filter(req => req.url.startsWith(prefix) && !keep.has(req.url));
+  await Promise.all(stale.map(req => cache.delete(req)));
+  return stale.length;
+}
+
+/**
+ * Resolve an app-relative path against the page, for use as a cache key
+ * @param {string} path - Path below the app's base URL
+ * @returns {string} Absolute URL
+ */
+export function assetUrl(path) {
+  const base = import.meta.env?.BASE_URL ?? '/';
+  return new URL(`${base}${path}`, globalThis.location?.href ?? 'http://localhost/').href;
+}
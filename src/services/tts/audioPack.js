@@ -0,0 +1,104 @@
+/**
+ * NeoGuide - Alert Audio Pack
+ *
+ * Loads the pre-rendered alert clips described by public/audio/pack/manifest.json
+ * (built by `npm run build-audio-pack`). Each clip is checked against the hash
+ * of the alert text the app is running with, so a pack that predates a wording
+ * change never plays the old words. Clips are kept in Cache Storage; after the
+ * first load, the pack works with no network at all.
+ */
+
+import { clipHash, hasSecureHash } from './voices';
+import { readCached, writeCached, readCachedAudio, pruneCached, assetUrl } from './audioCache';
+
+export const AUDIO_PACK_DIR = 'audio/pack/';
+
+let insecureWarned = false;
+
+/**
+ * Fetch the manifest, falling back to the cached copy when offline
+ * @returns {Promise<Object|null>} Manifest, or null if there is no pack
+ */
+async function loadManifest() {
+  const url = assetUrl(`${AUDIO_PACK_DIR}manifest.json`);
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    // The dev server answers unknown paths with index.html
+    if (response.ok && (response.headers.get('content-type') || '').includes('json')) {
+      const text = await response.text();
+      await writeCached(url, text, 'application/json');
+      return JSON.parse(text);
+    }
+  } catch (err) {
+    console.warn('Audio pack manifest unreachable, trying cache:', err);
+  }
+  const cached = await readCached(url);
+  return cached ? cached.json() : null;
+}
+
+/**
+ * Load the clips for one voice and language into memory
+ * @param {Object} options
+ * @param {string} options.voice - Key from VOICES
+ * @param {string} options.lang - Language code
+ * @param {string} [options.model] - ElevenLabs model the clips must be rendered with
+ * @param {Object} options.alerts - Map of alertKey → text the app will speak
+ * @returns {Promise<{ version: number|null, clips: Map<string, ArrayBuffer>, missing: string[], stale: string[] }>}
+ *   missing = not in the pack; stale = in the pack but rendered from different text
+ */
+export async function loadAudioPack({ voice, lang, model, alerts }) {
+  const result = { version: null, clips: new Map(), missing: [], stale: [] };
+  // Without SHA-256 the clips can't be checked against the running text — don't play unchecked words
+  if (!hasSecureHash()) {
+    if (!insecureWarned) console.warn('Audio pack skipped: clip hashes need a secure context (HTTPS or localhost)');
+    insecureWarned = true;
+    result.missing = Object.keys(alerts);
+    return result;
+  }
+  const manifest = await loadManifest();
+  if (!manifest) {
+    result.missing = Object.keys(alerts);
+    return result;
+  }
+  result.version = manifest.version;
+  const entries = manifest.voices?.[voice]?.languages?.[lang] ?? {};
+
+  await Promise.all(Object.entries(alerts).map(async ([key, text]) => {
+    const entry = entries[key];
+    if (!entry) {
+      result.missing.push(key);
+      return;
+    }
+    if (entry.hash !== await clipHash({ voice, lang, model, text })) {
+      result.stale.push(key);
+      return;
+    }
+
+    const url = assetUrl(`${AUDIO_PACK_DIR}${entry.file}`);
+    try {
+      let audio = await readCachedAudio(url);
+      if (!audio) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        audio = await response.arrayBuffer();
+        await writeCached(url, audio);
+      }
+      result.clips.set(key, audio);
+    } catch (err) {
+      console.warn(`Audio pack clip ${entry.file} unavailable:`, err);
+      result.missing.push(key);
+    }
+  }));
+
+  // Drop clips from earlier pack versions — file names carry the hash, so anything
+  // the current manifest doesn't list can never be requested again
+  const keep = new Set([assetUrl(`${AUDIO_PACK_DIR}manifest.json`)]);
+  for (const v of Object.values(manifest.voices ?? {})) {
+    for (const files of Object.values(v.languages ?? {})) {
+      for (const entry of Object.values(files)) keep.add(assetUrl(`${AUDIO_PACK_DIR}${entry.file}`));
+    }
+  }
+  await pruneCached(assetUrl(AUDIO_PACK_DIR), keep);
+
+  return result;
+}
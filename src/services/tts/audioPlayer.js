@@ -0,0 +1,54 @@
+/**
+ * NeoGuide - Audio Player
+ *
+ * Single HTMLAudioElement slot shared by the audio-file TTS backends, so a
+ * new alert (or stopAllAudio) always cuts off the previous one.
+ */
+
+// Slower than natural speech — clearer over monitor alarms
+const PLAYBACK_RATE = 0.75;
+
+let current = null; // { audio, url, finish }
+
+/**
+ * Play audio and resolve when it ends (or is stopped)
+ * @param {ArrayBuffer|string} source - Audio data (MP3), or a URL
+ * @returns {Promise<void>} Rejects if the audio cannot be loaded or played
+ */
+export function playAudio(source) {
+  stopAudio();
+
+  return new Promise((resolve, reject) => {
+    const url = typeof source === 'string'
+      ? source
+      : URL.createObjectURL(new Blob([source], { type: 'audio/mpeg' }));
+    const audio = new Audio(url);
+    audio.playbackRate = PLAYBACK_RATE;
+
+    const entry = {
+      audio,
+      finish: (err) => {
+        if (typeof source !== 'string') URL.revokeObjectURL(url);
+        if (current === entry) current = null;
+        if (err) reject(err);
+        else resolve();
+      },
+    };
+    current = entry;
+
+    audio.onended = () => entry.finish();
+    audio.onerror = () => entry.finish(new Error(`Audio playback failed (${audio.error?.code ?? 'unknown'})`));
+    audio.play().catch(err => entry.finish(err));
+  });
+}
+
+/**
+ * Stop the playing audio. Its playAudio promise resolves — being cut off is not a failure.
+ */
+export function stopAudio() {
+  if (!current) return;
+  const { audio, finish } = current;
+  current = null;
+  audio.pause();
+  finish();
+}
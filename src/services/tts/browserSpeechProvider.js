@@ -0,0 +1,62 @@
+/**
+ * NeoGuide - Browser Speech TTS Provider
+ *
+ * Last-resort voice using the Web Speech API (speechSynthesis). Robotic, but
+ * built into the browser and usually available offline via the OS voices.
+ */
+
+// Some engines never fire onstart/onend when no voice is installed — treat silence as failure
+const START_TIMEOUT_MS = 3000;
+
+/**
+ * Create a TTS provider backed by window.speechSynthesis
+ * @param {Object} [options]
+ * @param {string} [options.lang] - BCP 47 language for voice selection
+ * @param {number} [options.rate] - Speaking rate (1 = normal)
+ * @returns {{ name: string, label: string, isAvailable: Function, speak: Function, stop: Function }} TTS provider
+ */
+export function createBrowserSpeechProvider({ lang = 'en-US', rate = 0.9 } = {}) {
+  const synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined;
+  let stopped = false;
+
+  return {
+    name: 'browser',
+    label: 'Browser speech',
+    isAvailable: () => !!synth,
+    speak(item, signal) {
+      if (signal?.aborted) return Promise.resolve();
+      stopped = false;
+      return new Promise((resolve, reject) => {
+        const utterance = new SpeechSynthesisUtterance(item.text);
+        utterance.lang = lang;
+        utterance.rate = rate;
+        const voice = synth.getVoices().find(v => v.lang === lang && v.localService);
+        if (voice) utterance.voice = voice;
+
+        const watchdog = setTimeout(() => {
+          synth.cancel();
+          reject(new Error('Speech synthesis did not start'));
+        }, START_TIMEOUT_MS);
+
+        utterance.onstart = () => clearTimeout(watchdog);
+        utterance.onend = () => {
+          clearTimeout(watchdog);
+          resolve();
+        };
+        utterance.onerror = (e) => {
+          clearTimeout(watchdog);
+          // cancel() from stop() reports 'interrupted'/'canceled' — that is not a failure
+          if (stopped || e.error === 'interrupted' || e.error === 'canceled') resolve();
+          else reject(new Error(`Speech synthesis error: ${e.error}`));
+        };
+
+        synth.cancel(); // drop anything still queued in the engine
+        synth.speak(utterance);
+      });
+    },
+    stop() {
+      stopped = true;
+      synth?.cancel();
+    },
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * NeoGuide - Audio Pack TTS Provider
+ *
+ * Plays the pre-rendered alert clips from the audio pack (see audioPack.js).
+ * Clips are loaded into memory at preload, so an alert starts instantly with
+ * no network and no API key. Only predefined alerts are in the pack — custom
+ * text falls through to the next backend.
+ */
+
+import { playAudio, stopAudio } from './audioPlayer';
+import { loadAudioPack } from './audioPack';
+
+/**
+ * Create a TTS provider that plays bundled alert clips
+ * @param {Object} options
+ * @param {string} options.voice - Key from VOICES
+ * @param {string} options.lang - Language code
+ * @param {string} [options.model] - ElevenLabs model the clips must be rendered with
+ * @returns {{ name: string, label: string, isAvailable: Function, supports: Function,
+ *   speak: Function, stop: Function, preload: Function }} TTS provider
+ */
+export function createClipProvider({ voice, lang, model }) {
+  let clips = null; // Map alertKey → ArrayBuffer, once preloaded
+
+  return {
+    name: 'clips',
+    label: 'Audio pack',
+    isAvailable: () => clips === null || clips.size > 0,
+    supports: (item) => !!clips?.has(item.alertKey),
+    async speak(item, signal) {
+      if (signal?.aborted) return;
+      await playAudio(clips.get(item.alertKey));
+    },
+    stop: stopAudio,
+    async preload(items) {
+      const alerts = Object.fromEntries(items.filter(item => item.alertKey).map(item => [item.alertKey, item.text]));
+      const pack = await loadAudioPack({ voice, lang, model, alerts });
+      clips = pack.clips;
+      if (pack.stale.length) console.warn(`Audio pack v${pack.version} is out of date for: ${pack.stale.join(', ')} — run npm run build-audio-pack`);
+      if (pack.missing.length) console.warn(`Audio pack has no clip for: ${pack.missing.join(', ')}`);
+    },
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * NeoGuide - ElevenLabs TTS Provider
+ *
+ * Natural-voice alerts from the ElevenLabs REST API — called directly with
+ * an API key (build scripts), or through the NeoGuide API proxy, which holds
+ * the key (the dashboard). Generated audio is
+ * cached in memory per text, and predefined alerts are also persisted in
+ * Cache Storage (keyed by clip hash), so they are generated once per
+ * wording rather than on every page load.
+ */
+
+import { playAudio, stopAudio } from './audioPlayer';
+import { readCachedAudio, writeCached, assetUrl } from './audioCache';
+import { VOICES, DEFAULT_VOICE, localeVoice, clipHash } from './voices';
+import { apiFetch, getProxyHealth } from '../apiClient';
+
+const API_URL = 'https://api.elevenlabs.io/v1';
+
+// A hung request must not hold up a danger alert — fail over instead
+const REQUEST_TIMEOUT_MS = 4000;
+
+/**
+ * Create a TTS provider backed by ElevenLabs
+ * @param {Object} options
+ * @param {string} [options.apiKey] - ElevenLabs API key, to call the API directly
+ * @param {string} [options.endpoint] - API proxy route to call instead (e.g. '/api/tts')
+ * @param {string} [options.voice] - Key from VOICES
+ * @param {string} [options.lang] - Language code (part of the persistent cache key)
+ * @param {string} [options.model] - ElevenLabs model (defaults to the locale's)
+ * @returns {{ name: string, label: string, isAvailable: Function, speak: Function, stop: Function,
+ *   preload: Function, synthesize: Function }} TTS provider
+ */
+export function createElevenLabsProvider({ apiKey, endpoint, voice = DEFAULT_VOICE, lang = 'en', model = localeVoice(lang).model } = {}) {
+  const voiceId = VOICES[voice].elevenLabsVoiceId;
+  const cache = new Map(); // text → ArrayBuffer
+
+  // Through the proxy, only usable if the server has a key (assumed until it answers)
+  let proxyConfigured = true;
+  if (!apiKey && endpoint) getProxyHealth().then((health) => { proxyConfigured = health.elevenlabs; });
+
+  /**
+   * Generate speech audio from text
+   * @param {string} text - Text to convert to speech
+   * @returns {Promise<ArrayBuffer>} MP3 audio data
+   */
+  async function synthesize(text) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const body = {
+      text: text,
+      model_id: model,
+      voice_settings: {
+        stability: 0.85,
+        similarity_boost: 0.75,
+        style: 0.1,
+        use_speaker_boost: true,
+      },
+    };
+    try {
+      if (!apiKey) {
+        const response = await apiFetch(endpoint, { json: { voice_id: voiceId, ...body }, accept: 'audio/mpeg', signal: controller.signal });
+        return await response.arrayBuffer();
+      }
+
+      const response = await fetch(`${API_URL}/text-to-speech/${voiceId}`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Accept': 'audio/mpeg',
+          'Content-Type': 'application/json',
+          'xi-api-key': apiKey,
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.arrayBuffer();
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`ElevenLabs request timed out after ${REQUEST_TIMEOUT_MS} ms`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function audioFor(item) {
+    if (cache.has(item.text)) return cache.get(item.text);
+
+    // Predefined alerts persist across reloads; custom text is one-off and stays in memory
+    const persistUrl = item.alertKey
+      ? assetUrl(`__tts-cache/${voice}/${lang}/${await clipHash({ voice, lang, model, text: item.text })}.mp3`)
+      : null;
+    let audio = persistUrl ? await readCachedAudio(persistUrl) : null;
+    if (!audio) {
+      audio = await synthesize(item.text);
+      if (persistUrl) writeCached(persistUrl, audio).catch(err => console.warn('Could not persist alert audio:', err));
+    }
+    cache.set(item.text, audio);
+    return audio;
+  }
+
+  return {
+    name: 'elevenlabs',
+    label: 'ElevenLabs',
+    isAvailable: () => !!apiKey || (!!endpoint && proxyConfigured),
+    /** Cached text plays even when the API is down */
+    isCached: (item) => cache.has(item.text),
+    async speak(item, signal) {
+      const audio = await audioFor(item);
+      // Stopped while the request was in flight — don't play a stale alert
+      if (signal?.aborted) return;
+      await playAudio(audio);
+    },
+    stop: stopAudio,
+    async preload(items) {
+      for (const item of items) {
+        try {
+          await audioFor(item);
+        } catch (err) {
+          console.error(`Failed to cache "${item.text}":`, err);
+        }
+      }
+    },
+    synthesize,
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * NeoGuide - TTS Voice Configuration
+ *
+ * Voices, and the voice and model each locale speaks with. The model and
+ * voice are part of every clip's hash, so changing either invalidates the
+ * bundled and cached audio.
+ */
+
+export const VOICES = {
+  rachel: { label: 'Rachel', elevenLabsVoiceId: '21m00Tcm4TlvDq8ikWAM' }, // clear, professional female voice
+};
+
+export const DEFAULT_VOICE = 'rachel';
+
+// Per-locale speech: ElevenLabs voice + model, and the BCP 47 tag the browser
+// fallback picks its OS voice by. The multilingual model gives any voice native
+// Spanish/Korean pronunciation; map a locale to its own entry in VOICES to use
+// a native speaker instead.
+export const LOCALE_VOICES = {
+  en: { voice: 'rachel', model: 'eleven_turbo_v2_5', speechLang: 'en-US' },
+  es: { voice: 'rachel', model: 'eleven_multilingual_v2', speechLang: 'es-ES' },
+  ko: { voice: 'rachel', model: 'eleven_multilingual_v2', speechLang: 'ko-KR' },
+};
+
+export const ALERT_LANGUAGES = Object.keys(LOCALE_VOICES);
+
+/**
+ * Speech settings for a locale
+ * @param {string} lang - Locale code
+ * @returns {{ voice: string, model: string, speechLang: string }}
+ */
+export function localeVoice(lang) {
+  return LOCALE_VOICES[lang] ?? LOCALE_VOICES.en;
+}
+
+/**
+ * Whether clip hashes are SHA-256 (what the audio pack is built with). crypto.subtle only
+ * exists in secure contexts — not on a plain-HTTP deployment on a ward LAN.
+ * @returns {boolean}
+ */
+export function hasSecureHash() {
+  return !!globalThis.crypto?.subtle;
+}
+
+// FNV-1a, 64-bit: the clip hash where there is no crypto.subtle
+function fnv1a64(bytes) {
+  let hash = 0xcbf29ce484222325n;
+  for (const byte of bytes) hash = BigInt.asUintN(64, (hash ^ BigInt(byte)) * 0x100000001b3n);
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Content hash of one rendered clip — identifies the audio independent of where it is stored
+ * @param {Object} clip
+ * @param {string} clip.voice - Key from VOICES
+ * @param {string} clip.lang - Language code
+ * @param {string} clip.text - Spoken text
+ * @param {string} [clip.model] - ElevenLabs model (defaults to the locale's)
+ * @returns {Promise<string>} First 12 hex digits of SHA-256(model, voice, lang, text) — or of FNV-1a
+ *   without crypto.subtle (see hasSecureHash), which never matches a pack built with SHA-256
+ */
+export async function clipHash({ voice, lang, text, model = localeVoice(lang).model }) {
+  const data = new TextEncoder().encode([model, VOICES[voice]?.elevenLabsVoiceId ?? voice, lang, text].join('\n'));
+  if (!hasSecureHash()) return fnv1a64(data).slice(0, 12);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('').slice(0, 12);
+}
@@ -0,0 +1,152 @@
+/**
+ * NeoGuide - Vision Pipeline
+ *
+ * Captures camera frames and routes them to the active vision provider.
+ * The provider is chosen at startup from VITE_VISION_PROVIDER
+ * ('gemini' by default, 'mock' for offline development and demos,
+ * 'detector' for the on-device glottis detector alone).
+ * Gemini is reached through the API proxy, which holds the key.
+ */
+
+import { createProxyProvider } from './providers/proxyProvider.js';
+import { createMockProvider } from './providers/mockProvider.js';
+import { createDetectorProvider } from './providers/detectorProvider.js';
+import { blankLandmarks, DEGRADED_STATUS } from './visionResult.js';
+import { frameGeometry } from './cameraSettings.js';
+
+const PROVIDER_FACTORIES = {
+  gemini: () => createProxyProvider(),
+  mock: () => createMockProvider(),
+  detector: () => createDetectorProvider(),
+};
+
+let activeProvider = null;
+let guidanceLanguage = null; // language name the model writes guidance in (null = English)
+
+/**
+ * Create a vision provider by name
+ * @param {string} name - Key from PROVIDER_FACTORIES
+ * @returns {{ name: string, analyze: Function }} Vision provider
+ */
+export function createVisionProvider(name) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the active vision provider, creating it from config on first use
+ * @returns {{ name: string, analyze: Function }} Vision provider
+ */
+export function getVisionProvider() {
+  if (!activeProvider) {
+    activeProvider = createVisionProvider(import.meta.env.VITE_VISION_PROVIDER || 'gemini');
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active vision provider (e.g. with a scripted mock in tests)
+ * @param {{ name: string, analyze: Function }} provider
+ */
+export function setVisionProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Set the language the vision model writes guidance_message in
+ * @param {string|null} language - Language name, e.g. 'Korean' (see meta.guidanceLanguage in src/locales)
+ */
+export function setGuidanceLanguage(language) {
+  guidanceLanguage = language;
+}
+
+/**
+ * Analyze a camera frame for anatomical landmarks
+ * @param {string} base64Image - Base64 encoded image (without data URI prefix)
+ * @param {string} mimeType - Image MIME type (e.g., 'image/jpeg', 'image/png')
+ * @param {Object} [provider] - Provider to use instead of the active one (e.g. session replay)
+ * @returns {Object} Structured landmark detection data
+ */
+export async function analyzeFrame(base64Image, mimeType = 'image/jpeg', provider = getVisionProvider()) {
+  try {
+    const data = await provider.analyze({ base64: base64Image, mimeType, language: guidanceLanguage });
+
+    if (data.parse_diagnostics && data.parse_diagnostics.status !== 'ok') {
+      console.warn(`Vision response ${data.parse_diagnostics.status}:`, data.parse_diagnostics);
+    }
+
+    return {
+      // An unparseable response is not an answer — keep it out of alerting
+      success: data.parse_diagnostics?.status !== 'unparseable',
+      ...data,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    console.error('Vision analysis error:', error);
+    return {
+      success: false,
+      landmarks: blankLandmarks(),
+      depth_zone: 'unknown',
+      safety_status: DEGRADED_STATUS,
+      guidance_message: 'AI guidance unavailable — rely on direct visualization.',
+      guidance_key: 'unavailable',
+      estimated_depth_cm: 0,
+      image_quality: 'poor',
+      error: error.message,
+      timestamp: Date.now(),
+    };
+  }
+}
+
+/**
+ * Draw the current video frame onto a canvas, framed for analysis
+ * @param {HTMLVideoElement} videoElement
+ * @param {{ crop?: Object|null, rotation?: number }} [view] - Circular crop and rotation from the camera settings
+ * @returns {{ canvas: HTMLCanvasElement, circle: { cx: number, cy: number, r: number }|null }} Canvas, and the
+ *   scope's circle on it when cropping
+ */
+export function captureCanvas(videoElement, view = {}) {
+  const { sx, sy, size, canvas: canvasSize, circle, rotation } = frameGeometry(
+    videoElement.videoWidth || 640, videoElement.videoHeight || 480, view,
+  );
+  const canvas = document.createElement('canvas');
+  canvas.width = canvasSize.width;
+  canvas.height = canvasSize.height;
+  const ctx = canvas.getContext('2d');
+  if (circle) {
+    // Outside the scope's circle is the vendor's border and overlays — black it out
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.beginPath();
+    ctx.arc(circle.cx, circle.cy, circle.r, 0, 2 * Math.PI);
+    ctx.clip();
+  }
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(videoElement, sx, sy, size.width, size.height, -size.width / 2, -size.height / 2, size.width, size.height);
+  return { canvas, circle };
+}
+
+/**
+ * Encode a captured canvas for the vision provider
+ * @param {HTMLCanvasElement} canvas
+ * @returns {{ base64: string, mimeType: string }}
+ */
+export function encodeFrame(canvas) {
+  const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+  const base64 = dataUrl.split(',')[1];
+  return { base64, mimeType: 'image/jpeg' };
+}
+
+/**
+ * Capture a frame from a video element as base64, framed for analysis
+ * @param {HTMLVideoElement} videoElement
+ * @param {{ crop?: Object|null, rotation?: number }} [view] - Circular crop and rotation from the camera settings
+ * @returns {{ base64: string, mimeType: string }}
+ */
+export function captureFrame(videoElement, view = {}) {
+  return encodeFrame(captureCanvas(videoElement, view).canvas);
+}
@@ -0,0 +1,429 @@
+/**
+ * NeoGuide - Vision Result Normalization
+ *
+ * Shared post-processing for every vision provider. Turns raw model text
+ * (or a provider's structured output) into the landmark result shape the
+ * Dashboard and alert logic consume.
+ */
+
+// Scope position relative to vocal cords — neonatal reference values
+// Term neonate (~3.5 kg): cords-to-carina ~4 cm; optimal ETT tip ~2 cm below cords
+// Ref: Kempley et al., Arch Dis Child Fetal Neonatal Ed 2008; Donn & Sinha, Manual of Neonatal Respiratory Care
+export const ZONE_DEPTH_CM = {
+  pre_glottic: 0.0,   // above cords, approaching
+  glottic:     0.2,   // at cord level (neonatal glottis ~0.2 cm span)
+  subglottic:  0.8,   // just below cords, upper trachea (0.5–1.5 cm)
+  tracheal:    2.0,   // mid-trachea — optimal ETT tip for term neonate
+  carinal:     3.5,   // near carina (~4 cm below cords in term neonate)
+  bronchial:   4.5,   // past carina, inside bronchus — withdraw immediately
+  unknown:     0.0,
+};
+
+export const LANDMARK_KEYS = ['epiglottis', 'vocal_cords', 'tracheal_rings', 'carina', 'esophagus', 'glottis'];
+
+export const DEPTH_ZONE_IDS = ['pre_glottic', 'glottic', 'subglottic', 'tracheal', 'carinal', 'bronchial', 'unknown'];
+export const SAFETY_STATUSES = ['safe', 'warning', 'danger'];
+
+// Status reported when the AI gave no usable answer (call failed or response unparseable).
+// Never one of the model's own statuses, so it can't be mistaken for SAFE.
+export const DEGRADED_STATUS = 'degraded';
+export const IMAGE_QUALITIES = ['good', 'fair', 'poor', 'no_airway_visible'];
+
+// Safety status implied by each zone — used when the model omits or garbles safety_status
+export const ZONE_SAFETY = {
+  pre_glottic: 'safe', glottic: 'safe', subglottic: 'safe', tracheal: 'safe',
+  carinal: 'warning', bronchial: 'danger',
+};
+
+// Shown when a response cannot be trusted — never implies the airway is safe
+const UNPARSEABLE_GUIDANCE = 'Unable to interpret AI response — rely on direct visualization.';
+
+/**
+ * Build a landmarks object with every landmark hidden
+ * @returns {Object} Landmark map with visible:false, confidence:0
+ */
+export function blankLandmarks() {
+  const landmarks = {};
+  for (const key of LANDMARK_KEYS) landmarks[key] = { visible: false, confidence: 0 };
+  return landmarks;
+}
+
+/**
+ * Parse raw model text into a result object, tolerating common LLM formatting errors
+ * @param {string} text - Raw model response text
+ * @returns {{ data: Object|null, method: string|null }} Parsed (not yet validated) result and
+ *   the fallback stage that recovered it
+ */
+export function parseResponseText(text) {
+  // Clean up response - remove markdown backticks if present
+  const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+  // Approach 1: direct parse
+  try {
+    return { data: JSON.parse(cleaned), method: 'direct' };
+  } catch (_) { }
+
+  // Approach 2: regex extract first {...} block
+  try {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (match) return { data: JSON.parse(match[0]), method: 'json_block' };
+  } catch (_) { }
+
+  // Approach 3: fix trailing commas and single quotes, then parse
+  try {
+    const fixed = cleaned
+      .replace(/,\s*([}\]])/g, '$1')   // remove trailing commas
+      .replace(/'/g, '"');              // replace single quotes with double quotes
+    const match = fixed.match(/\{[\s\S]*\}/);
+    if (match) return { data: JSON.parse(match[0]), method: 'syntax_repair' };
+  } catch (_) { }
+
+  // Approach 4: regex-extract individual fields — anything not found stays undefined
+  // so validation can tell a missing field from a real value
+  const extract = (pattern) => cleaned.match(pattern)?.[1];
+  const landmarks = {};
+  for (const key of LANDMARK_KEYS) {
+    const visible = extract(new RegExp(`"${key}"[\\s\\S]*?"visible"\\s*:\\s*(true|false)`));
+    const confidence = extract(new RegExp(`"${key}"[\\s\\S]*?"confidence"\\s*:\\s*([\\d.]+)`));
+    if (visible !== undefined) landmarks[key] = { visible, confidence };
+  }
+  const data = {
+    depth_zone: extract(/"depth_zone"\s*:\s*"([^"]+)"/),
+    safety_status: extract(/"safety_status"\s*:\s*"([^"]+)"/),
+    guidance_message: extract(/"guidance_message"\s*:\s*"([^"]+)"/),
+    image_quality: extract(/"image_quality"\s*:\s*"([^"]+)"/),
+    identified_as: extract(/"identified_as"\s*:\s*"([^"]+)"/),
+    landmarks,
+  };
+
+  const foundAny = data.depth_zone || data.safety_status || data.image_quality || Object.keys(landmarks).length > 0;
+  return foundAny ? { data, method: 'field_regex' } : { data: null, method: null };
+}
+
+/**
+ * Coerce an enum-like string ("Pre-Glottic", " TRACHEAL ") onto a known value
+ * @param {*} value
+ * @param {string[]} allowed
+ * @returns {string|null} Matching allowed value, or null
+ */
+function coerceEnum(value, allowed) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return allowed.includes(key) ? key : null;
+}
+
+/**
+ * Coerce a boolean-like value (true, "true", 1, "yes")
+ * @param {*} value
+ * @returns {boolean|null} Boolean, or null if not boolean-like
+ */
+function coerceBool(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value === 'string') {
+    const v = value.trim().toLowerCase();
+    if (v === 'true' || v === 'yes') return true;
+    if (v === 'false' || v === 'no') return false;
+  }
+  return null;
+}
+
+/**
+ * Coerce a confidence score onto [0, 1]. Accepts numeric strings and percentages (85 → 0.85).
+ * @param {*} value
+ * @returns {number|null} Confidence, or null if not numeric
+ */
+function coerceConfidence(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < 0) return null;
+  if (n > 1 && n <= 100) return n / 100;
+  return Math.min(n, 1);
+}
+
+/**
+ * Validate the optional visual depth cues. Older responses (and recorded sessions) have
+ * none, so a missing block is not a repair.
+ * @param {*} raw - visual_cues from the response
+ * @param {Function} repair - Records a repaired field
+ * @returns {{ tracheal_ring_count: number|null, carina_width_fraction: number|null }|null}
+ */
+function validateVisualCues(raw, repair) {
+  if (raw == null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    repair('visual_cues', 'invalid → none');
+    return null;
+  }
+
+  let rings = raw.tracheal_ring_count ?? null;
+  if (rings !== null) {
+    const n = typeof rings === 'string' ? parseFloat(rings) : rings;
+    if (typeof n !== 'number' || !Number.isFinite(n) || n < 0) {
+      repair('visual_cues.tracheal_ring_count', `invalid ${JSON.stringify(rings)} → none`);
+      rings = null;
+    } else {
+      if (n !== rings || !Number.isInteger(n)) repair('visual_cues.tracheal_ring_count', `coerced ${JSON.stringify(rings)} → ${Math.round(n)}`);
+      rings = Math.round(n);
+    }
+  }
+
+  // Same 0–1 / percentage tolerance as confidences
+  let carina = raw.carina_width_fraction ?? null;
+  if (carina !== null) {
+    const fraction = coerceConfidence(carina);
+    if (fraction === null) repair('visual_cues.carina_width_fraction', `invalid ${JSON.stringify(carina)} → none`);
+    else if (fraction !== carina) repair('visual_cues.carina_width_fraction', `coerced ${JSON.stringify(carina)} → ${fraction}`);
+    carina = fraction;
+  }
+
+  return { tracheal_ring_count: rings, carina_width_fraction: carina };
+}
+
+// Most polygon points kept per landmark — enough for an outline, not a mask
+export const MAX_POLYGON_POINTS = 32;
+
+/**
+ * Coerce a region's coordinates onto 0–1 frame fractions. Gemini's native
+ * box format is a 0–1000 grid, so coordinates above 1 (up to 1000) are
+ * scaled down — all together, never mixed within one region.
+ * @param {Array<*>} values - Every coordinate of the region
+ * @param {string} field - For the repair record
+ * @param {Function} repair
+ * @returns {Array<number>|null} Fractions clamped to [0, 1], or null if any is not a number
+ */
+function coerceCoordinates(values, field, repair) {
+  const numbers = values.map(v => (typeof v === 'string' ? parseFloat(v) : v));
+  if (numbers.some(n => typeof n !== 'number' || !Number.isFinite(n))) return null;
+  const max = Math.max(...numbers);
+  if (max > 1000) return null;
+  const scale = max > 1 ? 1000 : 1;
+  if (scale !== 1) repair(field, 'coerced 0–1000 grid → 0–1');
+  return numbers.map(n => Math.max(0, Math.min(1, n / scale)));
+}
+
+/**
+ * Validate a landmark's optional location. Older responses (and recorded
+ * sessions) have none, so a missing box or polygon is not a repair.
+ * @param {Object} raw - The landmark from the response
+ * @param {string} field - e.g. 'landmarks.glottis'
+ * @param {Function} repair
+ * @returns {{ box?: { x: number, y: number, width: number, height: number }, polygon?: Array<[number, number]> }}
+ *   Frame-relative (0–1) box, and outline when given; a polygon without a box gets its bounding box
+ */
+function validateRegion(raw, field, repair) {
+  const region = {};
+
+  if (raw.polygon != null) {
+    const points = Array.isArray(raw.polygon) ? raw.polygon.map(p => (Array.isArray(p) ? p : [p?.x, p?.y])) : [];
+    const coords = points.length >= 3 && points.length <= MAX_POLYGON_POINTS && points.every(p => p.length === 2)
+      ? coerceCoordinates(points.flat(), `${field}.polygon`, repair)
+      : null;
+    if (coords) {
+      region.polygon = points.map((_, i) => [coords[2 * i], coords[2 * i + 1]]);
+    } else {
+      repair(`${field}.polygon`, 'invalid → none');
+    }
+  }
+
+  if (raw.box != null) {
+    // [x_min, y_min, x_max, y_max], or { x, y, width, height }
+    const corners = Array.isArray(raw.box)
+      ? raw.box
+      : raw.box && typeof raw.box === 'object' ? [raw.box.x, raw.box.y, raw.box.x + raw.box.width, raw.box.y + raw.box.height] : [];
+    const coords = corners.length === 4 ? coerceCoordinates(corners, `${field}.box`, repair) : null;
+    if (coords) {
+      const [x1, y1, x2, y2] = coords;
+      if (x1 > x2 || y1 > y2) repair(`${field}.box`, 'swapped inverted corners');
+      region.box = { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+    }
+    if (!region.box || region.box.width === 0 || region.box.height === 0) {
+      repair(`${field}.box`, 'invalid → none');
+      delete region.box;
+    }
+  }
+
+  if (region.polygon && !region.box) {
+    const xs = region.polygon.map(([x]) => x);
+    const ys = region.polygon.map(([, y]) => y);
+    region.box = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+  }
+  return region;
+}
+
+/**
+ * Build the result returned when a response cannot be interpreted
+ * @param {Object} diagnostics - parse_diagnostics collected so far
+ * @returns {Object} Unparseable result
+ */
+function unparseableResult(diagnostics) {
+  return {
+    identified_as: null,
+    landmarks: blankLandmarks(),
+    depth_zone: 'unknown',
+    safety_status: DEGRADED_STATUS,
+    guidance_message: UNPARSEABLE_GUIDANCE,
+    guidance_key: 'unparseable',
+    estimated_depth_cm: 0,
+    visual_cues: null,
+    image_quality: 'poor',
+    parse_diagnostics: { ...diagnostics, status: 'unparseable' },
+  };
+}
+
+/**
+ * Validate a parsed result against the response schema, coercing or rejecting each field
+ * @param {Object|null} data - Parsed result
+ * @param {string} method - How the result was obtained (parse stage, or 'structured' for providers
+ *   that return objects directly)
+ * @returns {Object} Schema-conformant result with parse_diagnostics attached
+ */
+export function validateResult(data, method = 'structured') {
+  const diagnostics = { status: 'ok', parse_method: method, repaired: {}, rejected: [] };
+  const repair = (field, reason) => { diagnostics.repaired[field] = reason; };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    diagnostics.rejected.push('response');
+    return unparseableResult(diagnostics);
+  }
+
+  // depth_zone — unknown values become 'unknown' rather than being trusted
+  let depthZone = coerceEnum(data.depth_zone, DEPTH_ZONE_IDS);
+  if (depthZone === null) {
+    repair('depth_zone', data.depth_zone === undefined ? 'missing → unknown' : `invalid "${data.depth_zone}" → unknown`);
+    depthZone = 'unknown';
+  } else if (depthZone !== data.depth_zone) {
+    repair('depth_zone', `coerced "${data.depth_zone}" → ${depthZone}`);
+  }
+
+  let imageQuality = coerceEnum(data.image_quality, IMAGE_QUALITIES);
+  if (imageQuality === null) {
+    repair('image_quality', data.image_quality === undefined ? 'missing → poor' : `invalid "${data.image_quality}" → poor`);
+    imageQuality = 'poor';
+  } else if (imageQuality !== data.image_quality) {
+    repair('image_quality', `coerced "${data.image_quality}" → ${imageQuality}`);
+  }
+
+  // safety_status — fall back to the status the zone implies; with no zone there is
+  // nothing safe to assume, so the response is rejected
+  let safetyStatus = coerceEnum(data.safety_status, SAFETY_STATUSES);
+  if (safetyStatus === null) {
+    const implied = imageQuality === 'no_airway_visible' ? 'safe' : ZONE_SAFETY[depthZone];
+    if (!implied) {
+      diagnostics.rejected.push('safety_status');
+      return unparseableResult(diagnostics);
+    }
+    repair('safety_status', `${data.safety_status === undefined ? 'missing' : `invalid "${data.safety_status}"`} → ${implied} (from ${imageQuality === 'no_airway_visible' ? 'image_quality' : 'depth_zone'})`);
+    safetyStatus = implied;
+  } else if (safetyStatus !== data.safety_status) {
+    repair('safety_status', `coerced "${data.safety_status}" → ${safetyStatus}`);
+  }
+
+  // landmarks — all six keys always present, each with a boolean and a [0, 1] confidence,
+  // plus a box (and outline) in frame coordinates when the model located it
+  const rawLandmarks = data.landmarks && typeof data.landmarks === 'object' ? data.landmarks : {};
+  if (rawLandmarks !== data.landmarks) repair('landmarks', 'missing → all not visible');
+  const landmarks = {};
+  for (const key of LANDMARK_KEYS) {
+    const field = `landmarks.${key}`;
+    const raw = rawLandmarks[key];
+    if (!raw || typeof raw !== 'object') {
+      if (rawLandmarks === data.landmarks) repair(field, 'missing → not visible');
+      landmarks[key] = { visible: false, confidence: 0 };
+      continue;
+    }
+
+    let visible = coerceBool(raw.visible);
+    if (visible === null) {
+      repair(`${field}.visible`, `invalid ${JSON.stringify(raw.visible)} → false`);
+      visible = false;
+    } else if (visible !== raw.visible) {
+      repair(`${field}.visible`, `coerced ${JSON.stringify(raw.visible)} → ${visible}`);
+    }
+
+    let confidence = coerceConfidence(raw.confidence);
+    if (confidence === null) {
+      repair(`${field}.confidence`, `invalid ${JSON.stringify(raw.confidence)} → 0`);
+      confidence = 0;
+    } else if (confidence !== raw.confidence) {
+      repair(`${field}.confidence`, `coerced ${JSON.stringify(raw.confidence)} → ${confidence}`);
+    }
+
+    landmarks[key] = { visible, confidence, ...validateRegion(raw, field, repair) };
+  }
+
+  let guidanceMessage = data.guidance_message;
+  let guidanceKey = null;
+  if (typeof guidanceMessage !== 'string' || !guidanceMessage.trim()) {
+    repair('guidance_message', 'missing → default');
+    guidanceMessage = 'No guidance provided for this frame.';
+    guidanceKey = 'missing';
+  }
+
+  const visualCues = validateVisualCues(data.visual_cues, repair);
+
+  if (Object.keys(diagnostics.repaired).length > 0) diagnostics.status = 'repaired';
+
+  return {
+    identified_as: typeof data.identified_as === 'string' ? data.identified_as : null,
+    landmarks,
+    depth_zone: depthZone,
+    safety_status: safetyStatus,
+    guidance_message: guidanceMessage,
+    // Set when NeoGuide wrote the message rather than the model, so the dashboard
+    // can show it in the selected locale ('guidance.<key>' in src/locales)
+    guidance_key: guidanceKey,
+    estimated_depth_cm: 0,
+    visual_cues: visualCues,
+    image_quality: imageQuality,
+    parse_diagnostics: diagnostics,
+  };
+}
+
+/**
+ * Validate a parsed result and apply NeoGuide's clinical safety rules
+ * @param {Object|null} parsed - Parsed result from any provider
+ * @param {string} [method] - How the result was obtained (see validateResult)
+ * @returns {Object} The normalized result
+ */
+export function normalizeResult(parsed, method = 'structured') {
+  const data = validateResult(parsed, method);
+  if (data.parse_diagnostics.status === 'unparseable') return data;
+
+  // Safety net: if no airway visible, blank all airway landmarks (but keep esophagus)
+  if (data.image_quality === 'no_airway_visible') {
+    data.landmarks = { ...blankLandmarks(), esophagus: data.landmarks.esophagus };
+    data.depth_zone = 'unknown';
+    data.safety_status = 'safe';
+    data.visual_cues = null;
+  }
+
+  // Filter out very low-confidence detections (< 0.3) to reduce hallucinations
+  for (const key of LANDMARK_KEYS) {
+    if (data.landmarks[key].confidence < 0.3) {
+      data.landmarks[key].visible = false;
+    }
+  }
+
+  // Override estimated_depth_cm with zone-derived value — model depth guesses are unreliable.
+  // This is only a per-frame prior; depthEstimator turns the sequence into a continuous estimate.
+  data.estimated_depth_cm = ZONE_DEPTH_CM[data.depth_zone] ?? 0;
+
+  // Esophagus danger escalation — applies regardless of image_quality
+  if (data.landmarks.esophagus.visible) {
+    data.safety_status = 'danger';
+    data.guidance_message = 'ESOPHAGEAL INTUBATION DETECTED — withdraw tube immediately and reposition.';
+    data.guidance_key = 'esophageal';
+    data.depth_zone = 'unknown';
+  }
+
+  return data;
+}
+
+/**
+ * Parse, validate and normalize raw model text
+ * @param {string} text - Raw model response text
+ * @returns {Object} The normalized result
+ */
+export function interpretResponseText(text) {
+  const { data, method } = parseResponseText(text);
+  return normalizeResult(data, method ?? 'none');
+}
@@ -1,25 +1,86 @@
 /**
- * NeoGuide - ElevenLabs Voice Alert System
+ * NeoGuide - Voice Alert System
  * 
  * Provides real-time spoken guidance during intubation.
  * Hands-free, eyes-free alerts so clinicians stay focused on the airway.
+ *
+ * Speech goes through a chain of TTS backends with automatic failover:
+ * pre-rendered audio pack (instant, offline) → ElevenLabs (natural voice,
+ * any text) → browser speechSynthesis (last resort). A backend that fails
+ * is skipped for a while and retried later; getVoiceHealth reports which
+ * path is live.
+ *
+ * Alerts are spoken in the current locale (setVoiceLocale), each with the
+ * voice and model configured for it in tts/voices.js.
+ *
+ * What plays when is up to the alert scheduler (alertScheduler.js): danger
+ * preempts routine guidance, stale alerts expire, newer alerts supersede the
+ * ones they make obsolete, and danger repeats until acknowledged.
  */
 
-const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY;
-const VOICE_ID = '21m00Tcm4TlvDq8ikWAM'; // "Rachel" - clear, professional female voice
-const API_URL = 'https://api.elevenlabs.io/v1';
+import { createElevenLabsProvider } from './tts/elevenLabsProvider';
+import { createClipProvider } from './tts/clipProvider';
+import { createBrowserSpeechProvider } from './tts/browserSpeechProvider';
+import { VOICES, localeVoice } from './tts/voices';
+import { LOCALES, DEFAULT_LOCALE } from '../locales';
+import { createAlertScheduler } from './alertScheduler';
 
-// Audio queue to prevent overlapping alerts
-let isPlaying = false;
-const audioQueue = [];
+// Optional override of the per-locale voice
+const VOICE_OVERRIDE = VOICES[import.meta.env.VITE_TTS_VOICE] ? import.meta.env.VITE_TTS_VOICE : null;
 
-// Cache for pre-generated alerts
-const audioCache = new Map();
+/**
+ * Build the backend chain for one locale.
+ * Failover order — first usable backend speaks. Fallbacks are flagged for the health indicator.
+ * @param {string} lang - Key from LOCALES
+ * @returns {Array<Object>} TTS providers
+ */
+function createTtsChain(lang) {
+  const { voice, model, speechLang } = localeVoice(lang);
+  const options = { voice: VOICE_OVERRIDE ?? voice, lang, model };
+  return [
+    createClipProvider(options),
+    createElevenLabsProvider({ endpoint: '/api/tts', ...options }),
+    { ...createBrowserSpeechProvider({ lang: speechLang }), fallback: true },
+  ];
+}
+
+let voiceLocale = DEFAULT_LOCALE;
+let ttsProviders = createTtsChain(voiceLocale);
+
+// A failed backend is skipped for this long before being tried again
+const RETRY_AFTER_MS = 30000;
+
+// Told when speech starts and when the queue runs dry, so other audio can duck under it
+const duckListeners = new Set();
 
-// Reference to currently playing audio element (for interruption)
-let currentAudio = null;
+// Last alert to start playing, for repeatLastAlert
+let lastSpoken = null;
 
-// Alert definitions with priority levels
+// One alert at a time, in priority order (see alertScheduler.js)
+const scheduler = createAlertScheduler({
+  sink: {
+    play: (item, signal) => {
+      lastSpoken = item;
+      return speakItem({ text: item.key ? getAlertText(item.key) : item.text, alertKey: item.key }, signal);
+    },
+    stop: () => { for (const provider of ttsProviders) provider.stop(); },
+    duck: (ducked) => { for (const listener of duckListeners) listener(ducked); },
+  },
+});
+
+// Per-backend health: status is 'unknown' | 'ok' | 'failing' | 'unavailable'
+const freshHealth = () => Object.fromEntries(ttsProviders.map(p => [p.name, { status: 'unknown', lastError: null, failedAt: 0 }]));
+let health = freshHealth();
+let activeVoice = null; // backend that spoke last
+const healthListeners = new Set();
+
+// Consecutive failed analyses before the clinician is told guidance is unavailable
+export const GUIDANCE_FAILURE_THRESHOLD = 3;
+
+// Alert definitions with priority levels. The text is the English wording;
+// other locales translate it under `alerts` in src/locales.
+// supersedes: alerts made obsolete by this one (dropped from the queue, cut off,
+// repeats stopped); repeat: spoken again until acknowledged.
 const ALERT_DEFINITIONS = {
   // Landmark detections
   epiglottis_detected: {
@@ -29,10 +90,12 @@ const ALERT_DEFINITIONS = {
   vocal_cords_detected: {
     text: 'Vocal cords detected. Align for insertion.',
     priority: 2,
+    supersedes: ['epiglottis_detected'],
   },
   entering_trachea: {
     text: 'Entering trachea. Advance to optimal depth.',
     priority: 2,
+    supersedes: ['epiglottis_detected', 'vocal_cords_detected', 'tube_withdrawn'],
   },
   tracheal_rings_visible: {
     text: 'Tracheal rings visible. Tube in trachea.',
@@ -43,25 +106,65 @@ const ALERT_DEFINITIONS = {
   optimal_depth: {
     text: 'Optimal depth reached. Safe to secure tube.',
     priority: 3,
+    // Pulled back from the carina or bronchus: the depth warning no longer applies
+    supersedes: ['epiglottis_detected', 'vocal_cords_detected', 'entering_trachea', 'tracheal_rings_visible', 'warning_deep', 'danger_bronchial'],
   },
   warning_deep: {
     text: 'Warning. Approaching carina. Do not advance further.',
     priority: 4,
+    supersedes: ['entering_trachea', 'tracheal_rings_visible', 'optimal_depth', 'placement_confirmed'],
   },
   danger_bronchial: {
     text: 'Danger. Bronchial intubation detected. Withdraw immediately.',
     priority: 5,
+    supersedes: ['entering_trachea', 'tracheal_rings_visible', 'optimal_depth', 'placement_confirmed', 'warning_deep'],
+    repeat: true,
   },
 
   // Safety alerts
   esophageal_warning: {
     text: 'Warning. Possible esophageal intubation. Verify placement.',
     priority: 5,
+    supersedes: ['epiglottis_detected', 'vocal_cords_detected', 'entering_trachea', 'tracheal_rings_visible',
+      'optimal_depth', 'placement_confirmed', 'placement_unverified'],
+    repeat: true,
   },
   poor_image: {
     text: 'Poor image quality. Reposition camera.',
     priority: 1,
   },
+  placement_unverified: {
+    text: 'Caution. Vocal cords not seen. Verify tube placement.',
+    priority: 3,
+  },
+  tube_withdrawn: {
+    text: 'Tube withdrawn above the cords. Reassess before advancing.',
+    priority: 3,
+    supersedes: ['entering_trachea', 'tracheal_rings_visible', 'optimal_depth', 'placement_confirmed', 'warning_deep', 'danger_bronchial'],
+  },
+  guidance_unavailable: {
+    text: 'Warning. AI guidance unavailable. Rely on direct visualization.',
+    priority: 4,
+    supersedes: ['guidance_restored'],
+  },
+  guidance_restored: {
+    text: 'AI guidance restored.',
+    priority: 2,
+    supersedes: ['guidance_unavailable'],
+  },
+
+  // Attempt timer (NRP: about 30 seconds per intubation attempt)
+  attempt_time_warning: {
+    text: 'Twenty seconds.',
+    priority: 3,
+  },
+  attempt_time_limit: {
+    text: 'Attempt time limit. Stop and ventilate.',
+    priority: 4,
+    supersedes: ['attempt_time_warning'],
+    repeat: true,
+    repeatMs: 10000,
+  },
 
   // Status
   system_ready: {
@@ -75,158 +178,155 @@ const ALERT_DEFINITIONS = {
 };
 
 /**
- * Generate speech audio from text using ElevenLabs API
- * @param {string} text - Text to convert to speech
- * @returns {ArrayBuffer} Audio data
+ * Text of a predefined alert in a locale, falling back to English
+ * @param {string} alertKey - Key from ALERT_DEFINITIONS
+ * @param {string} [lang] - Key from LOCALES (defaults to the current voice locale)
+ * @returns {string|undefined} Spoken text, or undefined for an unknown key
  */
-async function generateSpeech(text) {
-  const response = await fetch(`${API_URL}/text-to-speech/${VOICE_ID}`, {
-    method: 'POST',
-    headers: {
-      'Accept': 'audio/mpeg',
-      'Content-Type': 'application/json',
-      'xi-api-key': ELEVENLABS_API_KEY,
-    },
-    body: JSON.stringify({
-      text: text,
-      model_id: 'eleven_turbo_v2_5',
-      voice_settings: {
-        stability: 0.85,
-        similarity_boost: 0.75,
-        style: 0.1,
-        use_speaker_boost: true,
-      },
-    }),
-  });
-
-  if (!response.ok) {
-    throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
-  }
-
-  return await response.arrayBuffer();
+export function getAlertText(alertKey, lang = voiceLocale) {
+  return LOCALES[lang]?.alerts?.[alertKey] ?? ALERT_DEFINITIONS[alertKey]?.text;
 }
 
 /**
- * Play audio from ArrayBuffer
- * @param {ArrayBuffer} audioData
+ * Locale alerts are currently spoken in
+ * @returns {string} Key from LOCALES
  */
-function playAudio(audioData) {
-  // Stop whatever is currently playing before starting new audio
-  if (currentAudio) {
-    currentAudio.pause();
-    currentAudio = null;
-  }
-
-  return new Promise((resolve, reject) => {
-    const blob = new Blob([audioData], { type: 'audio/mpeg' });
-    const url = URL.createObjectURL(blob);
-    const audio = new Audio(url);
-    audio.playbackRate = 0.75;
-    currentAudio = audio;
-
-    audio.onended = () => {
-      URL.revokeObjectURL(url);
-      if (currentAudio === audio) currentAudio = null;
-      resolve();
-    };
-    audio.onerror = (e) => {
-      URL.revokeObjectURL(url);
-      if (currentAudio === audio) currentAudio = null;
-      reject(e);
-    };
-
-    audio.play().catch(reject);
-  });
+export function getVoiceLocale() {
+  return voiceLocale;
 }
 
 /**
- * Immediately interrupt any current audio and speak an urgent alert.
- * Use for critical danger events (esophageal intubation, bronchial) where
- * every second counts — bypasses the queue entirely.
- * @param {string} alertKey - Key from ALERT_DEFINITIONS
+ * Switch the spoken language. Cuts off the alert being spoken, swaps in the
+ * locale's backend chain and preloads its alerts. Queued and repeating alerts
+ * carry on in the new language.
+ * @param {string} lang - Key from LOCALES
+ * @returns {Promise<void>} Resolves once the new locale's alerts are preloaded
  */
-export async function speakUrgent(alertKey) {
-  const alert = ALERT_DEFINITIONS[alertKey];
-  if (!alert) return;
-
-  // Seize control: clear queue and block normal playback immediately
-  audioQueue.length = 0;
-  isPlaying = true;
-
-  // Stop current audio right away
-  if (currentAudio) {
-    currentAudio.pause();
-    currentAudio = null;
-  }
-
-  let audioData = audioCache.get(alert.text);
-  if (!audioData) {
-    try {
-      audioData = await generateSpeech(alert.text);
-      audioCache.set(alert.text, audioData);
-    } catch (e) {
-      console.error('Urgent alert generation failed:', e);
-      isPlaying = false;
-      return;
-    }
-  }
-
-  try {
-    await playAudio(audioData);
-  } catch (e) {
-    console.error('Urgent alert playback failed:', e);
-  }
+export async function setVoiceLocale(lang) {
+  if (!LOCALES[lang]) throw new Error(`Unknown locale: ${lang}`);
+  if (lang === voiceLocale) return;
+  for (const provider of ttsProviders) provider.stop();
+  voiceLocale = lang;
+  ttsProviders = createTtsChain(lang);
+  health = freshHealth();
+  activeVoice = null;
+  notifyHealth();
+  await preloadAlerts();
+}
 
-  isPlaying = false;
-  processQueue();
+/**
+ * Snapshot of the voice backends for the health indicator
+ * @returns {{ active: string|null, providers: Array<{ name: string, label: string, fallback: boolean,
+ *   status: string, lastError: string|null }> }} active is the backend that spoke last, or would
+ *   speak next (null = no working voice)
+ */
+export function getVoiceHealth() {
+  const providers = ttsProviders.map(p => ({
+    name: p.name,
+    label: p.label,
+    fallback: !!p.fallback,
+    status: p.isAvailable() ? health[p.name].status : 'unavailable',
+    lastError: health[p.name].lastError,
+  }));
+  // Before anything has spoken, the first backend not known to be broken is the expected path
+  const active = activeVoice ?? providers.find(p => p.status === 'ok' || p.status === 'unknown')?.name ?? null;
+  return { active, providers };
 }
 
 /**
- * Process the audio queue sequentially
+ * Subscribe to voice health changes
+ * @param {Function} listener - Called with getVoiceHealth() on every change
+ * @returns {Function} Unsubscribe
  */
-async function processQueue() {
-  if (isPlaying || audioQueue.length === 0) return;
+export function subscribeVoiceHealth(listener) {
+  healthListeners.add(listener);
+  return () => healthListeners.delete(listener);
+}
 
-  isPlaying = true;
+function notifyHealth() {
+  const snapshot = getVoiceHealth();
+  for (const listener of healthListeners) listener(snapshot);
+}
 
-  // Sort by priority (higher = more urgent)
-  audioQueue.sort((a, b) => b.priority - a.priority);
+function markHealthy(provider) {
+  health[provider.name] = { status: 'ok', lastError: null, failedAt: 0 };
+  activeVoice = provider.name;
+  notifyHealth();
+}
 
-  const item = audioQueue.shift();
+function markFailed(provider, error) {
+  health[provider.name] = { status: 'failing', lastError: error?.message || String(error), failedAt: Date.now() };
+  if (activeVoice === provider.name) activeVoice = null;
+  notifyHealth();
+}
 
-  try {
-    let audioData;
+function canSpeak(provider, item) {
+  if (!provider.isAvailable()) return false;
+  if (provider.supports && !provider.supports(item)) return false;
+  const h = health[provider.name];
+  // Recently failed: skip until the retry window passes — unless the audio is already cached
+  if (h.status === 'failing' && Date.now() - h.failedAt < RETRY_AFTER_MS && !provider.isCached?.(item)) return false;
+  return true;
+}
 
-    // Check cache first
-    if (audioCache.has(item.text)) {
-      audioData = audioCache.get(item.text);
-    } else {
-      audioData = await generateSpeech(item.text);
-      audioCache.set(item.text, audioData);
+/**
+ * Speak one item on the first backend that manages it
+ * @param {{ text: string, alertKey?: string }} item
+ * @param {AbortSignal} signal - Aborted when the scheduler cuts the alert off
+ * @returns {Promise<boolean>} Whether any backend spoke (or it was cut off on purpose)
+ */
+async function speakItem(item, signal) {
+  for (const provider of ttsProviders) {
+    if (signal.aborted) return true;
+    if (!canSpeak(provider, item)) continue;
+    try {
+      await provider.speak(item, signal);
+      markHealthy(provider);
+      return true;
+    } catch (error) {
+      console.warn(`Voice backend ${provider.name} failed, falling back:`, error);
+      markFailed(provider, error);
     }
-
-    await playAudio(audioData);
-  } catch (error) {
-    console.error('Voice alert error:', error);
   }
 
-  isPlaying = false;
-  processQueue(); // Process next in queue
+  console.error('No voice backend could speak alert:', item.text);
+  activeVoice = null;
+  notifyHealth();
+  return false;
 }
 
 /**
- * Speak a predefined alert
+ * Scheduler entry for a predefined alert. The text is looked up when it plays,
+ * so a queued or repeating alert follows a locale switch.
+ * @param {string} alertKey - Key from ALERT_DEFINITIONS
+ * @returns {Object} Item for alertScheduler.enqueue
+ */
+function alertItem(alertKey) {
+  const { priority, supersedes, repeat, repeatMs } = ALERT_DEFINITIONS[alertKey];
+  return { key: alertKey, priority, supersedes, repeat, repeatMs };
+}
+
+/**
+ * Speak an urgent alert now, cutting off whatever is playing — even an alert
+ * of the same priority. Use for critical danger events (esophageal
+ * intubation, bronchial) where every second counts.
+ * @param {string} alertKey - Key from ALERT_DEFINITIONS
+ */
+export function speakUrgent(alertKey) {
+  if (!ALERT_DEFINITIONS[alertKey]) return;
+  scheduler.enqueue(alertItem(alertKey), { preempt: true });
+}
+
+/**
+ * Speak a predefined alert. It preempts any lower-priority alert that is playing.
  * @param {string} alertKey - Key from ALERT_DEFINITIONS
  */
 export function speakAlert(alertKey) {
-  const alert = ALERT_DEFINITIONS[alertKey];
-  if (!alert) {
+  if (!ALERT_DEFINITIONS[alertKey]) {
     console.warn(`Unknown alert key: ${alertKey}`);
     return;
   }
-
-  audioQueue.push({ text: alert.text, priority: alert.priority });
-  processQueue();
+  scheduler.enqueue(alertItem(alertKey));
 }
 
 /**
@@ -235,84 +335,138 @@ export function speakAlert(alertKey) {
  * @param {number} priority - Priority level (1-5, 5 = most urgent)
  */
 export function speakCustom(text, priority = 2) {
-  audioQueue.push({ text, priority });
-  processQueue();
+  scheduler.enqueue({ text, priority });
 }
 
 /**
- * Pre-generate and cache common alerts for instant playback
- * Call this on app startup
+ * Say the last alert again (e.g. the clinician asks for a repeat)
+ * @returns {boolean} Whether there was an alert to repeat and it was queued
  */
-export async function preloadAlerts() {
-  const criticalAlerts = [
-    'vocal_cords_detected',
-    'optimal_depth',
-    'warning_deep',
-    'danger_bronchial',
-    'esophageal_warning',  // must be pre-cached for instant interrupt playback
-    'system_ready',
-  ];
+export function repeatLastAlert() {
+  if (!lastSpoken) return false;
+  return scheduler.enqueue({ ...lastSpoken, repeat: false });
+}
 
-  console.log('Pre-loading critical voice alerts...');
+/**
+ * Stop repeating a danger alert (and cut it off if it is playing)
+ * @param {string} [alertKey] - Alert to acknowledge; all repeating alerts if omitted
+ */
+export function acknowledgeAlert(alertKey) {
+  scheduler.acknowledge(alertKey);
+}
 
-  for (const key of criticalAlerts) {
-    try {
-      const alert = ALERT_DEFINITIONS[key];
-      const audioData = await generateSpeech(alert.text);
-      audioCache.set(alert.text, audioData);
-      console.log(`Cached: ${key}`);
-    } catch (error) {
-      console.error(`Failed to cache ${key}:`, error);
-    }
+/**
+ * Snapshot of the alert queue
+ * @returns {{ playing: string|null, queued: Array<string|null>, repeating: string[] }} Alert keys
+ *   (null = custom text); repeating = alerts waiting for acknowledgement
+ */
+export function getAlertQueueState() {
+  return scheduler.getState();
+}
+
+/**
+ * Subscribe to alert queue changes
+ * @param {Function} listener - Called with getAlertQueueState() on every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeAlertQueue(listener) {
+  return scheduler.subscribe(listener);
+}
+
+/**
+ * Subscribe to speech ducking — other audio should drop in volume while alerts are spoken
+ * @param {Function} listener - Called with true when speech starts, false when the queue runs dry
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeDucking(listener) {
+  duckListeners.add(listener);
+  return () => duckListeners.delete(listener);
+}
+
+/**
+ * Make every alert playable without an API round trip: load the audio pack,
+ * then have ElevenLabs generate (or restore from Cache Storage) only the
+ * alerts the pack doesn't cover. Call this on app startup (setVoiceLocale
+ * does it again for a new locale)
+ */
+export async function preloadAlerts() {
+  const toItem = (key) => ({ text: getAlertText(key), priority: ALERT_DEFINITIONS[key].priority, alertKey: key });
+  const covers = (provider, item) => !!(provider.supports?.(item) || provider.isCached?.(item));
+  const chain = ttsProviders;
+
+  console.log(`Pre-loading voice alerts (${voiceLocale})...`);
+
+  let uncovered = Object.keys(ALERT_DEFINITIONS).map(toItem);
+  for (const provider of chain) {
+    if (!provider.preload || !provider.isAvailable() || uncovered.length === 0) continue;
+    await provider.preload(uncovered);
+    // The locale changed while loading — that switch runs its own preload
+    if (chain !== ttsProviders) return;
+    const covered = uncovered.filter(item => covers(provider, item));
+    if (covered.length > 0) markHealthy(provider);
+    else if (provider.isCached) markFailed(provider, new Error('Could not pre-generate any alert'));
+    uncovered = uncovered.filter(item => !covers(provider, item));
   }
+  activeVoice = null; // preloading isn't speaking — report the expected path
+  notifyHealth();
 
+  if (uncovered.length) console.warn(`No preloaded audio for: ${uncovered.map(item => item.alertKey).join(', ')}`);
   console.log('Voice alerts pre-loaded!');
 }
 
+// Alert spoken on entering each procedure state (see procedureStateMachine.js)
+const STATE_ALERTS = {
+  approach: 'epiglottis_detected',
+  glottic_view: 'vocal_cords_detected',
+  passing_cords: 'entering_trachea',
+  tracheal_placement: 'optimal_depth',
+  over_advanced: 'warning_deep',
+  esophageal: 'esophageal_warning',
+  withdrawn: 'tube_withdrawn',
+};
+
 /**
  * Determine which alert to trigger based on Gemini analysis results
- * @param {Object} currentAnalysis - Current frame analysis from Gemini
- * @param {Object} previousAnalysis - Previous frame analysis
+ * @param {Object} currentAnalysis - Current fused analysis
+ * @param {Object} previousAnalysis - Previous fused analysis
+ * @param {Object} [procedureStep] - Step from the procedure state machine for this analysis
  * @returns {string|null} Alert key to trigger, or null
  */
-export function determineAlert(currentAnalysis, previousAnalysis) {
-  if (!currentAnalysis.success) return null;
-
+export function determineAlert(currentAnalysis, previousAnalysis, procedureStep = null) {
   const curr = currentAnalysis;
   const prev = previousAnalysis;
 
+  // Degraded: the AI isn't answering — speak once the failure streak crosses the threshold
+  const failures = curr.consecutive_failures ?? 0;
+  const prevFailures = prev?.consecutive_failures ?? 0;
+  if (curr.safety_status === 'degraded' || !curr.success) {
+    return failures >= GUIDANCE_FAILURE_THRESHOLD && prevFailures < GUIDANCE_FAILURE_THRESHOLD
+      ? 'guidance_unavailable'
+      : null;
+  }
+  // Only an answer from the AI itself restores it (on-device detections leave the streak as it is)
+  if (prevFailures >= GUIDANCE_FAILURE_THRESHOLD && failures < GUIDANCE_FAILURE_THRESHOLD) return 'guidance_restored';
+
   // Priority 1: Danger alerts — only on transition to avoid repeat spam
   if (curr.safety_status === 'danger') {
     if (curr.depth_zone === 'bronchial' && prev?.depth_zone !== 'bronchial') return 'danger_bronchial';
     if (curr.landmarks.esophagus?.visible && !prev?.landmarks?.esophagus?.visible) return 'esophageal_warning';
   }
 
-  // Priority 2: Warning alerts
-  if (curr.safety_status === 'warning' && prev?.safety_status !== 'warning') {
-    return 'warning_deep';
-  }
-
-  // Priority 3: Positive confirmations (only on transitions)
-  if (prev) {
-    // Vocal cords just became visible
-    if (curr.landmarks.vocal_cords?.visible && !prev.landmarks?.vocal_cords?.visible) {
-      return 'vocal_cords_detected';
-    }
-
-    // Epiglottis just became visible
-    if (curr.landmarks.epiglottis?.visible && !prev.landmarks?.epiglottis?.visible) {
-      return 'epiglottis_detected';
-    }
-
-    // Entered trachea
-    if (curr.depth_zone === 'tracheal' && prev.depth_zone !== 'tracheal') {
-      return 'optimal_depth';
+  // Priority 2: Procedure state transitions — an isolated frame can't confirm placement
+  if (procedureStep?.changed) {
+    if (procedureStep.state === 'tracheal_placement' && procedureStep.suspicious) return 'placement_unverified';
+    // Backing out of the trachea passes the cords too — only announce them on the way in
+    const backingOut = procedureStep.state === 'passing_cords' && procedureStep.previous !== 'glottic_view';
+    if (!procedureStep.suspicious && !backingOut && STATE_ALERTS[procedureStep.state]) {
+      return STATE_ALERTS[procedureStep.state];
     }
+  }
 
-    // Entered subglottic from glottic
-    if (curr.depth_zone === 'subglottic' && prev.depth_zone === 'glottic') {
-      return 'entering_trachea';
-    }
+  // Priority 3: Warning status — spoken whatever the state machine makes of the
+  // step, so a held or suspicious transition can't swallow it
+  if (curr.safety_status === 'warning' && prev?.safety_status !== 'warning') {
+    return 'warning_deep';
   }
 
   // Image quality warning
@@ -324,16 +478,11 @@ export function determineAlert(currentAnalysis, previousAnalysis) {
 }
 
 /**
- * Stop all audio immediately and clear the queue.
+ * Stop all audio immediately and clear the queue, including repeating alerts.
  * Call this when analysis is paused/stopped.
  */
 export function stopAllAudio() {
-  audioQueue.length = 0;
-  if (currentAudio) {
-    currentAudio.pause();
-    currentAudio = null;
-  }
-  isPlaying = false;
+  scheduler.clear();
 }
 
 export { ALERT_DEFINITIONS };
@@ -0,0 +1,114 @@
+/**
+ * NeoGuide - Voice Commands
+ *
+ * Hands-free control for a clinician holding the laryngoscope. A small fixed
+ * grammar — the wake word followed by one command phrase ("NeoGuide,
+ * pause") — so room chatter and NeoGuide's own spoken alerts don't trigger
+ * anything. Phrases are per locale, under `commands` in src/locales.
+ *
+ * The recognizer is pluggable: the browser's speech recognition by default,
+ * or any object with the same interface (e.g. an on-device engine) via
+ * setCommandRecognizer. VITE_SPEECH_RECOGNIZER picks a built-in one.
+ */
+
+import { createWebSpeechRecognizer } from './speech/webSpeechRecognizer';
+import { localeVoice } from './tts/voices';
+import { LOCALES } from '../locales';
+
+export const COMMANDS = ['start', 'pause', 'mark_attempt', 'unmark_attempt', 'confirm_placement', 'repeat', 'mute', 'unmute', 'acknowledge'];
+
+// Recognizers report 0–1; below this a phrase is more likely noise than a command
+export const MIN_COMMAND_CONFIDENCE = 0.5;
+
+const RECOGNIZER_FACTORIES = {
+  webspeech: () => createWebSpeechRecognizer(),
+};
+
+let activeRecognizer = null;
+
+/**
+ * Create a command recognizer by name
+ * @param {string} name - Key from RECOGNIZER_FACTORIES
+ * @returns {{ name: string, label: string, isAvailable: Function, start: Function, stop: Function }} Recognizer
+ */
+export function createCommandRecognizer(name) {
+  const factory = RECOGNIZER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown speech recognizer: ${name}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the active command recognizer, creating it from config on first use
+ * @returns {Object} Recognizer
+ */
+export function getCommandRecognizer() {
+  if (!activeRecognizer) {
+    activeRecognizer = createCommandRecognizer(import.meta.env.VITE_SPEECH_RECOGNIZER || 'webspeech');
+  }
+  return activeRecognizer;
+}
+
+/**
+ * Replace the command recognizer (e.g. with an offline engine). It must
+ * provide isAvailable(), start({ lang, onResult, onError }) and stop().
+ * @param {Object} recognizer
+ */
+export function setCommandRecognizer(recognizer) {
+  activeRecognizer?.stop();
+  activeRecognizer = recognizer;
+}
+
+// Lowercase, no accents or punctuation, single spaces — "¡NeoGuide, Pausa!" → "neoguide pausa"
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function grammarFor(lang) {
+  return { ...LOCALES.en.commands, ...LOCALES[lang]?.commands };
+}
+
+/**
+ * Match a recognized phrase against the command grammar
+ * @param {string} transcript - What the recognizer heard
+ * @param {string} lang - Key from LOCALES
+ * @returns {string|null} Key from COMMANDS, or null (no wake word, or not a command)
+ */
+export function parseCommand(transcript, lang) {
+  const grammar = grammarFor(lang);
+  const heard = normalize(transcript);
+  const wake = grammar.wake.map(normalize).find(w => heard === w || heard.startsWith(`${w} `));
+  if (!wake) return null;
+  const phrase = heard.slice(wake.length).trim();
+  return COMMANDS.find(command => grammar.phrases[command]?.some(p => normalize(p) === phrase)) ?? null;
+}
+
+/**
+ * Listen for commands in a locale
+ * @param {Object} options
+ * @param {string} options.lang - Key from LOCALES
+ * @param {Function} options.onCommand - Called with (command, transcript)
+ * @param {Function} [options.onError] - Called with the recognizer's Error (err.fatal = stopped)
+ * @param {Object} [options.recognizer] - Recognizer to use instead of the active one
+ * @returns {Function} Stop listening
+ */
+export function listenForCommands({ lang, onCommand, onError, recognizer = getCommandRecognizer() }) {
+  recognizer.start({
+    lang: localeVoice(lang).speechLang,
+    onResult: ({ transcript, confidence }) => {
+      // Some engines report 0 when they don't score results — only trust a real score
+      if (confidence > 0 && confidence < MIN_COMMAND_CONFIDENCE) return;
+      const command = parseCommand(transcript, lang);
+      if (command) onCommand(command, transcript.trim());
+    },
+    onError,
+  });
+  return () => recognizer.stop();
+}
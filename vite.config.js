@@ -1,8 +1,37 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createProxy } from './server/proxy.js';
+
+// API keys stay server-side: /api/* is answered by server/proxy.js in dev and preview
+// (created on the first API request, so builds and the CLI scripts don't log key warnings)
+function apiProxy() {
+  let env;
+  let proxy = null;
+  const handle = (req, res, next) => {
+    if (!req.url.startsWith('/api/')) return next();
+    proxy ??= createProxy({ env });
+    return proxy(req, res, next);
+  };
+  return {
+    name: 'neoguide-api-proxy',
+    configResolved(config) {
+      env = { ...loadEnv(config.mode, config.root, ''), ...process.env };
+    },
+    configureServer(server) {
+      server.middlewares.use(handle);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handle);
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), apiProxy()],
+  // Pre-bundling breaks the runtime's own lookup of its .wasm files
+  optimizeDeps: { exclude: ['onnxruntime-web'] },
+  // three.js alone is ~830 kB; it is already split into the lazily loaded 3D view's chunk
+  build: { chunkSizeWarningLimit: 900 },
   server: {
     port: 3000,
     open: true